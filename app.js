@@ -1,6 +1,5 @@
 import express from 'express'
 import useragent from 'express-useragent'
-import fs from 'fs'
 import pinoHttp from 'pino-http'
 
 import CorsMiddleware from './configs/Cors.config.js'
@@ -15,18 +14,33 @@ import ConnectToMongoDB from './configs/Mongoose.config.js'
 import MorganMiddleware from './configs/Morgan.config.js'
 import SecurityMiddlewares, {
   CookieParserMiddleware,
-  CsrfProtectionMiddleware,
+  CsrfMiddleware,
   LimiterMiddleware,
   SlowDownLimiterMiddleware,
 } from './configs/Security.config.js'
 import SessionMiddleware from './configs/Session.config.js'
 
+import CryptoHelper from './helpers/Crypto.helper.js'
+import KeyRingHelper from './helpers/KeyRing.helper.js'
+
 // Initiate express app
 const App                                   = express()
 
-// Private- and public keys, for JWT
-const PRIVATE_KEY                           = fs.readFileSync( 'jwt.key', 'utf8' )
-const PUBLIC_KEY                            = fs.readFileSync( 'jwt.key.pub', 'utf8' )
+// Load the JWT key ring (fails fast if there's no usable signing key)
+KeyRingHelper.Load()
+
+// Check the encryption secret (fails fast if ENCRYPTION_SECRET isn't set)
+CryptoHelper.Assert()
+
+// Reload the key ring on SIGHUP, so keys can be added, promoted and retired without a restart
+process.on( 'SIGHUP', () => {
+  try {
+    KeyRingHelper.Load()
+    console.log( 'JWT key ring reloaded' )
+  } catch ( error ) {
+    console.error( `JWT key ring not reloaded: ${ error.message }` )
+  }
+})
 
 // Disable for security reasons
 App.set( 'trust proxy', 0 )
@@ -41,6 +55,14 @@ App.use( express.urlencoded({ extended: true }) )
 App.use( CookieParserMiddleware )
 App.use( LimiterMiddleware )
 App.use( SlowDownLimiterMiddleware )
+
+// Import the OpenID Connect provider routes
+import OidcRouter from './routes/Oidc/Oidc.route.js'
+
+// Register the OpenID Connect provider routes before the session middleware, since they're called cross-site
+// (where the SameSite=Strict session cookie isn't sent) and by servers, and must never create or replace sessions
+App.use( OidcRouter )
+
 App.use( SessionMiddleware )
 App.use( useragent.express() )
 App.use( MorganMiddleware )
@@ -51,7 +73,7 @@ App.use( LoggerMiddleware )
 import ApiRouter from './routes/Api/Api.route.js'
 
 // Register /api route
-App.use( '/api', [ CsrfProtectionMiddleware.csrfSynchronisedProtection ], ApiRouter )
+App.use( '/api', [ CsrfMiddleware ], ApiRouter )
 
 // 404 route if the requested route is not found
 App.use( ( req, res, next ) => res.status( 404 ).send( 'Not Found', { url: req.url } ) )
@@ -65,6 +87,12 @@ App.use( ErrorMiddleware.Handler )
 // Import the email verification job
 import './jobs/EmailVerification.job.js'
 
+// Import the account deletion job
+import './jobs/AccountDeletion.job.js'
+
+// Import the data export job
+import './jobs/DataExport.job.js'
+
 // Start the server
 App.listen( PORT, async () => {
   console.log( `Server running in ${ NODE_ENV } mode on port ${ PORT }` )
@@ -75,6 +103,4 @@ App.listen( PORT, async () => {
 
 export {
   App as default,
-  PRIVATE_KEY,
-  PUBLIC_KEY,
 }
@@ -3,27 +3,140 @@ import 'dotenv/config'
 const {
   NODE_ENV,
   PORT,
+  APP_NAME,
   JWT_SECRET,
   JWT_ACCESS_TOKEN_EXPIRATION,
   JWT_REFRESH_TOKEN_EXPIRATION,
+  JWT_KEYS_DIRECTORY,
+  JWT_SIGNING_KEY_ID,
   SESSION_SECRET,
   COOKIE_SECRET,
   CSRF_SECRET,
   DEVICE_ID_SECRET,
+  ENCRYPTION_SECRET,
+  CLIENT_URL,
+  API_URL,
+  EMAIL_VERIFICATION_MODE,
+  EMAIL_VERIFICATION_MAX_ATTEMPTS,
+  EMAIL_VERIFICATION_RESEND_COOLDOWN,
+  EMAIL_VERIFICATION_DAILY_LIMIT,
+  TWO_FACTOR_MAX_ATTEMPTS,
+  LOGIN_BACKOFF_THRESHOLD,
+  LOGIN_MAX_ATTEMPTS,
+  LOGIN_LOCKOUT_DURATION,
+  ACCOUNT_DELETION_GRACE_PERIOD,
+  DATA_EXPORT_ASYNC_THRESHOLD,
+  DATA_EXPORT_EXPIRATION,
+  MAIL_TRANSPORT,
+  MAIL_FILE_DIRECTORY,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_USER,
+  SMTP_PASS,
+  SENDER_MAIL,
+  REPLY_TO,
+  WEBAUTHN_RP_ID,
+  WEBAUTHN_RP_NAME,
+  WEBAUTHN_ORIGINS,
   MONGO_URI,
 }                                           = process.env
 
 const DbString                              = MONGO_URI
 
+// ENCRYPTION_SECRET is required (the server doesn't start without it): the key the two-factor secrets are encrypted
+// with in the database is derived from it, so changing it makes every enrolled authenticator unusable
+
+// The name of the app, used in mails
+const AppName                               = APP_NAME || 'UserBoilerplate'
+
+// The directory holding the JWT key ring (<kid>.key / <kid>.key.pub pairs, and an optional keyring.json)
+const JwtKeysDirectory                      = JWT_KEYS_DIRECTORY || 'keys'
+
+// The url of the client (frontend), used in links sent to users
+const ClientUrl                             = ( CLIENT_URL || 'http://localhost:5173' ).replace( /\/+$/, '' )
+
+// The public url of this server, used in redirect uris
+const ApiUrl                                = ( API_URL || `http://localhost:${ PORT || 5000 }` ).replace( /\/+$/, '' )
+
+// Email verification, either by 'link' (token) or 'code' (6-digit code, the link keeps working as well)
+const EmailVerificationMode                 = EMAIL_VERIFICATION_MODE === 'code' ? 'code' : 'link'
+const EmailVerificationMaxAttempts          = Number( EMAIL_VERIFICATION_MAX_ATTEMPTS ) || 5
+
+// Resending the email verification: the time between two mails to a user, and the most mails to a user in a day
+const EmailVerificationResendCooldown       = EMAIL_VERIFICATION_RESEND_COOLDOWN || '1m'
+const EmailVerificationDailyLimit           = Number( EMAIL_VERIFICATION_DAILY_LIMIT ) || 5
+
+// The most wrong codes (or recovery codes) a two-factor login challenge accepts, before the user has to log in again
+const TwoFactorMaxAttempts                  = Number( TWO_FACTOR_MAX_ATTEMPTS ) || 5
+
+// Login brute-force protection: failures before the backoff starts, failures before the account is locked,
+// and the duration of the first lockout (doubled for every consecutive lockout)
+const LoginBackoffThreshold                 = Number( LOGIN_BACKOFF_THRESHOLD ) || 3
+const LoginMaxAttempts                      = Number( LOGIN_MAX_ATTEMPTS ) || 10
+const LoginLockoutDuration                  = LOGIN_LOCKOUT_DURATION || '15m'
+
+// How long an account is kept after its owner asked for it to be deleted (logging in before then cancels it)
+const AccountDeletionGracePeriod            = ACCOUNT_DELETION_GRACE_PERIOD || '30d'
+
+// Personal data exports: the number of records above which the export is generated in the background (and fetched
+// through a one-time download link), and how long that link is valid
+const DataExportAsyncThreshold              = Number( DATA_EXPORT_ASYNC_THRESHOLD ) || 1000
+const DataExportExpiration                  = DATA_EXPORT_EXPIRATION || '24h'
+
+// Mail transport, either 'smtp', 'file' (.eml files written to MAIL_FILE_DIRECTORY) or 'memory' (kept in memory, for
+// tests). Defaults to 'smtp' when SMTP_HOST is set, and to 'file' otherwise
+const MailTransport                         = [ 'smtp', 'file', 'memory' ].includes( MAIL_TRANSPORT )
+  ? MAIL_TRANSPORT
+  : SMTP_HOST ? 'smtp' : 'file'
+const MailFileDirectory                     = MAIL_FILE_DIRECTORY || 'mails'
+const SmtpPort                              = Number( SMTP_PORT ) || 587
+const SenderMail                            = SENDER_MAIL || 'no-reply@localhost'
+
+// WebAuthn relying party, defaults to the local development setup
+const WebAuthnRpId                          = WEBAUTHN_RP_ID || 'localhost'
+const WebAuthnRpName                        = WEBAUTHN_RP_NAME || 'UserBoilerplate'
+const WebAuthnOrigins                       = ( WEBAUTHN_ORIGINS || 'http://localhost:3000,http://localhost:5173' )
+  .split( ',' )
+  .map( origin => origin.trim() )
+  .filter( Boolean )
+
 export {
   NODE_ENV,
   PORT,
+  AppName as APP_NAME,
   JWT_SECRET,
   JWT_ACCESS_TOKEN_EXPIRATION,
   JWT_REFRESH_TOKEN_EXPIRATION,
+  JwtKeysDirectory as JWT_KEYS_DIRECTORY,
+  JWT_SIGNING_KEY_ID,
   SESSION_SECRET,
   COOKIE_SECRET,
   CSRF_SECRET,
   DEVICE_ID_SECRET,
+  ENCRYPTION_SECRET,
+  ClientUrl as CLIENT_URL,
+  ApiUrl as API_URL,
+  EmailVerificationMode as EMAIL_VERIFICATION_MODE,
+  EmailVerificationMaxAttempts as EMAIL_VERIFICATION_MAX_ATTEMPTS,
+  EmailVerificationResendCooldown as EMAIL_VERIFICATION_RESEND_COOLDOWN,
+  EmailVerificationDailyLimit as EMAIL_VERIFICATION_DAILY_LIMIT,
+  TwoFactorMaxAttempts as TWO_FACTOR_MAX_ATTEMPTS,
+  LoginBackoffThreshold as LOGIN_BACKOFF_THRESHOLD,
+  LoginMaxAttempts as LOGIN_MAX_ATTEMPTS,
+  LoginLockoutDuration as LOGIN_LOCKOUT_DURATION,
+  AccountDeletionGracePeriod as ACCOUNT_DELETION_GRACE_PERIOD,
+  DataExportAsyncThreshold as DATA_EXPORT_ASYNC_THRESHOLD,
+  DataExportExpiration as DATA_EXPORT_EXPIRATION,
+  MailTransport as MAIL_TRANSPORT,
+  MailFileDirectory as MAIL_FILE_DIRECTORY,
+  SMTP_HOST,
+  SmtpPort as SMTP_PORT,
+  SMTP_USER,
+  SMTP_PASS,
+  SenderMail as SENDER_MAIL,
+  REPLY_TO,
+  WebAuthnRpId as WEBAUTHN_RP_ID,
+  WebAuthnRpName as WEBAUTHN_RP_NAME,
+  WebAuthnOrigins as WEBAUTHN_ORIGINS,
   DbString as MONGO_URI,
 }
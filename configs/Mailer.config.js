@@ -0,0 +1,52 @@
+import nodemailer from 'nodemailer'
+
+import {
+  MAIL_TRANSPORT,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_USER,
+  SMTP_PASS,
+} from './Environment.config.js'
+
+/**
+ * @constant MailTransports Mail Transports
+ * @type {Object}
+ */
+const MailTransports                        = {
+  SMTP                                      : 'smtp',
+  FILE                                      : 'file',
+  MEMORY                                    : 'memory',
+}
+
+/**
+ * @function CreateTransport
+ * @description Creates the nodemailer transport of the configured mail transport (MAIL_TRANSPORT). The file and
+ * memory transports build the raw message without sending it, MailerHelper.Send writes or keeps it
+ * @param {String} transport One of MailTransports
+ * @returns {Object} The nodemailer transport
+ */
+const CreateTransport                       = ( transport ) => {
+  switch( transport ) {
+    case MailTransports.SMTP:
+      return nodemailer.createTransport({
+        host                                : SMTP_HOST,
+        port                                : SMTP_PORT,
+        secure                              : SMTP_PORT === 465,
+        ...( SMTP_USER && { auth: { user: SMTP_USER, pass: SMTP_PASS } } ),
+      })
+
+    default:
+      return nodemailer.createTransport({
+        streamTransport                     : true,
+        buffer                              : true,
+        newline                             : 'unix',
+      })
+  }
+}
+
+const MailerTransport                       = CreateTransport( MAIL_TRANSPORT )
+
+export {
+  MailerTransport as default,
+  MailTransports,
+}
@@ -2,11 +2,24 @@ import mongoose from 'mongoose'
 
 import { MONGO_URI } from '../configs/Environment.config.js'
 
+import EmailVerificationModel from '../models/EmailVerification.model.js'
+import RoleModel from '../models/Role.model.js'
+
 const ConnectToMongoDB                      = async () => {
   try {
     await mongoose.connect( MONGO_URI )
 
     console.log( 'Connected to MongoDB' )
+
+    // Create the default roles (and their permissions) that don't exist yet
+    await RoleModel.Seed()
+
+    // Drop the email verifications' old TTL index on expiresAt, which would delete the records before they stop
+    // counting towards the daily limit (once it's dropped, or on a new database, there's nothing to drop)
+    await EmailVerificationModel.collection.dropIndex( 'expiresAt_1' ).catch( error => {
+      if( ![ 'IndexNotFound', 'NamespaceNotFound' ].includes( error.codeName ) )
+        throw error
+    })
   } catch ( error ) {
     console.error(`Database connection error: ${ error }`)
   }
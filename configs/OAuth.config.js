@@ -0,0 +1,115 @@
+import 'dotenv/config'
+
+/**
+ * @function ProviderFromEnvironment
+ * @description Reads a provider's client and endpoint settings from the environment (OAUTH_<NAME>_*).
+ * Endpoints that aren't set are discovered from the issuer's /.well-known/openid-configuration
+ * @param {String} name The provider's name
+ * @param {Object} defaults The provider's default settings
+ * @returns {Object} The provider's settings
+ */
+const ProviderFromEnvironment               = ( name, defaults ) => {
+  const prefix                              = `OAUTH_${ name.toUpperCase() }_`
+  const env                                 = ( key ) => process.env[ `${ prefix }${ key }` ]
+
+  return {
+    ...defaults,
+    name                                    : name,
+    clientId                                : env( 'CLIENT_ID' ),
+    clientSecret                            : env( 'CLIENT_SECRET' ),
+    issuer                                  : env( 'ISSUER' ) || defaults.issuer,
+    authorizationEndpoint                   : env( 'AUTHORIZATION_ENDPOINT' ) || defaults.authorizationEndpoint,
+    tokenEndpoint                           : env( 'TOKEN_ENDPOINT' ) || defaults.tokenEndpoint,
+    userinfoEndpoint                        : env( 'USERINFO_ENDPOINT' ) || defaults.userinfoEndpoint,
+    emailsEndpoint                          : env( 'EMAILS_ENDPOINT' ) || defaults.emailsEndpoint,
+    scope                                   : env( 'SCOPE' ) || defaults.scope,
+  }
+}
+
+/**
+ * @function MapOpenIdProfile
+ * @description Maps standard OpenID Connect claims to a profile
+ * @param {Object} userinfo The userinfo response
+ * @returns {Object} The profile
+ */
+const MapOpenIdProfile                      = ( userinfo ) => ({
+  subject                                   : userinfo.sub,
+  email                                     : userinfo.email,
+  emailVerified                             : userinfo.email_verified === true || userinfo.email_verified === 'true',
+  username                                  : userinfo.preferred_username || userinfo.nickname,
+  forename                                  : userinfo.given_name,
+  surname                                   : userinfo.family_name,
+})
+
+/**
+ * @constant OAuthProviders OAuth2 / OpenID Connect provider registry
+ * @type {Object}
+ * @description Every provider has client settings, endpoints (or an issuer to discover them from), a scope and a
+ * mapProfile function that maps the provider's userinfo (and ID token claims) to { subject, email, emailVerified,
+ * username, forename, surname }.
+ * A provider is only enabled when its client id is set
+ */
+const OAuthProviders                        = {
+  google                                    : ProviderFromEnvironment( 'google', {
+    issuer                                  : 'https://accounts.google.com',
+    scope                                   : 'openid email profile',
+    mapProfile                              : MapOpenIdProfile,
+  }),
+  microsoft                                 : ProviderFromEnvironment( 'microsoft', {
+    issuer                                  : 'https://login.microsoftonline.com/common/v2.0',
+    authorizationEndpoint                   : 'https://login.microsoftonline.com/common/oauth2/v2.0/authorize',
+    tokenEndpoint                           : 'https://login.microsoftonline.com/common/oauth2/v2.0/token',
+    userinfoEndpoint                        : 'https://graph.microsoft.com/oidc/userinfo',
+    scope                                   : 'openid email profile',
+    mapProfile                              : ( userinfo, claims ) => ({
+      ...MapOpenIdProfile( userinfo ),
+
+      // Microsoft's userinfo never says whether the email is verified, only the ID token does, when the domain is
+      // verified by the tenant (the xms_edov optional claim, which has to be added to the app registration's ID token)
+      email                                 : claims.email || userinfo.email,
+      emailVerified                         : claims.email_verified === true || claims.xms_edov === true || claims.xms_edov === 'true',
+    }),
+  }),
+  github                                    : ProviderFromEnvironment( 'github', {
+    authorizationEndpoint                   : 'https://github.com/login/oauth/authorize',
+    tokenEndpoint                           : 'https://github.com/login/oauth/access_token',
+    userinfoEndpoint                        : 'https://api.github.com/user',
+    emailsEndpoint                          : 'https://api.github.com/user/emails',
+    scope                                   : 'read:user user:email',
+    mapProfile                              : ( userinfo ) => {
+      const [ forename, ...surname ]        = String( userinfo.name || '' ).split( ' ' )
+
+      return {
+        subject                             : userinfo.id,
+        email                               : userinfo.email,
+        emailVerified                       : userinfo.email_verified === true,
+        username                            : userinfo.login,
+        forename                            : forename,
+        surname                             : surname.join( ' ' ),
+      }
+    },
+  }),
+}
+
+/**
+ * @function RegisterOAuthProvider
+ * @description Registers (or replaces) a provider in the registry, e.g. a custom OpenID Connect provider
+ * @param {String} name The provider's name, used in the routes (/api/auth/oauth/:provider)
+ * @param {Object} settings The provider's settings
+ * @returns {Object} The registered provider
+ */
+const RegisterOAuthProvider                 = ( name, settings ) => {
+  OAuthProviders[ name ]                    = {
+    scope                                   : 'openid email profile',
+    mapProfile                              : MapOpenIdProfile,
+    ...settings,
+    name                                    : name,
+  }
+
+  return OAuthProviders[ name ]
+}
+
+export {
+  OAuthProviders as default,
+  RegisterOAuthProvider,
+}
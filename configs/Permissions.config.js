@@ -0,0 +1,52 @@
+/**
+ * @constant Permissions Permissions
+ * @type {Object}
+ * @description Every permission is "<resource>:<action>:<scope>". The "any" scope covers every record, the "self"
+ * scope only the user's own (decided by the route's ownership check, see AuthMiddleware.RequirePermission)
+ */
+const Permissions                           = {
+  USERS_READ_SELF                           : 'users:read:self',
+  USERS_READ_ANY                            : 'users:read:any',
+  USERS_UPDATE_SELF                         : 'users:update:self',
+  USERS_UPDATE_ANY                          : 'users:update:any',
+  USERS_UNLOCK_ANY                          : 'users:unlock:any',
+  USERS_UPDATE_ROLE_ANY                     : 'users:updateRole:any',
+  USERS_ACTIVATE_ANY                        : 'users:activate:any',
+  USERS_VERIFY_EMAIL_ANY                    : 'users:verifyEmail:any',
+  USERS_DELETE_ANY                          : 'users:delete:any',
+  USERS_IMPERSONATE_ANY                     : 'users:impersonate:any',
+  SESSIONS_READ_SELF                        : 'sessions:read:self',
+  SESSIONS_REVOKE_SELF                      : 'sessions:revoke:self',
+  SESSIONS_REVOKE_ANY                       : 'sessions:revoke:any',
+  OIDC_CLIENTS_MANAGE_ANY                   : 'oidcClients:manage:any',
+  ROLES_MANAGE_ANY                          : 'roles:manage:any',
+}
+
+/**
+ * @constant DefaultRolePermissions Default Role Permissions
+ * @type {Object}
+ * @description The role→permissions map the roles collection is seeded with. Roles that already exist in the
+ * database are left untouched, so changes made there survive a restart, except that the admin role is given the
+ * permissions added since it was created
+ */
+const DefaultRolePermissions                = {
+  user                                      : [
+    Permissions.USERS_READ_SELF,
+    Permissions.USERS_UPDATE_SELF,
+    Permissions.SESSIONS_READ_SELF,
+    Permissions.SESSIONS_REVOKE_SELF,
+  ],
+  moderator                                 : [
+    Permissions.USERS_READ_SELF,
+    Permissions.USERS_READ_ANY,
+    Permissions.USERS_UPDATE_SELF,
+    Permissions.SESSIONS_READ_SELF,
+    Permissions.SESSIONS_REVOKE_SELF,
+  ],
+  admin                                     : Object.values( Permissions ),
+}
+
+export {
+  Permissions as default,
+  DefaultRolePermissions,
+}
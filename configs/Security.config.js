@@ -8,7 +8,10 @@ import { csrfSync } from 'csrf-sync'
 
 import { NODE_ENV, COOKIE_SECRET } from '../configs/Environment.config.js'
 
+import CustomErrorHelper from '../helpers/Error.helper.js'
+import StatusCodes from '../helpers/StatusCodes.helper.js'
 import TimeHelper from '../helpers/Time.helper.js'
+import TransportHelper from '../helpers/Transport.helper.js'
 
 const CookieParserMiddleware                = cookieParser( COOKIE_SECRET, { secure: NODE_ENV === 'production' } )
 
@@ -20,6 +23,11 @@ const SecurityMiddlewares                   = () => [
 
 const CsrfProtectionMiddleware              = csrfSync()
 
+// Bearer requests never read cookies, so they can't be forged cross-site, and skip the CSRF check
+const CsrfMiddleware                        = ( req, res, next ) => TransportHelper.IsBearer( req )
+  ? next()
+  : CsrfProtectionMiddleware.csrfSynchronisedProtection( req, res, next )
+
 const LimiterMiddleware                     = rateLimit( {
   windowMs                                  : TimeHelper.FifteenMinutes,
   max                                       : 100,
@@ -27,6 +35,16 @@ const LimiterMiddleware                     = rateLimit( {
   legacyHeaders                             : false,
 } )
 
+// A recovery code is checked against every stored (argon2) hash, so the requests with one are limited further
+const RecoveryCodeLimiterMiddleware         = rateLimit( {
+  windowMs                                  : TimeHelper.FifteenMinutes,
+  max                                       : 10,
+  standardHeaders                           : 'draft-8',
+  legacyHeaders                             : false,
+  skip                                      : ( req ) => !req.body?.recoveryCode,
+  handler                                   : ( req, res, next ) => next( new CustomErrorHelper( req.t('twoFactor.recoveryCode.limit'), StatusCodes.TOO_MANY_REQUESTS, 'recoveryCode' ) ),
+} )
+
 const SlowDownLimiterMiddleware             = slowDown( {
   windowMs                                  : TimeHelper.FifteenMinutes,
   delayAfter                                : 100,
@@ -36,7 +54,9 @@ const SlowDownLimiterMiddleware             = slowDown( {
 export {
   CookieParserMiddleware,
   SecurityMiddlewares as default,
+  CsrfMiddleware,
   CsrfProtectionMiddleware,
   LimiterMiddleware,
+  RecoveryCodeLimiterMiddleware,
   SlowDownLimiterMiddleware,
 }
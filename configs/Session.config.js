@@ -3,7 +3,9 @@ import MongoStore from 'connect-mongo'
 
 import { NODE_ENV, MONGO_URI, SESSION_SECRET } from './Environment.config.js'
 
-const SessionMiddleware                     = session( {
+import TransportHelper from '../helpers/Transport.helper.js'
+
+const ExpressSessionMiddleware              = session( {
   secret                                    : SESSION_SECRET,
   resave                                    : true,
   saveUninitialized                         : true,
@@ -16,6 +18,17 @@ const SessionMiddleware                     = session( {
   },
 } )
 
+// Bearer requests get a request-scoped session object instead, which is never stored, nor sent as a cookie.
+// Flows keeping state in the session between requests (e.g. WebAuthn challenges) therefore need the cookie mode
+const SessionMiddleware                     = ( req, res, next ) => {
+  if( !TransportHelper.IsBearer( req ) )
+    return ExpressSessionMiddleware( req, res, next )
+
+  req.session                               = {}
+
+  return next()
+}
+
 export {
   SessionMiddleware as default,
 }
@@ -3,6 +3,9 @@ import i18nextBackend from 'i18next-fs-backend'
 import i18nextMiddleware from 'i18next-http-middleware'
 import path from 'path'
 
+// The locales the app is translated to, the first one is the fallback
+const SupportedLocales                      = [ 'en', 'sv' ]
+
 i18next
   .use( i18nextBackend )
   .use( i18nextMiddleware.LanguageDetector )
@@ -14,12 +17,27 @@ i18next
       order                                 : [ 'querystring', 'cookie', 'header' ],
       caches                                : [ 'cookie' ],
     },
-    fallbackLng                             : 'en',
-    preload                                 : [ 'en', 'sv' ],
+    fallbackLng                             : SupportedLocales[ 0 ],
+    preload                                 : SupportedLocales,
   })
 
 const i18nMiddleware                        = i18nextMiddleware.handle( i18next )
 
+/**
+ * @function ResolveLocale
+ * @description Resolves a language (e.g. a detected "sv-SE") to one of the supported locales
+ * @param {String} language
+ * @returns {String} The supported locale, or the fallback locale
+ */
+const ResolveLocale                         = ( language ) => {
+  const locale                              = String( language || '' ).toLowerCase().split( '-' )[ 0 ]
+
+  return SupportedLocales.includes( locale ) ? locale : SupportedLocales[ 0 ]
+}
+
 export {
   i18nMiddleware as default,
+  i18next,
+  SupportedLocales,
+  ResolveLocale,
 }
@@ -0,0 +1,247 @@
+import mongoose from 'mongoose'
+
+import EmailVerificationModel from '../models/EmailVerification.model.js'
+import RoleModel from '../models/Role.model.js'
+import UserModel from '../models/User.model.js'
+
+import AccountHelper from '../helpers/Account.helper.js'
+import AuditLogHelper, { AuditActions } from '../helpers/AuditLog.helper.js'
+import CustomErrorHelper from '../helpers/Error.helper.js'
+import MailerHelper from '../helpers/Mailer.helper.js'
+import ResponseHelper from '../helpers/Response.helper.js'
+import StatusCodes from '../helpers/StatusCodes.helper.js'
+import UserHelper from '../helpers/User.helper.js'
+
+/**
+ * @class AdminUserController
+ * @classdesc Contains all controller methods admins use to manage other users' accounts. Every action is recorded in
+ * the audit log, with the acting admin's id
+ *
+ * @method AdminUserController.GetTargetUser Returns the user targeted by the route (the :id parameter)
+ * @method AdminUserController.SerializeUser Serializes a user, along with their account state
+ * @method AdminUserController.UpdateRole Change a user's role
+ * @method AdminUserController.SetActive Activate or deactivate a user's account
+ * @method AdminUserController.VerifyEmail Mark a user's email as verified
+ * @method AdminUserController.DeleteUser Delete a user, and every record tied to them
+ */
+class AdminUserController {
+
+  /**
+   * @method AdminUserController.GetTargetUser
+   * @description Returns the user targeted by the route (the :id parameter). Admins can't target themselves, as they
+   * could lock themselves (and possibly everyone) out of the admin API
+   * @param {Request} req
+   * @param {Response} res
+   * @returns {UserModel} The targeted user
+   */
+  static async GetTargetUser( req, res ) {
+
+    // Retrieve the target user id
+    const userId                            = req.params.id
+
+    // If the target user id is missing, or isn't a valid id
+    if( !userId || !mongoose.isValidObjectId( userId ) )
+      throw new CustomErrorHelper( req.t('user.id.notFound'), StatusCodes.NOT_FOUND )
+
+    // If the admin targets themselves
+    if( String( userId ) === String( UserHelper.GetUserId( req, res ) ) )
+      throw new CustomErrorHelper( req.t('admin.users.self'), StatusCodes.FORBIDDEN )
+
+    // Get/find the user in the database by their id
+    const user                              = await UserModel.findById( userId )
+
+    // If the user doesn't exist
+    if( !user )
+      throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+    return user
+  }
+
+  /**
+   * @method AdminUserController.SerializeUser
+   * @description Serializes a user, along with their account state (which admins manage)
+   * @param {UserModel} user
+   * @returns {Object} The serialized user
+   */
+  static SerializeUser( user ) {
+    return {
+      ...UserModel.SerializeUser( user ),
+      isActive                              : user.isActive,
+      isEmailVerified                       : user.isEmailVerified,
+    }
+  }
+
+  /**
+   * @method AdminUserController.UpdateRole
+   * @description The controller method handling changing a user's role. The user's sessions are revoked, so the new
+   * role applies right away
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The user
+   */
+  static async UpdateRole( req, res, next ) {
+    try {
+
+      // Get the new role
+      const role                            = String( req.body?.role || '' ).toLowerCase().trim()
+
+      // If the role doesn't exist
+      if( !role || !await RoleModel.exists({ name: role }) )
+        throw new CustomErrorHelper( req.t('user.role.invalid'), StatusCodes.BAD_REQUEST, 'role' )
+
+      // Get the targeted user
+      const user                            = await AdminUserController.GetTargetUser( req, res )
+      const previousRole                    = user.role
+
+      // If the role is unchanged, there's nothing to do
+      if( previousRole !== role ) {
+
+        // Change the role
+        await UserModel.updateOne({ _id: user._id }, { role: role })
+        user.role                           = role
+
+        // Revoke the user's sessions, so tokens issued with the previous role stop working
+        await AccountHelper.RevokeSessions( req, res, user._id, 'Role changed by admin' )
+
+        // Record the action
+        await AuditLogHelper.Record( req, res, AuditActions.USER_ROLE_CHANGED, user._id, {
+          from                              : previousRole,
+          to                                : role,
+        })
+      }
+
+      // Return the user
+      return ResponseHelper.Success( res, req.t('admin.users.roleChanged'), StatusCodes.OK, AdminUserController.SerializeUser( user ), 'user' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method AdminUserController.SetActive
+   * @description The controller method handling activating or deactivating a user's account. Deactivating revokes
+   * the user's sessions
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The user
+   */
+  static async SetActive( req, res, next ) {
+    try {
+
+      // Get whether the account should be active (a boolean, or a string from a form)
+      const isActive                        = req.body?.isActive
+
+      // If the value isn't a boolean
+      if( ![ true, false, 'true', 'false' ].includes( isActive ) )
+        throw new CustomErrorHelper( req.t('admin.users.isActive.invalid'), StatusCodes.BAD_REQUEST, 'isActive' )
+
+      const active                          = isActive === true || isActive === 'true'
+
+      // Get the targeted user
+      const user                            = await AdminUserController.GetTargetUser( req, res )
+
+      // If the state is unchanged, there's nothing to do
+      if( user.isActive !== active ) {
+
+        // Activate/deactivate the account
+        await UserModel.updateOne({ _id: user._id }, { isActive: active })
+        user.isActive                       = active
+
+        // Revoke the user's sessions, when the account is deactivated
+        if( !active )
+          await AccountHelper.RevokeSessions( req, res, user._id, 'Account deactivated by admin' )
+
+        // Record the action
+        await AuditLogHelper.Record( req, res, active ? AuditActions.USER_ACTIVATED : AuditActions.USER_DEACTIVATED, user._id )
+      }
+
+      // Return the user
+      return ResponseHelper.Success( res, req.t( active ? 'admin.users.activated' : 'admin.users.deactivated' ), StatusCodes.OK, AdminUserController.SerializeUser( user ), 'user' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method AdminUserController.VerifyEmail
+   * @description The controller method handling marking a user's email as verified, removing any pending email verifications
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The user
+   */
+  static async VerifyEmail( req, res, next ) {
+    try {
+
+      // Get the targeted user
+      const user                            = await AdminUserController.GetTargetUser( req, res )
+
+      // If the email is already verified
+      if( user.isEmailVerified )
+        throw new CustomErrorHelper( req.t('admin.users.emailAlreadyVerified'), StatusCodes.CONFLICT )
+
+      // Mark the email as verified
+      await UserModel.updateOne({ _id: user._id }, { isEmailVerified: true })
+      user.isEmailVerified                  = true
+
+      // Remove the pending email verifications
+      await EmailVerificationModel.deleteMany({ userId: user._id })
+
+      // Record the action
+      await AuditLogHelper.Record( req, res, AuditActions.USER_EMAIL_VERIFIED, user._id, {
+        email                               : user.email,
+      })
+
+      // Return the user
+      return ResponseHelper.Success( res, req.t('admin.users.emailVerified'), StatusCodes.OK, AdminUserController.SerializeUser( user ), 'user' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method AdminUserController.DeleteUser
+   * @description The controller method handling deleting a user, revoking their sessions, and deleting every record tied to them
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} Success message
+   */
+  static async DeleteUser( req, res, next ) {
+    try {
+
+      // Get the targeted user
+      const user                            = await AdminUserController.GetTargetUser( req, res )
+
+      // Revoke the user's sessions (blacklisting the refresh tokens, before they're deleted)
+      await AccountHelper.RevokeSessions( req, res, user._id, 'Account deleted by admin' )
+
+      // Delete the user, and every record tied to them
+      await AccountHelper.Purge( user._id )
+
+      // Tell the user their account has been deleted
+      await MailerHelper.SendAccountDeleted( user )
+
+      // Record the action (the audit log outlives the user, so keep who they were)
+      await AuditLogHelper.Record( req, res, AuditActions.USER_DELETED, user._id, {
+        email                               : user.email,
+        username                            : user.username,
+      })
+
+      // Return the success message
+      return ResponseHelper.Success( res, req.t('admin.users.deleted') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+}
+
+export {
+  AdminUserController as default,
+}
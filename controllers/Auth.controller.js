@@ -1,11 +1,19 @@
+import crypto from 'crypto'
 import { v4 as uuidv4 } from 'uuid'
 
+import { EMAIL_VERIFICATION_MAX_ATTEMPTS } from '../configs/Environment.config.js'
+
+import MagicLinkModel from '../models/MagicLink.model.js'
+import PasswordResetModel from '../models/PasswordReset.model.js'
 import RefreshTokenModel from '../models/RefreshToken.model.js'
 import UserModel from '../models/User.model.js'
 import EmailVerificationModel from '../models/EmailVerification.model.js'
 
 import CookieHelper, { CookieNames } from '../helpers/Cookie.helper.js'
+import EmailVerificationHelper from '../helpers/EmailVerification.helper.js'
 import CustomErrorHelper from '../helpers/Error.helper.js'
+import LoginAttemptHelper from '../helpers/LoginAttempt.helper.js'
+import MailerHelper from '../helpers/Mailer.helper.js'
 import PasswordHelper from '../helpers/Password.helper.js'
 import ResponseHelper from '../helpers/Response.helper.js'
 import SessionHelper from '../helpers/Session.helper.js'
@@ -20,8 +28,16 @@ import TokenHelper from '../helpers/Token.helper.js'
  * @method AuthController.Login Login method
  * @method AuthController.Logout Logout method
  * @method AuthController.VerifyEmail Verify email method
+ * @method AuthController.VerifyEmailCode Verify email with a 6-digit code method
+ * @method AuthController.ResendEmailVerification Sends a new email verification link (and code) to the given email
  * @method AuthController.UnitsLoggedInOn Returns the units the user is currently logged in on
  * @method AuthController.RevokeRefreshToken The controller method handling revoking a refresh token
+ * @method AuthController.UpdatePassword Updates the password, and signs out every other device
+ * @method AuthController.RefreshBearerTokens Refreshes a bearer client's tokens, with the refresh token in the request body
+ * @method AuthController.RequestPasswordReset Creates a password reset token for the given email
+ * @method AuthController.ConfirmPasswordReset Resets the password with a password reset token
+ * @method AuthController.RequestMagicLink Creates a single-use magic (login) link for the given email
+ * @method AuthController.ConsumeMagicLink Logs the user in with a magic link
  */
 class AuthController {
 
@@ -57,33 +73,30 @@ class AuthController {
       if( !user )
         throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
 
-      // If the password is incorrect
-      if( !await PasswordHelper.Verify( user.password, password ) )
-        throw new CustomErrorHelper( req.t('password.invalid'), StatusCodes.UNAUTHORIZED, 'password' )
+      // If the account is locked, or the backoff after failed attempts hasn't passed
+      await LoginAttemptHelper.AssertAllowed( req, res, user._id )
 
-      // JWT ID for the access token
-      const jwtId                           = uuidv4()
+      // If the password is incorrect, record the failed attempt
+      if( !await PasswordHelper.Verify( user.password, password ) ) {
+        await LoginAttemptHelper.RegisterFailure( req, res, user._id )
 
-      // Generate a new access token
-      const accessToken                     = TokenHelper.GenerateNewAccessToken( req, res, user._id, jwtId )
+        throw new CustomErrorHelper( req.t('password.invalid'), StatusCodes.UNAUTHORIZED, 'password' )
+      }
+
+      // Reset the failed attempts
+      await LoginAttemptHelper.Reset( req, res, user._id )
 
-      // Generate a new refresh token record
-      const newRefreshTokenRecord           = await TokenHelper.GenerateNewRefreshToken(
-        req,
-        res,
-        'Login',
-        user._id,
-      )
+      // If the user has two-factor authentication enabled, return a challenge token instead of logging in
+      if( user.isTwoFactorEnabled ) {
 
-      // Set the user id cookie
-      CookieHelper.SetUserIdCookie( res, user._id )
+        // Return the challenge token, which is exchanged for the session at /api/auth/2fa/verify
+        return ResponseHelper.Success( res, req.t('twoFactor.required'), StatusCodes.ACCEPTED, {
+          challengeToken                    : await TokenHelper.IssueTwoFactorChallenge( user._id ),
+        }, 'twoFactor' )
+      }
 
-      // Set everything in the session
-      req.jwtId                             = req.session.jwtId                           = jwtId
-      req.userId                            = req.session.userId                          = user._id
-      req.accessToken                       = req.session.accessToken                     = accessToken
-      req.refreshToken                      = req.session.refreshToken                    = newRefreshTokenRecord.token
-      req.refreshTokenId                    = req.session.refreshTokenId                  = newRefreshTokenRecord._id
+      // Issue the access token, refresh token, cookies and session
+      await TokenHelper.IssueSession( req, res, user._id, 'Login' )
 
       // Return the success response
       return ResponseHelper.Success( res, req.t('user.login.success'), StatusCodes.OK, UserModel.SerializeUser( user ), 'user' )
@@ -152,10 +165,13 @@ class AuthController {
       if( !emailVerificationToken )
         throw new CustomErrorHelper( req.t('email.token.notFound'), StatusCodes.NOT_FOUND )
 
-      // Attempt to find the email verification token record
-      const tokenRecord                     = await EmailVerificationModel.findOne({ token: emailVerificationToken })
+      // Attempt to find the email verification token record, that hasn't expired
+      const tokenRecord                     = await EmailVerificationModel.findOne({
+        token                               : emailVerificationToken,
+        expiresAt                           : { $gt: new Date() },
+      })
 
-      // If the email verification token was not found
+      // If the email verification token was not found, or has expired
       if( !tokenRecord )
         throw new CustomErrorHelper( req.t('email.token.record.notFound'), StatusCodes.NOT_FOUND )
 
@@ -179,8 +195,110 @@ class AuthController {
       // Save the user
       await user.save()
       
-      // Delete the email verification token record
-      await tokenRecord.deleteOne()
+      // Delete the email verification token record(s)
+      await EmailVerificationModel.deleteMany({ userId: user._id })
+
+      // Return the success response
+      return ResponseHelper.Success( res, req.t('emailVerification.success') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method AuthController.VerifyEmailCode
+   * @description The controller method handling email verification with a 6-digit code (the 'code' mode).
+   * Every wrong code counts as an attempt, and the code is locked after EMAIL_VERIFICATION_MAX_ATTEMPTS wrong attempts
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {JSON} Success response
+   */
+  static async VerifyEmailCode( req, res, next ) {
+    try {
+
+      // Destructure the request body
+      const {
+        email,
+        code,
+      }                                     = req.body
+
+      // If the email is empty
+      if( !email )
+        throw new CustomErrorHelper( req.t('email.required'), StatusCodes.NOT_FOUND, 'email' )
+
+      // If the code is empty
+      else if( !code )
+        throw new CustomErrorHelper( req.t('email.code.required'), StatusCodes.NOT_FOUND, 'code' )
+
+      // Attempt to find the user by email
+      const user                            = await UserModel.findOne({ email: String( email ).toLowerCase().trim() })
+
+      // If the user was not found, respond as if the code was wrong, so it can't be used to find accounts
+      if( !user )
+        throw new CustomErrorHelper( req.t('email.code.invalid'), StatusCodes.BAD_REQUEST, 'code' )
+
+      else if( !user.isActive )
+        throw new CustomErrorHelper( req.t('user.notActive') )
+
+      // If the user's email is already verified
+      else if( user.isEmailVerified )
+        throw new CustomErrorHelper( req.t('email.alreadyVerified') )
+
+      // Attempt to find the email verification records with a code, that haven't expired (every code sent stays valid)
+      const tokenRecords                    = await EmailVerificationModel.find({
+        userId                              : user._id,
+        code                                : { $ne: null },
+        expiresAt                           : { $gt: new Date() },
+      })
+
+      // If there is no code, or they have expired
+      if( !tokenRecords.length )
+        throw new CustomErrorHelper( req.t('email.code.invalid'), StatusCodes.BAD_REQUEST, 'code' )
+
+      // The codes that aren't locked, after too many wrong attempts
+      const openRecords                     = tokenRecords.filter( tokenRecord => tokenRecord.attempts < EMAIL_VERIFICATION_MAX_ATTEMPTS )
+
+      // If every code is locked
+      if( !openRecords.length )
+        throw new CustomErrorHelper( req.t('email.code.locked'), StatusCodes.TOO_MANY_REQUESTS, 'code' )
+
+      // Compare the hashed codes, in constant time
+      const codeBuffer                      = Buffer.from( EmailVerificationModel.HashCode( user._id, String( code ).trim() ) )
+      const matchingRecord                  = openRecords.find( tokenRecord => {
+        const storedBuffer                  = Buffer.from( tokenRecord.code )
+
+        return codeBuffer.length === storedBuffer.length && crypto.timingSafeEqual( codeBuffer, storedBuffer )
+      })
+
+      // If the code is wrong
+      if( !matchingRecord ) {
+
+        const openRecordIds                 = openRecords.map( tokenRecord => tokenRecord._id )
+
+        // Count the attempt against every open code (atomically, so parallel guesses are counted as well)
+        await EmailVerificationModel.updateMany( { _id: { $in: openRecordIds } }, { $inc: { attempts: 1 } } )
+
+        // The attempts left, on the code with the most attempts left
+        const updated                       = await EmailVerificationModel.find( { _id: { $in: openRecordIds } }, { attempts: 1 } ).lean()
+        const attemptsLeft                  = Math.max( EMAIL_VERIFICATION_MAX_ATTEMPTS - Math.min( ...updated.map( record => record.attempts ), EMAIL_VERIFICATION_MAX_ATTEMPTS ), 0 )
+
+        // If that was the last attempt
+        if( !attemptsLeft )
+          throw new CustomErrorHelper( req.t('email.code.locked'), StatusCodes.TOO_MANY_REQUESTS, 'code' )
+
+        throw new CustomErrorHelper( req.t('email.code.wrong', { count: attemptsLeft }), StatusCodes.BAD_REQUEST, 'code' )
+      }
+
+      // Set the email as verified
+      user.isEmailVerified                  = true
+
+      // Save the user
+      await user.save()
+
+      // Delete the email verification record(s)
+      await EmailVerificationModel.deleteMany({ userId: user._id })
 
       // Return the success response
       return ResponseHelper.Success( res, req.t('emailVerification.success') )
@@ -190,6 +308,45 @@ class AuthController {
     }
   }
 
+  /**
+   * @method AuthController.ResendEmailVerification
+   * @description The controller method handling resending the email verification. The earlier links and codes stay
+   * valid until they expire. Responds the same in every case: whether the email belongs to an unverified account or
+   * not, and whether the user's cooldown and daily limit allow a new verification or not
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {JSON} Success response
+   */
+  static async ResendEmailVerification( req, res, next ) {
+    try {
+
+      // Get the email from the request body
+      const email                           = req.body?.email
+
+      // If the email is empty
+      if( !email )
+        throw new CustomErrorHelper( req.t('email.required'), StatusCodes.NOT_FOUND, 'email' )
+
+      // Attempt to find the user by email
+      const user                            = await UserModel.findOne({ email: String( email ).toLowerCase().trim() })
+
+      // Only send the verification if the user exists, is active, isn't verified yet, and the cooldown has passed
+      // and the daily limit isn't reached
+      if( user && user.isActive && !user.isEmailVerified && await EmailVerificationHelper.IsAllowed( user._id ) ) {
+
+        // Create a new email verification, and send it to the user (not awaited, an error is only logged)
+        EmailVerificationHelper.Issue( user ).catch( error => console.error( `Error resending email verification: ${ error }` ) )
+      }
+
+      // Return the same response in every case
+      return ResponseHelper.Success( res, req.t('emailVerification.sent') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
   /**
    * @method AuthController.UnitsLoggedInOn
    * @description The controller method handling returning the units the user is currently logged in on
@@ -313,19 +470,32 @@ class AuthController {
       else if( newPassword !== newPasswordConfirm )
         throw new CustomErrorHelper( req.t('password.mismatch'), StatusCodes.NOT_FOUND, 'newPasswordConfirm' )
 
-      // Attempt to find the user, by id
-      const user                            = await UserHelper.GetUserById( req, res, UserHelper.GetUserId( req, res, next ), true )
+      // Get the user id
+      const userId                          = UserHelper.GetUserId( req, res, next )
+
+      // Attempt to find the user, by id (with the password)
+      const user                            = await UserHelper.GetUserById( req, res, userId, false, true )
 
       // If the user was not found
       if( !user )
         throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
 
-      // Hash the new password, and set it to the user
-      user.password                         = await PasswordHelper.Hash( newPassword )
+      // If the current password is incorrect
+      if( !await PasswordHelper.Verify( user.password, password ) )
+        throw new CustomErrorHelper( req.t('password.invalid'), StatusCodes.UNAUTHORIZED, 'password' )
+
+      // Set the new password (it's hashed, and passwordChangedAt is set, in the pre-save hook)
+      user.password                         = newPassword
 
       // Save the user
       await user.save()
 
+      // Revoke (and blacklist) the refresh tokens of every other device
+      await TokenHelper.RevokeRefreshToken( req, res, 'Password changed on another device', null, userId, UserHelper.GetDeviceId( req, res ) )
+
+      // Issue a fresh session for the current device
+      await TokenHelper.IssueSession( req, res, userId, 'UpdatePassword' )
+
       // Return the success response
       return ResponseHelper.Success( res, req.t('password.updated') )
 
@@ -343,9 +513,79 @@ class AuthController {
       // Get the user id
       const userId                          = UserHelper.GetUserId( req, res, next )
 
+      // Get the current refresh token record, to keep the new refresh token in the same family
+      const refreshTokenRecord              = await TokenHelper.GetRefreshTokenRecord( req, res, true )
+
       // Generate new access and refresh tokens
-      await TokenHelper.GenerateNewAccessToken( req, res, userId, jwtId )
-      await TokenHelper.GenerateNewRefreshToken( req, res, 'RefreshTokens' )
+      await TokenHelper.GenerateNewAccessToken( req, res, userId, jwtId, refreshTokenRecord?.actorId )
+      await TokenHelper.GenerateNewRefreshToken( req, res, 'RefreshTokens', null, refreshTokenRecord?.familyId, jwtId, refreshTokenRecord?.actorId )
+
+      // Return the success response
+      return ResponseHelper.Success( res, req.t('tokens.refreshed') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method AuthController.RefreshBearerTokens
+   * @description The controller method handling refreshing a bearer client's tokens, with the refresh token and
+   * device id in the request body. The refresh token is rotated within its family, and the new tokens are returned
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {JSON} Success message, and the new tokens
+   */
+  static async RefreshBearerTokens( req, res, next ) {
+    try {
+
+      // Destructure the request body
+      const {
+        refreshToken,
+        deviceId,
+      }                                     = req.body
+
+      // If the refresh token or device id is empty
+      if( !refreshToken || !deviceId )
+        throw new CustomErrorHelper( req.t('tokens.refresh.required'), StatusCodes.BAD_REQUEST, 'refreshToken' )
+
+      // Validate and decode the refresh token
+      const decodedRefreshToken             = await TokenHelper.ValidateAndDecodeToken( req, res, refreshToken, 'refresh' )
+
+      // If the refresh token is invalid or expired
+      if( !decodedRefreshToken?.userId )
+        throw new CustomErrorHelper( req.t('tokens.invalid'), StatusCodes.UNAUTHORIZED )
+
+      // Bind the refresh token to req, so its record can be found (a bearer client has no session or cookies)
+      req.userId                            = decodedRefreshToken.userId
+      req.refreshToken                      = refreshToken
+      req.deviceId                          = deviceId
+      req.refreshTokenId                    = ( await RefreshTokenModel.findOne({ token: refreshToken }, { _id: 1 }).lean() )?._id || null
+
+      // Get the refresh token record (a rotated refresh token used again revokes its family)
+      const refreshTokenRecord              = await TokenHelper.GetRefreshTokenRecord( req, res, true )
+
+      // If the refresh token record was not found, or the device id doesn't match it
+      if( !refreshTokenRecord || !UserHelper.ValidateDeviceId( req, res, refreshTokenRecord ) )
+        throw new CustomErrorHelper( req.t('tokens.invalid'), StatusCodes.UNAUTHORIZED )
+
+      // Get the user, to make sure the account is still active
+      const user                            = await UserHelper.GetUserById( req, res, refreshTokenRecord.userId, true )
+
+      // If the user was not found, or the account is not active
+      if( !user?.isActive )
+        throw new CustomErrorHelper( req.t('user.notActive'), StatusCodes.FORBIDDEN )
+
+      // Create a new jwt id
+      const jwtId                           = uuidv4()
+
+      // Generate new access and refresh tokens, in the same family
+      await TokenHelper.GenerateNewAccessToken( req, res, user._id, jwtId, refreshTokenRecord.actorId )
+      await TokenHelper.GenerateNewRefreshToken( req, res, 'RefreshBearerTokens', user._id, refreshTokenRecord.familyId, jwtId, refreshTokenRecord.actorId )
+
+      // Return the new tokens in the response body
+      TokenHelper.SetBearerTokens( req, res )
 
       // Return the success response
       return ResponseHelper.Success( res, req.t('tokens.refreshed') )
@@ -354,6 +594,239 @@ class AuthController {
       return next( error )
     }
   }
+
+  /**
+   * @method AuthController.RequestPasswordReset
+   * @description The controller method handling a "forgot password" request. Always responds the same way,
+   * whether the email belongs to an account or not, so it can't be used to find accounts
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {JSON} Success response
+   */
+  static async RequestPasswordReset( req, res, next ) {
+    try {
+
+      // Get the email from the request body
+      const email                           = req.body?.email
+
+      // If the email is empty
+      if( !email )
+        throw new CustomErrorHelper( req.t('email.required'), StatusCodes.NOT_FOUND, 'email' )
+
+      // Attempt to find the user by email
+      const user                            = await UserModel.findOne({ email: String( email ).toLowerCase().trim() })
+
+      // Only create a reset token if the user exists and is active
+      if( user && user.isActive ) {
+        const token                         = await PasswordResetModel.GenerateToken( user._id, UserHelper.GetIpAddress( req, res ) )
+
+        // Send the reset link (not awaited, MailerHelper never throws)
+        MailerHelper.SendPasswordReset( user, token )
+      }
+
+      // Return the same response, no matter if the user was found or not
+      return ResponseHelper.Success( res, req.t('password.reset.requested') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method AuthController.ConfirmPasswordReset
+   * @description The controller method handling resetting the password with a (single-use) reset token.
+   * Every refresh token of the user is revoked once the password has been reset
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {JSON} Success response
+   */
+  static async ConfirmPasswordReset( req, res, next ) {
+    try {
+
+      // Get the reset token from the parameter or body
+      const token                           = req.params.token || req.body?.token
+
+      // Destructure the request body
+      const {
+        password,
+        passwordConfirm,
+      }                                     = req.body
+
+      // If the reset token was not found
+      if( !token )
+        throw new CustomErrorHelper( req.t('password.reset.token.notFound'), StatusCodes.NOT_FOUND )
+
+      // If the password is empty
+      else if( !password )
+        throw new CustomErrorHelper( req.t('password.required'), StatusCodes.NOT_FOUND, 'password' )
+
+      // If the passwords don't match
+      else if( password !== passwordConfirm )
+        throw new CustomErrorHelper( req.t('password.mismatch'), StatusCodes.BAD_REQUEST, 'passwordConfirm' )
+
+      // Attempt to find the reset record, by the hashed token
+      const resetRecord                     = await PasswordResetModel.findOne({
+        token                               : PasswordResetModel.HashToken( token ),
+        expiresAt                           : { $gt: new Date() },
+      })
+
+      // If the reset record was not found, or has expired
+      if( !resetRecord )
+        throw new CustomErrorHelper( req.t('password.reset.token.invalid'), StatusCodes.BAD_REQUEST )
+
+      // Attempt to find the user
+      const user                            = await UserModel.findById( resetRecord.userId ).select( '+password' )
+
+      // If the user was not found
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // Set the new password (it's hashed in the pre-save hook)
+      user.password                         = password
+
+      // Save the user
+      await user.save()
+
+      // Delete the reset record(s), so the token can't be used again
+      await PasswordResetModel.deleteMany({ userId: user._id })
+
+      // Revoke every refresh token of the user
+      await TokenHelper.RevokeRefreshToken( req, res, 'Password reset', null, user._id )
+
+      // Unlock the account, as the new password makes the failed attempts irrelevant
+      await LoginAttemptHelper.Unlock( user._id )
+
+      // Return the success response
+      return ResponseHelper.Success( res, req.t('password.reset.success') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method AuthController.RequestMagicLink
+   * @description The controller method handling requesting a magic (login) link. Always responds the same way,
+   * whether the email belongs to an (active) account or not, so it can't be used to find accounts
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {JSON} Success response
+   */
+  static async RequestMagicLink( req, res, next ) {
+    try {
+
+      // Get the email from the request body
+      const email                           = req.body?.email
+
+      // If the email is empty
+      if( !email )
+        throw new CustomErrorHelper( req.t('email.required'), StatusCodes.NOT_FOUND, 'email' )
+
+      // Attempt to find the user by email
+      const user                            = await UserModel.findOne({ email: String( email ).toLowerCase().trim() })
+
+      // Only create a magic link if the user exists and is active
+      if( user && user.isActive ) {
+        const tokenId                       = uuidv4()
+
+        // Only one magic link per user can be active at a time
+        await MagicLinkModel.deleteMany({ userId: user._id })
+
+        // Store the magic link record, which makes the link single-use
+        await MagicLinkModel.create({
+          userId                            : user._id,
+          tokenId                           : tokenId,
+          ipAddress                         : UserHelper.GetIpAddress( req, res ),
+        })
+
+        // Send the signed magic link (not awaited, MailerHelper never throws)
+        MailerHelper.SendMagicLink( user, TokenHelper.SignMagicLinkToken( user._id, tokenId ) )
+      }
+
+      // Return the same response, no matter if the user was found or not
+      return ResponseHelper.Success( res, req.t('magicLink.requested') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method AuthController.ConsumeMagicLink
+   * @description The controller method handling logging in with a magic link. Runs the same token/cookie/session setup
+   * as AuthController.Login, and marks the email as verified (the user proved they own it)
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {User} The user's details
+   */
+  static async ConsumeMagicLink( req, res, next ) {
+    try {
+
+      // Get the magic link token from the parameter or body
+      const token                           = req.params.token || req.body?.token
+
+      // If the magic link token was not found
+      if( !token )
+        throw new CustomErrorHelper( req.t('magicLink.token.notFound'), StatusCodes.NOT_FOUND )
+
+      // Verify the magic link token
+      const decodedToken                    = await TokenHelper.VerifyMagicLinkToken( token )
+
+      // If the magic link token is invalid or expired
+      if( !decodedToken )
+        throw new CustomErrorHelper( req.t('magicLink.token.invalid'), StatusCodes.UNAUTHORIZED )
+
+      // Delete the magic link record, so the link can't be used again
+      const magicLinkRecord                 = await MagicLinkModel.findOneAndDelete({
+        tokenId                             : decodedToken.jti,
+        userId                              : decodedToken.magicLinkUserId,
+      })
+
+      // If the magic link has already been used, or a newer one has been requested
+      if( !magicLinkRecord )
+        throw new CustomErrorHelper( req.t('magicLink.token.invalid'), StatusCodes.UNAUTHORIZED )
+
+      // Attempt to find the user
+      const user                            = await UserModel.findById( magicLinkRecord.userId )
+
+      // If the user was not found
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // If the user's account is not active
+      else if( !user.isActive )
+        throw new CustomErrorHelper( req.t('user.notActive'), StatusCodes.FORBIDDEN )
+
+      // Mark the email as verified
+      if( !user.isEmailVerified ) {
+        user.isEmailVerified                = true
+
+        await user.save()
+
+        // Delete the email verification token record(s)
+        await EmailVerificationModel.deleteMany({ userId: user._id })
+      }
+
+      // If the user has two-factor authentication enabled, the magic link only replaces the password
+      if( user.isTwoFactorEnabled )
+        return ResponseHelper.Success( res, req.t('twoFactor.required'), StatusCodes.ACCEPTED, {
+          challengeToken                    : await TokenHelper.IssueTwoFactorChallenge( user._id ),
+        }, 'twoFactor' )
+
+      // Issue the access token, refresh token, cookies and session
+      await TokenHelper.IssueSession( req, res, user._id, 'MagicLink' )
+
+      // Return the success response
+      return ResponseHelper.Success( res, req.t('user.login.success'), StatusCodes.OK, UserModel.SerializeUser( user ), 'user' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
 }
 
 export {
@@ -0,0 +1,156 @@
+import { API_URL, DATA_EXPORT_ASYNC_THRESHOLD } from '../configs/Environment.config.js'
+
+import DataExportModel, { DataExportStatuses } from '../models/DataExport.model.js'
+
+import CustomErrorHelper from '../helpers/Error.helper.js'
+import DataExportHelper from '../helpers/DataExport.helper.js'
+import ResponseHelper from '../helpers/Response.helper.js'
+import SecurityEventHelper, { SecurityEventTypes } from '../helpers/SecurityEvent.helper.js'
+import StatusCodes from '../helpers/StatusCodes.helper.js'
+import UserHelper from '../helpers/User.helper.js'
+
+/**
+ * @class DataExportController
+ * @classdesc Contains all controller methods related to personal data exports (data-access requests)
+ *
+ * @method DataExportController.Create Export everything stored about the user
+ * @method DataExportController.GetStatus Get the state of the user's background export
+ * @method DataExportController.Download Download a background export, with its one-time download link
+ */
+class DataExportController {
+
+  /**
+   * @method DataExportController.Create
+   * @description The controller method handling a user exporting everything stored about them. A small export is
+   * returned right away as a JSON file, a large one (more than DATA_EXPORT_ASYNC_THRESHOLD records) is built in the
+   * background and fetched with the one-time download link in the response
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The export (as a file), or the background export and its download link
+   */
+  static async Create( req, res, next ) {
+    try {
+
+      // Get the user's id
+      const userId                          = UserHelper.GetUserId( req, res )
+
+      // Record the export
+      await SecurityEventHelper.Emit( req, res, userId, SecurityEventTypes.PERSONAL_DATA_EXPORTED )
+
+      // If the export is small enough, return it right away
+      if( await DataExportHelper.CountRecords( userId ) <= DATA_EXPORT_ASYNC_THRESHOLD ) {
+        const data                          = await DataExportHelper.Collect( userId )
+
+        // If the user doesn't exist
+        if( !data )
+          throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+        return ResponseHelper.Download( res, DataExportHelper.GetFilename( userId ), JSON.stringify( data, null, 2 ) )
+      }
+
+      // Delete the stored previous export, which the new one replaces
+      await DataExportHelper.DeleteFiles( userId )
+
+      // Create the export record, and its download token
+      const {
+        dataExport,
+        token,
+      }                                     = await DataExportModel.Generate( userId )
+
+      // Build the export in the background (it marks the record failed, rather than throwing)
+      DataExportHelper.Build( dataExport._id )
+
+      // Return the export record, and its one-time download link
+      return ResponseHelper.Success( res, req.t('dataExport.pending'), StatusCodes.ACCEPTED, {
+        ...DataExportModel.SerializeDataExport( dataExport ),
+        downloadUrl                         : `${ API_URL }/api/user/export/download/${ token }`,
+      }, 'dataExport' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method DataExportController.GetStatus
+   * @description The controller method handling returning the state of the user's background export
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The export record
+   */
+  static async GetStatus( req, res, next ) {
+    try {
+
+      // Get the user's export record
+      const dataExport                      = await DataExportModel.findOne({ userId: UserHelper.GetUserId( req, res ) }).lean()
+
+      // If the user has no export
+      if( !dataExport )
+        throw new CustomErrorHelper( req.t('dataExport.notFound'), StatusCodes.NOT_FOUND )
+
+      // Return the export record
+      return ResponseHelper.Success( res, req.t('dataExport.found'), StatusCodes.OK, DataExportModel.SerializeDataExport( dataExport ), 'dataExport' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method DataExportController.Download
+   * @description The controller method handling downloading a background export. The link works once: the export
+   * record and the stored export are deleted as it's downloaded
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The export, as a file
+   */
+  static async Download( req, res, next ) {
+    try {
+
+      // Hash the download token
+      const token                           = DataExportModel.HashToken( req.params.token )
+
+      // Take the ready export record (deleting it, so the link only works once)
+      const dataExport                      = await DataExportModel.findOneAndDelete({
+        token                               : token,
+        status                              : DataExportStatuses.READY,
+        expiresAt                           : { $gt: new Date() },
+      })
+
+      // If there is no ready export for the token
+      if( !dataExport ) {
+        const unfinished                    = await DataExportModel.findOne({ token: token }, { status: 1 }).lean()
+
+        // If the export is still being built
+        if( unfinished?.status === DataExportStatuses.PENDING )
+          throw new CustomErrorHelper( req.t('dataExport.notReady'), StatusCodes.CONFLICT )
+
+        // If building the export failed
+        if( unfinished?.status === DataExportStatuses.FAILED )
+          throw new CustomErrorHelper( req.t('dataExport.failed'), StatusCodes.INTERNAL_SERVER_ERROR )
+
+        throw new CustomErrorHelper( req.t('dataExport.notFound'), StatusCodes.NOT_FOUND )
+      }
+
+      // Get the stored export (deleting it as well)
+      const data                            = await DataExportHelper.GetData( dataExport ).catch( () => null )
+
+      // If the stored export is missing
+      if( data === null )
+        throw new CustomErrorHelper( req.t('dataExport.notFound'), StatusCodes.NOT_FOUND )
+
+      // Return the export as a file
+      return ResponseHelper.Download( res, DataExportHelper.GetFilename( dataExport.userId ), data )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+}
+
+export {
+  DataExportController as default,
+}
@@ -0,0 +1,113 @@
+import Permissions from '../configs/Permissions.config.js'
+
+import UserModel from '../models/User.model.js'
+
+import AdminUserController from './AdminUser.controller.js'
+import AuthController from './Auth.controller.js'
+
+import AuditLogHelper, { AuditActions } from '../helpers/AuditLog.helper.js'
+import CustomErrorHelper from '../helpers/Error.helper.js'
+import PermissionHelper from '../helpers/Permission.helper.js'
+import ResponseHelper from '../helpers/Response.helper.js'
+import StatusCodes from '../helpers/StatusCodes.helper.js'
+import TokenHelper from '../helpers/Token.helper.js'
+import UserHelper from '../helpers/User.helper.js'
+
+/**
+ * @class ImpersonationController
+ * @classdesc Contains all controller methods related to impersonation (an admin using the app as another user, to
+ * debug issues). The impersonation session's access token carries the admin's id as its "act" claim, sensitive
+ * routes refuse it (AuthMiddleware.NotImpersonating), and starting and stopping are recorded in the audit log
+ *
+ * @method ImpersonationController.Start Start impersonating a user
+ * @method ImpersonationController.Stop Stop impersonating, and return to the admin's own session
+ */
+class ImpersonationController {
+
+  /**
+   * @method ImpersonationController.Start
+   * @description The controller method handling an admin starting to impersonate a user. The admin's session is
+   * replaced by a session of the user, whose access token carries the admin's id as its "act" claim
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The impersonated user
+   */
+  static async Start( req, res, next ) {
+    try {
+
+      // Get the targeted user
+      const user                            = await AdminUserController.GetTargetUser( req, res )
+
+      // If the user can impersonate others (an admin session can't be taken over)
+      if( ( await PermissionHelper.GetRolePermissions( user.role ) ).includes( Permissions.USERS_IMPERSONATE_ANY ) )
+        throw new CustomErrorHelper( req.t('impersonation.admin'), StatusCodes.FORBIDDEN )
+
+      // If the user's account is not active
+      if( !user.isActive )
+        throw new CustomErrorHelper( req.t('impersonation.notActive'), StatusCodes.FORBIDDEN )
+
+      // Get the admin's id
+      const actorId                         = UserHelper.GetUserId( req, res )
+
+      // Record the start (before the session is replaced, while the admin is still the one logged in)
+      await AuditLogHelper.Record( req, res, AuditActions.IMPERSONATION_STARTED, user._id )
+
+      // Replace the admin's session by a session of the user, carrying the admin as the actor
+      await TokenHelper.IssueSession( req, res, user._id, 'ImpersonationStart', actorId )
+
+      // Return the impersonated user
+      return ResponseHelper.Success( res, req.t('impersonation.started'), StatusCodes.OK, {
+        ...UserModel.SerializeUser( user ),
+        impersonatedBy                      : actorId,
+      }, 'user' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method ImpersonationController.Stop
+   * @description The controller method handling an admin stopping an impersonation. The impersonation session is
+   * revoked, and the admin gets a session of their own again (or is logged out, if they're no longer an active admin)
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The admin
+   */
+  static async Stop( req, res, next ) {
+    try {
+
+      // Get the impersonating admin's id
+      const actorId                         = UserHelper.GetActorId( req )
+
+      // If the user isn't being impersonated
+      if( !actorId )
+        throw new CustomErrorHelper( req.t('impersonation.notStarted'), StatusCodes.BAD_REQUEST )
+
+      // Record the stop
+      await AuditLogHelper.Record( req, res, AuditActions.IMPERSONATION_STOPPED, UserHelper.GetUserId( req, res ) )
+
+      // Get the admin
+      const actor                           = await UserHelper.GetUserById( req, res, actorId, true )
+
+      // If the admin was deleted, deactivated or lost the permission in the meantime, only end the impersonation session
+      if( !actor?.isActive || !( await PermissionHelper.GetRolePermissions( actor.role ) ).includes( Permissions.USERS_IMPERSONATE_ANY ) )
+        return AuthController.Logout( req, res, next, 'impersonation.stopped' )
+
+      // Replace the impersonation session by a session of the admin
+      await TokenHelper.IssueSession( req, res, actor._id, 'ImpersonationStop' )
+
+      // Return the admin
+      return ResponseHelper.Success( res, req.t('impersonation.stopped'), StatusCodes.OK, UserModel.SerializeUser( actor ), 'user' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+}
+
+export {
+  ImpersonationController as default,
+}
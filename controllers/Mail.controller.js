@@ -0,0 +1,50 @@
+import CustomErrorHelper from '../helpers/Error.helper.js'
+import MailTemplateHelper, { SampleData } from '../helpers/MailTemplate.helper.js'
+import StatusCodes from '../helpers/StatusCodes.helper.js'
+
+/**
+ * @class MailController
+ * @classdesc Contains all controller methods related to mails
+ *
+ * @method MailController.Preview Renders a mail template with sample data
+ */
+class MailController {
+
+  /**
+   * @method MailController.Preview
+   * @description The controller method handling previewing a mail template, rendered with sample data in the requested
+   * locale (or the detected language), as HTML or plain text
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {String} The rendered mail
+   */
+  static async Preview( req, res, next ) {
+    try {
+
+      // Get the template
+      const template                        = req.params.template
+
+      // If the template doesn't exist
+      if( !MailTemplateHelper.Exists( template ) )
+        throw new CustomErrorHelper( req.t('mail.template.notFound'), StatusCodes.NOT_FOUND, 'template' )
+
+      // Render the template with its sample data
+      const mail                            = MailTemplateHelper.Render( template, req.query.locale || req.language, SampleData[ template ] )
+
+      // Return the plain text variant
+      if( req.query.format === 'text' )
+        return res.type( 'text/plain' ).send( `Subject: ${ mail.subject }\n\n${ mail.text }` )
+
+      // Return the HTML variant
+      return res.type( 'text/html' ).send( mail.html )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+}
+
+export {
+  MailController as default,
+}
@@ -0,0 +1,279 @@
+import crypto from 'crypto'
+
+import { CLIENT_URL } from '../configs/Environment.config.js'
+
+import EmailVerificationModel from '../models/EmailVerification.model.js'
+import IdentityModel from '../models/Identity.model.js'
+import OAuthHandoffModel from '../models/OAuthHandoff.model.js'
+import UserModel from '../models/User.model.js'
+
+import CustomErrorHelper from '../helpers/Error.helper.js'
+import OAuthHelper from '../helpers/OAuth.helper.js'
+import ResponseHelper from '../helpers/Response.helper.js'
+import StatusCodes from '../helpers/StatusCodes.helper.js'
+import TokenHelper from '../helpers/Token.helper.js'
+
+/**
+ * @class OAuthController
+ * @classdesc Contains all controller methods related to logging in with OAuth2 / OpenID Connect providers
+ *
+ * @method OAuthController.GetProviders Returns the enabled providers
+ * @method OAuthController.Redirect Redirects the user to the provider's authorization page
+ * @method OAuthController.Callback Handles the provider's callback, links or creates the user, and logs them in
+ * @method OAuthController.ExchangeTwoFactorCode Exchanges the one-time handoff code for a two-factor challenge
+ * @method OAuthController.FindOrCreateUser Finds the user linked to the profile, links an existing user, or creates a new one
+ * @method OAuthController.UniqueUsername Generates a unique, valid username from the profile
+ * @method OAuthController.RedirectToClient Redirects the user back to the client
+ */
+class OAuthController {
+
+  /**
+   * @method OAuthController.GetProviders
+   * @description The controller method handling returning the enabled providers
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {String[]} The names of the enabled providers
+   */
+  static async GetProviders( req, res, next ) {
+    try {
+
+      // Return the enabled providers
+      return ResponseHelper.Success( res, null, StatusCodes.OK, OAuthHelper.GetEnabledProviders(), 'providers' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OAuthController.Redirect
+   * @description The controller method handling redirecting the user to the provider's authorization page,
+   * with a state and PKCE code challenge
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Response} A redirect to the provider
+   */
+  static async Redirect( req, res, next ) {
+    try {
+
+      // Get the provider
+      const provider                        = OAuthHelper.GetProvider( req, req.params.provider )
+
+      // Redirect the user to the provider
+      return res.redirect( await OAuthHelper.AuthorizationUrl( req, res, provider ) )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OAuthController.Callback
+   * @description The controller method handling the provider's callback. The code is exchanged for tokens, the profile
+   * is fetched, and the user is logged in with the same token/cookie/session setup as AuthController.Login.
+   * The user is always redirected back to the client, with an error if anything failed
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Response} A redirect to the client
+   */
+  static async Callback( req, res, next ) {
+    try {
+
+      // Get the provider
+      const provider                        = OAuthHelper.GetProvider( req, req.params.provider )
+
+      // Validate and consume the state, before anything else
+      const { codeVerifier }                = OAuthHelper.ConsumeState( req, res, provider, req.query.state )
+
+      // If the user denied access, or the provider returned an error
+      if( req.query.error )
+        throw new CustomErrorHelper( req.t('oauth.denied'), StatusCodes.UNAUTHORIZED )
+
+      // If the code is empty
+      else if( !req.query.code )
+        throw new CustomErrorHelper( req.t('oauth.code.invalid'), StatusCodes.UNAUTHORIZED )
+
+      // Exchange the code for tokens, and fetch the profile
+      const tokens                          = await OAuthHelper.ExchangeCode( req, provider, req.query.code, codeVerifier )
+      const profile                         = await OAuthHelper.FetchProfile( req, provider, tokens )
+
+      // Find, link or create the user
+      const user                            = await OAuthController.FindOrCreateUser( req, provider, profile )
+
+      // If the user's account is not active
+      if( !user.isActive )
+        throw new CustomErrorHelper( req.t('user.notActive'), StatusCodes.FORBIDDEN )
+
+      // If the user has two-factor authentication enabled, the provider only replaces the password. The challenge
+      // token is not put in the redirect, only a one-time code the client exchanges for it
+      if( user.isTwoFactorEnabled )
+        return OAuthController.RedirectToClient( res, { twoFactorCode: await OAuthHandoffModel.GenerateCode( user._id ) } )
+
+      // Issue the access token, refresh token, cookies and session
+      await TokenHelper.IssueSession( req, res, user._id, 'OAuth' )
+
+      // Redirect the user back to the client
+      return OAuthController.RedirectToClient( res, { provider: provider.name } )
+
+    } catch ( error ) {
+
+      // Errors are passed on to the client, since the user is navigating (not fetching)
+      if( error instanceof CustomErrorHelper )
+        return OAuthController.RedirectToClient( res, { error: error.message } )
+
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OAuthController.ExchangeTwoFactorCode
+   * @description The controller method handling exchanging the one-time handoff code (from the OAuth callback's
+   * redirect) for a two-factor challenge token, which is then verified at /api/auth/2fa/verify like after a login
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Object} The challenge token
+   */
+  static async ExchangeTwoFactorCode( req, res, next ) {
+    try {
+
+      // Consume the handoff code
+      const userId                          = req.body?.code ? await OAuthHandoffModel.Consume( req.body.code ) : null
+
+      // If the code is invalid, already used or expired
+      if( !userId )
+        throw new CustomErrorHelper( req.t('oauth.handoff.invalid'), StatusCodes.UNAUTHORIZED, 'code' )
+
+      // Return the challenge token
+      return ResponseHelper.Success( res, req.t('twoFactor.required'), StatusCodes.ACCEPTED, {
+        challengeToken                      : await TokenHelper.IssueTwoFactorChallenge( userId ),
+      }, 'twoFactor' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OAuthController.FindOrCreateUser
+   * @description Finds the user for the provider's profile. The rules are:
+   * 1. If the identity is already linked, that user is used.
+   * 2. If the provider's email is verified, and belongs to a user with a verified email, the identity is linked to that user.
+   * 3. If the email belongs to a user with an unverified email, nothing is linked (the user has to verify their email first).
+   * 4. If no user has the email, a new user (with a verified email) is created and linked.
+   * Unverified provider emails are never linked or used to create users
+   * @param {Request} req
+   * @param {Object} provider The provider's settings
+   * @param {Object} profile The provider's profile
+   * @returns {UserModel} The user
+   */
+  static async FindOrCreateUser( req, provider, profile ) {
+
+    // Find an already linked identity
+    const identity                          = await IdentityModel.findOne({ provider: provider.name, subject: profile.subject })
+
+    if( identity ) {
+      const user                            = await UserModel.findById( identity.userId ).lean()
+
+      // If the linked user was not found
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // Track when the identity was last used
+      identity.lastUsedAt                   = new Date()
+
+      await identity.save()
+
+      return user
+    }
+
+    // If the provider didn't return a verified email, the identity can't be linked or used to sign up
+    if( !profile.email || !profile.emailVerified )
+      throw new CustomErrorHelper( req.t('oauth.email.notVerified'), StatusCodes.FORBIDDEN )
+
+    // Find a user with the same email
+    let user                                = await UserModel.findOne({ email: profile.email }).lean()
+
+    // If the user's own email isn't verified, linking would let the provider account take over the account
+    if( user && !user.isEmailVerified )
+      throw new CustomErrorHelper( req.t('oauth.email.linkUnverified'), StatusCodes.CONFLICT )
+
+    // If no user has the email, create a new one
+    if( !user ) {
+
+      // Only letters are allowed in names, so anything else falls back to 'Unknown'
+      const name                            = ( value ) => {
+        const cleaned                       = String( value || '' ).replace( /[^a-zA-Zåäö]/g, '' )
+
+        return cleaned.length >= 3 ? cleaned : 'Unknown'
+      }
+
+      const newUser                         = await UserModel.create({
+        email                               : profile.email,
+        username                            : await OAuthController.UniqueUsername( profile ),
+        forename                            : name( profile.forename ),
+        surname                             : name( profile.surname ),
+
+        // The user logs in with the provider, so the password is random (it can be set with a password reset)
+        password                            : crypto.randomBytes( 32 ).toString( 'base64url' ),
+      })
+
+      // The email is verified by the provider (set after creation, since the pre-save hook unverifies new emails)
+      await UserModel.updateOne( { _id: newUser._id }, { isEmailVerified: true } )
+      await EmailVerificationModel.deleteMany({ userId: newUser._id })
+
+      user                                  = await UserModel.findById( newUser._id ).lean()
+    }
+
+    // Link the identity to the user
+    await IdentityModel.create({
+      userId                                : user._id,
+      provider                              : provider.name,
+      subject                               : profile.subject,
+      email                                 : profile.email,
+      lastUsedAt                            : new Date(),
+    })
+
+    return user
+  }
+
+  /**
+   * @method OAuthController.UniqueUsername
+   * @description Generates a unique, valid (3-20 characters, a-z, 0-9 and _) username from the profile
+   * @param {Object} profile The provider's profile
+   * @returns {String} The username
+   */
+  static async UniqueUsername( profile ) {
+    const base                              = String( profile.username || profile.email.split( '@' )[ 0 ] )
+      .toLowerCase()
+      .replace( /[^a-z0-9_]/g, '' )
+      .slice( 0, 14 )
+      .padEnd( 3, '_' )
+
+    let username                            = base
+
+    // Append a random number until the username is free
+    while( await UserModel.exists({ username: { $regex: new RegExp( `^${ username }$`, 'i' ) } }) )
+      username                              = `${ base }_${ crypto.randomInt( 10000, 100000 ) }`
+
+    return username
+  }
+
+  /**
+   * @method OAuthController.RedirectToClient
+   * @description Redirects the user back to the client's OAuth callback page
+   * @param {Response} res
+   * @param {Object} params The query parameters
+   * @returns {Response} A redirect to the client
+   */
+  static RedirectToClient( res, params ) {
+    return res.redirect( `${ CLIENT_URL }/oauth/callback?${ new URLSearchParams( params ).toString() }` )
+  }
+}
+
+export {
+  OAuthController as default,
+}
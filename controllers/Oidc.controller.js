@@ -0,0 +1,501 @@
+import crypto from 'crypto'
+import mongoose from 'mongoose'
+
+import { CLIENT_URL } from '../configs/Environment.config.js'
+
+import OidcAuthorizationModel from '../models/OidcAuthorization.model.js'
+import OidcClientModel from '../models/OidcClient.model.js'
+import OidcConsentModel from '../models/OidcConsent.model.js'
+import OidcRefreshTokenModel from '../models/OidcRefreshToken.model.js'
+import UserModel from '../models/User.model.js'
+
+import CustomErrorHelper, { OidcErrorHelper } from '../helpers/Error.helper.js'
+import KeyRingHelper from '../helpers/KeyRing.helper.js'
+import OidcHelper from '../helpers/Oidc.helper.js'
+import ResponseHelper from '../helpers/Response.helper.js'
+import StatusCodes from '../helpers/StatusCodes.helper.js'
+import TimeHelper from '../helpers/Time.helper.js'
+import UserHelper from '../helpers/User.helper.js'
+
+/**
+ * @class OidcController
+ * @classdesc Contains all controller methods related to acting as an OpenID Connect provider, for other (registered) apps
+ *
+ * @method OidcController.Discovery Returns the OpenID Connect discovery document
+ * @method OidcController.Jwks Returns the public keys as a JSON Web Key Set
+ * @method OidcController.Authorize Validates an authorization request, and redirects the user to the consent page
+ * @method OidcController.GetAuthorizationRequest Returns the client and scopes of an authorization request, for the consent page
+ * @method OidcController.Consent Approves or denies an authorization request, and returns the client redirect url
+ * @method OidcController.Token Exchanges an authorization code or refresh token for tokens
+ * @method OidcController.UserInfo Returns the claims of the access token's user
+ * @method OidcController.CreateClient Registers a new client (admins only)
+ * @method OidcController.GetClients Returns all registered clients (admins only)
+ * @method OidcController.DeleteClient Deletes a client, and everything issued to it (admins only)
+ * @method OidcController.ClientRedirectUrl Builds a redirect url back to the client
+ */
+class OidcController {
+
+  /**
+   * @method OidcController.Discovery
+   * @description The controller method handling returning the OpenID Connect discovery document
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The discovery document
+   */
+  static async Discovery( req, res, next ) {
+    try {
+
+      // Return the discovery document
+      return res.status( StatusCodes.OK ).json( OidcHelper.Discovery() )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OidcController.Jwks
+   * @description The controller method handling returning the key ring's public keys, as a JSON Web Key Set.
+   * Retired keys are included until every token they signed has expired
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The JSON Web Key Set
+   */
+  static async Jwks( req, res, next ) {
+    try {
+
+      // Allow caching for a short while, so newly added keys are picked up before they start signing
+      res.set( 'Cache-Control', 'public, max-age=300' )
+
+      // Return the JSON Web Key Set
+      return res.status( StatusCodes.OK ).json( KeyRingHelper.Jwks() )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OidcController.Authorize
+   * @description The controller method handling the authorization endpoint. The request is validated and stored,
+   * and the user is redirected to the client's consent page (where they log in first, if they aren't already).
+   * Invalid clients and redirect uris are never redirected to; every other error is sent back to the redirect uri
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Response} A redirect to the consent page, or back to the client with an error
+   */
+  static async Authorize( req, res, next ) {
+    try {
+
+      // Destructure the query
+      const {
+        client_id: clientId,
+        redirect_uri: redirectUri,
+        response_type: responseType,
+        scope,
+        state,
+        nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: codeChallengeMethod,
+      }                                     = req.query
+
+      // Attempt to find the client
+      const client                          = clientId ? await OidcClientModel.findOne({ clientId: String( clientId ), isActive: true }).lean() : null
+
+      // If the client was not found
+      if( !client )
+        throw new OidcErrorHelper( 'invalid_request', req.t('oidc.client.invalid') )
+
+      // If the redirect uri isn't registered for the client
+      if( !client.redirectUris.includes( redirectUri ) )
+        throw new OidcErrorHelper( 'invalid_request', req.t('oidc.redirectUri.invalid') )
+
+      // From here on, errors are sent back to the client
+      const redirectError                   = ( error ) => res.redirect( OidcController.ClientRedirectUrl( redirectUri, { error, state } ) )
+
+      // Only the authorization code flow is supported
+      if( responseType !== 'code' )
+        return redirectError( 'unsupported_response_type' )
+
+      // Only the client's allowed scopes can be granted, and openid is required
+      const scopes                          = OidcHelper.ParseScopes( scope ).filter( value => client.scopes.includes( value ) )
+
+      if( !scopes.includes( 'openid' ) )
+        return redirectError( 'invalid_scope' )
+
+      // Public clients can't keep a secret, so they must use PKCE
+      if( !codeChallenge && !client.isConfidential )
+        return redirectError( 'invalid_request' )
+
+      // Only S256 code challenges are accepted (a plain one is the verifier itself, and leaks with the code)
+      if( codeChallenge && codeChallengeMethod !== 'S256' )
+        return redirectError( 'invalid_request' )
+
+      // Store the authorization request
+      const authorization                   = await OidcAuthorizationModel.create({
+        clientId                            : client.clientId,
+        redirectUri                         : redirectUri,
+        scopes                              : scopes,
+        state                               : state || null,
+        nonce                               : nonce || null,
+        codeChallenge                       : codeChallenge || null,
+        codeChallengeMethod                 : codeChallenge ? codeChallengeMethod : null,
+      })
+
+      // Redirect the user to the consent page
+      return res.redirect( `${ CLIENT_URL }/oidc/consent?request=${ authorization.requestId }` )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OidcController.GetAuthorizationRequest
+   * @description The controller method handling returning the client and scopes of an authorization request, for the
+   * consent page. Whether the user has already consented to the scopes is returned as well
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The client, scopes and whether consent was already given
+   */
+  static async GetAuthorizationRequest( req, res, next ) {
+    try {
+
+      // Attempt to find the pending authorization request
+      const authorization                   = await OidcAuthorizationModel.findOne({
+        requestId                           : String( req.params.requestId ),
+        code                                : null,
+        expiresAt                           : { $gt: new Date() },
+      }).lean()
+
+      // If the authorization request was not found
+      if( !authorization )
+        throw new CustomErrorHelper( req.t('oidc.request.notFound'), StatusCodes.NOT_FOUND )
+
+      // Find the client
+      const client                          = await OidcClientModel.findOne({ clientId: authorization.clientId }).lean()
+
+      // If the client was deleted (or deactivated) after the authorization request was made
+      if( !client || !client.isActive )
+        throw new CustomErrorHelper( req.t('oidc.client.notFound'), StatusCodes.NOT_FOUND )
+
+      // Find the user's previous consent
+      const consent                         = await OidcConsentModel.findOne({
+        userId                              : UserHelper.GetUserId( req, res, next ),
+        clientId                            : authorization.clientId,
+      }).lean()
+
+      // Return the authorization request
+      return ResponseHelper.Success( res, null, StatusCodes.OK, {
+        client                              : { clientId: client.clientId, name: client.name },
+        scopes                              : authorization.scopes,
+        consented                           : !!consent && authorization.scopes.every( value => consent.scopes.includes( value ) ),
+      }, 'authorization' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OidcController.Consent
+   * @description The controller method handling approving or denying an authorization request. When approved, the
+   * consent is remembered and an authorization code is issued. The client redirect url is returned, for the client
+   * (frontend) to navigate to
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The client redirect url
+   */
+  static async Consent( req, res, next ) {
+    try {
+
+      // Get the user id
+      const userId                          = UserHelper.GetUserId( req, res, next )
+
+      // Attempt to find the pending authorization request
+      const authorization                   = await OidcAuthorizationModel.findOne({
+        requestId                           : String( req.params.requestId ),
+        code                                : null,
+        expiresAt                           : { $gt: new Date() },
+      })
+
+      // If the authorization request was not found
+      if( !authorization )
+        throw new CustomErrorHelper( req.t('oidc.request.notFound'), StatusCodes.NOT_FOUND )
+
+      // If the user denied the request
+      if( req.body?.approve !== true && req.body?.approve !== 'true' ) {
+        await authorization.deleteOne()
+
+        return ResponseHelper.Success( res, req.t('oidc.consent.denied'), StatusCodes.OK, OidcController.ClientRedirectUrl( authorization.redirectUri, {
+          error                             : 'access_denied',
+          state                             : authorization.state,
+        }), 'redirectUrl' )
+      }
+
+      // Remember the consent
+      await OidcConsentModel.updateOne(
+        { userId, clientId: authorization.clientId },
+        { $addToSet: { scopes: { $each: authorization.scopes } } },
+        { upsert: true },
+      )
+
+      // Issue the (single use, short lived) authorization code
+      const code                            = crypto.randomBytes( 32 ).toString( 'base64url' )
+
+      authorization.userId                  = userId
+      authorization.code                    = OidcAuthorizationModel.HashCode( code )
+      authorization.expiresAt               = new Date( Date.now() + TimeHelper.OneMinute )
+
+      await authorization.save()
+
+      // Return the client redirect url
+      return ResponseHelper.Success( res, req.t('oidc.consent.approved'), StatusCodes.OK, OidcController.ClientRedirectUrl( authorization.redirectUri, {
+        code                                : code,
+        state                               : authorization.state,
+      }), 'redirectUrl' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OidcController.Token
+   * @description The controller method handling the token endpoint, with the authorization_code (with PKCE) and
+   * refresh_token grants. Refresh tokens are rotated on every use
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The token response
+   */
+  static async Token( req, res, next ) {
+    try {
+
+      // Token responses must never be cached
+      res.set({ 'Cache-Control': 'no-store', Pragma: 'no-cache' })
+
+      // Authenticate the client
+      const client                          = await OidcHelper.AuthenticateClient( req )
+
+      // Get the grant type
+      const grantType                       = req.body?.grant_type
+
+      // Exchange an authorization code
+      if( grantType === 'authorization_code' ) {
+
+        // Delete the authorization, so the code can't be used again
+        const authorization                 = await OidcAuthorizationModel.findOneAndDelete({
+          code                              : OidcAuthorizationModel.HashCode( req.body.code || '' ),
+          clientId                          : client.clientId,
+        }).lean()
+
+        // If the code is invalid, expired, or sent with another redirect uri
+        if( !authorization || authorization.expiresAt < new Date() || authorization.redirectUri !== req.body.redirect_uri )
+          throw new OidcErrorHelper( 'invalid_grant', req.t('oidc.code.invalid') )
+
+        // If PKCE was used, the code verifier must match
+        if( authorization.codeChallenge && !OidcHelper.VerifyPkce( req.body.code_verifier, authorization.codeChallenge, authorization.codeChallengeMethod ) )
+          throw new OidcErrorHelper( 'invalid_grant', req.t('oidc.codeVerifier.invalid') )
+
+        // Attempt to find the user
+        const user                          = await UserModel.findById( authorization.userId ).lean()
+
+        // If the user was not found, or isn't active
+        if( !user || !user.isActive )
+          throw new OidcErrorHelper( 'invalid_grant', req.t('user.notActive') )
+
+        // Return the tokens
+        return res.status( StatusCodes.OK ).json( await OidcHelper.IssueTokens( client, user, authorization.scopes, authorization.nonce ) )
+      }
+
+      // Exchange a refresh token
+      else if( grantType === 'refresh_token' ) {
+
+        // Delete the refresh token, since it's rotated
+        const refreshToken                  = await OidcRefreshTokenModel.findOneAndDelete({
+          token                             : OidcRefreshTokenModel.HashToken( req.body.refresh_token || '' ),
+          clientId                          : client.clientId,
+        }).lean()
+
+        // If the refresh token is invalid or expired
+        if( !refreshToken || refreshToken.expiresAt < new Date() )
+          throw new OidcErrorHelper( 'invalid_grant', req.t('oidc.refreshToken.invalid') )
+
+        // The scopes can only be narrowed
+        const scopes                        = req.body.scope
+          ? OidcHelper.ParseScopes( req.body.scope ).filter( value => refreshToken.scopes.includes( value ) )
+          : refreshToken.scopes
+
+        // Attempt to find the user
+        const user                          = await UserModel.findById( refreshToken.userId ).lean()
+
+        // If the user was not found, or isn't active
+        if( !user || !user.isActive )
+          throw new OidcErrorHelper( 'invalid_grant', req.t('user.notActive') )
+
+        // Return the tokens
+        return res.status( StatusCodes.OK ).json( await OidcHelper.IssueTokens( client, user, scopes ) )
+      }
+
+      throw new OidcErrorHelper( 'unsupported_grant_type', req.t('oidc.grantType.unsupported') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OidcController.UserInfo
+   * @description The controller method handling the userinfo endpoint, returning the claims of the access token's user
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The user's claims, for the granted scopes
+   */
+  static async UserInfo( req, res, next ) {
+    try {
+
+      // Get the access token from the Authorization header
+      const authorization                   = req.headers.authorization || ''
+
+      // If the access token is missing
+      if( !authorization.startsWith( 'Bearer ' ) ) {
+        res.set( 'WWW-Authenticate', 'Bearer' )
+
+        throw new OidcErrorHelper( 'invalid_token', req.t('oidc.token.invalid'), StatusCodes.UNAUTHORIZED )
+      }
+
+      // Verify the access token
+      const payload                         = OidcHelper.VerifyAccessToken( req, authorization.slice( 7 ) )
+
+      // Attempt to find the user
+      const user                            = await UserModel.findById( payload.sub ).lean()
+
+      // If the user was not found, or isn't active
+      if( !user || !user.isActive )
+        throw new OidcErrorHelper( 'invalid_token', req.t('oidc.token.invalid'), StatusCodes.UNAUTHORIZED )
+
+      // Return the claims
+      return res.status( StatusCodes.OK ).json( OidcHelper.Claims( user, String( payload.scope || '' ).split( ' ' ) ) )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OidcController.CreateClient
+   * @description The controller method handling registering a new client (admins only)
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The client, and its secret (only returned once)
+   */
+  static async CreateClient( req, res, next ) {
+    try {
+
+      // If the name is empty
+      if( !req.body?.name )
+        throw new CustomErrorHelper( req.t('oidc.client.name.required'), StatusCodes.NOT_FOUND, 'name' )
+
+      // Register the client
+      const { client, clientSecret }        = await OidcClientModel.Register({
+        name                                : req.body.name,
+        redirectUris                        : [].concat( req.body.redirectUris || [] ),
+        scopes                              : req.body.scopes ? OidcHelper.ParseScopes( [].concat( req.body.scopes ).join( ' ' ) ) : undefined,
+        isConfidential                      : req.body.isConfidential !== false && req.body.isConfidential !== 'false',
+      }, UserHelper.GetUserId( req, res, next ) )
+
+      // Return the client, with the secret
+      return ResponseHelper.Success( res, req.t('oidc.client.created'), StatusCodes.CREATED, {
+        ...OidcClientModel.SerializeClient( client ),
+        clientSecret                        : clientSecret,
+      }, 'client' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OidcController.GetClients
+   * @description The controller method handling returning all registered clients (admins only)
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {OidcClient[]} The clients
+   */
+  static async GetClients( req, res, next ) {
+    try {
+
+      // Find all clients
+      const clients                         = await OidcClientModel.find().sort( '-createdAt' ).lean()
+
+      // Return the clients
+      return ResponseHelper.Success( res, null, StatusCodes.OK, clients.map( client => OidcClientModel.SerializeClient( client ) ), 'clients' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OidcController.DeleteClient
+   * @description The controller method handling deleting a client, with its consents, authorizations and refresh tokens (admins only)
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} Success response
+   */
+  static async DeleteClient( req, res, next ) {
+    try {
+
+      // If the client id is invalid
+      if( !mongoose.isValidObjectId( req.params.id ) )
+        throw new CustomErrorHelper( req.t('oidc.client.notFound'), StatusCodes.NOT_FOUND )
+
+      // Delete the client
+      const client                          = await OidcClientModel.findByIdAndDelete( req.params.id ).lean()
+
+      // If the client was not found
+      if( !client )
+        throw new CustomErrorHelper( req.t('oidc.client.notFound'), StatusCodes.NOT_FOUND )
+
+      // Delete everything issued to the client
+      await OidcConsentModel.deleteMany({ clientId: client.clientId })
+      await OidcAuthorizationModel.deleteMany({ clientId: client.clientId })
+      await OidcRefreshTokenModel.deleteMany({ clientId: client.clientId })
+
+      // Return the success response
+      return ResponseHelper.Success( res, req.t('oidc.client.deleted') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method OidcController.ClientRedirectUrl
+   * @description Builds a redirect url back to the client, with the query parameters (empty ones are left out)
+   * @param {String} redirectUri The client's redirect uri
+   * @param {Object} params The query parameters
+   * @returns {String} The redirect url
+   */
+  static ClientRedirectUrl( redirectUri, params ) {
+    const url                               = new URL( redirectUri )
+
+    Object.entries( params ).forEach( ( [ key, value ] ) => value && url.searchParams.set( key, value ) )
+
+    return url.toString()
+  }
+}
+
+export {
+  OidcController as default,
+}
@@ -0,0 +1,171 @@
+import mongoose from 'mongoose'
+
+import PersonalAccessTokenModel, { PersonalAccessTokenScopes } from '../models/PersonalAccessToken.model.js'
+
+import CustomErrorHelper from '../helpers/Error.helper.js'
+import ResponseHelper from '../helpers/Response.helper.js'
+import SecurityEventHelper, { SecurityEventTypes } from '../helpers/SecurityEvent.helper.js'
+import StatusCodes from '../helpers/StatusCodes.helper.js'
+import TimeHelper from '../helpers/Time.helper.js'
+import UserHelper from '../helpers/User.helper.js'
+
+// The lifetime of a personal access token, in days
+const DefaultExpirationDays                 = 30
+const MaxExpirationDays                     = 365
+
+/**
+ * @class PersonalAccessTokenController
+ * @classdesc Contains all controller methods related to personal access tokens (for scripting against the API)
+ *
+ * @method PersonalAccessTokenController.Create Creates a personal access token, and returns it (only once)
+ * @method PersonalAccessTokenController.GetAll Returns the user's personal access tokens
+ * @method PersonalAccessTokenController.Revoke Revokes (deletes) a personal access token
+ */
+class PersonalAccessTokenController {
+
+  /**
+   * @method PersonalAccessTokenController.Create
+   * @description The controller method handling creating a personal access token. Only the hash of the token is stored,
+   * so the token itself is only returned in this response
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The personal access token's details, and the token
+   */
+  static async Create( req, res, next ) {
+    try {
+
+      // Destructure the request body
+      const {
+        name,
+        scopes,
+        expiresInDays,
+      }                                     = req.body
+
+      // If the name is empty
+      if( !name || !String( name ).trim() )
+        throw new CustomErrorHelper( req.t('personalAccessToken.name.required'), StatusCodes.BAD_REQUEST, 'name' )
+
+      // Get the requested scopes (an array, or a comma separated list from a form)
+      const requestedScopes                 = [].concat( scopes || [] )
+        .flatMap( scope => String( scope ).split( ',' ) )
+        .map( scope => scope.trim() )
+        .filter( Boolean )
+
+      // If no scopes, or an unknown scope, were requested
+      if( !requestedScopes.length || requestedScopes.some( scope => !Object.values( PersonalAccessTokenScopes ).includes( scope ) ) )
+        throw new CustomErrorHelper( req.t('personalAccessToken.scopes.invalid', {
+          scopes                            : Object.values( PersonalAccessTokenScopes ).join( ', ' ),
+        }), StatusCodes.BAD_REQUEST, 'scopes' )
+
+      // Get the lifetime in days
+      const days                            = expiresInDays === undefined || expiresInDays === ''
+        ? DefaultExpirationDays
+        : Number( expiresInDays )
+
+      // If the lifetime is not a whole number of days, or too long
+      if( !Number.isInteger( days ) || days < 1 || days > MaxExpirationDays )
+        throw new CustomErrorHelper( req.t('personalAccessToken.expiresInDays.invalid', { max: MaxExpirationDays }), StatusCodes.BAD_REQUEST, 'expiresInDays' )
+
+      // Get the user id
+      const userId                          = UserHelper.GetUserId( req, res, next )
+
+      // Create the personal access token
+      const {
+        personalAccessToken,
+        token,
+      }                                     = await PersonalAccessTokenModel.Generate(
+        userId,
+        String( name ).trim(),
+        requestedScopes,
+        new Date( Date.now() + days * TimeHelper.OneDay ),
+      )
+
+      // Emit a security notice
+      await SecurityEventHelper.Emit( req, res, userId, SecurityEventTypes.PERSONAL_ACCESS_TOKEN_CREATED, {
+        personalAccessTokenId               : personalAccessToken._id,
+        name                                : personalAccessToken.name,
+        scopes                              : personalAccessToken.scopes,
+      })
+
+      // Return the personal access token, and the token itself
+      return ResponseHelper.Success( res, req.t('personalAccessToken.created'), StatusCodes.CREATED, {
+        ...PersonalAccessTokenModel.SerializePersonalAccessToken( personalAccessToken ),
+        token                               : token,
+      }, 'personalAccessToken' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method PersonalAccessTokenController.GetAll
+   * @description The controller method handling returning the user's personal access tokens (without the tokens)
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The user's personal access tokens
+   */
+  static async GetAll( req, res, next ) {
+    try {
+
+      // Get the user's personal access tokens, that haven't expired
+      const personalAccessTokens            = await PersonalAccessTokenModel.find({
+        userId                              : UserHelper.GetUserId( req, res, next ),
+        expiresAt                           : { $gt: new Date() },
+      }).sort({ createdAt: -1 }).lean()
+
+      // Return the personal access tokens
+      return ResponseHelper.Success( res, req.t('personalAccessToken.found'), StatusCodes.OK,
+        personalAccessTokens.map( personalAccessToken => PersonalAccessTokenModel.SerializePersonalAccessToken( personalAccessToken ) ),
+        'personalAccessTokens' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method PersonalAccessTokenController.Revoke
+   * @description The controller method handling revoking (deleting) one of the user's personal access tokens
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} Success message
+   */
+  static async Revoke( req, res, next ) {
+    try {
+
+      // Get the user id
+      const userId                          = UserHelper.GetUserId( req, res, next )
+
+      // If the id is not a valid id
+      if( !mongoose.isValidObjectId( req.params.id ) )
+        throw new CustomErrorHelper( req.t('personalAccessToken.notFound'), StatusCodes.NOT_FOUND )
+
+      // Delete the personal access token, if it belongs to the user
+      const personalAccessToken             = await PersonalAccessTokenModel.findOneAndDelete({ _id: req.params.id, userId: userId })
+
+      // If the personal access token was not found
+      if( !personalAccessToken )
+        throw new CustomErrorHelper( req.t('personalAccessToken.notFound'), StatusCodes.NOT_FOUND )
+
+      // Emit a security notice
+      await SecurityEventHelper.Emit( req, res, userId, SecurityEventTypes.PERSONAL_ACCESS_TOKEN_REVOKED, {
+        personalAccessTokenId               : personalAccessToken._id,
+        name                                : personalAccessToken.name,
+      })
+
+      // Return the success message
+      return ResponseHelper.Success( res, req.t('personalAccessToken.revoked') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+}
+
+export {
+  PersonalAccessTokenController as default,
+}
@@ -0,0 +1,86 @@
+import Permissions from '../configs/Permissions.config.js'
+
+import RoleModel from '../models/Role.model.js'
+
+import CustomErrorHelper from '../helpers/Error.helper.js'
+import PermissionHelper from '../helpers/Permission.helper.js'
+import ResponseHelper from '../helpers/Response.helper.js'
+import StatusCodes from '../helpers/StatusCodes.helper.js'
+
+/**
+ * @class RoleController
+ * @classdesc Contains all controller methods related to roles, and their permissions
+ *
+ * @method RoleController.GetRoles Returns every role, and its permissions
+ * @method RoleController.UpdateRole Sets the permissions of a role (creating the role if it doesn't exist)
+ */
+class RoleController {
+
+  /**
+   * @method RoleController.GetRoles
+   * @description The controller method handling returning every role and its permissions, along with every known permission
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The roles, and the known permissions
+   */
+  static async GetRoles( req, res, next ) {
+    try {
+
+      // Get every role
+      const roles                           = await RoleModel.find().sort({ name: 1 }).lean()
+
+      // Return the roles, and the permissions they can be given
+      return ResponseHelper.Success( res, req.t('roles.found'), StatusCodes.OK, {
+        roles                               : roles.map( role => RoleModel.SerializeRole( role ) ),
+        permissions                         : Object.values( Permissions ),
+      }, 'roles' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method RoleController.UpdateRole
+   * @description The controller method handling setting the permissions of a role. The role is created if it doesn't exist
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The role
+   */
+  static async UpdateRole( req, res, next ) {
+    try {
+
+      // Get the permissions (an array, or a comma separated list from a form)
+      const permissions                     = [].concat( req.body?.permissions || [] )
+        .flatMap( permission => String( permission ).split( ',' ) )
+        .map( permission => permission.trim() )
+        .filter( Boolean )
+
+      // If an unknown permission was given
+      if( permissions.some( permission => !Object.values( Permissions ).includes( permission ) ) )
+        throw new CustomErrorHelper( req.t('role.permissions.invalid'), StatusCodes.BAD_REQUEST, 'permissions' )
+
+      // Set the role's permissions (or create the role)
+      const role                            = await RoleModel.findOneAndUpdate(
+        { name: String( req.params.name ).toLowerCase().trim() },
+        { permissions: [ ...new Set( permissions ) ] },
+        { new: true, upsert: true, runValidators: true },
+      )
+
+      // Apply the change right away
+      PermissionHelper.ClearCache()
+
+      // Return the role
+      return ResponseHelper.Success( res, req.t('role.updated'), StatusCodes.OK, RoleModel.SerializeRole( role ), 'role' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+}
+
+export {
+  RoleController as default,
+}
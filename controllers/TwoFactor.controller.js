@@ -0,0 +1,407 @@
+import { TWO_FACTOR_MAX_ATTEMPTS } from '../configs/Environment.config.js'
+
+import UserModel from '../models/User.model.js'
+
+import CryptoHelper from '../helpers/Crypto.helper.js'
+import CustomErrorHelper from '../helpers/Error.helper.js'
+import PasswordHelper from '../helpers/Password.helper.js'
+import ResponseHelper from '../helpers/Response.helper.js'
+import SecurityEventHelper, { SecurityEventTypes } from '../helpers/SecurityEvent.helper.js'
+import StatusCodes from '../helpers/StatusCodes.helper.js'
+import TokenHelper from '../helpers/Token.helper.js'
+import TotpHelper from '../helpers/Totp.helper.js'
+import UserHelper from '../helpers/User.helper.js'
+
+/**
+ * @class TwoFactorController
+ * @classdesc Contains all controller methods related to two-factor authentication (TOTP)
+ *
+ * @method TwoFactorController.Enroll Starts the enrollment, and returns the secret
+ * @method TwoFactorController.Confirm Confirms the enrollment with a code, and enables two-factor authentication
+ * @method TwoFactorController.Disable Disables two-factor authentication
+ * @method TwoFactorController.Verify Exchanges the login challenge token and a code (or recovery code) for the session
+ * @method TwoFactorController.RegenerateRecoveryCodes Replaces the recovery codes with new ones
+ */
+class TwoFactorController {
+
+  /**
+   * @method TwoFactorController.Enroll
+   * @description The controller method handling starting the two-factor enrollment. The secret is stored encrypted,
+   * but two-factor authentication isn't enabled until the enrollment is confirmed with a code
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The secret and the otpauth:// uri
+   */
+  static async Enroll( req, res, next ) {
+    try {
+
+      // Attempt to find the user
+      const user                            = await UserModel.findById( UserHelper.GetUserId( req, res, next ) )
+
+      // If the user was not found
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // If two-factor authentication is already enabled
+      else if( user.isTwoFactorEnabled )
+        throw new CustomErrorHelper( req.t('twoFactor.alreadyEnabled'), StatusCodes.CONFLICT )
+
+      // Generate a new secret
+      const secret                          = TotpHelper.GenerateSecret()
+
+      // Store the secret, encrypted
+      user.twoFactorSecret                  = CryptoHelper.Encrypt( secret )
+      user.twoFactorLastUsedStep            = null
+
+      // Save the user
+      await user.save()
+
+      // Return the secret, and the uri for the QR code
+      return ResponseHelper.Success( res, req.t('twoFactor.enrollment.started'), StatusCodes.OK, {
+        secret                              : secret,
+        uri                                 : TotpHelper.KeyUri( secret, user.email ),
+      }, 'twoFactor' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method TwoFactorController.Confirm
+   * @description The controller method handling confirming the two-factor enrollment with a code
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} Success response, with the recovery codes
+   */
+  static async Confirm( req, res, next ) {
+    try {
+
+      // Get the code from the request body
+      const code                            = req.body?.code
+
+      // If the code is empty
+      if( !code )
+        throw new CustomErrorHelper( req.t('twoFactor.code.required'), StatusCodes.NOT_FOUND, 'code' )
+
+      // Attempt to find the user, with the two-factor secret
+      const user                            = await UserModel
+        .findById( UserHelper.GetUserId( req, res, next ) )
+        .select( '+twoFactorSecret +twoFactorLastUsedStep' )
+
+      // If the user was not found
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // If two-factor authentication is already enabled
+      else if( user.isTwoFactorEnabled )
+        throw new CustomErrorHelper( req.t('twoFactor.alreadyEnabled'), StatusCodes.CONFLICT )
+
+      // If the enrollment hasn't been started
+      else if( !user.twoFactorSecret )
+        throw new CustomErrorHelper( req.t('twoFactor.notEnrolled') )
+
+      // Verify the code
+      const step                            = TotpHelper.Verify( CryptoHelper.Decrypt( user.twoFactorSecret ), code, TotpHelper.Now(), user.twoFactorLastUsedStep )
+
+      // If the code is invalid
+      if( step === null )
+        throw new CustomErrorHelper( req.t('twoFactor.code.invalid'), StatusCodes.UNAUTHORIZED, 'code' )
+
+      // Generate the recovery codes
+      const {
+        codes,
+        hashes,
+      }                                     = await PasswordHelper.GenerateRecoveryCodes()
+
+      // Enable two-factor authentication
+      user.isTwoFactorEnabled               = true
+      user.twoFactorLastUsedStep            = step
+      user.twoFactorRecoveryCodes           = hashes
+
+      // Save the user
+      await user.save()
+
+      // Return the success response, with the recovery codes (they are only shown this once)
+      return ResponseHelper.Success( res, req.t('twoFactor.enabled'), StatusCodes.OK, {
+        recoveryCodes                       : codes,
+      }, 'twoFactor' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method TwoFactorController.Disable
+   * @description The controller method handling disabling two-factor authentication (requires the password and a code)
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} Success response
+   */
+  static async Disable( req, res, next ) {
+    try {
+
+      // Destructure the request body
+      const {
+        password,
+        code,
+      }                                     = req.body
+
+      // If the password is empty
+      if( !password )
+        throw new CustomErrorHelper( req.t('password.required'), StatusCodes.NOT_FOUND, 'password' )
+
+      // If the code is empty
+      else if( !code )
+        throw new CustomErrorHelper( req.t('twoFactor.code.required'), StatusCodes.NOT_FOUND, 'code' )
+
+      // Attempt to find the user, with the password and two-factor secret
+      const user                            = await UserModel
+        .findById( UserHelper.GetUserId( req, res, next ) )
+        .select( '+password +twoFactorSecret +twoFactorLastUsedStep' )
+
+      // If the user was not found
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // If two-factor authentication isn't enabled
+      else if( !user.isTwoFactorEnabled )
+        throw new CustomErrorHelper( req.t('twoFactor.notEnabled') )
+
+      // If the password is incorrect
+      if( !await PasswordHelper.Verify( user.password, password ) )
+        throw new CustomErrorHelper( req.t('password.invalid'), StatusCodes.UNAUTHORIZED, 'password' )
+
+      // If the code is invalid
+      if( TotpHelper.Verify( CryptoHelper.Decrypt( user.twoFactorSecret ), code, TotpHelper.Now(), user.twoFactorLastUsedStep ) === null )
+        throw new CustomErrorHelper( req.t('twoFactor.code.invalid'), StatusCodes.UNAUTHORIZED, 'code' )
+
+      // Disable two-factor authentication, and remove the secret
+      user.isTwoFactorEnabled               = false
+      user.twoFactorSecret                  = null
+      user.twoFactorLastUsedStep            = null
+      user.twoFactorChallengeId             = null
+      user.twoFactorRecoveryCodes           = []
+
+      // Save the user
+      await user.save()
+
+      // Return the success response
+      return ResponseHelper.Success( res, req.t('twoFactor.disabled') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method TwoFactorController.Verify
+   * @description The controller method handling the second step of the login, exchanging the challenge token
+   * (returned by AuthController.Login) and a code for the session. A recovery code can be used instead of a code,
+   * which signs out every other device and emits a security notice. A challenge accepts TWO_FACTOR_MAX_ATTEMPTS wrong
+   * codes, and is consumed atomically, so it can only be exchanged once
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {User} The user's details
+   */
+  static async Verify( req, res, next ) {
+    try {
+
+      // Destructure the request body
+      const {
+        challengeToken,
+        code,
+        recoveryCode,
+      }                                     = req.body
+
+      // If the challenge token is empty
+      if( !challengeToken )
+        throw new CustomErrorHelper( req.t('twoFactor.challenge.required'), StatusCodes.NOT_FOUND, 'challengeToken' )
+
+      // If both the code and the recovery code are empty
+      else if( !code && !recoveryCode )
+        throw new CustomErrorHelper( req.t('twoFactor.code.required'), StatusCodes.NOT_FOUND, 'code' )
+
+      // Verify the challenge token
+      const decodedChallengeToken           = await TokenHelper.VerifyTwoFactorChallengeToken( challengeToken )
+
+      // If the challenge token is invalid or expired
+      if( !decodedChallengeToken )
+        throw new CustomErrorHelper( req.t('twoFactor.challenge.invalid'), StatusCodes.UNAUTHORIZED )
+
+      // Attempt to find the user, with the two-factor fields
+      const user                            = await UserModel
+        .findById( decodedChallengeToken.twoFactorUserId )
+        .select( '+twoFactorSecret +twoFactorLastUsedStep +twoFactorChallengeId +twoFactorChallengeAttempts +twoFactorRecoveryCodes' )
+
+      // If the user was not found
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // If the user's account is not active
+      else if( !user.isActive )
+        throw new CustomErrorHelper( req.t('user.notActive'), StatusCodes.FORBIDDEN )
+
+      // If the challenge has already been used, or a newer one has been issued
+      else if( !user.isTwoFactorEnabled || user.twoFactorChallengeId !== decodedChallengeToken.jti )
+        throw new CustomErrorHelper( req.t('twoFactor.challenge.invalid'), StatusCodes.UNAUTHORIZED )
+
+      // If the challenge is locked, after too many wrong attempts
+      else if( user.twoFactorChallengeAttempts >= TWO_FACTOR_MAX_ATTEMPTS )
+        throw new CustomErrorHelper( req.t('twoFactor.challenge.locked'), StatusCodes.TOO_MANY_REQUESTS )
+
+      // Count the attempt against the challenge (atomically, so parallel guesses are counted as well)
+      const challenge                       = await UserModel.findOneAndUpdate({
+        _id                                 : user._id,
+        twoFactorChallengeId                : decodedChallengeToken.jti,
+        twoFactorChallengeAttempts          : { $lt: TWO_FACTOR_MAX_ATTEMPTS },
+      }, { $inc: { twoFactorChallengeAttempts: 1 } }, { new: true }).select( '+twoFactorChallengeAttempts' ).lean()
+
+      // If the challenge has been used or locked in the meantime
+      if( !challenge )
+        throw new CustomErrorHelper( req.t('twoFactor.challenge.invalid'), StatusCodes.UNAUTHORIZED )
+
+      // The attempts left on the challenge
+      const attemptsLeft                    = Math.max( TWO_FACTOR_MAX_ATTEMPTS - challenge.twoFactorChallengeAttempts, 0 )
+
+      // The condition and update consuming the challenge, so it's only consumed once
+      const consume                         = {
+        filter                              : { _id: user._id, twoFactorChallengeId: decodedChallengeToken.jti },
+        update                              : { $set: { twoFactorChallengeId: null, twoFactorChallengeAttempts: 0 } },
+      }
+
+      // If a code was provided, verify it
+      if( code ) {
+        const step                          = TotpHelper.Verify( CryptoHelper.Decrypt( user.twoFactorSecret ), code, TotpHelper.Now(), user.twoFactorLastUsedStep )
+
+        // If the code is invalid
+        if( step === null ) {
+
+          // If that was the last attempt
+          if( !attemptsLeft )
+            throw new CustomErrorHelper( req.t('twoFactor.challenge.locked'), StatusCodes.TOO_MANY_REQUESTS, 'code' )
+
+          throw new CustomErrorHelper( req.t('twoFactor.code.wrong', { count: attemptsLeft }), StatusCodes.UNAUTHORIZED, 'code' )
+        }
+
+        // Mark the code as used (unless a code has been accepted in the meantime)
+        consume.filter.twoFactorLastUsedStep = user.twoFactorLastUsedStep
+        consume.update.$set.twoFactorLastUsedStep = step
+
+      // Otherwise, verify the recovery code
+      } else {
+        const index                         = await PasswordHelper.ConsumeRecoveryCode( user.twoFactorRecoveryCodes, recoveryCode )
+
+        // If the recovery code is invalid, or has already been used
+        if( index === -1 ) {
+
+          // If that was the last attempt
+          if( !attemptsLeft )
+            throw new CustomErrorHelper( req.t('twoFactor.challenge.locked'), StatusCodes.TOO_MANY_REQUESTS, 'recoveryCode' )
+
+          throw new CustomErrorHelper( req.t('twoFactor.recoveryCode.wrong', { count: attemptsLeft }), StatusCodes.UNAUTHORIZED, 'recoveryCode' )
+        }
+
+        // Remove the recovery code, so it can't be used again (unless it has been used in the meantime)
+        consume.filter.twoFactorRecoveryCodes = user.twoFactorRecoveryCodes[ index ]
+        consume.update.$pull                = { twoFactorRecoveryCodes: user.twoFactorRecoveryCodes[ index ] }
+      }
+
+      // Consume the challenge (atomically, so only one of parallel requests with the same challenge succeeds)
+      const verifiedUser                    = await UserModel
+        .findOneAndUpdate( consume.filter, consume.update, { new: true } )
+        .select( '+twoFactorRecoveryCodes' )
+
+      // If the challenge has been used in the meantime
+      if( !verifiedUser )
+        throw new CustomErrorHelper( req.t('twoFactor.challenge.invalid'), StatusCodes.UNAUTHORIZED )
+
+      // Issue the access token, refresh token, cookies and session
+      await TokenHelper.IssueSession( req, res, user._id, 'TwoFactorVerify' )
+
+      // If a recovery code was used, sign out every other device and emit a security notice
+      if( !code ) {
+        await TokenHelper.RevokeRefreshToken( req, res, 'Recovery code used', null, user._id, UserHelper.GetDeviceId( req, res ) )
+
+        await SecurityEventHelper.Emit( req, res, user._id, SecurityEventTypes.RECOVERY_CODE_USED, {
+          recoveryCodesLeft                 : verifiedUser.twoFactorRecoveryCodes.length,
+        })
+      }
+
+      // Return the success response
+      return ResponseHelper.Success( res, req.t('user.login.success'), StatusCodes.OK, UserModel.SerializeUser( verifiedUser ), 'user' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method TwoFactorController.RegenerateRecoveryCodes
+   * @description The controller method handling replacing the recovery codes with new ones (requires the password)
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} Success response, with the new recovery codes
+   */
+  static async RegenerateRecoveryCodes( req, res, next ) {
+    try {
+
+      // Get the password from the request body
+      const password                        = req.body?.password
+
+      // If the password is empty
+      if( !password )
+        throw new CustomErrorHelper( req.t('password.required'), StatusCodes.NOT_FOUND, 'password' )
+
+      // Attempt to find the user, with the password
+      const user                            = await UserModel
+        .findById( UserHelper.GetUserId( req, res, next ) )
+        .select( '+password +twoFactorRecoveryCodes' )
+
+      // If the user was not found
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // If two-factor authentication isn't enabled
+      else if( !user.isTwoFactorEnabled )
+        throw new CustomErrorHelper( req.t('twoFactor.notEnabled') )
+
+      // If the password is incorrect
+      if( !await PasswordHelper.Verify( user.password, password ) )
+        throw new CustomErrorHelper( req.t('password.invalid'), StatusCodes.UNAUTHORIZED, 'password' )
+
+      // Generate the new recovery codes
+      const {
+        codes,
+        hashes,
+      }                                     = await PasswordHelper.GenerateRecoveryCodes()
+
+      // Replace the old recovery codes
+      user.twoFactorRecoveryCodes           = hashes
+
+      // Save the user
+      await user.save()
+
+      // Emit a security notice
+      await SecurityEventHelper.Emit( req, res, user._id, SecurityEventTypes.RECOVERY_CODES_REGENERATED )
+
+      // Return the success response, with the recovery codes (they are only shown this once)
+      return ResponseHelper.Success( res, req.t('twoFactor.recoveryCodes.regenerated'), StatusCodes.OK, {
+        recoveryCodes                       : codes,
+      }, 'twoFactor' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+}
+
+export {
+  TwoFactorController as default,
+}
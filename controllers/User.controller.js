@@ -1,10 +1,19 @@
-
+import { ResolveLocale, SupportedLocales } from '../configs/i18n.config.js'
 
 import UserModel from '../models/User.model.js'
+import EmailChangeModel from '../models/EmailChange.model.js'
 import EmailVerificationModel from '../models/EmailVerification.model.js'
 
+import AccountHelper from '../helpers/Account.helper.js'
+import CookieHelper from '../helpers/Cookie.helper.js'
+import EmailVerificationHelper from '../helpers/EmailVerification.helper.js'
 import CustomErrorHelper from '../helpers/Error.helper.js'
+import LoginAttemptHelper from '../helpers/LoginAttempt.helper.js'
+import MailerHelper from '../helpers/Mailer.helper.js'
+import PasswordHelper from '../helpers/Password.helper.js'
 import ResponseHelper from '../helpers/Response.helper.js'
+import SecurityEventHelper, { SecurityEventTypes } from '../helpers/SecurityEvent.helper.js'
+import SessionHelper from '../helpers/Session.helper.js'
 import StatusCodes from '../helpers/StatusCodes.helper.js'
 import StringHelper from '../helpers/String.helper.js'
 import UserHelper from '../helpers/User.helper.js'
@@ -19,7 +28,11 @@ import UserHelper from '../helpers/User.helper.js'
  * @method UserController.GetUserByEmail Get the user's details by email
  * @method UserController.GetUserByUsername Get the user's details by username
  * @method UserController.GetAllUsers Get/return all users
- * @method UserController.UpdateUser Update the user's own details
+ * @method UserController.UpdateUser Update the user's own details (an email change is pending, until confirmed)
+ * @method UserController.ConfirmEmailChange Confirm a pending email change, from the new address
+ * @method UserController.RevertEmailChange Revert an email change, from the old address
+ * @method UserController.UnlockUser Unlock a user's account, locked after failed login attempts
+ * @method UserController.DeleteUser Schedule the user's own account for deletion
  */
 class UserController {
 
@@ -55,15 +68,14 @@ class UserController {
         forename,
         surname,
         password,
+        locale                              : ResolveLocale( req.language ),
       })
 
       // Save the new user
       await newUser.save()
 
-      // Create an email verification token
-      await EmailVerificationModel.create({
-        userId                              : newUser._id,
-      })
+      // Create an email verification (a link, and a code in 'code' mode), and send it to the user
+      await EmailVerificationHelper.Issue( newUser )
 
       // Return the new user
       return ResponseHelper.Success( res, req.t('user.created'), StatusCodes.CREATED, UserModel.SerializeUser( newUser ), 'user' )
@@ -91,8 +103,18 @@ class UserController {
       if( !user )
         throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
 
-      // Return the user
-      return ResponseHelper.Success( res, req.t('user.data.found'), StatusCodes.OK, UserModel.SerializeUser( user ), 'user' )
+      // Get the admin impersonating the user, if any
+      const actorId                         = UserHelper.GetActorId( req )
+
+      // Return the user, with the pending email, when the password was last changed, the two-factor state and the impersonation state
+      return ResponseHelper.Success( res, req.t('user.data.found'), StatusCodes.OK, {
+        ...UserModel.SerializeUser( user ),
+        pendingEmail                        : await EmailChangeModel.GetPendingEmail( user._id ),
+        passwordChangedAt                   : user.passwordChangedAt || null,
+        isTwoFactorEnabled                  : user.isTwoFactorEnabled || false,
+        isImpersonated                      : !!actorId,
+        impersonatedBy                      : actorId,
+      }, 'user' )
 
     } catch ( error ) {
       return next( error )
@@ -229,7 +251,9 @@ class UserController {
 
   /**
    * @method UserController.UpdateUser
-   * @description The controller method handling updating _the_ user's own details
+   * @description The controller method handling updating _the_ user's own details. A new email isn't set right away:
+   * a confirmation link is sent to the new address and a revert link to the old one, and the email is only changed
+   * once confirmed (the old email keeps working until then)
    * @param {Request} req 
    * @param {Response} res 
    * @param {NextFunction} next 
@@ -244,14 +268,28 @@ class UserController {
         username,
         forename,
         surname,
+        locale,
       }                                     = req.body
 
+      // If the locale is set, but isn't a supported locale
+      if( locale && !SupportedLocales.includes( locale ) )
+        throw new CustomErrorHelper( req.t('locale.invalid'), StatusCodes.BAD_REQUEST, 'locale' )
+
       // Get the user, by id
       const user                            = await UserHelper.GetUserById( req, res, UserHelper.GetUserId( req, res ) )
 
-      // If email is set and doesn't match the current email
-      if( email && email !== user.email )
-        user.email                          = email.toLowerCase()
+      // Get the requested email, if it's set and doesn't match the current email
+      const newEmail                        = email && String( email ).toLowerCase().trim() !== user.email
+        ? String( email ).toLowerCase().trim()
+        : null
+
+      // If the requested email is already in use
+      if( newEmail && await UserModel.exists({ email: newEmail }) )
+        throw new CustomErrorHelper( req.t('email.taken'), StatusCodes.CONFLICT, 'email' )
+
+      // Validate the requested email with the user's email validators (the change is stored, not saved on the user)
+      if( newEmail )
+        await UserModel.validate( { email: newEmail }, [ 'email' ], user )
 
       // If username is set and doesn't match the current username
       if( username && username !== user.username )
@@ -265,11 +303,256 @@ class UserController {
       if( surname && surname !== user.surname )
         user.surname                        = StringHelper.Capitalize( surname )
 
+      // If locale is set and doesn't match the current locale (the language of the mails sent to the user)
+      if( locale && locale !== user.locale )
+        user.locale                         = locale
+
       // Save the user
       await user.save()
 
-      // Return the user, and a success message
-      return ResponseHelper.Success( res, req.t('user.updated'), StatusCodes.OK, UserModel.SerializeUser( user ), 'user' )
+      // Request the email change, sending the confirmation and revert links
+      if( newEmail ) {
+        const {
+          confirmToken,
+          revertToken,
+        }                                   = await EmailChangeModel.Generate( user._id, user.email, newEmail, user.isEmailVerified )
+
+        // Send the confirm link to the new address, and the revert link to the current one (MailerHelper never throws)
+        MailerHelper.SendEmailChangeConfirmation( user, newEmail, confirmToken )
+        MailerHelper.SendEmailChangeRevert( user, newEmail, revertToken )
+
+        // Record the request (without a notice, the revert mail is the notice)
+        await SecurityEventHelper.Emit( req, res, user._id, SecurityEventTypes.EMAIL_CHANGE_REQUESTED, {
+          newEmail                          : newEmail,
+        }, false )
+      }
+
+      // Return the user (and the pending email), and a success message
+      return ResponseHelper.Success( res, req.t( newEmail ? 'email.change.requested' : 'user.updated' ), StatusCodes.OK, {
+        ...UserModel.SerializeUser( user ),
+        pendingEmail                        : newEmail || await EmailChangeModel.GetPendingEmail( user._id ),
+      }, 'user' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method UserController.ConfirmEmailChange
+   * @description The controller method handling confirming a pending email change, with the link sent to the new
+   * address. The email is changed, and marked as verified (the link proved the user owns it)
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {JSON} Success message
+   */
+  static async ConfirmEmailChange( req, res, next ) {
+    try {
+
+      // Get the confirm token from the parameter or body
+      const token                           = req.params.token || req.body?.token
+
+      // If the confirm token is missing
+      if( !token )
+        throw new CustomErrorHelper( req.t('email.change.invalid'), StatusCodes.NOT_FOUND )
+
+      // Find the pending email change
+      const emailChange                     = await EmailChangeModel.findOne({
+        confirmToken                        : EmailChangeModel.HashToken( token ),
+        confirmedAt                         : null,
+        confirmExpiresAt                    : { $gt: new Date() },
+      })
+
+      // If the email change doesn't exist, was already confirmed or has expired
+      if( !emailChange )
+        throw new CustomErrorHelper( req.t('email.change.invalid'), StatusCodes.NOT_FOUND )
+
+      // If the new email was taken in the meantime
+      if( await UserModel.exists({ email: emailChange.newEmail, _id: { $ne: emailChange.userId } }) )
+        throw new CustomErrorHelper( req.t('email.taken'), StatusCodes.CONFLICT, 'email' )
+
+      // Change the email, marked as verified (bypassing the pre-save hook, which would unverify it)
+      const { matchedCount }                = await UserModel.updateOne(
+        { _id: emailChange.userId },
+        { email: emailChange.newEmail, isEmailVerified: true },
+      )
+
+      // If the user doesn't exist
+      if( !matchedCount )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // Mark the email change as confirmed (it's kept until it expires, so the old address can still revert it)
+      emailChange.confirmedAt               = new Date()
+      await emailChange.save()
+
+      // Remove the pending verifications of the old email
+      await EmailVerificationModel.deleteMany({ userId: emailChange.userId })
+
+      // Notify the user
+      await SecurityEventHelper.Emit( req, res, emailChange.userId, SecurityEventTypes.EMAIL_CHANGED, {
+        oldEmail                            : emailChange.oldEmail,
+        newEmail                            : emailChange.newEmail,
+      })
+
+      // Return the success message
+      return ResponseHelper.Success( res, req.t('email.change.confirmed') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method UserController.RevertEmailChange
+   * @description The controller method handling reverting an email change, with the link sent to the old address.
+   * A pending change is cancelled, a confirmed one is undone. Either way someone else may have access to the account,
+   * so every session is revoked
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {JSON} Success message
+   */
+  static async RevertEmailChange( req, res, next ) {
+    try {
+
+      // Get the revert token from the parameter or body
+      const token                           = req.params.token || req.body?.token
+
+      // If the revert token is missing
+      if( !token )
+        throw new CustomErrorHelper( req.t('email.change.invalid'), StatusCodes.NOT_FOUND )
+
+      // Find the email change
+      const emailChange                     = await EmailChangeModel.findOne({
+        revertToken                         : EmailChangeModel.HashToken( token ),
+        expiresAt                           : { $gt: new Date() },
+      })
+
+      // If the email change doesn't exist, was already reverted or has expired
+      if( !emailChange )
+        throw new CustomErrorHelper( req.t('email.change.invalid'), StatusCodes.NOT_FOUND )
+
+      // If the change was confirmed, restore the old email
+      if( emailChange.confirmedAt ) {
+
+        // If the old email was taken in the meantime
+        if( await UserModel.exists({ email: emailChange.oldEmail, _id: { $ne: emailChange.userId } }) )
+          throw new CustomErrorHelper( req.t('email.taken'), StatusCodes.CONFLICT, 'email' )
+
+        await UserModel.updateOne(
+          { _id: emailChange.userId },
+          { email: emailChange.oldEmail, isEmailVerified: emailChange.wasEmailVerified },
+        )
+      }
+
+      // Remove every email change of the user
+      await EmailChangeModel.deleteMany({ userId: emailChange.userId })
+
+      // Revoke every session
+      await AccountHelper.RevokeSessions( req, res, emailChange.userId, 'Email change reverted' )
+
+      // Notify the user
+      await SecurityEventHelper.Emit( req, res, emailChange.userId, SecurityEventTypes.EMAIL_CHANGE_REVERTED, {
+        oldEmail                            : emailChange.oldEmail,
+        newEmail                            : emailChange.newEmail,
+      })
+
+      // Return the success message
+      return ResponseHelper.Success( res, req.t('email.change.reverted') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method UserController.UnlockUser
+   * @description The controller method handling unlocking a user's account (admins only), removing the failed login attempts
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {JSON} Success message
+   */
+  static async UnlockUser( req, res, next ) {
+    try {
+
+      // Retrieve the target user id
+      const userId                          = req.params.id
+
+      // If the target user id is not found
+      if( !userId )
+        throw new CustomErrorHelper( req.t('user.id.notFound'), StatusCodes.NOT_FOUND )
+
+      // Get/find the user in the database by their id
+      const user                            = await UserHelper.GetUserById( req, res, userId, true )
+
+      // If the user doesn't exist
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // Remove the failed login attempts, and with them the lock
+      await LoginAttemptHelper.Unlock( user._id )
+
+      // Record the unlock, and the admin who did it
+      await SecurityEventHelper.Emit( req, res, user._id, SecurityEventTypes.ACCOUNT_UNLOCKED, {
+        unlockedBy                          : UserHelper.GetUserId( req, res ),
+      })
+
+      // Return the success message
+      return ResponseHelper.Success( res, req.t('user.unlocked') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method UserController.DeleteUser
+   * @description The controller method handling a user deleting their own account. The password has to be re-entered,
+   * the account is marked pending deletion and every session is revoked. The account is deleted (by the account
+   * deletion job) once the grace period has passed, unless the user logs in before then
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {JSON} Success message, and when the account will be deleted
+   */
+  static async DeleteUser( req, res, next ) {
+    try {
+
+      // Get the password
+      const password                        = req.body?.password
+
+      // If the password is empty
+      if( !password )
+        throw new CustomErrorHelper( req.t('password.required'), StatusCodes.BAD_REQUEST, 'password' )
+
+      // Get the user, by id (with the password)
+      const user                            = await UserHelper.GetUserById( req, res, UserHelper.GetUserId( req, res ), true, true )
+
+      // If the user doesn't exist
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // If the password is incorrect
+      if( !await PasswordHelper.Verify( user.password, password ) )
+        throw new CustomErrorHelper( req.t('password.invalid'), StatusCodes.UNAUTHORIZED, 'password' )
+
+      // Mark the account as pending deletion
+      const deletionScheduledAt             = await AccountHelper.ScheduleDeletion( req, res, user._id )
+
+      // Revoke every session (including this one)
+      await AccountHelper.RevokeSessions( req, res, user._id, 'Account deletion requested' )
+
+      // Clear all the session variables and cookies
+      SessionHelper.ClearAllSessions( req )
+      CookieHelper.ClearAllCookies( res )
+
+      // Return the success message, and when the account will be deleted
+      return ResponseHelper.Success( res, req.t('user.deletion.scheduled', {
+        time                                : deletionScheduledAt,
+        formatParams                        : { time: { dateStyle: 'long', timeStyle: 'short' } },
+      }), StatusCodes.OK, { deletionScheduledAt }, 'deletion' )
 
     } catch ( error ) {
       return next( error )
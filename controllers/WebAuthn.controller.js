@@ -0,0 +1,245 @@
+import mongoose from 'mongoose'
+
+import CredentialModel from '../models/Credential.model.js'
+import UserModel from '../models/User.model.js'
+
+import CustomErrorHelper from '../helpers/Error.helper.js'
+import ResponseHelper from '../helpers/Response.helper.js'
+import StatusCodes from '../helpers/StatusCodes.helper.js'
+import TokenHelper from '../helpers/Token.helper.js'
+import UserHelper from '../helpers/User.helper.js'
+import WebAuthnHelper from '../helpers/WebAuthn.helper.js'
+
+/**
+ * @class WebAuthnController
+ * @classdesc Contains all controller methods related to WebAuthn (passkeys)
+ *
+ * @method WebAuthnController.RegistrationOptions Returns the options for registering a new passkey
+ * @method WebAuthnController.Register Verifies the registration, and stores the passkey
+ * @method WebAuthnController.AuthenticationOptions Returns the options for logging in with a passkey
+ * @method WebAuthnController.Authenticate Verifies the assertion, and logs the user in
+ * @method WebAuthnController.GetCredentials Returns the user's passkeys
+ * @method WebAuthnController.DeleteCredential Deletes one of the user's passkeys
+ */
+class WebAuthnController {
+
+  /**
+   * @method WebAuthnController.RegistrationOptions
+   * @description The controller method handling returning the options for navigator.credentials.create()
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The public key credential creation options
+   */
+  static async RegistrationOptions( req, res, next ) {
+    try {
+
+      // Attempt to find the user
+      const user                            = await UserHelper.GetUserById( req, res, UserHelper.GetUserId( req, res, next ), true )
+
+      // If the user was not found
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // Get the user's existing passkeys, so they aren't registered twice
+      const credentials                     = await CredentialModel.find({ userId: user._id }).lean()
+
+      // Return the options
+      return ResponseHelper.Success( res, null, StatusCodes.OK, WebAuthnHelper.RegistrationOptions( req, user, credentials ), 'options' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method WebAuthnController.Register
+   * @description The controller method handling verifying the registration (attestation), and storing the passkey
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Credential} The passkey's details
+   */
+  static async Register( req, res, next ) {
+    try {
+
+      // Get the credential, from navigator.credentials.create()
+      const credential                      = req.body?.credential
+
+      // If the credential is empty
+      if( !credential?.response )
+        throw new CustomErrorHelper( req.t('webAuthn.credential.required'), StatusCodes.NOT_FOUND, 'credential' )
+
+      // Get the user id
+      const userId                          = UserHelper.GetUserId( req, res, next )
+
+      // Verify the registration, against the challenge issued for it
+      const verified                        = WebAuthnHelper.VerifyRegistration( req, credential, WebAuthnHelper.ConsumeChallenge( req, 'registration' ) )
+
+      // If the passkey is already registered
+      if( await CredentialModel.exists({ credentialId: verified.credentialId }) )
+        throw new CustomErrorHelper( req.t('webAuthn.credential.alreadyRegistered'), StatusCodes.CONFLICT )
+
+      // Store the passkey
+      const newCredential                   = await CredentialModel.create({
+        userId                              : userId,
+        credentialId                        : verified.credentialId,
+        publicKey                           : verified.publicKey,
+        algorithm                           : verified.algorithm,
+        signCount                           : verified.signCount,
+        attestationFormat                   : verified.attestationFormat,
+        transports                          : Array.isArray( credential.response.transports ) ? credential.response.transports : [],
+        ...( req.body?.name && { name: req.body.name } ),
+      })
+
+      // Return the passkey
+      return ResponseHelper.Success( res, req.t('webAuthn.credential.registered'), StatusCodes.CREATED, CredentialModel.SerializeCredential( newCredential ), 'credential' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method WebAuthnController.AuthenticationOptions
+   * @description The controller method handling returning the options for navigator.credentials.get()
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} The public key credential request options
+   */
+  static async AuthenticationOptions( req, res, next ) {
+    try {
+
+      // Return the options
+      return ResponseHelper.Success( res, null, StatusCodes.OK, WebAuthnHelper.AuthenticationOptions( req ), 'options' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method WebAuthnController.Authenticate
+   * @description The controller method handling logging in with a passkey. A successful assertion sets up
+   * exactly the same cookies and session as AuthController.Login
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {User} The user's details
+   */
+  static async Authenticate( req, res, next ) {
+    try {
+
+      // Get the credential, from navigator.credentials.get()
+      const credential                      = req.body?.credential
+
+      // If the credential is empty
+      if( !credential?.id || !credential?.response )
+        throw new CustomErrorHelper( req.t('webAuthn.credential.required'), StatusCodes.NOT_FOUND, 'credential' )
+
+      // Consume the challenge first, so it can't be retried with another credential
+      const challenge                       = WebAuthnHelper.ConsumeChallenge( req, 'authentication' )
+
+      // Attempt to find the stored passkey
+      const storedCredential                = await CredentialModel.findOne({ credentialId: String( credential.id ) })
+
+      // If the passkey was not found
+      if( !storedCredential )
+        throw new CustomErrorHelper( req.t('webAuthn.credential.notFound'), StatusCodes.UNAUTHORIZED )
+
+      // Verify the assertion
+      const { signCount }                   = WebAuthnHelper.VerifyAuthentication( req, credential, challenge, storedCredential )
+
+      // Attempt to find the user
+      const user                            = await UserModel.findById( storedCredential.userId ).lean()
+
+      // If the user was not found
+      if( !user )
+        throw new CustomErrorHelper( req.t('user.notFound'), StatusCodes.NOT_FOUND )
+
+      // If the user's email is not verified
+      else if( !user.isEmailVerified )
+        throw new CustomErrorHelper( req.t('email.notVerified'), StatusCodes.FORBIDDEN )
+
+      // If the user's account is not active
+      else if( !user.isActive )
+        throw new CustomErrorHelper( req.t('user.notActive'), StatusCodes.FORBIDDEN )
+
+      // Track the sign count, and when the passkey was last used
+      storedCredential.signCount            = signCount
+      storedCredential.lastUsedAt           = new Date()
+
+      // Save the passkey
+      await storedCredential.save()
+
+      // Issue the access token, refresh token, cookies and session
+      await TokenHelper.IssueSession( req, res, user._id, 'WebAuthnLogin' )
+
+      // Return the success response
+      return ResponseHelper.Success( res, req.t('user.login.success'), StatusCodes.OK, UserModel.SerializeUser( user ), 'user' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method WebAuthnController.GetCredentials
+   * @description The controller method handling returning the user's passkeys
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {Credential[]} The user's passkeys
+   */
+  static async GetCredentials( req, res, next ) {
+    try {
+
+      // Find the user's passkeys
+      const credentials                     = await CredentialModel.find({ userId: UserHelper.GetUserId( req, res, next ) }).sort( '-createdAt' ).lean()
+
+      // Return the passkeys
+      return ResponseHelper.Success( res, req.t('webAuthn.credentials.found'), StatusCodes.OK, credentials.map( credential => CredentialModel.SerializeCredential( credential ) ), 'credentials' )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
+  /**
+   * @method WebAuthnController.DeleteCredential
+   * @description The controller method handling deleting one of the user's passkeys
+   * @param {Request} req
+   * @param {Response} res
+   * @param {NextFunction} next
+   * @returns {JSON} Success response
+   */
+  static async DeleteCredential( req, res, next ) {
+    try {
+
+      // If the passkey id is invalid
+      if( !mongoose.isValidObjectId( req.params.credentialId ) )
+        throw new CustomErrorHelper( req.t('webAuthn.credential.notFound'), StatusCodes.NOT_FOUND )
+
+      // Delete the passkey, only if it belongs to the user
+      const result                          = await CredentialModel.deleteOne({
+        _id                                 : req.params.credentialId,
+        userId                              : UserHelper.GetUserId( req, res, next ),
+      })
+
+      // If the passkey was not found
+      if( !result.deletedCount )
+        throw new CustomErrorHelper( req.t('webAuthn.credential.notFound'), StatusCodes.NOT_FOUND )
+
+      // Return the success response
+      return ResponseHelper.Success( res, req.t('webAuthn.credential.deleted') )
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+}
+
+export {
+  WebAuthnController as default,
+}
@@ -0,0 +1,138 @@
+import ms from 'ms'
+
+import { ACCOUNT_DELETION_GRACE_PERIOD } from '../configs/Environment.config.js'
+
+import CredentialModel from '../models/Credential.model.js'
+import DataExportModel from '../models/DataExport.model.js'
+import EmailChangeModel from '../models/EmailChange.model.js'
+import EmailVerificationModel from '../models/EmailVerification.model.js'
+import IdentityModel from '../models/Identity.model.js'
+import LogModel from '../models/Log.model.js'
+import LoginAttemptModel from '../models/LoginAttempt.model.js'
+import MagicLinkModel from '../models/MagicLink.model.js'
+import OidcAuthorizationModel from '../models/OidcAuthorization.model.js'
+import OidcConsentModel from '../models/OidcConsent.model.js'
+import OidcRefreshTokenModel from '../models/OidcRefreshToken.model.js'
+import PasswordResetModel from '../models/PasswordReset.model.js'
+import PersonalAccessTokenModel from '../models/PersonalAccessToken.model.js'
+import RefreshTokenModel from '../models/RefreshToken.model.js'
+import SecurityEventModel from '../models/SecurityEvent.model.js'
+import UserModel from '../models/User.model.js'
+
+import DataExportHelper from './DataExport.helper.js'
+import SecurityEventHelper, { SecurityEventTypes } from './SecurityEvent.helper.js'
+import TokenHelper from './Token.helper.js'
+
+/**
+ * @class AccountHelper
+ * @classdesc Contains all methods related to a user's account as a whole (the user record, and every record tied to it)
+ *
+ * @method AccountHelper.RevokeSessions Revokes every session and personal access token of a user
+ * @method AccountHelper.ScheduleDeletion Schedules a user's deletion, after the grace period
+ * @method AccountHelper.CancelDeletion Cancels a user's scheduled deletion
+ * @method AccountHelper.Purge Deletes a user, and every record tied to them
+ */
+class AccountHelper {
+
+  /**
+   * @method AccountHelper.RevokeSessions
+   * @description Revokes every session of a user (the refresh tokens, which are blacklisted, the refresh tokens of
+   * OpenID Connect clients, and the personal access tokens, which would otherwise keep working)
+   * @param {Request} req
+   * @param {Response} res
+   * @param {mongoose.ObjectId} userId
+   * @param {String} reason
+   * @returns {void}
+   */
+  static async RevokeSessions( req, res, userId, reason ) {
+    await TokenHelper.RevokeRefreshToken( req, res, reason, null, userId )
+    await OidcRefreshTokenModel.deleteMany({ userId: userId })
+    await PersonalAccessTokenModel.deleteMany({ userId: userId })
+  }
+
+  /**
+   * @method AccountHelper.ScheduleDeletion
+   * @description Schedules a user's deletion, after the grace period (ACCOUNT_DELETION_GRACE_PERIOD). The deletion
+   * itself is done by the account deletion job
+   * @param {Request} req
+   * @param {Response} res
+   * @param {mongoose.ObjectId} userId
+   * @returns {Date} When the user will be deleted
+   */
+  static async ScheduleDeletion( req, res, userId ) {
+    const deletionScheduledAt               = new Date( Date.now() + ms( ACCOUNT_DELETION_GRACE_PERIOD ) )
+
+    // Mark the user as pending deletion
+    await UserModel.updateOne({ _id: userId }, { deletionScheduledAt: deletionScheduledAt })
+
+    // Notify the user
+    await SecurityEventHelper.Emit( req, res, userId, SecurityEventTypes.ACCOUNT_DELETION_SCHEDULED, {
+      deletionScheduledAt                   : deletionScheduledAt,
+    })
+
+    return deletionScheduledAt
+  }
+
+  /**
+   * @method AccountHelper.CancelDeletion
+   * @description Cancels a user's scheduled deletion, if there is one (called whenever the user logs in)
+   * @param {Request} req
+   * @param {Response} res
+   * @param {mongoose.ObjectId} userId
+   * @returns {Boolean} Whether a scheduled deletion was cancelled
+   */
+  static async CancelDeletion( req, res, userId ) {
+
+    // Unmark the user, if they're pending deletion
+    const { modifiedCount }                 = await UserModel.updateOne(
+      { _id: userId, deletionScheduledAt: { $ne: null } },
+      { deletionScheduledAt: null },
+    )
+
+    // If the user wasn't pending deletion
+    if( !modifiedCount )
+      return false
+
+    // Notify the user
+    await SecurityEventHelper.Emit( req, res, userId, SecurityEventTypes.ACCOUNT_DELETION_CANCELLED )
+
+    return true
+  }
+
+  /**
+   * @method AccountHelper.Purge
+   * @description Deletes a user, and every record tied to them. The token-blacklist is kept (it expires by itself),
+   * so revoked tokens stay revoked. Revoke the user's sessions first (AccountHelper.RevokeSessions) for that
+   * @param {mongoose.ObjectId} userId
+   * @returns {void}
+   */
+  static async Purge( userId ) {
+
+    // Delete every record tied to the user
+    await Promise.all([
+      CredentialModel.deleteMany({ userId: userId }),
+      DataExportModel.deleteMany({ userId: userId }),
+      EmailChangeModel.deleteMany({ userId: userId }),
+      EmailVerificationModel.deleteMany({ userId: userId }),
+      IdentityModel.deleteMany({ userId: userId }),
+      LogModel.deleteMany({ userId: String( userId ) }),
+      LoginAttemptModel.deleteMany({ userId: userId }),
+      MagicLinkModel.deleteMany({ userId: userId }),
+      OidcAuthorizationModel.deleteMany({ userId: userId }),
+      OidcConsentModel.deleteMany({ userId: userId }),
+      OidcRefreshTokenModel.deleteMany({ userId: userId }),
+      PasswordResetModel.deleteMany({ userId: userId }),
+      PersonalAccessTokenModel.deleteMany({ userId: userId }),
+      RefreshTokenModel.deleteMany({ userId: userId }),
+      SecurityEventModel.deleteMany({ userId: userId }),
+      DataExportHelper.DeleteFiles( userId ),
+    ])
+
+    // Delete the user
+    await UserModel.deleteOne({ _id: userId })
+  }
+}
+
+export {
+  AccountHelper as default,
+}
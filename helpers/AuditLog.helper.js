@@ -0,0 +1,65 @@
+import AuditLogModel from '../models/AuditLog.model.js'
+
+import UserHelper from './User.helper.js'
+
+/**
+ * @constant AuditActions Audit Actions
+ * @type {Object}
+ */
+const AuditActions                          = {
+  USER_ROLE_CHANGED                         : 'user.roleChanged',
+  USER_ACTIVATED                            : 'user.activated',
+  USER_DEACTIVATED                          : 'user.deactivated',
+  USER_EMAIL_VERIFIED                       : 'user.emailVerified',
+  USER_DELETED                              : 'user.deleted',
+  IMPERSONATION_STARTED                     : 'impersonation.started',
+  IMPERSONATION_STOPPED                     : 'impersonation.stopped',
+}
+
+/**
+ * @class AuditLogHelper
+ * @classdesc Contains all methods related to the audit log (a record of the actions taken on other users' accounts,
+ * and by whom). Unlike security events, audit log entries outlive the user they concern
+ *
+ * @method AuditLogHelper.Record Records an action, with the acting user's id
+ */
+class AuditLogHelper {
+
+  /**
+   * @method AuditLogHelper.Record
+   * @description Records an action, with the acting user's id (the impersonating admin's, during an impersonation).
+   * Never throws, so a failing record can't break the request
+   * @param {Request} req
+   * @param {Response} res
+   * @param {String} action One of AuditActions
+   * @param {mongoose.ObjectId} targetUserId The user the action was taken on
+   * @param {Object} meta Additional details about the action
+   * @returns {Mongoose.Document|null} The audit log record
+   */
+  static async Record( req, res, action, targetUserId, meta = {} ) {
+    try {
+
+      // Record the action
+      const auditLog                        = await AuditLogModel.create({
+        actorId                             : UserHelper.GetActorId( req ) || UserHelper.GetUserId( req, res ),
+        action                              : action,
+        targetUserId                        : targetUserId,
+        ipAddress                           : UserHelper.GetIpAddress( req, res ),
+        userAgent                           : UserHelper.GetUserAgent( req, res ),
+        meta                                : meta,
+      })
+
+      return auditLog
+
+    } catch ( error ) {
+      console.error( `Error recording audit log: ${ error }` )
+
+      return null
+    }
+  }
+}
+
+export {
+  AuditLogHelper as default,
+  AuditActions,
+}
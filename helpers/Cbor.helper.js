@@ -0,0 +1,171 @@
+/**
+ * @class CborHelper
+ * @classdesc Contains a minimal CBOR (RFC 8949) decoder, enough for WebAuthn attestation objects and COSE keys.
+ * Maps are decoded to plain objects (integer keys become strings), and byte strings to Buffers
+ *
+ * @method CborHelper.Decode Decodes a CBOR buffer, which must contain exactly one item
+ * @method CborHelper.DecodeFirst Decodes the first CBOR item of a buffer, and returns its length
+ */
+class CborHelper {
+
+  /**
+   * @method CborHelper.Decode
+   * @description Decodes a CBOR buffer, which must contain exactly one item
+   * @param {Buffer} buffer
+   * @returns {*} The decoded value
+   */
+  static Decode( buffer ) {
+    const { value, length }                 = this.DecodeFirst( buffer )
+
+    if( length !== buffer.length )
+      throw new Error( 'CBOR data has trailing bytes' )
+
+    return value
+  }
+
+  /**
+   * @method CborHelper.DecodeFirst
+   * @description Decodes the first CBOR item of a buffer
+   * @param {Buffer} buffer
+   * @returns {Object} The decoded value, and the number of bytes it took up
+   */
+  static DecodeFirst( buffer ) {
+    const { value, offset }                 = this.DecodeItem( Buffer.from( buffer ), 0 )
+
+    return { value, length: offset }
+  }
+
+  /**
+   * @method CborHelper.ReadLength
+   * @description Reads the argument (length or value) of an item head
+   * @param {Buffer} buffer
+   * @param {Number} offset The offset right after the initial byte
+   * @param {Number} info The additional information (low 5 bits of the initial byte)
+   * @returns {Object} The argument, and the offset after it
+   */
+  static ReadLength( buffer, offset, info ) {
+    if( info < 24 )
+      return { length: info, offset }
+
+    else if( info === 24 )
+      return { length: buffer.readUInt8( offset ), offset: offset + 1 }
+
+    else if( info === 25 )
+      return { length: buffer.readUInt16BE( offset ), offset: offset + 2 }
+
+    else if( info === 26 )
+      return { length: buffer.readUInt32BE( offset ), offset: offset + 4 }
+
+    else if( info === 27 )
+      return { length: Number( buffer.readBigUInt64BE( offset ) ), offset: offset + 8 }
+
+    throw new Error( 'Unsupported CBOR length (indefinite lengths are not supported)' )
+  }
+
+  /**
+   * @method CborHelper.DecodeItem
+   * @description Decodes the item at the offset
+   * @param {Buffer} buffer
+   * @param {Number} offset
+   * @returns {Object} The decoded value, and the offset after it
+   */
+  static DecodeItem( buffer, offset ) {
+    if( offset >= buffer.length )
+      throw new Error( 'Unexpected end of CBOR data' )
+
+    const initial                           = buffer.readUInt8( offset )
+    const majorType                         = initial >> 5
+    const info                              = initial & 31
+
+    // Simple values and floats
+    if( majorType === 7 ) {
+      switch( info ) {
+        case 20:
+          return { value: false, offset: offset + 1 }
+        case 21:
+          return { value: true, offset: offset + 1 }
+        case 22:
+          return { value: null, offset: offset + 1 }
+        case 23:
+          return { value: undefined, offset: offset + 1 }
+        case 26:
+          return { value: buffer.readFloatBE( offset + 1 ), offset: offset + 5 }
+        case 27:
+          return { value: buffer.readDoubleBE( offset + 1 ), offset: offset + 9 }
+      }
+
+      throw new Error( 'Unsupported CBOR simple value' )
+    }
+
+    const {
+      length,
+      offset: start,
+    }                                       = this.ReadLength( buffer, offset + 1, info )
+
+    switch( majorType ) {
+
+      // Unsigned integer
+      case 0:
+        return { value: length, offset: start }
+
+      // Negative integer
+      case 1:
+        return { value: -1 - length, offset: start }
+
+      // Byte string
+      case 2:
+        if( start + length > buffer.length )
+          throw new Error( 'Unexpected end of CBOR data' )
+
+        return { value: buffer.subarray( start, start + length ), offset: start + length }
+
+      // Text string
+      case 3:
+        if( start + length > buffer.length )
+          throw new Error( 'Unexpected end of CBOR data' )
+
+        return { value: buffer.toString( 'utf8', start, start + length ), offset: start + length }
+
+      // Array
+      case 4: {
+        const array                         = []
+        let position                        = start
+
+        for( let i = 0; i < length; i++ ) {
+          const item                        = this.DecodeItem( buffer, position )
+
+          array.push( item.value )
+          position                          = item.offset
+        }
+
+        return { value: array, offset: position }
+      }
+
+      // Map
+      case 5: {
+        const map                           = {}
+        let position                        = start
+
+        for( let i = 0; i < length; i++ ) {
+          const key                         = this.DecodeItem( buffer, position )
+          const item                        = this.DecodeItem( buffer, key.offset )
+
+          map[ String( key.value ) ]        = item.value
+          position                          = item.offset
+        }
+
+        return { value: map, offset: position }
+      }
+
+      // Tag (the tag itself is ignored)
+      case 6:
+        return this.DecodeItem( buffer, start )
+    }
+
+    throw new Error( 'Unsupported CBOR major type' )
+  }
+}
+
+export {
+  CborHelper as default,
+}
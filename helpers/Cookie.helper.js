@@ -13,6 +13,7 @@ import AuthController from '../controllers/Auth.controller.js'
  * @property {String} REFRESH_TOKEN Refresh Token Cookie Name
  * @property {String} ACCESS_TOKEN Access Token Cookie Name
  * @property {String} USER_ID User Id Cookie Name
+ * @property {String} OAUTH_STATE OAuth State Cookie Name
  */
 const CookieNames                           = {
   USER_ID                                   : 'userId',
@@ -20,6 +21,7 @@ const CookieNames                           = {
   REFRESH_TOKEN                             : 'refreshToken',
   REFRESH_TOKEN_ID                          : 'refreshTokenId',
   DEVICE_ID                                 : 'deviceId',
+  OAUTH_STATE                               : 'oauthState',
 }
 
 /**
@@ -36,6 +38,8 @@ const CookieNames                           = {
  * @method CookieHelper.GetAccessTokenCookie Get Access Token Cookie method
  * @method CookieHelper.SetRefreshTokenIdCookie Set Refresh Token Id Cookie method
  * @method CookieHelper.GetRefreshTokenIdCookie Get Refresh Token Id Cookie method
+ * @method CookieHelper.SetOAuthStateCookie Set OAuth State Cookie method
+ * @method CookieHelper.GetOAuthStateCookie Get OAuth State Cookie method
  * @method CookieHelper.ClearCookie Clear Cookie method
  */
 class CookieHelper {
@@ -271,6 +275,41 @@ class CookieHelper {
     }
   }
 
+  /**
+   * OAuth State Cookies
+   * 
+   * @method CookieHelper.SetOAuthStateCookie
+   * @description Set OAuth State Cookie. It has to be SameSite=Lax, since it's read on the redirect back from the provider
+   * @param {Response} res 
+   * @param {String} state The (encrypted) state
+   * @returns 
+   */
+  static SetOAuthStateCookie( res, state ) {
+    try {
+      return res.cookie( CookieNames.OAUTH_STATE, state, {
+        ...this.SignedHttpOnlyCookieOptions( TimeHelper.FifteenMinutes ),
+        sameSite                            : 'Lax',
+      })
+    } catch ( error ) {
+      return ResponseHelper.CatchError( res, error )
+    }
+  }
+
+  /**
+   * @method CookieHelper.GetOAuthStateCookie
+   * @description Get OAuth State from the signed cookie
+   * @param {Request} req 
+   * @param {Response} res 
+   * @returns {String} The (encrypted) state
+   */
+  static GetOAuthStateCookie( req, res ) {
+    try {
+      return req.signedCookies.oauthState || null
+    } catch ( error ) {
+      return ResponseHelper.CatchError( res, error )
+    }
+  }
+
   /**
    * @method CookieHelper.ClearCookie
    * @description Clear a cookie
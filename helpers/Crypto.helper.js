@@ -0,0 +1,81 @@
+import crypto from 'crypto'
+
+import { ENCRYPTION_SECRET } from '../configs/Environment.config.js'
+
+/**
+ * @constant EncryptionOptions - Encryption Options
+ * @type {Object}
+ * @property {String} ALGORITHM - The cipher algorithm
+ * @property {Number} IV_LENGTH - The initialization vector length, in bytes
+ */
+const EncryptionOptions                     = {
+  ALGORITHM                                 : 'aes-256-gcm',
+  IV_LENGTH                                 : 12,
+}
+
+/**
+ * @class CryptoHelper
+ * @classdesc Contains all methods related to (symmetric) encryption of data stored in the database
+ *
+ * @method CryptoHelper.Assert Throws if ENCRYPTION_SECRET isn't set
+ * @method CryptoHelper.Key Derives the encryption key from ENCRYPTION_SECRET
+ * @method CryptoHelper.Encrypt Encrypts a string
+ * @method CryptoHelper.Decrypt Decrypts a string, encrypted with CryptoHelper.Encrypt
+ */
+class CryptoHelper {
+
+  /**
+   * @method CryptoHelper.Assert
+   * @description Throws if ENCRYPTION_SECRET isn't set. Called at startup, so a missing secret fails fast instead of
+   * failing every request that encrypts or decrypts
+   * @returns {void}
+   */
+  static Assert() {
+    if( !ENCRYPTION_SECRET )
+      throw new Error( 'ENCRYPTION_SECRET is not set, it is required to encrypt the two-factor secrets' )
+  }
+
+  /**
+   * @method CryptoHelper.Key
+   * @description Derives the 256 bit encryption key from ENCRYPTION_SECRET
+   * @returns {Buffer} The encryption key
+   */
+  static Key() {
+    this.Assert()
+
+    return crypto.createHash( 'sha256' ).update( ENCRYPTION_SECRET ).digest()
+  }
+
+  /**
+   * @method CryptoHelper.Encrypt
+   * @description Encrypts a string with AES-256-GCM
+   * @param {String} plainText The string to encrypt
+   * @returns {String} The iv, auth tag and cipher text, base64 encoded and separated by a dot
+   */
+  static Encrypt( plainText ) {
+    const iv                                = crypto.randomBytes( EncryptionOptions.IV_LENGTH )
+    const cipher                            = crypto.createCipheriv( EncryptionOptions.ALGORITHM, this.Key(), iv )
+    const encrypted                         = Buffer.concat([ cipher.update( String( plainText ), 'utf8' ), cipher.final() ])
+
+    return [ iv, cipher.getAuthTag(), encrypted ].map( part => part.toString( 'base64' ) ).join( '.' )
+  }
+
+  /**
+   * @method CryptoHelper.Decrypt
+   * @description Decrypts a string, encrypted with CryptoHelper.Encrypt
+   * @param {String} encryptedText The encrypted string
+   * @returns {String} The decrypted string
+   */
+  static Decrypt( encryptedText ) {
+    const [ iv, authTag, encrypted ]        = String( encryptedText ).split( '.' ).map( part => Buffer.from( part, 'base64' ) )
+    const decipher                          = crypto.createDecipheriv( EncryptionOptions.ALGORITHM, this.Key(), iv )
+
+    decipher.setAuthTag( authTag )
+
+    return Buffer.concat([ decipher.update( encrypted ), decipher.final() ]).toString( 'utf8' )
+  }
+}
+
+export {
+  CryptoHelper as default,
+}
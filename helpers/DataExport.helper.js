@@ -0,0 +1,270 @@
+import mongoose from 'mongoose'
+import { Readable } from 'stream'
+import { pipeline } from 'stream/promises'
+import zlib from 'zlib'
+
+import AuditLogModel from '../models/AuditLog.model.js'
+import CredentialModel from '../models/Credential.model.js'
+import DataExportModel, { DataExportStatuses } from '../models/DataExport.model.js'
+import EmailChangeModel from '../models/EmailChange.model.js'
+import EmailVerificationModel from '../models/EmailVerification.model.js'
+import IdentityModel from '../models/Identity.model.js'
+import LogModel from '../models/Log.model.js'
+import LoginAttemptModel from '../models/LoginAttempt.model.js'
+import OidcConsentModel from '../models/OidcConsent.model.js'
+import OidcRefreshTokenModel from '../models/OidcRefreshToken.model.js'
+import PersonalAccessTokenModel from '../models/PersonalAccessToken.model.js'
+import RefreshTokenModel from '../models/RefreshToken.model.js'
+import SecurityEventModel from '../models/SecurityEvent.model.js'
+import TokenBlacklistModel from '../models/TokenBlacklist.model.js'
+import UserModel from '../models/User.model.js'
+
+// The GridFS bucket the background exports are stored in (they can outgrow the 16 MB document limit)
+const BucketName                            = 'dataExports'
+
+/**
+ * @class DataExportHelper
+ * @classdesc Contains all methods related to personal data exports (everything stored about a user, for data-access
+ * requests). Token values (refresh tokens, salts, verification tokens and codes, and passkey public keys) are left out,
+ * they're credentials rather than personal data. Background exports are stored gzipped in GridFS
+ *
+ * @method DataExportHelper.Bucket Returns the GridFS bucket the background exports are stored in
+ * @method DataExportHelper.CountRecords Counts the records an export of the user would hold
+ * @method DataExportHelper.Collect Collects everything stored about the user
+ * @method DataExportHelper.Build Collects and stores the export of a pending export record (in the background)
+ * @method DataExportHelper.GetData Returns the stored export of an export record
+ * @method DataExportHelper.DeleteFiles Deletes the stored exports of a user
+ * @method DataExportHelper.Cleanup Deletes the stored exports whose export record is gone
+ * @method DataExportHelper.GetFilename Returns the filename of a user's export
+ */
+class DataExportHelper {
+
+  /**
+   * @method DataExportHelper.Bucket
+   * @description Returns the GridFS bucket the background exports are stored in
+   * @returns {mongoose.mongo.GridFSBucket}
+   */
+  static Bucket() {
+    return new mongoose.mongo.GridFSBucket( mongoose.connection.db, { bucketName: BucketName } )
+  }
+
+  /**
+   * @method DataExportHelper.CountRecords
+   * @description Counts the records an export of the user would hold, to decide whether it's built right away or in
+   * the background
+   * @param {mongoose.ObjectId} userId
+   * @returns {Number} The number of records
+   */
+  static async CountRecords( userId ) {
+    const counts                            = await Promise.all([
+      RefreshTokenModel.countDocuments({ userId: userId }),
+      TokenBlacklistModel.countDocuments({ userId: userId }),
+      LogModel.countDocuments({ userId: String( userId ) }),
+      EmailVerificationModel.countDocuments({ userId: userId }),
+      CredentialModel.countDocuments({ userId: userId }),
+      IdentityModel.countDocuments({ userId: userId }),
+      PersonalAccessTokenModel.countDocuments({ userId: userId }),
+      SecurityEventModel.countDocuments({ userId: userId }),
+      EmailChangeModel.countDocuments({ userId: userId }),
+      LoginAttemptModel.countDocuments({ userId: userId }),
+      AuditLogModel.countDocuments({ $or: [ { actorId: userId }, { targetUserId: userId } ] }),
+      OidcConsentModel.countDocuments({ userId: userId }),
+      OidcRefreshTokenModel.countDocuments({ userId: userId }),
+    ])
+
+    return counts.reduce( ( total, count ) => total + count, 0 )
+  }
+
+  /**
+   * @method DataExportHelper.Collect
+   * @description Collects everything stored about the user: their details (without the password), their active
+   * sessions, their revoked sessions (the token-blacklist), their request logs, their email verification state,
+   * their passkeys, linked login providers, personal access tokens, security events, email changes, failed login
+   * attempts, the audit log entries by or about them, and the OpenID Connect clients they've authorized
+   * @param {mongoose.ObjectId} userId
+   * @returns {Object|null} The export, or null if the user doesn't exist
+   */
+  static async Collect( userId ) {
+
+    // Get the user (the password and two-factor secrets aren't selected)
+    const user                              = await UserModel.findById( userId ).lean()
+
+    // If the user doesn't exist
+    if( !user )
+      return null
+
+    const { password, ...details }          = user
+
+    // Get every record tied to the user, without the token values
+    const [
+      refreshTokens,
+      blacklistedTokens,
+      logs,
+      emailVerifications,
+      credentials,
+      identities,
+      personalAccessTokens,
+      securityEvents,
+      emailChanges,
+      loginAttempts,
+      auditLogs,
+      oidcConsents,
+      oidcRefreshTokens,
+    ]                                       = await Promise.all([
+      RefreshTokenModel.find({ userId: userId }, { token: 0, salt: 0 }).lean(),
+      TokenBlacklistModel.find({ userId: userId }, { token: 0, salt: 0 }).lean(),
+      LogModel.find({ userId: String( userId ) }).sort({ createdAt: 1 }).lean(),
+      EmailVerificationModel.find({ userId: userId }, { token: 0, code: 0 }).lean(),
+      CredentialModel.find({ userId: userId }, { publicKey: 0 }).lean(),
+      IdentityModel.find({ userId: userId }).lean(),
+      PersonalAccessTokenModel.find({ userId: userId }, { token: 0 }).lean(),
+      SecurityEventModel.find({ userId: userId }).sort({ createdAt: 1 }).lean(),
+      EmailChangeModel.find({ userId: userId }, { confirmToken: 0, revertToken: 0 }).lean(),
+      LoginAttemptModel.find({ userId: userId }).lean(),
+      AuditLogModel.find({ $or: [ { actorId: userId }, { targetUserId: userId } ] }).sort({ createdAt: 1 }).lean(),
+      OidcConsentModel.find({ userId: userId }).lean(),
+      OidcRefreshTokenModel.find({ userId: userId }, { token: 0 }).lean(),
+    ])
+
+    return {
+      exportedAt                            : new Date(),
+      user                                  : details,
+      sessions                              : refreshTokens,
+      revokedSessions                       : blacklistedTokens,
+      logs                                  : logs,
+      emailVerification                     : {
+        isEmailVerified                     : user.isEmailVerified,
+        pendingVerifications                : emailVerifications,
+      },
+      passkeys                              : credentials,
+      identities                            : identities,
+      personalAccessTokens                  : personalAccessTokens,
+      securityEvents                        : securityEvents,
+      emailChanges                          : emailChanges,
+      loginAttempts                         : loginAttempts,
+      auditLogs                             : auditLogs,
+      oidc                                  : {
+        consents                            : oidcConsents,
+        refreshTokens                       : oidcRefreshTokens,
+      },
+    }
+  }
+
+  /**
+   * @method DataExportHelper.Build
+   * @description Collects and stores (gzipped, in GridFS) the export of a pending export record, marking it ready.
+   * Meant to run in the background, so it never throws, and marks the record failed instead
+   * @param {mongoose.ObjectId} dataExportId
+   * @returns {void}
+   */
+  static async Build( dataExportId ) {
+    try {
+
+      // Get the export record
+      const dataExport                      = await DataExportModel.findById( dataExportId )
+
+      // If the export record was replaced or has expired in the meantime
+      if( !dataExport )
+        return
+
+      // Collect the export
+      const json                            = JSON.stringify( await this.Collect( dataExport.userId ), null, 2 )
+
+      // Compress and store the export
+      const upload                          = this.Bucket().openUploadStream( this.GetFilename( dataExport.userId ), {
+        metadata                            : { dataExportId: dataExport._id, userId: dataExport.userId },
+      })
+
+      await pipeline( Readable.from([ json ]), zlib.createGzip(), upload )
+
+      // Mark the export ready
+      const { matchedCount }                = await DataExportModel.updateOne({ _id: dataExport._id }, {
+        status                              : DataExportStatuses.READY,
+        fileId                              : upload.id,
+        size                                : Buffer.byteLength( json ),
+      })
+
+      // If the export record was replaced or has expired while the export was built
+      if( !matchedCount )
+        await this.Bucket().delete( upload.id )
+
+    } catch ( error ) {
+      console.error( `Error building data export ${ dataExportId }: ${ error }` )
+
+      await DataExportModel.updateOne({ _id: dataExportId }, { status: DataExportStatuses.FAILED }).catch( () => null )
+    }
+  }
+
+  /**
+   * @method DataExportHelper.GetData
+   * @description Returns the stored (decompressed) export of an export record, and deletes it (the download link
+   * only works once)
+   * @param {DataExportModel} dataExport The export record
+   * @returns {String} The export, as JSON
+   */
+  static async GetData( dataExport ) {
+    const chunks                            = []
+
+    await pipeline( this.Bucket().openDownloadStream( dataExport.fileId ), zlib.createGunzip(), async function*( source ) {
+      for await ( const chunk of source )
+        chunks.push( chunk )
+    })
+
+    // Delete the stored export
+    await this.Bucket().delete( dataExport.fileId ).catch( () => null )
+
+    return Buffer.concat( chunks ).toString( 'utf8' )
+  }
+
+  /**
+   * @method DataExportHelper.DeleteFiles
+   * @description Deletes the stored exports of a user (when the export is replaced, or the user is deleted)
+   * @param {mongoose.ObjectId} userId
+   * @returns {Number} The number of deleted exports
+   */
+  static async DeleteFiles( userId ) {
+    const bucket                            = this.Bucket()
+    const files                             = await bucket.find({
+      'metadata.userId'                     : new mongoose.Types.ObjectId( String( userId ) ),
+    }, { projection: { _id: 1 } }).toArray()
+
+    await Promise.all( files.map( file => bucket.delete( file._id ).catch( () => null ) ) )
+
+    return files.length
+  }
+
+  /**
+   * @method DataExportHelper.Cleanup
+   * @description Deletes the stored exports whose export record is gone (expired, or replaced while it was built)
+   * @returns {Number} The number of deleted exports
+   */
+  static async Cleanup() {
+    const bucket                            = this.Bucket()
+    const files                             = await bucket.find({}, { projection: { _id: 1, metadata: 1 } }).toArray()
+
+    // The export records that still exist
+    const dataExportIds                     = new Set( ( await DataExportModel.find({
+      _id                                   : { $in: files.map( file => file.metadata?.dataExportId ).filter( Boolean ) },
+    }, { _id: 1 }).lean() ).map( ({ _id }) => String( _id ) ) )
+
+    const orphans                           = files.filter( file => !dataExportIds.has( String( file.metadata?.dataExportId ) ) )
+
+    await Promise.all( orphans.map( file => bucket.delete( file._id ).catch( () => null ) ) )
+
+    return orphans.length
+  }
+
+  /**
+   * @method DataExportHelper.GetFilename
+   * @description Returns the filename of a user's export
+   * @param {mongoose.ObjectId} userId
+   * @returns {String} The filename
+   */
+  static GetFilename( userId ) {
+    return `personal-data-${ userId }-${ new Date().toISOString().slice( 0, 10 ) }.json`
+  }
+}
+
+export {
+  DataExportHelper as default,
+}
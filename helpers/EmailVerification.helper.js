@@ -0,0 +1,91 @@
+import ms from 'ms'
+
+import { EMAIL_VERIFICATION_DAILY_LIMIT, EMAIL_VERIFICATION_RESEND_COOLDOWN } from '../configs/Environment.config.js'
+
+import EmailVerificationModel from '../models/EmailVerification.model.js'
+
+import MailerHelper from './Mailer.helper.js'
+import TimeHelper from './Time.helper.js'
+
+// The time between two verification mails to a user
+const ResendCooldown                        = ms( EMAIL_VERIFICATION_RESEND_COOLDOWN )
+
+// The window the daily limit is counted over (and how long the records are kept)
+const DailyWindow                           = TimeHelper.OneDay
+
+/**
+ * @class EmailVerificationHelper
+ * @classdesc Contains all methods related to sending email verifications. A verification is issued on demand (at
+ * sign-up, and when the user asks for it to be resent), and never replaces the earlier ones, so every link and code
+ * sent stays valid until it expires. Sending is limited per user, by EMAIL_VERIFICATION_RESEND_COOLDOWN and
+ * EMAIL_VERIFICATION_DAILY_LIMIT
+ *
+ * @method EmailVerificationHelper.IsAllowed Whether the cooldown has passed, and the daily limit isn't reached
+ * @method EmailVerificationHelper.Issue Creates an email verification, and sends it to the user
+ * @method EmailVerificationHelper.Cleanup Deletes the records older than the daily window
+ */
+class EmailVerificationHelper {
+
+  /**
+   * @method EmailVerificationHelper.IsAllowed
+   * @description Whether a verification can be sent to the user: the cooldown has passed since the last one, and the
+   * daily limit isn't reached. It's enforced silently (the caller responds the same either way), so the limits don't
+   * reveal which emails are registered
+   * @param {mongoose.ObjectId} userId
+   * @returns {Boolean}
+   */
+  static async IsAllowed( userId ) {
+    const now                               = Date.now()
+
+    // Get the verifications sent within the daily window, newest first
+    const sent                              = await EmailVerificationModel
+      .find({ userId: userId, createdAt: { $gt: new Date( now - DailyWindow ) } }, { createdAt: 1 })
+      .sort({ createdAt: -1 })
+      .limit( EMAIL_VERIFICATION_DAILY_LIMIT )
+      .lean()
+
+    // If the daily limit is reached
+    if( sent.length >= EMAIL_VERIFICATION_DAILY_LIMIT )
+      return false
+
+    // If the cooldown hasn't passed
+    return !sent.length || sent[ 0 ].createdAt.getTime() + ResendCooldown <= now
+  }
+
+  /**
+   * @method EmailVerificationHelper.Issue
+   * @description Creates an email verification (a link, and a code in 'code' mode), and sends it to the user
+   * @param {UserModel} user
+   * @returns {EmailVerificationModel} The email verification record
+   */
+  static async Issue( user ) {
+    const {
+      record,
+      token,
+      code,
+    }                                       = await EmailVerificationModel.Generate( user._id )
+
+    // Send the verification link (and code) to the user
+    await MailerHelper.SendEmailVerification( user, token, code )
+
+    return record
+  }
+
+  /**
+   * @method EmailVerificationHelper.Cleanup
+   * @description Deletes the records older than the daily window. They have expired long before, and no longer
+   * count towards the daily limit
+   * @returns {Number} The number of deleted records
+   */
+  static async Cleanup() {
+    const { deletedCount }                  = await EmailVerificationModel.deleteMany({
+      createdAt                             : { $lte: new Date( Date.now() - DailyWindow ) },
+    })
+
+    return deletedCount
+  }
+}
+
+export {
+  EmailVerificationHelper as default,
+}
@@ -23,6 +23,28 @@ class CustomErrorHelper extends Error {
   }
 }
 
+/**
+ * @class OidcErrorHelper
+ * @classdesc OAuth2 / OpenID Connect error, extended from CustomErrorHelper, with the OAuth2 error code (e.g. invalid_grant).
+ * Returned as { error, error_description } by the global error middleware
+ * @property {String} code OAuth2 error code
+ */
+class OidcErrorHelper extends CustomErrorHelper {
+
+  /**
+   * Constructor
+   * @param {String} code 
+   * @param {String} message 
+   * @param {Number} status 
+   */
+  constructor( code, message, status = StatusCodes.BAD_REQUEST ) {
+    super( message, status )
+
+    this.code                               = code
+  }
+}
+
 export {
   CustomErrorHelper as default,
+  OidcErrorHelper,
 }
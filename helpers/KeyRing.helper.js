@@ -0,0 +1,255 @@
+import crypto from 'crypto'
+import fs from 'fs'
+import jwt from 'jsonwebtoken'
+import ms from 'ms'
+import path from 'path'
+
+import {
+  JWT_KEYS_DIRECTORY,
+  JWT_REFRESH_TOKEN_EXPIRATION,
+  JWT_SECRET,
+  JWT_SIGNING_KEY_ID,
+} from '../configs/Environment.config.js'
+
+// The legacy key pair (from before the key ring), still used to verify tokens without a kid
+const LegacyPrivateKeyFile                  = 'jwt.key'
+const LegacyPublicKeyFile                   = 'jwt.key.pub'
+
+// The longest lifetime of a signed token. A retired key keeps verifying for this long after it was retired
+const MaxTokenLifetime                      = ms( JWT_REFRESH_TOKEN_EXPIRATION || '30d' )
+
+// The loaded key ring
+let keyRing                                 = {
+  keys                                      : new Map(),
+  signingKeyId                              : null,
+  legacyKeyId                               : null,
+}
+
+/**
+ * @class KeyRingHelper
+ * @classdesc Contains all methods related to the JWT signing key ring. The key ring holds one signing key, and any number
+ * of verification keys, loaded from JWT_KEYS_DIRECTORY:
+ * - <kid>.key and <kid>.key.pub: a key pair (the private key may be encrypted with JWT_SECRET)
+ * - <kid>.key.pub alone: a verification-only key
+ * - keyring.json (optional): { "signingKeyId": "<kid>", "retired": { "<kid>": "<ISO date>", "legacy": "<ISO date>" } }
+ *
+ * The signing key is JWT_SIGNING_KEY_ID, else keyring.json's signingKeyId, else the last kid (sorted) with a private key.
+ * Retired keys never sign, and only verify tokens issued before they were retired, until those tokens have expired.
+ * To rotate without downtime: add the new key pair, publish it (restart or SIGHUP), make it the signing key, then
+ * retire the old one. Tokens signed before the key ring (without a kid) are verified with jwt.key.pub, which is retired
+ * like any other key, as "legacy" (or its thumbprint)
+ *
+ * @method KeyRingHelper.Load Loads (or reloads) the key ring from the directory
+ * @method KeyRingHelper.CreateKey Creates a key ring entry from a key pair's files
+ * @method KeyRingHelper.Thumbprint Returns the RFC 7638 JWK thumbprint of a public key
+ * @method KeyRingHelper.GetSigningKey Returns the signing key
+ * @method KeyRingHelper.GetVerificationKey Returns the key to verify a token with, picked by its kid
+ * @method KeyRingHelper.Sign Signs a JWT with the signing key, and its kid in the header
+ * @method KeyRingHelper.Verify Verifies a JWT with the key matching its kid
+ * @method KeyRingHelper.Jwks Returns the public keys as a JSON Web Key Set
+ */
+class KeyRingHelper {
+
+  /**
+   * @method KeyRingHelper.Load
+   * @description Loads (or reloads) the key ring from the directory. The current key ring is only replaced
+   * once the new one has loaded, and has a signing key
+   * @param {String} directory
+   * @returns {Object} The loaded key ring
+   */
+  static Load( directory = JWT_KEYS_DIRECTORY ) {
+    const keys                              = new Map()
+    let manifest                            = {}
+
+    // Load every key pair, or public key, in the directory
+    if( fs.existsSync( directory ) ) {
+      const manifestFile                    = path.join( directory, 'keyring.json' )
+
+      if( fs.existsSync( manifestFile ) )
+        manifest                            = JSON.parse( fs.readFileSync( manifestFile, 'utf8' ) )
+
+      fs.readdirSync( directory )
+        .filter( file => file.endsWith( '.key.pub' ) || file.endsWith( '.key' ) )
+        .map( file => file.replace( /\.key(\.pub)?$/, '' ) )
+        .filter( ( kid, index, kids ) => kids.indexOf( kid ) === index )
+        .forEach( kid => {
+          const privateKeyFile              = path.join( directory, `${ kid }.key` )
+          const publicKeyFile               = path.join( directory, `${ kid }.key.pub` )
+          const retiredAt                   = manifest.retired?.[ kid ] ? new Date( manifest.retired[ kid ] ) : null
+
+          keys.set( kid, this.CreateKey( kid, privateKeyFile, publicKeyFile, retiredAt ) )
+        })
+    }
+
+    // The legacy key pair verifies tokens without a kid, and signs when there's no key ring directory
+    let legacyKeyId                         = null
+
+    if( fs.existsSync( LegacyPublicKeyFile ) ) {
+      const legacyKey                       = this.CreateKey( null, LegacyPrivateKeyFile, LegacyPublicKeyFile, null )
+      const retiredAt                       = manifest.retired?.legacy || manifest.retired?.[ legacyKey.kid ]
+
+      // The legacy key is retired like the other keys, so it's dropped once every token it signed has expired
+      if( retiredAt )
+        legacyKey.retiredAt                 = new Date( retiredAt )
+
+      // Only sign with the legacy key when it's the only key
+      if( keys.size )
+        legacyKey.privateKey                = null
+
+      legacyKeyId                           = legacyKey.kid
+
+      if( !keys.has( legacyKeyId ) )
+        keys.set( legacyKeyId, legacyKey )
+    }
+
+    // Drop retired keys, once every token they signed has expired
+    keys.forEach( ( key, kid ) => {
+      if( key.retiredAt && key.retiredAt.getTime() + MaxTokenLifetime < Date.now() )
+        keys.delete( kid )
+    })
+
+    // Pick the signing key
+    const candidates                        = [ ...keys.values() ].filter( key => key.privateKey && !key.retiredAt )
+    const signingKeyId                      = JWT_SIGNING_KEY_ID
+      || manifest.signingKeyId
+      || candidates.map( key => key.kid ).sort().at( -1 )
+
+    // If the signing key is missing, retired or has no private key
+    if( !candidates.some( key => key.kid === signingKeyId ) )
+      throw new Error( `No usable JWT signing key (${ signingKeyId || 'none found' }) in the key ring` )
+
+    keyRing                                 = { keys, signingKeyId, legacyKeyId }
+
+    return keyRing
+  }
+
+  /**
+   * @method KeyRingHelper.CreateKey
+   * @description Creates a key ring entry from a key pair's files (the public key is derived when its file is missing)
+   * @param {String} kid The key id (null to use the thumbprint)
+   * @param {String} privateKeyFile
+   * @param {String} publicKeyFile
+   * @param {Date} retiredAt
+   * @returns {Object} The key ring entry
+   */
+  static CreateKey( kid, privateKeyFile, publicKeyFile, retiredAt ) {
+    const privateKey                        = fs.existsSync( privateKeyFile )
+      ? crypto.createPrivateKey({ key: fs.readFileSync( privateKeyFile, 'utf8' ), passphrase: JWT_SECRET })
+      : null
+    const publicKey                         = fs.existsSync( publicKeyFile )
+      ? crypto.createPublicKey( fs.readFileSync( publicKeyFile, 'utf8' ) )
+      : crypto.createPublicKey( privateKey )
+
+    // Only RSA keys are supported (RS256)
+    if( publicKey.asymmetricKeyType !== 'rsa' )
+      throw new Error( `JWT key ${ kid || publicKeyFile } is not an RSA key` )
+
+    return {
+      kid                                   : kid || this.Thumbprint( publicKey ),
+      privateKey                            : privateKey,
+      publicKey                             : publicKey,
+      retiredAt                             : retiredAt,
+    }
+  }
+
+  /**
+   * @method KeyRingHelper.Thumbprint
+   * @description Returns the RFC 7638 JWK thumbprint of an RSA public key
+   * @param {crypto.KeyObject} publicKey
+   * @returns {String} The base64url encoded thumbprint
+   */
+  static Thumbprint( publicKey ) {
+    const { e, n }                          = publicKey.export({ format: 'jwk' })
+
+    return crypto.createHash( 'sha256' ).update( JSON.stringify({ e, kty: 'RSA', n }) ).digest( 'base64url' )
+  }
+
+  /**
+   * @method KeyRingHelper.GetSigningKey
+   * @description Returns the signing key
+   * @returns {Object} The signing key's kid and private key
+   */
+  static GetSigningKey() {
+    if( !keyRing.signingKeyId )
+      this.Load()
+
+    return keyRing.keys.get( keyRing.signingKeyId )
+  }
+
+  /**
+   * @method KeyRingHelper.GetVerificationKey
+   * @description Returns the key to verify a token with, picked by the kid in its header.
+   * Tokens without a kid are verified with the legacy key
+   * @param {String} token
+   * @returns {Object} The key, or null if the kid is unknown
+   */
+  static GetVerificationKey( token ) {
+    if( !keyRing.signingKeyId )
+      this.Load()
+
+    const decoded                           = jwt.decode( token, { complete: true } )
+    const kid                               = decoded?.header?.kid || keyRing.legacyKeyId
+
+    return keyRing.keys.get( kid ) || null
+  }
+
+  /**
+   * @method KeyRingHelper.Sign
+   * @description Signs a JWT with the signing key (RS256), and its kid in the header
+   * @param {Object} payload
+   * @param {Object} options The jsonwebtoken sign options
+   * @returns {String} The signed JWT
+   */
+  static Sign( payload, options = {} ) {
+    const { kid, privateKey }               = this.GetSigningKey()
+
+    return jwt.sign( payload, privateKey, { ...options, algorithm: 'RS256', keyid: kid } )
+  }
+
+  /**
+   * @method KeyRingHelper.Verify
+   * @description Verifies a JWT with the key matching its kid. Tokens issued after their key was retired are rejected
+   * @param {String} token
+   * @param {Object} options The jsonwebtoken verify options
+   * @returns {Object} The verified payload (or { header, payload, signature } with options.complete)
+   */
+  static Verify( token, options = {} ) {
+    const key                               = this.GetVerificationKey( token )
+
+    // If the kid is unknown, or the key was dropped
+    if( !key )
+      throw new jwt.JsonWebTokenError( 'Unknown signing key' )
+
+    const verified                          = jwt.verify( token, key.publicKey, { ...options, algorithms: [ 'RS256' ] } )
+    const payload                           = options.complete ? verified.payload : verified
+
+    // A retired key only verifies tokens it signed before it was retired
+    if( key.retiredAt && payload.iat * 1000 > key.retiredAt.getTime() )
+      throw new jwt.JsonWebTokenError( 'Token signed with a retired key' )
+
+    return verified
+  }
+
+  /**
+   * @method KeyRingHelper.Jwks
+   * @description Returns the public keys as a JSON Web Key Set (for /.well-known/jwks.json)
+   * @returns {Object} The JSON Web Key Set
+   */
+  static Jwks() {
+    if( !keyRing.signingKeyId )
+      this.Load()
+
+    return {
+      keys                                  : [ ...keyRing.keys.values() ].map( key => ({
+        ...key.publicKey.export({ format: 'jwk' }),
+        kid                                 : key.kid,
+        use                                 : 'sig',
+        alg                                 : 'RS256',
+      })),
+    }
+  }
+}
+
+export {
+  KeyRingHelper as default,
+}
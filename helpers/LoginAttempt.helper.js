@@ -0,0 +1,192 @@
+import ms from 'ms'
+
+import LoginAttemptModel from '../models/LoginAttempt.model.js'
+
+import CustomErrorHelper from './Error.helper.js'
+import SecurityEventHelper, { SecurityEventTypes } from './SecurityEvent.helper.js'
+import StatusCodes from './StatusCodes.helper.js'
+import TimeHelper from './Time.helper.js'
+import UserHelper from './User.helper.js'
+
+import {
+  LOGIN_BACKOFF_THRESHOLD,
+  LOGIN_LOCKOUT_DURATION,
+  LOGIN_MAX_ATTEMPTS,
+} from '../configs/Environment.config.js'
+
+// The first lockout's duration, doubled for every consecutive lockout, up to MaxLockoutDuration
+const LockoutDuration                       = ms( LOGIN_LOCKOUT_DURATION )
+const MaxLockoutDuration                    = TimeHelper.OneDay
+
+// The backoff starts at one second, and doubles for every failure, up to MaxBackoff
+const BaseBackoff                           = 1000
+const MaxBackoff                            = TimeHelper.FifteenMinutes
+
+// How long the failures are remembered, after the last one
+const AttemptRetention                      = TimeHelper.OneDay
+
+/**
+ * @class LoginAttemptHelper
+ * @classdesc Contains all methods related to failed login attempts. Failures are tracked per account (so rotating
+ * ip addresses doesn't help), and per account and ip address. Both are backed off exponentially once
+ * LOGIN_BACKOFF_THRESHOLD is reached, and the account is locked once it has LOGIN_MAX_ATTEMPTS failures
+ *
+ * @method LoginAttemptHelper.GetIpAddress Get the ip address the attempts are tracked by
+ * @method LoginAttemptHelper.Backoff Returns the backoff after a number of failures
+ * @method LoginAttemptHelper.AssertAllowed Throws if the account is locked, or the backoff hasn't passed
+ * @method LoginAttemptHelper.RegisterFailure Records a failed login attempt, and locks the account at the threshold
+ * @method LoginAttemptHelper.Reset Resets the failed attempts after a successful login
+ * @method LoginAttemptHelper.Unlock Unlocks the account, removing all its failed attempts
+ */
+class LoginAttemptHelper {
+
+  /**
+   * @method LoginAttemptHelper.GetIpAddress
+   * @description Get the ip address the attempts are tracked by (never null, as null is the per account record)
+   * @param {Request} req
+   * @param {Response} res
+   * @returns {String} The ip address
+   */
+  static GetIpAddress( req, res ) {
+    return UserHelper.GetIpAddress( req, res ) || 'unknown'
+  }
+
+  /**
+   * @method LoginAttemptHelper.Backoff
+   * @description Returns the backoff after a number of failures, doubling from BaseBackoff for every failure past the threshold
+   * @param {Number} failures
+   * @returns {Number} The backoff in milliseconds (0 below the threshold)
+   */
+  static Backoff( failures ) {
+    if( failures < LOGIN_BACKOFF_THRESHOLD )
+      return 0
+
+    return Math.min( BaseBackoff * 2 ** ( failures - LOGIN_BACKOFF_THRESHOLD ), MaxBackoff )
+  }
+
+  /**
+   * @method LoginAttemptHelper.AssertAllowed
+   * @description Throws if the account is locked (423), or the backoff of the account, or of the account and ip address,
+   * hasn't passed yet (429). Both errors state when to try again, and set the Retry-After header
+   * @param {Request} req
+   * @param {Response} res
+   * @param {mongoose.ObjectId} userId
+   * @returns {void}
+   */
+  static async AssertAllowed( req, res, userId ) {
+    const now                               = Date.now()
+    const loginAttempts                     = await LoginAttemptModel.find({
+      userId                                : userId,
+      ipAddress                             : { $in: [ null, this.GetIpAddress( req, res ) ] },
+    }).lean()
+
+    const lockedUntil                       = loginAttempts.find( loginAttempt => loginAttempt.lockedUntil > now )?.lockedUntil
+    const retryAt                           = loginAttempts
+      .map( loginAttempt => loginAttempt.retryAt )
+      .filter( retryAt => retryAt > now )
+      .sort( ( a, b ) => b - a )
+      .at( 0 )
+
+    // If the account is locked
+    if( lockedUntil ) {
+      res.set( 'Retry-After', Math.ceil( ( lockedUntil - now ) / 1000 ) )
+
+      throw new CustomErrorHelper( req.t('user.login.locked', {
+        time                                : lockedUntil,
+        formatParams                        : { time: { dateStyle: 'medium', timeStyle: 'long' } },
+      }), StatusCodes.LOCKED )
+    }
+
+    // If the backoff hasn't passed
+    if( retryAt ) {
+      res.set( 'Retry-After', Math.ceil( ( retryAt - now ) / 1000 ) )
+
+      throw new CustomErrorHelper( req.t('user.login.backoff', {
+        time                                : retryAt,
+        formatParams                        : { time: { dateStyle: 'medium', timeStyle: 'long' } },
+      }), StatusCodes.TOO_MANY_REQUESTS )
+    }
+  }
+
+  /**
+   * @method LoginAttemptHelper.RegisterFailure
+   * @description Records a failed login attempt for the account, and for the account and ip address. Once the account
+   * reaches LOGIN_MAX_ATTEMPTS failures it's locked, for LOGIN_LOCKOUT_DURATION doubled for every consecutive lockout
+   * @param {Request} req
+   * @param {Response} res
+   * @param {mongoose.ObjectId} userId
+   * @returns {void}
+   */
+  static async RegisterFailure( req, res, userId ) {
+    const now                               = new Date()
+    const expiresAt                         = new Date( now.getTime() + AttemptRetention )
+
+    for( const ipAddress of [ null, this.GetIpAddress( req, res ) ] ) {
+
+      // Count the failure (atomically, as attempts run in parallel)
+      const loginAttempt                    = await LoginAttemptModel.findOneAndUpdate(
+        { userId, ipAddress },
+        { $inc: { failures: 1 }, $set: { lastFailedAt: now, expiresAt } },
+        { upsert: true, new: true, setDefaultsOnInsert: true },
+      )
+
+      // If the account reached the threshold, lock it (the per account record only)
+      if( ipAddress === null && loginAttempt.failures >= LOGIN_MAX_ATTEMPTS ) {
+        const duration                      = Math.min( LockoutDuration * 2 ** loginAttempt.lockouts, MaxLockoutDuration )
+
+        loginAttempt.lockedUntil            = new Date( now.getTime() + duration )
+        loginAttempt.expiresAt              = new Date( loginAttempt.lockedUntil.getTime() + AttemptRetention )
+        loginAttempt.lockouts               = loginAttempt.lockouts + 1
+        loginAttempt.failures               = 0
+        loginAttempt.retryAt                = null
+
+        await loginAttempt.save()
+
+        await SecurityEventHelper.Emit( req, res, userId, SecurityEventTypes.ACCOUNT_LOCKED, {
+          lockedUntil                       : loginAttempt.lockedUntil,
+          lockouts                          : loginAttempt.lockouts,
+        })
+
+        continue
+      }
+
+      // Back off exponentially
+      const backoff                         = this.Backoff( loginAttempt.failures )
+
+      if( backoff )
+        await LoginAttemptModel.updateOne({ _id: loginAttempt._id }, { retryAt: new Date( now.getTime() + backoff ) })
+    }
+  }
+
+  /**
+   * @method LoginAttemptHelper.Reset
+   * @description Resets the failed attempts after a successful login, for the account, and for the account and ip address.
+   * Other ip addresses keep their backoff
+   * @param {Request} req
+   * @param {Response} res
+   * @param {mongoose.ObjectId} userId
+   * @returns {void}
+   */
+  static async Reset( req, res, userId ) {
+    await LoginAttemptModel.deleteMany({
+      userId                                : userId,
+      ipAddress                             : { $in: [ null, this.GetIpAddress( req, res ) ] },
+    })
+  }
+
+  /**
+   * @method LoginAttemptHelper.Unlock
+   * @description Unlocks the account, removing all its failed attempts (for every ip address)
+   * @param {mongoose.ObjectId} userId
+   * @returns {Number} The number of removed records
+   */
+  static async Unlock( userId ) {
+    const { deletedCount }                  = await LoginAttemptModel.deleteMany({ userId })
+
+    return deletedCount
+  }
+}
+
+export {
+  LoginAttemptHelper as default,
+}
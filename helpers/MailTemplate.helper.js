@@ -0,0 +1,205 @@
+import fs from 'fs'
+import path from 'path'
+
+import { APP_NAME, CLIENT_URL } from '../configs/Environment.config.js'
+import { i18next, ResolveLocale, SupportedLocales } from '../configs/i18n.config.js'
+
+// The directory holding the templates, as <locale>/<template>.html and <locale>/<template>.txt
+const TemplatesDirectory                    = path.join( process.cwd(), 'templates', 'mail' )
+
+// The i18next namespace the templates are loaded into
+const TemplatesNamespace                    = 'mail'
+
+// The template every mail is wrapped in
+const LayoutTemplate                        = 'layout'
+
+/**
+ * @constant MailTemplates Mail Templates
+ * @type {Object}
+ */
+const MailTemplates                         = {
+  ACCOUNT_DELETED                           : 'accountDeleted',
+  EMAIL_CHANGE_CONFIRM                      : 'emailChangeConfirm',
+  EMAIL_CHANGE_REVERT                       : 'emailChangeRevert',
+  MAGIC_LINK                                : 'magicLink',
+  NEW_LOGIN                                 : 'newLogin',
+  RESET_PASSWORD                            : 'resetPassword',
+  SECURITY_EVENT                            : 'securityEvent',
+  VERIFY_EMAIL                              : 'verifyEmail',
+}
+
+/**
+ * @constant SampleData Sample Data
+ * @type {Object}
+ * @description The data each template is previewed with
+ */
+const SampleData                            = {
+  [ MailTemplates.ACCOUNT_DELETED ]         : {
+    name                                    : 'Jane',
+  },
+  [ MailTemplates.EMAIL_CHANGE_CONFIRM ]    : {
+    name                                    : 'Jane',
+    link                                    : `${ CLIENT_URL }/email/change/confirm/sample-token`,
+  },
+  [ MailTemplates.EMAIL_CHANGE_REVERT ]     : {
+    name                                    : 'Jane',
+    newEmail                                : 'jane.doe@example.com',
+    link                                    : `${ CLIENT_URL }/email/change/revert/sample-token`,
+  },
+  [ MailTemplates.MAGIC_LINK ]              : {
+    name                                    : 'Jane',
+    link                                    : `${ CLIENT_URL }/magic-link/sample-token`,
+  },
+  [ MailTemplates.NEW_LOGIN ]               : {
+    name                                    : 'Jane',
+    time                                    : new Date( '2025-01-01T12:00:00Z' ),
+    ipAddress                               : '203.0.113.7',
+    userAgent                               : 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Firefox/120.0',
+    link                                    : `${ CLIENT_URL }/account/security`,
+  },
+  [ MailTemplates.RESET_PASSWORD ]          : {
+    name                                    : 'Jane',
+    link                                    : `${ CLIENT_URL }/password/reset/confirm/sample-token`,
+  },
+  [ MailTemplates.SECURITY_EVENT ]          : {
+    name                                    : 'Jane',
+    eventType                               : 'recoveryCode.used',
+    meta                                    : { recoveryCodesLeft: 9 },
+    time                                    : new Date( '2025-01-01T12:00:00Z' ),
+    ipAddress                               : '203.0.113.7',
+    userAgent                               : 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) Firefox/120.0',
+    link                                    : `${ CLIENT_URL }/account/security`,
+  },
+  [ MailTemplates.VERIFY_EMAIL ]            : {
+    name                                    : 'Jane',
+    link                                    : `${ CLIENT_URL }/email/verify/sample-token`,
+    code                                    : '123456',
+  },
+}
+
+// Escapes a value for HTML (i18next's default escaping also escapes slashes, which mangles the links)
+const EscapeHtml                            = ( value ) => String( value ).replace( /[&<>"']/g, character => `&#${ character.charCodeAt( 0 ) };` )
+
+// Whether the templates have been loaded into i18next
+let isLoaded                                = false
+
+/**
+ * @class MailTemplateHelper
+ * @classdesc Contains all methods related to mail templates. Every template has an HTML and a plain text variant per
+ * locale, interpolated by i18next (with the same formatting as the translations), and wrapped in the layout template.
+ * The subjects are translations, "mail.<template>.subject"
+ *
+ * @method MailTemplateHelper.Load Loads the templates into i18next
+ * @method MailTemplateHelper.Exists Whether a template exists
+ * @method MailTemplateHelper.Render Renders a template to a mail's subject, HTML and plain text
+ */
+class MailTemplateHelper {
+
+  /**
+   * @method MailTemplateHelper.Load
+   * @description Loads the templates of every supported locale into i18next, once. A template missing in a locale
+   * falls back to the fallback locale's
+   * @returns {void}
+   */
+  static Load() {
+    if( isLoaded )
+      return
+
+    for( const locale of SupportedLocales ) {
+      const directory                       = path.join( TemplatesDirectory, locale )
+
+      if( !fs.existsSync( directory ) )
+        continue
+
+      // Group the files by template, as { <template>: { html, txt } }
+      const templates                       = {}
+
+      for( const file of fs.readdirSync( directory ) ) {
+        const { name, ext }                 = path.parse( file )
+
+        if( ![ '.html', '.txt' ].includes( ext ) )
+          continue
+
+        templates[ name ]                   = {
+          ...templates[ name ],
+          [ ext.slice( 1 ) ]                : fs.readFileSync( path.join( directory, file ), 'utf8' ).trimEnd(),
+        }
+      }
+
+      i18next.addResourceBundle( locale, TemplatesNamespace, templates, true, true )
+    }
+
+    isLoaded                                = true
+  }
+
+  /**
+   * @method MailTemplateHelper.Exists
+   * @description Whether a template exists (the layout isn't a template of its own)
+   * @param {String} template
+   * @returns {Boolean}
+   */
+  static Exists( template ) {
+    MailTemplateHelper.Load()
+
+    return template !== LayoutTemplate
+      && i18next.exists( `${ template }.html`, { ns: TemplatesNamespace, lng: SupportedLocales[ 0 ] } )
+  }
+
+  /**
+   * @method MailTemplateHelper.Render
+   * @description Renders a template to a mail. Values are HTML escaped in the HTML variant only, dates can be formatted
+   * like in the translations (e.g. {{time, datetime(dateStyle: long)}})
+   * @param {String} template One of MailTemplates
+   * @param {String} locale The recipient's locale
+   * @param {Object} data The values interpolated in the template
+   * @returns {Object} The mail's subject, html and text
+   */
+  static Render( template, locale, data = {} ) {
+    MailTemplateHelper.Load()
+
+    const lng                               = ResolveLocale( locale )
+
+    // The values every template can use
+    const values                            = {
+      appName                               : APP_NAME,
+      clientUrl                             : CLIENT_URL,
+      ...data,
+    }
+
+    // The verification code line, only when there's a code (in 'code' mode)
+    if( data.code ) {
+      const codeLine                        = i18next.t( `mail.${ template }.code`, { lng, code: data.code } )
+
+      values.codeHtml                       = `<p><strong>${ codeLine }</strong></p>`
+      values.codeText                       = `\n\n${ codeLine }`
+    }
+
+    // The description of the security event, "mail.securityEvent.<type>", with the event's details
+    if( data.eventType )
+      values.event                          = i18next.t( `mail.securityEvent.${ data.eventType }`, { lng, ...data.meta, interpolation: { escapeValue: false } } )
+
+    const subject                           = i18next.t( `mail.${ template }.subject`, { lng, ...values, interpolation: { escapeValue: false } } )
+
+    // Renders a variant of the template, wrapped in the layout
+    const render                            = ( variant, escapeValue ) => {
+      const options                         = { ns: TemplatesNamespace, lng, subject, ...values, interpolation: { escapeValue, escape: EscapeHtml } }
+
+      return i18next.t( `${ LayoutTemplate }.${ variant }`, {
+        ...options,
+        content                             : i18next.t( `${ template }.${ variant }`, options ),
+      })
+    }
+
+    return {
+      subject                               : subject,
+      html                                  : render( 'html', true ),
+      text                                  : render( 'txt', false ),
+    }
+  }
+}
+
+export {
+  MailTemplateHelper as default,
+  MailTemplates,
+  SampleData,
+}
@@ -0,0 +1,247 @@
+import fs from 'fs/promises'
+import path from 'path'
+
+import { CLIENT_URL, MAIL_FILE_DIRECTORY, MAIL_TRANSPORT, REPLY_TO, SENDER_MAIL } from '../configs/Environment.config.js'
+import MailerTransport, { MailTransports } from '../configs/Mailer.config.js'
+
+import MailTemplateHelper, { MailTemplates } from './MailTemplate.helper.js'
+
+// The mails sent with the memory transport
+const outbox                                = []
+
+/**
+ * @class MailerHelper
+ * @classdesc Contains all methods related to sending mail, through the configured transport (SMTP, .eml files or memory)
+ *
+ * @method MailerHelper.Send Sends a mail
+ * @method MailerHelper.GetOutbox Returns the mails sent with the memory transport
+ * @method MailerHelper.ClearOutbox Clears the mails sent with the memory transport
+ * @method MailerHelper.SendTemplate Renders a template in the recipient's locale, and sends it
+ * @method MailerHelper.SendEmailVerification Sends the email verification link (and code) to a user
+ * @method MailerHelper.SendPasswordReset Sends the password reset link to a user
+ * @method MailerHelper.SendMagicLink Sends a magic (login) link to a user
+ * @method MailerHelper.SendEmailChangeConfirmation Sends the email change's confirm link to the new address
+ * @method MailerHelper.SendEmailChangeRevert Sends the email change's revert link to the current address
+ * @method MailerHelper.SendNewLoginAlert Alerts a user about a login from a new device
+ * @method MailerHelper.SendAccountDeleted Tells a user their account has been deleted
+ * @method MailerHelper.SendSecurityNotice Notifies a user about a security event on their account
+ */
+class MailerHelper {
+
+  /**
+   * @method MailerHelper.Send
+   * @description Sends a mail. With the file transport it's written to MAIL_FILE_DIRECTORY as an .eml file, with the
+   * memory transport it's kept in the outbox. Never throws, so a failing mail can't break the request
+   * @param {Object} mail
+   * @param {String} mail.to The recipient
+   * @param {String} mail.subject
+   * @param {String} mail.text The plain text body
+   * @param {String} mail.html The HTML body
+   * @returns {Object|null} The sent mail's info, or null if it couldn't be sent
+   */
+  static async Send({ to, subject, text, html }) {
+    try {
+
+      // The mail, from the sender address
+      const mail                            = {
+        from                                : SENDER_MAIL,
+        ...( REPLY_TO && { replyTo: REPLY_TO } ),
+        to,
+        subject,
+        text,
+        ...( html && { html } ),
+      }
+
+      // Send the mail (or only build it, with the file and memory transports)
+      const info                            = await MailerTransport.sendMail( mail )
+
+      // Write the mail to an .eml file
+      if( MAIL_TRANSPORT === MailTransports.FILE ) {
+        await fs.mkdir( MAIL_FILE_DIRECTORY, { recursive: true } )
+        await fs.writeFile( path.join( MAIL_FILE_DIRECTORY, `${ Date.now() }-${ info.messageId.replace( /[^\w.-]/g, '' ) }.eml` ), info.message )
+      }
+
+      // Keep the mail in the outbox
+      if( MAIL_TRANSPORT === MailTransports.MEMORY )
+        outbox.push({ ...mail, messageId: info.messageId, raw: info.message.toString(), sentAt: new Date() })
+
+      return info
+
+    } catch ( error ) {
+      console.error( `Error sending mail to ${ to }: ${ error }` )
+
+      return null
+    }
+  }
+
+  /**
+   * @method MailerHelper.GetOutbox
+   * @description Returns the mails sent with the memory transport, oldest first
+   * @returns {Object[]} The mails
+   */
+  static GetOutbox() {
+    return [ ...outbox ]
+  }
+
+  /**
+   * @method MailerHelper.ClearOutbox
+   * @description Clears the mails sent with the memory transport
+   * @returns {void}
+   */
+  static ClearOutbox() {
+    outbox.length                           = 0
+  }
+
+  /**
+   * @method MailerHelper.SendTemplate
+   * @description Renders a template (see MailTemplateHelper) in the recipient's locale, and sends it. Never throws
+   * @param {String} to The recipient
+   * @param {String} template One of MailTemplates
+   * @param {String} locale The recipient's locale
+   * @param {Object} data The values interpolated in the template
+   * @returns {Object|null} The sent mail's info, or null if it couldn't be sent
+   */
+  static async SendTemplate( to, template, locale, data = {} ) {
+    try {
+      const { subject, html, text }         = MailTemplateHelper.Render( template, locale, data )
+
+      return await MailerHelper.Send({ to, subject, text, html })
+
+    } catch ( error ) {
+      console.error( `Error rendering mail template ${ template }: ${ error }` )
+
+      return null
+    }
+  }
+
+  /**
+   * @method MailerHelper.SendEmailVerification
+   * @description Sends the email verification link to a user, along with the 6-digit code in 'code' mode
+   * @param {UserModel} user
+   * @param {String} token The email verification token
+   * @param {String} code The plain verification code (null in 'link' mode)
+   * @returns {Object|null} The sent mail's info, or null if it couldn't be sent
+   */
+  static async SendEmailVerification( user, token, code = null ) {
+    return await MailerHelper.SendTemplate( user.email, MailTemplates.VERIFY_EMAIL, user.locale, {
+      name                                  : user.forename || user.username,
+      link                                  : `${ CLIENT_URL }/email/verify/${ token }`,
+      code                                  : code,
+    })
+  }
+
+  /**
+   * @method MailerHelper.SendPasswordReset
+   * @description Sends the password reset link to a user
+   * @param {UserModel} user
+   * @param {String} token The password reset token
+   * @returns {Object|null} The sent mail's info, or null if it couldn't be sent
+   */
+  static async SendPasswordReset( user, token ) {
+    return await MailerHelper.SendTemplate( user.email, MailTemplates.RESET_PASSWORD, user.locale, {
+      name                                  : user.forename || user.username,
+      link                                  : `${ CLIENT_URL }/password/reset/confirm/${ token }`,
+    })
+  }
+
+  /**
+   * @method MailerHelper.SendMagicLink
+   * @description Sends a single-use magic (login) link to a user
+   * @param {UserModel} user
+   * @param {String} token The signed magic link token
+   * @returns {Object|null} The sent mail's info, or null if it couldn't be sent
+   */
+  static async SendMagicLink( user, token ) {
+    return await MailerHelper.SendTemplate( user.email, MailTemplates.MAGIC_LINK, user.locale, {
+      name                                  : user.forename || user.username,
+      link                                  : `${ CLIENT_URL }/magic-link/${ token }`,
+    })
+  }
+
+  /**
+   * @method MailerHelper.SendEmailChangeConfirmation
+   * @description Sends the link confirming an email change to the new address
+   * @param {UserModel} user
+   * @param {String} newEmail The requested email address
+   * @param {String} token The confirm token
+   * @returns {Object|null} The sent mail's info, or null if it couldn't be sent
+   */
+  static async SendEmailChangeConfirmation( user, newEmail, token ) {
+    return await MailerHelper.SendTemplate( newEmail, MailTemplates.EMAIL_CHANGE_CONFIRM, user.locale, {
+      name                                  : user.forename || user.username,
+      link                                  : `${ CLIENT_URL }/email/change/confirm/${ token }`,
+    })
+  }
+
+  /**
+   * @method MailerHelper.SendEmailChangeRevert
+   * @description Notifies the current address about an email change, with the link reverting it
+   * @param {UserModel} user
+   * @param {String} newEmail The requested email address
+   * @param {String} token The revert token
+   * @returns {Object|null} The sent mail's info, or null if it couldn't be sent
+   */
+  static async SendEmailChangeRevert( user, newEmail, token ) {
+    return await MailerHelper.SendTemplate( user.email, MailTemplates.EMAIL_CHANGE_REVERT, user.locale, {
+      name                                  : user.forename || user.username,
+      newEmail                              : newEmail,
+      link                                  : `${ CLIENT_URL }/email/change/revert/${ token }`,
+    })
+  }
+
+  /**
+   * @method MailerHelper.SendNewLoginAlert
+   * @description Alerts a user about a login from a device (IP address and user agent) they haven't logged in from before
+   * @param {UserModel} user
+   * @param {Object} login
+   * @param {String} login.ipAddress
+   * @param {String} login.userAgent
+   * @param {Date} login.time
+   * @returns {Object|null} The sent mail's info, or null if it couldn't be sent
+   */
+  static async SendNewLoginAlert( user, { ipAddress, userAgent, time = new Date() } ) {
+    return await MailerHelper.SendTemplate( user.email, MailTemplates.NEW_LOGIN, user.locale, {
+      name                                  : user.forename || user.username,
+      ipAddress                             : ipAddress,
+      userAgent                             : userAgent,
+      time                                  : time,
+      link                                  : `${ CLIENT_URL }/account/security`,
+    })
+  }
+
+  /**
+   * @method MailerHelper.SendAccountDeleted
+   * @description Tells a user their account, and their data, has been deleted. Send it before the user is purged,
+   * or with the user as it was
+   * @param {UserModel} user
+   * @returns {Object|null} The sent mail's info, or null if it couldn't be sent
+   */
+  static async SendAccountDeleted( user ) {
+    return await MailerHelper.SendTemplate( user.email, MailTemplates.ACCOUNT_DELETED, user.locale, {
+      name                                  : user.forename || user.username,
+    })
+  }
+
+  /**
+   * @method MailerHelper.SendSecurityNotice
+   * @description Notifies a user about a security event on their account (see SecurityEventHelper)
+   * @param {UserModel} user
+   * @param {SecurityEventModel} securityEvent
+   * @returns {Object|null} The sent mail's info, or null if it couldn't be sent
+   */
+  static async SendSecurityNotice( user, securityEvent ) {
+    return await MailerHelper.SendTemplate( user.email, MailTemplates.SECURITY_EVENT, user.locale, {
+      name                                  : user.forename || user.username,
+      eventType                             : securityEvent.type,
+      meta                                  : securityEvent.meta,
+      time                                  : securityEvent.createdAt,
+      ipAddress                             : securityEvent.ipAddress,
+      userAgent                             : securityEvent.userAgent,
+      link                                  : `${ CLIENT_URL }/account/security`,
+    })
+  }
+}
+
+export {
+  MailerHelper as default,
+}
@@ -0,0 +1,312 @@
+import crypto from 'crypto'
+import jwt from 'jsonwebtoken'
+
+import { API_URL } from '../configs/Environment.config.js'
+import OAuthProviders from '../configs/OAuth.config.js'
+
+import CookieHelper, { CookieNames } from './Cookie.helper.js'
+import CryptoHelper from './Crypto.helper.js'
+import CustomErrorHelper from './Error.helper.js'
+import StatusCodes from './StatusCodes.helper.js'
+import TimeHelper from './Time.helper.js'
+
+// Map to hold discovered OpenID Connect configurations, by issuer
+const discoveryCache                        = new Map()
+
+/**
+ * @class OAuthHelper
+ * @classdesc Contains all methods related to logging in with OAuth2 / OpenID Connect providers (authorization code + PKCE)
+ *
+ * @method OAuthHelper.GetProvider Get an enabled provider from the registry
+ * @method OAuthHelper.GetEnabledProviders Get the names of all enabled providers
+ * @method OAuthHelper.GetEndpoints Get the provider's endpoints, discovered from the issuer if needed
+ * @method OAuthHelper.RedirectUri Get the provider's redirect (callback) uri
+ * @method OAuthHelper.GeneratePkce Generate a PKCE code verifier and challenge
+ * @method OAuthHelper.StoreState Store the state, code verifier and provider in a cookie
+ * @method OAuthHelper.ConsumeState Validate and remove the stored state
+ * @method OAuthHelper.AuthorizationUrl Build the provider's authorization url
+ * @method OAuthHelper.ExchangeCode Exchange the authorization code for tokens
+ * @method OAuthHelper.IdTokenClaims Get the claims of the ID token in the token response
+ * @method OAuthHelper.FetchProfile Fetch and map the user's profile from the provider
+ */
+class OAuthHelper {
+
+  /**
+   * @method OAuthHelper.GetProvider
+   * @description Get an enabled provider from the registry
+   * @param {Request} req
+   * @param {String} name The provider's name
+   * @returns {Object} The provider's settings
+   */
+  static GetProvider( req, name ) {
+    const provider                          = Object.hasOwn( OAuthProviders, name ) ? OAuthProviders[ name ] : null
+
+    // If the provider doesn't exist, or isn't configured
+    if( !provider || !provider.clientId )
+      throw new CustomErrorHelper( req.t('oauth.provider.notFound'), StatusCodes.NOT_FOUND )
+
+    return provider
+  }
+
+  /**
+   * @method OAuthHelper.GetEnabledProviders
+   * @description Get the names of all enabled (configured) providers
+   * @returns {String[]} The provider names
+   */
+  static GetEnabledProviders() {
+    return Object.values( OAuthProviders ).filter( provider => provider.clientId ).map( provider => provider.name )
+  }
+
+  /**
+   * @method OAuthHelper.GetEndpoints
+   * @description Get the provider's endpoints. Endpoints that aren't configured are discovered from the issuer's
+   * /.well-known/openid-configuration (and cached)
+   * @param {Object} provider The provider's settings
+   * @returns {Object} The authorization, token and userinfo endpoints
+   */
+  static async GetEndpoints( provider ) {
+    let discovered                          = {}
+
+    // Discover the missing endpoints from the issuer
+    if( provider.issuer && ( !provider.authorizationEndpoint || !provider.tokenEndpoint || !provider.userinfoEndpoint ) ) {
+      if( !discoveryCache.has( provider.issuer ) ) {
+        const response                      = await fetch( `${ provider.issuer.replace( /\/+$/, '' ) }/.well-known/openid-configuration`, {
+          signal                            : AbortSignal.timeout( TimeHelper.TenSeconds ),
+        })
+
+        if( !response.ok )
+          throw new Error( `OpenID Connect discovery failed for ${ provider.issuer }` )
+
+        discoveryCache.set( provider.issuer, await response.json() )
+      }
+
+      discovered                            = discoveryCache.get( provider.issuer )
+    }
+
+    return {
+      authorizationEndpoint                 : provider.authorizationEndpoint || discovered.authorization_endpoint,
+      tokenEndpoint                         : provider.tokenEndpoint || discovered.token_endpoint,
+      userinfoEndpoint                      : provider.userinfoEndpoint || discovered.userinfo_endpoint,
+    }
+  }
+
+  /**
+   * @method OAuthHelper.RedirectUri
+   * @description Get the provider's redirect (callback) uri
+   * @param {Object} provider The provider's settings
+   * @returns {String} The redirect uri
+   */
+  static RedirectUri( provider ) {
+    return `${ API_URL }/api/auth/oauth/${ provider.name }/callback`
+  }
+
+  /**
+   * @method OAuthHelper.GeneratePkce
+   * @description Generate a PKCE (RFC 7636) code verifier, and its S256 code challenge
+   * @returns {Object} The code verifier and code challenge
+   */
+  static GeneratePkce() {
+    const codeVerifier                      = crypto.randomBytes( 32 ).toString( 'base64url' )
+    const codeChallenge                     = crypto.createHash( 'sha256' ).update( codeVerifier ).digest( 'base64url' )
+
+    return { codeVerifier, codeChallenge }
+  }
+
+  /**
+   * @method OAuthHelper.StoreState
+   * @description Store the state, code verifier and provider in an encrypted cookie. A cookie (SameSite=Lax) is used
+   * instead of the session, since the session cookie (SameSite=Strict) isn't sent on the redirect back from the provider
+   * @param {Response} res
+   * @param {Object} data The state, code verifier and provider name
+   * @returns {void}
+   */
+  static StoreState( res, data ) {
+    CookieHelper.SetOAuthStateCookie( res, CryptoHelper.Encrypt( JSON.stringify({
+      ...data,
+      expiresAt                             : Date.now() + TimeHelper.FifteenMinutes,
+    })))
+  }
+
+  /**
+   * @method OAuthHelper.ConsumeState
+   * @description Validate the state returned by the provider against the stored one, and remove it
+   * @param {Request} req
+   * @param {Response} res
+   * @param {Object} provider The provider's settings
+   * @param {String} state The state returned by the provider
+   * @returns {Object} The stored state (with the code verifier)
+   */
+  static ConsumeState( req, res, provider, state ) {
+    let stored                              = null
+
+    try {
+      stored                                = JSON.parse( CryptoHelper.Decrypt( CookieHelper.GetOAuthStateCookie( req, res ) ) )
+    } catch ( error ) {
+      stored                                = null
+    }
+
+    // The state can only be used once
+    CookieHelper.ClearCookie( res, CookieNames.OAUTH_STATE, true )
+
+    const stateBuffer                       = Buffer.from( String( state || '' ) )
+    const storedBuffer                      = Buffer.from( String( stored?.state || '' ) )
+
+    // If the state is missing, expired, for another provider or doesn't match
+    if(
+      !stored ||
+      stored.provider !== provider.name ||
+      Date.now() > stored.expiresAt ||
+      stateBuffer.length !== storedBuffer.length ||
+      !crypto.timingSafeEqual( stateBuffer, storedBuffer )
+    )
+      throw new CustomErrorHelper( req.t('oauth.state.invalid') )
+
+    return stored
+  }
+
+  /**
+   * @method OAuthHelper.AuthorizationUrl
+   * @description Build the provider's authorization url, and store the state and code verifier
+   * @param {Request} req
+   * @param {Response} res
+   * @param {Object} provider The provider's settings
+   * @returns {String} The authorization url to redirect the user to
+   */
+  static async AuthorizationUrl( req, res, provider ) {
+    const { authorizationEndpoint }         = await this.GetEndpoints( provider )
+    const { codeVerifier, codeChallenge }   = this.GeneratePkce()
+    const state                             = crypto.randomBytes( 16 ).toString( 'base64url' )
+
+    // Store the state and code verifier, for the callback
+    this.StoreState( res, { state, codeVerifier, provider: provider.name } )
+
+    const params                            = new URLSearchParams({
+      response_type                         : 'code',
+      client_id                             : provider.clientId,
+      redirect_uri                          : this.RedirectUri( provider ),
+      scope                                 : provider.scope,
+      state                                 : state,
+      code_challenge                        : codeChallenge,
+      code_challenge_method                 : 'S256',
+    })
+
+    return `${ authorizationEndpoint }?${ params.toString() }`
+  }
+
+  /**
+   * @method OAuthHelper.ExchangeCode
+   * @description Exchange the authorization code (and code verifier) for tokens
+   * @param {Request} req
+   * @param {Object} provider The provider's settings
+   * @param {String} code The authorization code
+   * @param {String} codeVerifier The PKCE code verifier
+   * @returns {Object} The token response
+   */
+  static async ExchangeCode( req, provider, code, codeVerifier ) {
+    const { tokenEndpoint }                 = await this.GetEndpoints( provider )
+
+    const response                          = await fetch( tokenEndpoint, {
+      method                                : 'POST',
+      headers                               : {
+        'Content-Type'                      : 'application/x-www-form-urlencoded',
+        Accept                              : 'application/json',
+      },
+      body                                  : new URLSearchParams({
+        grant_type                          : 'authorization_code',
+        code                                : String( code ),
+        redirect_uri                        : this.RedirectUri( provider ),
+        client_id                           : provider.clientId,
+        ...( provider.clientSecret && { client_secret: provider.clientSecret } ),
+        code_verifier                       : codeVerifier,
+      }),
+      signal                                : AbortSignal.timeout( TimeHelper.TenSeconds ),
+    })
+
+    const tokens                            = await response.json().catch( () => ({}) )
+
+    // If the code couldn't be exchanged
+    if( !response.ok || !tokens.access_token )
+      throw new CustomErrorHelper( req.t('oauth.code.invalid'), StatusCodes.UNAUTHORIZED )
+
+    return tokens
+  }
+
+  /**
+   * @method OAuthHelper.IdTokenClaims
+   * @description Get the claims of the ID token in the token response. The token comes straight from the provider's
+   * token endpoint (over TLS), so its signature isn't verified (OpenID Connect Core 3.1.3.7), but it has to be issued
+   * to this client and unexpired
+   * @param {Object} provider The provider's settings
+   * @param {Object} tokens The token response
+   * @returns {Object} The ID token's claims, or an empty object if there is no (valid) ID token
+   */
+  static IdTokenClaims( provider, tokens ) {
+    const claims                            = tokens.id_token ? jwt.decode( tokens.id_token ) : null
+
+    // If there is no ID token, or it can't be decoded
+    if( !claims || typeof claims !== 'object' )
+      return {}
+
+    const audiences                         = [ claims.aud ].flat()
+
+    // If the ID token was issued to another client, or has expired
+    if( !audiences.includes( provider.clientId ) || ( claims.exp && claims.exp * 1000 < Date.now() ) )
+      return {}
+
+    return claims
+  }
+
+  /**
+   * @method OAuthHelper.FetchProfile
+   * @description Fetch the user's profile from the provider's userinfo endpoint, and map it with the provider's
+   * mapProfile (which also gets the ID token's claims, for the claims only the ID token has)
+   * @param {Request} req
+   * @param {Object} provider The provider's settings
+   * @param {Object} tokens The token response
+   * @returns {Object} The profile: { subject, email, emailVerified, username, forename, surname }
+   */
+  static async FetchProfile( req, provider, tokens ) {
+    const { userinfoEndpoint }              = await this.GetEndpoints( provider )
+
+    const headers                           = {
+      Authorization                         : `Bearer ${ tokens.access_token }`,
+      Accept                                : 'application/json',
+    }
+
+    const response                          = await fetch( userinfoEndpoint, { headers, signal: AbortSignal.timeout( TimeHelper.TenSeconds ) } )
+
+    // If the userinfo couldn't be fetched
+    if( !response.ok )
+      throw new CustomErrorHelper( req.t('oauth.profile.failed'), StatusCodes.BAD_GATEWAY )
+
+    const userinfo                          = await response.json()
+
+    // Providers without verified email claims (GitHub) have a separate emails endpoint
+    if( provider.emailsEndpoint ) {
+      const emailsResponse                  = await fetch( provider.emailsEndpoint, { headers, signal: AbortSignal.timeout( TimeHelper.TenSeconds ) } )
+      const emails                          = emailsResponse.ok ? await emailsResponse.json() : []
+      const primary                         = Array.isArray( emails ) ? emails.find( email => email.primary && email.verified ) : null
+
+      userinfo.email                        = primary?.email || userinfo.email
+      userinfo.email_verified               = !!primary
+    }
+
+    // The ID token's claims, only when they are about the same user
+    const claims                            = this.IdTokenClaims( provider, tokens )
+    const profile                           = provider.mapProfile( userinfo, claims.sub === userinfo.sub ? claims : {} )
+
+    // If the provider didn't return a subject
+    if( !profile.subject )
+      throw new CustomErrorHelper( req.t('oauth.profile.failed'), StatusCodes.BAD_GATEWAY )
+
+    return {
+      ...profile,
+      subject                               : String( profile.subject ),
+      email                                 : profile.email ? String( profile.email ).toLowerCase().trim() : null,
+    }
+  }
+}
+
+export {
+  OAuthHelper as default,
+}
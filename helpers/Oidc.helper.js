@@ -0,0 +1,243 @@
+import crypto from 'crypto'
+import ms from 'ms'
+
+import { API_URL, JWT_ACCESS_TOKEN_EXPIRATION } from '../configs/Environment.config.js'
+
+import OidcClientModel from '../models/OidcClient.model.js'
+import OidcRefreshTokenModel from '../models/OidcRefreshToken.model.js'
+import UserModel from '../models/User.model.js'
+
+import { OidcErrorHelper } from './Error.helper.js'
+import KeyRingHelper from './KeyRing.helper.js'
+import StatusCodes from './StatusCodes.helper.js'
+
+/**
+ * @constant OidcScopes - Supported scopes
+ * @type {String[]}
+ */
+const OidcScopes                            = [ 'openid', 'profile', 'email' ]
+
+/**
+ * @constant OidcExpirationTime - OpenID Connect Token Expiration Time
+ * @type {Object}
+ * @property {String} ACCESS_TOKEN - Access Token Expiration Time (15 minutes)
+ * @property {String} ID_TOKEN - ID Token Expiration Time (15 minutes)
+ */
+const OidcExpirationTime                    = {
+  ACCESS_TOKEN                              : JWT_ACCESS_TOKEN_EXPIRATION || '15m', // 15 minutes
+  ID_TOKEN                                  : '15m', // 15 minutes
+}
+
+/**
+ * @class OidcHelper
+ * @classdesc Contains all methods related to acting as an OpenID Connect provider, for other (registered) apps
+ *
+ * @method OidcHelper.Discovery Returns the OpenID Connect discovery document
+ * @method OidcHelper.ParseScopes Parses a space separated scope string
+ * @method OidcHelper.AuthenticateClient Authenticates the client at the token endpoint
+ * @method OidcHelper.VerifyPkce Verifies a PKCE code verifier against the code challenge
+ * @method OidcHelper.Claims Returns the user's claims for the granted scopes
+ * @method OidcHelper.Sign Signs a token with the RS256 key pair
+ * @method OidcHelper.VerifyAccessToken Verifies an access token issued to a client
+ * @method OidcHelper.IssueTokens Issues the access token, ID token and refresh token of a grant
+ */
+class OidcHelper {
+
+  /**
+   * @method OidcHelper.Discovery
+   * @description Returns the OpenID Connect discovery document (/.well-known/openid-configuration)
+   * @returns {Object} The discovery document
+   */
+  static Discovery() {
+    return {
+      issuer                                : API_URL,
+      authorization_endpoint                : `${ API_URL }/authorize`,
+      token_endpoint                        : `${ API_URL }/token`,
+      userinfo_endpoint                     : `${ API_URL }/userinfo`,
+      jwks_uri                              : `${ API_URL }/.well-known/jwks.json`,
+      scopes_supported                      : OidcScopes,
+      response_types_supported              : [ 'code' ],
+      grant_types_supported                 : [ 'authorization_code', 'refresh_token' ],
+      subject_types_supported               : [ 'public' ],
+      id_token_signing_alg_values_supported : [ 'RS256' ],
+      token_endpoint_auth_methods_supported : [ 'client_secret_basic', 'client_secret_post', 'none' ],
+      code_challenge_methods_supported      : [ 'S256' ],
+      claims_supported                      : [ 'sub', 'iss', 'aud', 'exp', 'iat', 'nonce', 'name', 'given_name', 'family_name', 'preferred_username', 'role', 'email', 'email_verified' ],
+    }
+  }
+
+  /**
+   * @method OidcHelper.ParseScopes
+   * @description Parses a space separated scope string, keeping only the supported scopes
+   * @param {String} scope The scope string
+   * @returns {String[]} The unique, supported scopes
+   */
+  static ParseScopes( scope ) {
+    return [ ...new Set( String( scope || '' ).split( ' ' ).filter( value => OidcScopes.includes( value ) ) ) ]
+  }
+
+  /**
+   * @method OidcHelper.AuthenticateClient
+   * @description Authenticates the client at the token endpoint, with client_secret_basic, client_secret_post,
+   * or none (public clients, which must use PKCE)
+   * @param {Request} req
+   * @returns {OidcClientModel} The client
+   */
+  static async AuthenticateClient( req ) {
+    let clientId                            = req.body?.client_id
+    let clientSecret                        = req.body?.client_secret
+
+    // client_secret_basic, from the Authorization header
+    const authorization                     = req.headers.authorization || ''
+
+    if( authorization.startsWith( 'Basic ' ) ) {
+      const [ id, secret ]                  = Buffer.from( authorization.slice( 6 ), 'base64' ).toString().split( ':' )
+
+      clientId                              = decodeURIComponent( id || '' )
+      clientSecret                          = decodeURIComponent( secret || '' )
+    }
+
+    // Attempt to find the client
+    const client                            = clientId
+      ? await OidcClientModel.findOne({ clientId: String( clientId ), isActive: true }).select( '+clientSecret' ).lean()
+      : null
+
+    // If the client was not found
+    if( !client )
+      throw new OidcErrorHelper( 'invalid_client', req.t('oidc.client.invalid'), StatusCodes.UNAUTHORIZED )
+
+    // Confidential clients must authenticate with their secret
+    if( client.isConfidential ) {
+      const expected                        = Buffer.from( client.clientSecret || '' )
+      const received                        = Buffer.from( OidcClientModel.HashSecret( clientSecret || '' ) )
+
+      if( !clientSecret || expected.length !== received.length || !crypto.timingSafeEqual( expected, received ) )
+        throw new OidcErrorHelper( 'invalid_client', req.t('oidc.client.invalid'), StatusCodes.UNAUTHORIZED )
+    }
+
+    return client
+  }
+
+  /**
+   * @method OidcHelper.VerifyPkce
+   * @description Verifies a PKCE (RFC 7636) code verifier against the stored code challenge
+   * @param {String} codeVerifier The code verifier sent to the token endpoint
+   * @param {String} codeChallenge The code challenge sent to the authorization endpoint
+   * @param {String} method The code challenge method (only S256 is supported)
+   * @returns {Boolean} Whether the code verifier matches
+   */
+  static VerifyPkce( codeVerifier, codeChallenge, method ) {
+    if( method !== 'S256' || !codeVerifier || !/^[A-Za-z0-9\-._~]{43,128}$/.test( codeVerifier ) )
+      return false
+
+    const computed                          = Buffer.from( crypto.createHash( 'sha256' ).update( codeVerifier ).digest( 'base64url' ) )
+    const expected                          = Buffer.from( codeChallenge )
+
+    return computed.length === expected.length && crypto.timingSafeEqual( computed, expected )
+  }
+
+  /**
+   * @method OidcHelper.Claims
+   * @description Returns the user's claims for the granted scopes, built from UserModel.SerializeUser
+   * @param {Object} user The user
+   * @param {String[]} scopes The granted scopes
+   * @returns {Object} The claims
+   */
+  static Claims( user, scopes ) {
+    const serialized                        = UserModel.SerializeUser( user )
+
+    return {
+      sub                                   : String( serialized.id ),
+      ...( scopes.includes( 'profile' ) && {
+        name                                : `${ serialized.forename } ${ serialized.surname }`,
+        given_name                          : serialized.forename,
+        family_name                         : serialized.surname,
+        preferred_username                  : serialized.username,
+        role                                : serialized.role,
+        locale                              : serialized.locale,
+      }),
+      ...( scopes.includes( 'email' ) && {
+        email                               : serialized.email,
+        email_verified                      : !!user.isEmailVerified,
+      }),
+    }
+  }
+
+  /**
+   * @method OidcHelper.Sign
+   * @description Signs a token for a client, with the key ring's signing key (the same keys as the session tokens)
+   * @param {Object} payload
+   * @param {String} expiresIn
+   * @param {String} audience The client's id
+   * @param {String} type The token type header (JWT for ID tokens, at+jwt for access tokens)
+   * @returns {String} The signed token
+   */
+  static Sign( payload, expiresIn, audience, type = 'JWT' ) {
+    return KeyRingHelper.Sign( payload, {
+      issuer                                : API_URL,
+      audience                              : audience,
+      expiresIn                             : expiresIn,
+      header                                : { typ: type },
+    })
+  }
+
+  /**
+   * @method OidcHelper.VerifyAccessToken
+   * @description Verifies an access token issued to a client. ID tokens and session tokens are rejected
+   * @param {Request} req
+   * @param {String} token
+   * @returns {Object} The access token's payload
+   */
+  static VerifyAccessToken( req, token ) {
+    try {
+      const { header, payload }             = KeyRingHelper.Verify( token, {
+        issuer                              : API_URL,
+        complete                            : true,
+      })
+
+      if( header.typ !== 'at+jwt' )
+        throw new Error( 'Not an access token' )
+
+      return payload
+
+    } catch ( error ) {
+      throw new OidcErrorHelper( 'invalid_token', req.t('oidc.token.invalid'), StatusCodes.UNAUTHORIZED )
+    }
+  }
+
+  /**
+   * @method OidcHelper.IssueTokens
+   * @description Issues the access token, ID token (when the openid scope is granted) and refresh token of a grant
+   * @param {Object} client The client
+   * @param {Object} user The user
+   * @param {String[]} scopes The granted scopes
+   * @param {String} nonce The nonce sent to the authorization endpoint
+   * @returns {Object} The token response
+   */
+  static async IssueTokens( client, user, scopes, nonce = null ) {
+    const accessToken                       = this.Sign({
+      sub                                   : String( user._id ),
+      client_id                             : client.clientId,
+      scope                                 : scopes.join( ' ' ),
+    }, OidcExpirationTime.ACCESS_TOKEN, client.clientId, 'at+jwt' )
+
+    return {
+      access_token                          : accessToken,
+      token_type                            : 'Bearer',
+      expires_in                            : Math.floor( ms( OidcExpirationTime.ACCESS_TOKEN ) / 1000 ),
+      scope                                 : scopes.join( ' ' ),
+      refresh_token                         : await OidcRefreshTokenModel.Generate( user._id, client.clientId, scopes ),
+      ...( scopes.includes( 'openid' ) && {
+        id_token                            : this.Sign({
+          ...this.Claims( user, scopes ),
+          ...( nonce && { nonce } ),
+        }, OidcExpirationTime.ID_TOKEN, client.clientId ),
+      }),
+    }
+  }
+}
+
+export {
+  OidcHelper as default,
+  OidcScopes,
+}
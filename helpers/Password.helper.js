@@ -1,4 +1,5 @@
 import argon2 from 'argon2'
+import crypto from 'crypto'
 
 /**
  * @class PasswordHelper
@@ -6,6 +7,8 @@ import argon2 from 'argon2'
  * 
  * @method PasswordHelper.Hash Hashes the password
  * @method PasswordHelper.Verify Verifies the password
+ * @method PasswordHelper.GenerateRecoveryCodes Generates one-time recovery codes, and their hashes
+ * @method PasswordHelper.ConsumeRecoveryCode Finds the hash matching a recovery code
  */
 class PasswordHelper {
 
@@ -37,6 +40,61 @@ class PasswordHelper {
       throw error
     }
   }
+
+  /**
+   * @method PasswordHelper.GenerateRecoveryCodes
+   * @description Generates one-time recovery codes (formatted xxxxx-xxxxx), and their argon2 hashes
+   * @param {Number} count The number of recovery codes to generate
+   * @returns {Object} The plain codes (only shown to the user once) and the hashes (stored)
+   */
+  static async GenerateRecoveryCodes( count = 10 ) {
+    try {
+
+      // Generate the plain codes
+      const codes                           = Array.from( { length: count }, () => {
+        const code                          = crypto.randomBytes( 5 ).toString( 'hex' )
+
+        return `${ code.slice( 0, 5 ) }-${ code.slice( 5 ) }`
+      })
+
+      // Hash every code
+      const hashes                          = await Promise.all( codes.map( code => this.Hash( code ) ) )
+
+      return { codes, hashes }
+
+    } catch ( error ) {
+      throw error
+    }
+  }
+
+  /**
+   * @method PasswordHelper.ConsumeRecoveryCode
+   * @description Finds the hash matching a recovery code
+   * @param {String[]} hashes The stored recovery code hashes
+   * @param {String} code The recovery code (unhashed) to look for
+   * @returns {Number} The index of the matching hash, or -1 if none matches
+   */
+  static async ConsumeRecoveryCode( hashes = [], code ) {
+    try {
+
+      // Normalize the code, so it can be entered with or without the dash, and in any casing
+      const input                           = String( code || '' ).trim().toLowerCase().replace( /[^a-f0-9]/g, '' )
+
+      // If the code isn't the right format
+      if( input.length !== 10 )
+        return -1
+
+      for( let index = 0; index < hashes.length; index++ ) {
+        if( await this.Verify( hashes[ index ], `${ input.slice( 0, 5 ) }-${ input.slice( 5 ) }` ) )
+          return index
+      }
+
+      return -1
+
+    } catch ( error ) {
+      throw error
+    }
+  }
 }
 
 export {
@@ -0,0 +1,142 @@
+import mongoose from 'mongoose'
+
+import RefreshTokenModel from '../models/RefreshToken.model.js'
+import RoleModel from '../models/Role.model.js'
+import UserModel from '../models/User.model.js'
+
+import TimeHelper from './Time.helper.js'
+
+// How long the role→permissions map is cached, before it's read from the database again
+const CacheDuration                         = TimeHelper.OneMinute
+
+// The cached role→permissions map
+let rolePermissions                         = {
+  roles                                     : null,
+  loadedAt                                  : 0,
+}
+
+/**
+ * @class PermissionHelper
+ * @classdesc Contains all methods related to permissions. Permissions are "<resource>:<action>:<scope>", and a role's
+ * permissions are stored in the roles collection. A "self" permission is only granted when the route's ownership check
+ * (one of the Self* methods) passes
+ *
+ * @method PermissionHelper.GetRolePermissions Returns the permissions of a role
+ * @method PermissionHelper.ClearCache Clears the cached role→permissions map
+ * @method PermissionHelper.IsAllowed Whether the permissions allow the required permission
+ * @method PermissionHelper.SelfById Ownership check, by a user id route parameter
+ * @method PermissionHelper.SelfByEmail Ownership check, by an email route parameter
+ * @method PermissionHelper.SelfByUsername Ownership check, by a username route parameter
+ * @method PermissionHelper.SelfByRefreshToken Ownership check, by a refresh token id route parameter
+ */
+class PermissionHelper {
+
+  /**
+   * @method PermissionHelper.GetRolePermissions
+   * @description Returns the permissions of a role, from the (cached) role→permissions map
+   * @param {String} role
+   * @returns {String[]} The role's permissions (empty for an unknown role)
+   */
+  static async GetRolePermissions( role ) {
+
+    // (Re)load the role→permissions map, when it's not cached or the cache has expired
+    if( !rolePermissions.roles || Date.now() - rolePermissions.loadedAt > CacheDuration ) {
+      const roles                           = await RoleModel.find().lean()
+
+      rolePermissions                       = {
+        roles                               : Object.fromEntries( roles.map( ({ name, permissions }) => [ name, permissions ] ) ),
+        loadedAt                            : Date.now(),
+      }
+    }
+
+    return rolePermissions.roles[ role ] || []
+  }
+
+  /**
+   * @method PermissionHelper.ClearCache
+   * @description Clears the cached role→permissions map, so changed roles apply right away
+   * @returns {void}
+   */
+  static ClearCache() {
+    rolePermissions                         = { roles: null, loadedAt: 0 }
+  }
+
+  /**
+   * @method PermissionHelper.IsAllowed
+   * @description Whether the permissions allow the required permission. The "any" scope always allows it, the "self"
+   * scope only when the ownership check passes. Without an ownership check, a required "self" permission concerns
+   * the user's own record (e.g. /me routes), and a required "any" permission can't be met by "self"
+   * @param {Request} req
+   * @param {mongoose.ObjectId} userId
+   * @param {String[]} permissions The user's permissions
+   * @param {String} permission The required permission
+   * @param {Function} isSelf The ownership check, ( req, userId ) => Boolean
+   * @returns {Boolean}
+   */
+  static async IsAllowed( req, userId, permissions, permission, isSelf = null ) {
+    const [ resource, action, scope ]       = permission.split( ':' )
+
+    // If the user may do it to any record
+    if( permissions.includes( `${ resource }:${ action }:any` ) )
+      return true
+
+    // If the user may only do it to their own records
+    if( permissions.includes( `${ resource }:${ action }:self` ) )
+      return isSelf ? !!await isSelf( req, userId ) : scope === 'self'
+
+    return false
+  }
+
+  /**
+   * @method PermissionHelper.SelfById
+   * @description Ownership check, passing when the user id route parameter is the user's own id
+   * @param {String} param The route parameter
+   * @returns {Function} The ownership check
+   */
+  static SelfById( param = 'id' ) {
+    return ( req, userId ) => String( req.params[ param ] ) === String( userId )
+  }
+
+  /**
+   * @method PermissionHelper.SelfByEmail
+   * @description Ownership check, passing when the email route parameter is the user's own email
+   * @param {String} param The route parameter
+   * @returns {Function} The ownership check
+   */
+  static SelfByEmail( param = 'email' ) {
+    return async ( req, userId ) => {
+      const user                            = await UserModel.findById( userId, { email: 1 } ).lean()
+
+      return !!user && user.email === String( req.params[ param ] ).toLowerCase().trim()
+    }
+  }
+
+  /**
+   * @method PermissionHelper.SelfByUsername
+   * @description Ownership check, passing when the username route parameter is the user's own username
+   * @param {String} param The route parameter
+   * @returns {Function} The ownership check
+   */
+  static SelfByUsername( param = 'username' ) {
+    return async ( req, userId ) => {
+      const user                            = await UserModel.findById( userId, { username: 1 } ).lean()
+
+      return !!user && user.username === String( req.params[ param ] )
+    }
+  }
+
+  /**
+   * @method PermissionHelper.SelfByRefreshToken
+   * @description Ownership check, passing when the refresh token id route parameter is one of the user's refresh tokens
+   * @param {String} param The route parameter
+   * @returns {Function} The ownership check
+   */
+  static SelfByRefreshToken( param = 'tokenId' ) {
+    return async ( req, userId ) => mongoose.isValidObjectId( req.params[ param ] )
+      && !!await RefreshTokenModel.exists({ _id: req.params[ param ], userId: userId })
+  }
+}
+
+export {
+  PermissionHelper as default,
+}
@@ -8,12 +8,13 @@ import StatusCodes from './StatusCodes.helper.js'
  * 
  * @method ResponseHelper.Success Success Response method
  * @method ResponseHelper.Error Error Response method
+ * @method ResponseHelper.Download Download Response method
  */
 class ResponseHelper {
 
   /**
    * @method ResponseHelper.Success
-   * @description Success Response
+   * @description Success Response. Tokens issued to a bearer client (res.locals.tokens) are included as well
    * @param {Response} res 
    * @param {String} message The success message
    * @param {*} data Data to pass along (e.g. user data)
@@ -23,12 +24,13 @@ class ResponseHelper {
   static Success( res, message, status = StatusCodes.OK, data, key = 'data' ) {
     try {
 
-      // Returns a success response, with a message, status, and/or data
+      // Returns a success response, with a message, status, and/or data (and/or tokens)
       return res
         .status( status )
         .json({
           ...( message && { message } ),
           ...( data && { [ key ]: data } ),
+          ...( res.locals?.tokens && { tokens: res.locals.tokens } ),
         })
 
     } catch ( error ) {
@@ -42,15 +44,43 @@ class ResponseHelper {
    * @param {Response} res 
    * @param {String} message The error message
    * @param {Number} status HTTP status code
+   * @param {Object[]} errors Every error, as { field, message } (e.g. the failed validators)
    * @returns {Response} Express response
    */
-  static Error( res, message, status = StatusCodes.BAD_REQUEST ) {
+  static Error( res, message, status = StatusCodes.BAD_REQUEST, errors = null ) {
     try {
 
-      // Returns an error response, with a message and status
+      // Returns an error response, with a message and status (and/or every error)
       return res
         .status( status )
-        .json({ message })
+        .json({
+          message,
+          ...( errors && { errors } ),
+        })
+
+    } catch ( error ) {
+      return console.error( error )
+    }
+  }
+
+  /**
+   * @method ResponseHelper.Download
+   * @description Download Response, sending the content as a file attachment
+   * @param {Response} res 
+   * @param {String} filename The filename the browser saves the file as
+   * @param {String|Buffer} content The file's content
+   * @param {String} type The file's content type
+   * @returns {Response} Express response
+   */
+  static Download( res, filename, content, type = 'application/json' ) {
+    try {
+
+      // Returns the content as an attachment
+      return res
+        .status( StatusCodes.OK )
+        .attachment( filename )
+        .type( type )
+        .send( content )
 
     } catch ( error ) {
       return console.error( error )
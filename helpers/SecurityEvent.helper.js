@@ -0,0 +1,79 @@
+import SecurityEventModel from '../models/SecurityEvent.model.js'
+import UserModel from '../models/User.model.js'
+
+import MailerHelper from './Mailer.helper.js'
+import UserHelper from './User.helper.js'
+
+/**
+ * @constant SecurityEventTypes Security Event Types
+ * @type {Object}
+ */
+const SecurityEventTypes                    = {
+  ACCOUNT_DELETION_CANCELLED                : 'account.deletionCancelled',
+  ACCOUNT_DELETION_SCHEDULED                : 'account.deletionScheduled',
+  ACCOUNT_LOCKED                            : 'account.locked',
+  ACCOUNT_UNLOCKED                          : 'account.unlocked',
+  EMAIL_CHANGE_REQUESTED                    : 'emailChange.requested',
+  EMAIL_CHANGE_REVERTED                     : 'emailChange.reverted',
+  EMAIL_CHANGED                             : 'email.changed',
+  PERSONAL_ACCESS_TOKEN_CREATED             : 'personalAccessToken.created',
+  PERSONAL_ACCESS_TOKEN_REVOKED             : 'personalAccessToken.revoked',
+  PERSONAL_DATA_EXPORTED                    : 'personalData.exported',
+  RECOVERY_CODE_USED                        : 'recoveryCode.used',
+  RECOVERY_CODES_REGENERATED                : 'recoveryCodes.regenerated',
+  REFRESH_TOKEN_REUSED                      : 'refreshToken.reused',
+}
+
+/**
+ * @class SecurityEventHelper
+ * @classdesc Contains all methods related to security events (notices about security relevant actions on an account)
+ *
+ * @method SecurityEventHelper.Emit Records a security event for a user, and notifies them by mail
+ */
+class SecurityEventHelper {
+
+  /**
+   * @method SecurityEventHelper.Emit
+   * @description Records a security event for a user, and mails them the notice. Never throws, so a failing notice
+   * can't break the request
+   * @param {Request} req
+   * @param {Response} res
+   * @param {mongoose.ObjectId} userId The user the event concerns
+   * @param {String} type One of SecurityEventTypes
+   * @param {Object} meta Additional details about the event
+   * @param {Boolean} notify Whether to mail the notice (false when the user gets a mail about it of its own)
+   * @returns {Mongoose.Document|null} The security event record
+   */
+  static async Emit( req, res, userId, type, meta = {}, notify = true ) {
+    try {
+
+      // Record the security event
+      const securityEvent                   = await SecurityEventModel.create({
+        userId                              : userId,
+        type                                : type,
+        ipAddress                           : UserHelper.GetIpAddress( req, res ),
+        userAgent                           : UserHelper.GetUserAgent( req, res ),
+        meta                                : meta,
+      })
+
+      // Attempt to find the user (only to notify them)
+      const user                            = notify ? await UserModel.findById( userId ).lean() : null
+
+      // Mail the notice to the user (not awaited, the mail can't fail the request)
+      if( user )
+        MailerHelper.SendSecurityNotice( user, securityEvent )
+
+      return securityEvent
+
+    } catch ( error ) {
+      console.error( `Error emitting security event: ${ error }` )
+
+      return null
+    }
+  }
+}
+
+export {
+  SecurityEventHelper as default,
+  SecurityEventTypes,
+}
@@ -9,6 +9,7 @@
  * @property {Number} TenSeconds - 10 seconds
  * @property {Number} OneMinute - 1 minute
  * @property {Number} ThreeMinutes - 3 minutes
+ * @property {Number} FiveMinutes - 5 minutes
  * @property {Number} FifteenMinutes - 15 minutes
  * @property {Number} OneHour - 1 hour
  * @property {Number} OneDay - 1 day
@@ -22,6 +23,7 @@ const TimeHelper                            = {
   TenSeconds                                : 1000 * 10, // 10 seconds
   OneMinute                                 : 1000 * 60, // 1 minute
   ThreeMinutes                              : 1000 * 60 * 3, // 3 minutes
+  FiveMinutes                               : 1000 * 60 * 5, // 5 minutes
   FifteenMinutes                            : 1000 * 60 * 15, // 15 minutes
   OneHour                                   : 1000 * 60 * 60, // 1 hour
   OneDay                                    : 1000 * 60 * 60 * 24, // 1 day
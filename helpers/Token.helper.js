@@ -1,19 +1,24 @@
-import jwt from 'jsonwebtoken'
 import ms from 'ms'
-
-import { PRIVATE_KEY, PUBLIC_KEY } from '../app.js'
+import { v4 as uuidv4 } from 'uuid'
 
 import AuthController from '../controllers/Auth.controller.js'
 
-import { JWT_SECRET, JWT_ACCESS_TOKEN_EXPIRATION, JWT_REFRESH_TOKEN_EXPIRATION } from '../configs/Environment.config.js'
+import { JWT_ACCESS_TOKEN_EXPIRATION, JWT_REFRESH_TOKEN_EXPIRATION } from '../configs/Environment.config.js'
 
+import PersonalAccessTokenModel from '../models/PersonalAccessToken.model.js'
 import RefreshTokenModel from '../models/RefreshToken.model.js'
 import TokenBlacklistModel from '../models/TokenBlacklist.model.js'
+import UserModel from '../models/User.model.js'
 
+import AccountHelper from './Account.helper.js'
 import CookieHelper from './Cookie.helper.js'
 import CustomErrorHelper from './Error.helper.js'
+import KeyRingHelper from './KeyRing.helper.js'
+import MailerHelper from './Mailer.helper.js'
 import ResponseHelper from './Response.helper.js'
+import SecurityEventHelper, { SecurityEventTypes } from './SecurityEvent.helper.js'
 import StatusCodes from './StatusCodes.helper.js'
+import TransportHelper from './Transport.helper.js'
 import UserHelper from './User.helper.js'
 import { mongo } from 'mongoose'
 import { token } from 'morgan'
@@ -23,10 +28,14 @@ import { token } from 'morgan'
  * @type {Object}
  * @property {String} ACCESS_TOKEN - Access Token Expiration Time (15 minutes)
  * @property {String} REFRESH_TOKEN - Refresh Token Expiration Time (30 days)
+ * @property {String} TWO_FACTOR_CHALLENGE - Two-factor Challenge Token Expiration Time (5 minutes)
+ * @property {String} MAGIC_LINK - Magic Link Token Expiration Time (15 minutes)
  */
 const ExpirationTime                        = {
   ACCESS_TOKEN                              : JWT_ACCESS_TOKEN_EXPIRATION || '15m', // 15 minutes
   REFRESH_TOKEN                             : JWT_REFRESH_TOKEN_EXPIRATION || '30d', // 30 days
+  TWO_FACTOR_CHALLENGE                      : '5m', // 5 minutes
+  MAGIC_LINK                                : '15m', // 15 minutes
 }
 
 /**
@@ -48,7 +57,20 @@ const ExpirationTime                        = {
  * @method TokenHelper.GetRefreshTokenRecord Get Refresh Token Record method
  * @method TokenHelper.GetRefreshTokenRecords Get all refresh token records
  * @method TokenHelper.RevokeRefreshToken Revoke one or more refresh tokens
+ * @method TokenHelper.BlacklistRefreshTokens Move refresh token records to the token-blacklist
+ * @method TokenHelper.RevokeRefreshTokenFamily Revoke every refresh token of a family
+ * @method TokenHelper.DetectRefreshTokenReuse Revoke the family of a rotated refresh token that is used again
  * @method TokenHelper.ValidateAndDecodeToken Validate And Decode Token method
+ * @method TokenHelper.SignTwoFactorChallengeToken Sign Two-factor Challenge Token method
+ * @method TokenHelper.VerifyTwoFactorChallengeToken Verify Two-factor Challenge Token method
+ * @method TokenHelper.IssueTwoFactorChallenge Issue Two-factor Challenge method
+ * @method TokenHelper.SignMagicLinkToken Sign Magic Link Token method
+ * @method TokenHelper.VerifyMagicLinkToken Verify Magic Link Token method
+ * @method TokenHelper.IsNewDevice Whether a login is from a device the user hasn't logged in from before
+ * @method TokenHelper.IssueSession Issues the access token, refresh token, cookies and session of a login
+ * @method TokenHelper.SetBearerTokens Adds the issued tokens to the response body, for bearer clients
+ * @method TokenHelper.AuthenticateBearer Authenticates a bearer client's access token, against its refresh token record
+ * @method TokenHelper.AuthenticatePersonalAccessToken Authenticates a personal access token, and records its use
  */
 class TokenHelper {
 
@@ -72,7 +94,7 @@ class TokenHelper {
 
   /**
    * @method TokenHelper.Sign
-   * @description Signs the JWT
+   * @description Signs the JWT, with the key ring's signing key (and its kid in the header)
    * @param {mongoose.ObjectId} payload 
    * @param {String} expiresIn 
    * @param {String} jwtId 
@@ -82,7 +104,7 @@ class TokenHelper {
     try {
 
       // Sign the JWT
-      return jwt.sign( payload, { key: PRIVATE_KEY, passphrase: JWT_SECRET }, this.Options( expiresIn, jwtId ) )
+      return KeyRingHelper.Sign( payload, this.Options( expiresIn, jwtId ) )
 
     } catch ( error ) {
       throw new CustomErrorHelper( error.message, StatusCodes.INTERNAL_SERVER_ERROR )
@@ -91,16 +113,20 @@ class TokenHelper {
 
   /**
    * @method TokenHelper.SignAccessToken
-   * @description Signs the Access Token, with the user's id as the payload
+   * @description Signs the Access Token, with the user's id as the payload (and the actor, for an impersonation session)
    * @param {mongoose.ObjectId} payload 
    * @param {String} jwtId 
+   * @param {mongoose.ObjectId} actorId The admin impersonating the user, set as the "act" claim
    * @returns {String} The signed Access Token
    */
-  static SignAccessToken( payload, jwtId ) {
+  static SignAccessToken( payload, jwtId, actorId = null ) {
     try {
 
       // Sign the Access Token, with its expiration time (15 minutes) and jsonwebtoken id
-      return this.Sign( { userId: payload }, ExpirationTime.ACCESS_TOKEN, jwtId )
+      return this.Sign( {
+        userId                              : payload,
+        ...( actorId && { act: { sub: String( actorId ) } } ),
+      }, ExpirationTime.ACCESS_TOKEN, jwtId )
 
     } catch ( error ) {
       throw new CustomErrorHelper( error.message, StatusCodes.INTERNAL_SERVER_ERROR )
@@ -126,7 +152,7 @@ class TokenHelper {
 
   /**
    * @method TokenHelper.VerifyToken
-   * @description Verifies the JWT
+   * @description Verifies the JWT, with the key ring's key matching its kid
    * @param {String} token 
    * @param {String} expiresIn 
    * @param {String} jwtId 
@@ -136,7 +162,7 @@ class TokenHelper {
     try {
 
       // Verify the JWT
-      return await jwt.verify( token, { key: PUBLIC_KEY }, this.Options( expiresIn, jwtId ) )
+      return KeyRingHelper.Verify( token, this.Options( expiresIn, jwtId ) )
 
     } catch ( error ) {
       if( error.name === 'TokenExpiredError' )
@@ -169,7 +195,7 @@ class TokenHelper {
 
   /**
    * @method TokenHelper.GetAccessToken
-   * @description Gets the Access Token, from either req, session or cookie
+   * @description Gets the Access Token, from either req, session or cookie (or the Authorization header, in bearer mode)
    * @param {Request} req 
    * @param {Response} res 
    * @returns {String} The Access Token
@@ -177,6 +203,10 @@ class TokenHelper {
   static GetAccessToken( req, res ) {
     try {
 
+      // Bearer clients send the Access Token in the Authorization header
+      if( TransportHelper.IsBearer( req ) )
+        return req.accessToken || TransportHelper.GetBearerToken( req )
+
       // Get the Access Token from either req, session or cookie
       return req.accessToken || req.session.accessToken || CookieHelper.GetAccessTokenCookie( req, res )
       
@@ -192,9 +222,10 @@ class TokenHelper {
    * @param {Response} res 
    * @param {mongoose.ObjectId} userId 
    * @param {String} jwtId 
+   * @param {mongoose.ObjectId} actorId The admin impersonating the user (only for impersonation sessions)
    * @returns {String} The signed Access Token
    */
-  static GenerateNewAccessToken( req, res, userId, jwtId ) {
+  static GenerateNewAccessToken( req, res, userId, jwtId, actorId = null ) {
     try {
 
       // If the user id is not provided, throw an error
@@ -202,10 +233,11 @@ class TokenHelper {
         throw new CustomErrorHelper( req.t( 'user.id.notFound' ) )
 
       // Generate a new Access Token
-      const accessToken                     = this.SignAccessToken( userId, jwtId || req.session.jwtId )
+      const accessToken                     = this.SignAccessToken( userId, jwtId || req.session.jwtId, actorId )
 
-      // Create the Access Token cookie
-      CookieHelper.SetAccessTokenCookie( res, accessToken )
+      // Create the Access Token cookie (bearer clients get it in the response body)
+      if( !TransportHelper.IsBearer( req ) )
+        CookieHelper.SetAccessTokenCookie( res, accessToken )
 
       req.accessToken                       = req.session.accessToken                     = accessToken
 
@@ -238,7 +270,7 @@ class TokenHelper {
 
   /**
    * @method TokenHelper.GetRefreshToken
-   * @description Gets the Refresh Token, from either req, session or cookie
+   * @description Gets the Refresh Token, from either req, session or cookie (or only req, in bearer mode)
    * @param {Request} req 
    * @param {Response} res 
    * @returns {String} The Refresh Token
@@ -246,6 +278,10 @@ class TokenHelper {
   static GetRefreshToken( req, res ) {
     try {
 
+      // Bearer clients only send the Refresh Token to the refresh endpoint, which binds it to req
+      if( TransportHelper.IsBearer( req ) )
+        return req.refreshToken || null
+
       // Get the Refresh Token from either req, session or cookie
       return req.refreshToken || req.session.refreshToken || CookieHelper.GetRefreshTokenCookie( req, res )
 
@@ -256,7 +292,7 @@ class TokenHelper {
 
   /**
    * @method TokenHelper.GetRefreshTokenId
-   * @description Gets the Refresh Token Id, from either req, session or cookie
+   * @description Gets the Refresh Token Id, from either req, session or cookie (or only req, in bearer mode)
    * @param {Request} req 
    * @param {Response} res 
    * @returns {mongoose.ObjectId} The Refresh Token Id
@@ -264,6 +300,10 @@ class TokenHelper {
   static GetRefreshTokenId( req, res ) {
     try {
 
+      // Bearer clients never send the Refresh Token Id, it's bound to req from the refresh token record
+      if( TransportHelper.IsBearer( req ) )
+        return req.refreshTokenId || null
+
       // Get the Refresh Token Id from either req, session or cookie
       return req.refreshTokenId || req.session.refreshTokenId || CookieHelper.GetRefreshTokenIdCookie( req, res )
 
@@ -278,12 +318,12 @@ class TokenHelper {
    * @param {Request} req 
    * @param {Response} res 
    * @param {mongoose.ObjectId} userId 
-   * @param {String} ipAddress 
-   * @param {String} userAgent 
-   * @param {String} token 
+   * @param {String} familyId The family of the rotated refresh token (a new family is started when empty, e.g. on login)
+   * @param {String} jwtId The jwt id of the access token issued along with it
+   * @param {mongoose.ObjectId} actorId The admin impersonating the user (kept when the refresh token is rotated)
    * @returns {String} The signed Refresh Token
    */
-  static async GenerateNewRefreshToken( req, res, fromMethod = 'GenerateNewRefreshToken', userId ) {
+  static async GenerateNewRefreshToken( req, res, fromMethod = 'GenerateNewRefreshToken', userId, familyId = null, jwtId = null, actorId = null ) {
     try {
 
       // Get the user's id
@@ -292,8 +332,8 @@ class TokenHelper {
       // Get the _current_ device id
       const currentDeviceId                 = UserHelper.GetDeviceId( req, res )
 
-      // Revoke the current refresh token
-      await this.RevokeRefreshToken( req, res, `New refresh token generated by ${ fromMethod }`, currentDeviceId )
+      // Revoke the current refresh token (marked as rotated, when it's replaced within its family)
+      await this.RevokeRefreshToken( req, res, `New refresh token generated by ${ fromMethod }`, currentDeviceId, null, null, !!familyId )
 
       // Generate a new device id
       const {
@@ -313,6 +353,9 @@ class TokenHelper {
       const newRefreshTokenRecord           = new RefreshTokenModel({
         userId                              : uid,
         deviceId                            : newDeviceId,
+        familyId                            : familyId || uuidv4(),
+        jwtId                               : jwtId,
+        actorId                             : actorId,
         salt                                : newSalt,
         ipAddress                           : ipAddress,
         userAgent                           : userAgent,
@@ -323,9 +366,11 @@ class TokenHelper {
       // Save the Refresh Token record
       await newRefreshTokenRecord.save()
 
-      // Create the Refresh Token cookies
-      CookieHelper.SetRefreshTokenCookie( res, newRefreshTokenRecord.token )
-      CookieHelper.SetRefreshTokenIdCookie( res, newRefreshTokenRecord._id )
+      // Create the Refresh Token cookies (bearer clients get the Refresh Token in the response body)
+      if( !TransportHelper.IsBearer( req ) ) {
+        CookieHelper.SetRefreshTokenCookie( res, newRefreshTokenRecord.token )
+        CookieHelper.SetRefreshTokenIdCookie( res, newRefreshTokenRecord._id )
+      }
 
       // Store in session and request
       req.refreshToken                      = req.session.refreshToken                    = newRefreshTokenRecord.token
@@ -364,12 +409,23 @@ class TokenHelper {
         ? await RefreshTokenModel.findOne({ _id: refreshTokenId, userId: userId, deviceId: UserHelper.GetDeviceId( req, res ), token: refreshToken })
         : await RefreshTokenModel.findOne({ _id: refreshTokenId, userId: userId, deviceId: UserHelper.GetDeviceId( req, res ), token: refreshToken }).lean()
 
-      // If the refresh token record was not found
-      if( !refreshTokenRecord )
-        return null
-
       // Check if the refresh token is blacklisted
-      const blacklisted                     = await TokenBlacklistModel.findOne({ token: refreshToken })
+      const blacklisted                     = refreshToken ? await TokenBlacklistModel.findOne({ token: refreshToken }) : null
+
+      // If the refresh token record was not found (a rotated refresh token is deleted, and only kept in the blacklist)
+      if( !refreshTokenRecord ) {
+
+        // A rotated refresh token keeps working within the grace period (requests sent before the rotation still
+        // carry it), with its blacklist record in place of the deleted one
+        if( blacklisted?.rotated && String( blacklisted.userId ) === String( userId ) && blacklisted.graceUntil && Date.now() <= blacklisted.graceUntil.getTime() )
+          return isLean ? blacklisted.toObject() : blacklisted
+
+        // If a rotated refresh token is used again, revoke its family
+        if( blacklisted )
+          await this.DetectRefreshTokenReuse( req, res, blacklisted )
+
+        return null
+      }
 
       // If the refresh token is blacklisted
       if( blacklisted ) {
@@ -378,6 +434,9 @@ class TokenHelper {
         if( blacklisted.graceUntil && Date.now() <= blacklisted.graceUntil.getTime() )
           return refreshTokenRecord
 
+        // If a rotated refresh token is used again, revoke its family
+        await this.DetectRefreshTokenReuse( req, res, blacklisted )
+
         // Return null if it is not within the grace period
         return null
       }
@@ -440,9 +499,12 @@ class TokenHelper {
    * @param {Response} res 
    * @param {NextFunction} next 
    * @param {String} targetDeviceId The target device id to revoke
+   * @param {mongoose.ObjectId} userId Revoke all of the user's refresh tokens (when no target device id is set)
+   * @param {String} exceptDeviceId A device id to leave untouched, when revoking by user id
+   * @param {Boolean} rotated Whether the refresh token(s) are revoked because they were rotated
    * @returns {Object} Success response with the revoked refresh token(s)
    */
-  static async RevokeRefreshToken( req, res, reason, targetDeviceId = null, userId ) {
+  static async RevokeRefreshToken( req, res, reason, targetDeviceId = null, userId, exceptDeviceId = null, rotated = false ) {
     try {
 
       let refreshTokens                     = []
@@ -457,7 +519,31 @@ class TokenHelper {
           : await RefreshTokenModel.find({ deviceId: targetDeviceId })
 
       else if( !targetDeviceId && userId )
-        refreshTokens                       = await RefreshTokenModel.find({ userId: userId })
+        refreshTokens                       = await RefreshTokenModel.find({
+          userId                            : userId,
+          ...( exceptDeviceId && { deviceId: { $ne: exceptDeviceId } } ),
+        })
+
+      // Blacklist and delete the refresh tokens
+      return await this.BlacklistRefreshTokens( req, res, refreshTokens, reason, rotated )
+      
+    } catch ( error ) {
+      throw new CustomErrorHelper( error.message, StatusCodes.INTERNAL_SERVER_ERROR )
+    }
+  }
+
+  /**
+   * @method TokenHelper.BlacklistRefreshTokens
+   * @description Moves refresh token records to the token-blacklist, and deletes them
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {RefreshTokenModel[]} refreshTokens The refresh token records
+   * @param {String} reason 
+   * @param {Boolean} rotated Whether the refresh tokens are revoked because they were rotated
+   * @returns {Object} Success response with the revoked refresh token(s)
+   */
+  static async BlacklistRefreshTokens( req, res, refreshTokens, reason, rotated = false ) {
+    try {
 
       // Initialize an array for the refresh token blacklist
       const blacklistRecords                = []
@@ -478,10 +564,13 @@ class TokenHelper {
         blacklistRecords.push({
           userId                            : tokenRecord.userId,
           deviceId                          : tokenRecord.deviceId,
+          familyId                          : tokenRecord.familyId,
+          actorId                           : tokenRecord.actorId,
           salt                              : tokenRecord.salt,
           token                             : tokenRecord.token,
           ipAddress                         : tokenRecord.ipAddress,
           reason                            : reason,
+          rotated                           : rotated,
           expiresAt                         : tokenRecord.expiresAt,
           meta                              : req.useragent,
         })
@@ -509,6 +598,65 @@ class TokenHelper {
     }
   }
 
+  /**
+   * @method TokenHelper.RevokeRefreshTokenFamily
+   * @description Revokes every refresh token of a family (all tokens rotated from the same login), which logs out
+   * every device holding one of them
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {String} familyId 
+   * @param {String} reason 
+   * @returns {Object} Success response with the revoked refresh token(s)
+   */
+  static async RevokeRefreshTokenFamily( req, res, familyId, reason ) {
+    try {
+
+      // Get the refresh token records of the family
+      const refreshTokens                   = await RefreshTokenModel.find({ familyId: familyId })
+
+      // Blacklist and delete the refresh tokens
+      return await this.BlacklistRefreshTokens( req, res, refreshTokens, reason )
+
+    } catch ( error ) {
+      throw new CustomErrorHelper( error.message, StatusCodes.INTERNAL_SERVER_ERROR )
+    }
+  }
+
+  /**
+   * @method TokenHelper.DetectRefreshTokenReuse
+   * @description Checks whether a blacklisted refresh token is a rotated one, used again after its grace period.
+   * Only one token of a family is valid at a time, so this means it was stolen (by whoever presents it, or whoever
+   * presented it first). The whole family is revoked, and a security event is recorded
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {TokenBlacklistModel} blacklisted The blacklist record of the presented refresh token
+   * @returns {Boolean} Whether reuse was detected
+   */
+  static async DetectRefreshTokenReuse( req, res, blacklisted ) {
+    try {
+
+      // Only rotated refresh tokens, outside the grace period (concurrent requests may still use the old token)
+      if( !blacklisted?.rotated || !blacklisted.familyId || ( blacklisted.graceUntil && Date.now() <= blacklisted.graceUntil.getTime() ) )
+        return false
+
+      // Revoke the whole family
+      const { revokedTokens }               = await this.RevokeRefreshTokenFamily( req, res, blacklisted.familyId, 'Refresh token reuse detected' )
+
+      // Record the security event
+      await SecurityEventHelper.Emit( req, res, blacklisted.userId, SecurityEventTypes.REFRESH_TOKEN_REUSED, {
+        familyId                            : blacklisted.familyId,
+        deviceId                            : blacklisted.deviceId,
+        revokedAt                           : blacklisted.revokedAt,
+        revokedTokens                       : revokedTokens,
+      })
+
+      return true
+
+    } catch ( error ) {
+      throw new CustomErrorHelper( error.message, StatusCodes.INTERNAL_SERVER_ERROR )
+    }
+  }
+
   /**
    * @async
    * @method TokenHelper.ValidateAndDecodeToken
@@ -537,6 +685,292 @@ class TokenHelper {
       return null
     }
   }
+
+  /**
+   * Two-factor challenge token methods
+   *
+   * @method TokenHelper.SignTwoFactorChallengeToken
+   * @description Signs the short-lived token returned by Login, when the user has two-factor authentication enabled.
+   * The payload deliberately has no userId, so it can never pass as an access token
+   * @param {mongoose.ObjectId} userId 
+   * @param {String} challengeId 
+   * @returns {String} The signed challenge token
+   */
+  static SignTwoFactorChallengeToken( userId, challengeId ) {
+    try {
+
+      // Sign the challenge token, with its expiration time (5 minutes) and the challenge id as jsonwebtoken id
+      return this.Sign( { twoFactorUserId: userId, purpose: 'twoFactor' }, ExpirationTime.TWO_FACTOR_CHALLENGE, challengeId )
+
+    } catch ( error ) {
+      throw new CustomErrorHelper( error.message, StatusCodes.INTERNAL_SERVER_ERROR )
+    }
+  }
+
+  /**
+   * @method TokenHelper.VerifyTwoFactorChallengeToken
+   * @description Verifies the two-factor challenge token
+   * @param {String} token 
+   * @returns {Object|null} The decoded challenge token, or null if it's invalid
+   */
+  static async VerifyTwoFactorChallengeToken( token ) {
+    try {
+
+      // Verify the challenge token
+      const decodedToken                    = await this.VerifyToken( token, ExpirationTime.TWO_FACTOR_CHALLENGE )
+
+      // If the token isn't a two-factor challenge token
+      if( !decodedToken || decodedToken.purpose !== 'twoFactor' || !decodedToken.twoFactorUserId || !decodedToken.jti )
+        return null
+
+      return decodedToken
+
+    } catch ( error ) {
+      return null
+    }
+  }
+
+  /**
+   * @method TokenHelper.IssueTwoFactorChallenge
+   * @description Issues a new two-factor challenge for the user. Only the latest challenge of the user can be used
+   * @param {mongoose.ObjectId} userId 
+   * @returns {String} The signed challenge token
+   */
+  static async IssueTwoFactorChallenge( userId ) {
+    try {
+
+      // Challenge id, stored on the user
+      const challengeId                     = uuidv4()
+
+      // Store the challenge id on the user, with no wrong attempts yet
+      await UserModel.updateOne( { _id: userId }, { twoFactorChallengeId: challengeId, twoFactorChallengeAttempts: 0 } )
+
+      // Return the signed challenge token
+      return this.SignTwoFactorChallengeToken( userId, challengeId )
+
+    } catch ( error ) {
+      throw new CustomErrorHelper( error.message, StatusCodes.INTERNAL_SERVER_ERROR )
+    }
+  }
+
+  /**
+   * Magic link token methods
+   *
+   * @method TokenHelper.SignMagicLinkToken
+   * @description Signs the token of a magic (login) link. The payload deliberately has no userId, so it can never pass as an access token
+   * @param {mongoose.ObjectId} userId 
+   * @param {String} tokenId The id of the magic link record, which makes the link single-use
+   * @returns {String} The signed magic link token
+   */
+  static SignMagicLinkToken( userId, tokenId ) {
+    try {
+
+      // Sign the magic link token, with its expiration time (15 minutes) and the token id as jsonwebtoken id
+      return this.Sign( { magicLinkUserId: userId, purpose: 'magicLink' }, ExpirationTime.MAGIC_LINK, tokenId )
+
+    } catch ( error ) {
+      throw new CustomErrorHelper( error.message, StatusCodes.INTERNAL_SERVER_ERROR )
+    }
+  }
+
+  /**
+   * @method TokenHelper.VerifyMagicLinkToken
+   * @description Verifies the magic link token
+   * @param {String} token 
+   * @returns {Object|null} The decoded magic link token, or null if it's invalid
+   */
+  static async VerifyMagicLinkToken( token ) {
+    try {
+
+      // Verify the magic link token
+      const decodedToken                    = await this.VerifyToken( token, ExpirationTime.MAGIC_LINK )
+
+      // If the token isn't a magic link token
+      if( !decodedToken || decodedToken.purpose !== 'magicLink' || !decodedToken.magicLinkUserId || !decodedToken.jti )
+        return null
+
+      return decodedToken
+
+    } catch ( error ) {
+      return null
+    }
+  }
+
+  /**
+   * @method TokenHelper.IsNewDevice
+   * @description Whether a login is from a device the user hasn't logged in from before. A device is known by the
+   * IP address and user agent of the user's sessions (revoked sessions only keep the IP address). A user's first login
+   * isn't from a new device
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {mongoose.ObjectId} userId 
+   * @returns {Boolean}
+   */
+  static async IsNewDevice( req, res, userId ) {
+    const ipAddress                         = UserHelper.GetIpAddress( req, res )
+    const userAgent                         = UserHelper.GetUserAgent( req, res )
+
+    // If the user has never logged in before
+    if( !await RefreshTokenModel.exists({ userId }) && !await TokenBlacklistModel.exists({ userId }) )
+      return false
+
+    // If the user has logged in from this device before
+    if( await RefreshTokenModel.exists({ userId, ipAddress, userAgent }) || await TokenBlacklistModel.exists({ userId, ipAddress }) )
+      return false
+
+    return true
+  }
+
+  /**
+   * @method TokenHelper.IssueSession
+   * @description Issues a new access token and refresh token record, sets the cookies and binds everything to req and session.
+   * This is the token/cookie/session setup of a login, shared by every way of logging in (which is why logging in
+   * cancels a scheduled account deletion here)
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {mongoose.ObjectId} userId 
+   * @param {String} fromMethod The method issuing the session (stored as the reason on the revoked refresh token)
+   * @param {mongoose.ObjectId} actorId The admin impersonating the user (only for impersonation sessions)
+   * @returns {Object} The jwt id, access token and refresh token record
+   */
+  static async IssueSession( req, res, userId, fromMethod = 'Login', actorId = null ) {
+    try {
+
+      // JWT ID for the access token
+      const jwtId                           = uuidv4()
+
+      // Whether the user is logging in from a new device (checked before this session is stored)
+      const isNewDevice                     = !actorId && await this.IsNewDevice( req, res, userId )
+
+      // Generate a new access token
+      const accessToken                     = this.GenerateNewAccessToken( req, res, userId, jwtId, actorId )
+
+      // Generate a new refresh token record
+      const refreshTokenRecord              = await this.GenerateNewRefreshToken( req, res, fromMethod, userId, null, jwtId, actorId )
+
+      // Set the user id cookie
+      if( !TransportHelper.IsBearer( req ) )
+        CookieHelper.SetUserIdCookie( res, userId )
+
+      // Set everything in the session
+      req.jwtId                             = req.session.jwtId                           = jwtId
+      req.userId                            = req.session.userId                          = userId
+      req.accessToken                       = req.session.accessToken                     = accessToken
+      req.refreshToken                      = req.session.refreshToken                    = refreshTokenRecord.token
+      req.refreshTokenId                    = req.session.refreshTokenId                  = refreshTokenRecord._id
+
+      // Return the tokens in the response body, for bearer clients
+      this.SetBearerTokens( req, res )
+
+      // Logging in cancels a scheduled account deletion (an admin impersonating the user doesn't)
+      if( !actorId )
+        await AccountHelper.CancelDeletion( req, res, userId )
+
+      // Alert the user about the login from a new device (not awaited, the mail shouldn't hold up the login)
+      if( isNewDevice )
+        UserModel.findById( userId ).lean().then( user => user && MailerHelper.SendNewLoginAlert( user, {
+          ipAddress                         : refreshTokenRecord.ipAddress,
+          userAgent                         : refreshTokenRecord.userAgent,
+          time                              : new Date(),
+        }) ).catch( error => console.error( `Error sending new login alert: ${ error }` ) )
+
+      return { jwtId, accessToken, refreshTokenRecord }
+
+    } catch ( error ) {
+      throw new CustomErrorHelper( error.message, StatusCodes.INTERNAL_SERVER_ERROR )
+    }
+  }
+
+  /**
+   * @method TokenHelper.SetBearerTokens
+   * @description Adds the issued tokens (bound to req) to the response body, for bearer clients (res.locals.tokens is
+   * included by ResponseHelper.Success). The device id is returned as well, as it has to be sent along when refreshing
+   * @param {Request} req 
+   * @param {Response} res 
+   * @returns {Object|null} The tokens, or null for cookie clients
+   */
+  static SetBearerTokens( req, res ) {
+    if( !TransportHelper.IsBearer( req ) )
+      return null
+
+    res.locals.tokens                       = {
+      tokenType                             : 'Bearer',
+      accessToken                           : req.accessToken,
+      expiresIn                             : Math.floor( ms( ExpirationTime.ACCESS_TOKEN ) / 1000 ),
+      refreshToken                          : req.refreshToken,
+      deviceId                              : req.deviceId,
+    }
+
+    return res.locals.tokens
+  }
+
+  /**
+   * @method TokenHelper.AuthenticateBearer
+   * @description Authenticates a bearer client's access token. The token has to belong to a refresh token record that
+   * wasn't revoked (matched by its jwt id), so logging out or revoking the unit invalidates it right away
+   * @param {Request} req 
+   * @param {Response} res 
+   * @returns {Object|null} The decoded access token and its refresh token record, or null if it isn't valid
+   */
+  static async AuthenticateBearer( req, res ) {
+    try {
+
+      // Validate and decode the access token (a bearer client has no session, so there's no jwt id to match)
+      const decodedAccessToken              = await this.ValidateAndDecodeToken( req, res, this.GetAccessToken( req, res ), 'access' )
+
+      // If the access token is missing or invalid
+      if( !decodedAccessToken?.jti )
+        return null
+
+      // Find the refresh token record the access token was issued with
+      const refreshTokenRecord              = await RefreshTokenModel.findOne({
+        userId                              : decodedAccessToken.userId,
+        jwtId                               : decodedAccessToken.jti,
+      }).lean()
+
+      // If the refresh token was revoked (or rotated)
+      if( !refreshTokenRecord )
+        return null
+
+      return { decodedAccessToken, refreshTokenRecord }
+
+    } catch ( error ) {
+      return null
+    }
+  }
+
+  /**
+   * @method TokenHelper.AuthenticatePersonalAccessToken
+   * @description Authenticates a personal access token (sent as the bearer token), and records when and from where it was used
+   * @param {Request} req 
+   * @param {Response} res 
+   * @returns {Object|null} The personal access token record, or null if it's unknown or expired
+   */
+  static async AuthenticatePersonalAccessToken( req, res ) {
+    try {
+
+      // Get the personal access token
+      const token                           = this.GetAccessToken( req, res )
+
+      // If it's not a personal access token
+      if( !PersonalAccessTokenModel.IsPersonalAccessToken( token ) )
+        return null
+
+      // Find the personal access token record by the hashed token, and record its use
+      const personalAccessToken             = await PersonalAccessTokenModel.findOneAndUpdate({
+        token                               : PersonalAccessTokenModel.HashToken( token ),
+        expiresAt                           : { $gt: new Date() },
+      }, {
+        lastUsedAt                          : new Date(),
+        lastUsedIp                          : UserHelper.GetIpAddress( req, res ),
+      }, { new: true }).lean()
+
+      return personalAccessToken || null
+
+    } catch ( error ) {
+      return null
+    }
+  }
 }
 
 export {
@@ -0,0 +1,221 @@
+import crypto from 'crypto'
+
+/**
+ * @constant TotpOptions - TOTP (RFC 6238) Options
+ * @type {Object}
+ * @property {Number} STEP - Time step in seconds
+ * @property {Number} DIGITS - Number of digits in a code
+ * @property {Number} WINDOW - Number of time steps accepted before and after the current one (clock drift)
+ * @property {String} ALGORITHM - HMAC algorithm
+ * @property {String} ISSUER - Issuer shown in the authenticator app
+ */
+const TotpOptions                           = {
+  STEP                                      : 30,
+  DIGITS                                    : 6,
+  WINDOW                                    : 1,
+  ALGORITHM                                 : 'sha1',
+  ISSUER                                    : 'UserBoilerplate',
+}
+
+// RFC 4648 base32 alphabet
+const Base32Alphabet                        = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+/**
+ * @class TotpHelper
+ * @classdesc Contains all methods related to time-based one-time passwords (RFC 6238). Every method that depends
+ * on the time takes the time (in milliseconds) as a parameter, so it can be run with a deterministic clock
+ *
+ * @method TotpHelper.Now Returns the current time in milliseconds
+ * @method TotpHelper.Base32Encode Encodes a buffer to base32
+ * @method TotpHelper.Base32Decode Decodes a base32 string to a buffer
+ * @method TotpHelper.GenerateSecret Generates a new base32 encoded secret
+ * @method TotpHelper.TimeStep Returns the time step for the given time
+ * @method TotpHelper.GenerateCode Generates the code for the given secret and time
+ * @method TotpHelper.Verify Verifies a code, and returns the matched time step
+ * @method TotpHelper.KeyUri Returns the otpauth:// uri, used for QR codes
+ */
+class TotpHelper {
+
+  /**
+   * @method TotpHelper.Now
+   * @description Returns the current time in milliseconds (replace in tests for a deterministic clock)
+   * @returns {Number} The current time in milliseconds
+   */
+  static Now() {
+    return Date.now()
+  }
+
+  /**
+   * @method TotpHelper.Base32Encode
+   * @description Encodes a buffer to a base32 string (without padding)
+   * @param {Buffer} buffer
+   * @returns {String} The base32 encoded string
+   */
+  static Base32Encode( buffer ) {
+    let bits                                = 0
+    let value                               = 0
+    let output                              = ''
+
+    for( const byte of buffer ) {
+      value                                 = ( value << 8 ) | byte
+      bits                                  += 8
+
+      while( bits >= 5 ) {
+        output                              += Base32Alphabet[ ( value >>> ( bits - 5 ) ) & 31 ]
+        bits                                -= 5
+      }
+    }
+
+    if( bits > 0 )
+      output                                += Base32Alphabet[ ( value << ( 5 - bits ) ) & 31 ]
+
+    return output
+  }
+
+  /**
+   * @method TotpHelper.Base32Decode
+   * @description Decodes a base32 string to a buffer (ignores padding, spaces and casing)
+   * @param {String} string
+   * @returns {Buffer} The decoded buffer
+   */
+  static Base32Decode( string ) {
+    const input                             = String( string ).toUpperCase().replace( /[\s=]/g, '' )
+    const bytes                             = []
+
+    let bits                                = 0
+    let value                               = 0
+
+    for( const char of input ) {
+      const index                           = Base32Alphabet.indexOf( char )
+
+      if( index === -1 )
+        throw new Error( 'Invalid base32 character' )
+
+      value                                 = ( value << 5 ) | index
+      bits                                  += 5
+
+      if( bits >= 8 ) {
+        bytes.push( ( value >>> ( bits - 8 ) ) & 255 )
+        bits                                -= 8
+      }
+    }
+
+    return Buffer.from( bytes )
+  }
+
+  /**
+   * @method TotpHelper.GenerateSecret
+   * @description Generates a new base32 encoded secret (160 bits, as recommended by RFC 4226)
+   * @returns {String} The base32 encoded secret
+   */
+  static GenerateSecret() {
+    return this.Base32Encode( crypto.randomBytes( 20 ) )
+  }
+
+  /**
+   * @method TotpHelper.TimeStep
+   * @description Returns the time step (counter) for the given time
+   * @param {Number} time Time in milliseconds
+   * @returns {Number} The time step
+   */
+  static TimeStep( time = this.Now() ) {
+    return Math.floor( time / 1000 / TotpOptions.STEP )
+  }
+
+  /**
+   * @method TotpHelper.GenerateCodeForStep
+   * @description Generates the code (HOTP, RFC 4226) for the given secret and time step
+   * @param {String} secret Base32 encoded secret
+   * @param {Number} step The time step
+   * @returns {String} The code, zero padded
+   */
+  static GenerateCodeForStep( secret, step ) {
+
+    // The counter as an 8 byte big-endian buffer
+    const counter                           = Buffer.alloc( 8 )
+    counter.writeBigUInt64BE( BigInt( step ) )
+
+    // HMAC the counter with the secret
+    const hmac                              = crypto.createHmac( TotpOptions.ALGORITHM, this.Base32Decode( secret ) ).update( counter ).digest()
+
+    // Dynamic truncation
+    const offset                            = hmac[ hmac.length - 1 ] & 15
+    const binary                            = ( hmac.readUInt32BE( offset ) & 0x7fffffff ) % ( 10 ** TotpOptions.DIGITS )
+
+    return String( binary ).padStart( TotpOptions.DIGITS, '0' )
+  }
+
+  /**
+   * @method TotpHelper.GenerateCode
+   * @description Generates the code for the given secret and time
+   * @param {String} secret Base32 encoded secret
+   * @param {Number} time Time in milliseconds
+   * @returns {String} The code
+   */
+  static GenerateCode( secret, time = this.Now() ) {
+    return this.GenerateCodeForStep( secret, this.TimeStep( time ) )
+  }
+
+  /**
+   * @method TotpHelper.Verify
+   * @description Verifies a code against the secret, within the allowed window. Codes from a time step at or before
+   * lastUsedStep are rejected, so the same code can't be used twice
+   * @param {String} secret Base32 encoded secret
+   * @param {String} code The code to verify
+   * @param {Number} time Time in milliseconds
+   * @param {Number} lastUsedStep The last time step a code was accepted for
+   * @returns {Number|null} The matched time step, or null if the code is invalid
+   */
+  static Verify( secret, code, time = this.Now(), lastUsedStep = null ) {
+
+    // Normalize the code
+    const input                             = String( code || '' ).replace( /\s/g, '' )
+
+    // If the code isn't the right format
+    if( !new RegExp( `^\\d{${ TotpOptions.DIGITS }}$` ).test( input ) )
+      return null
+
+    const currentStep                       = this.TimeStep( time )
+
+    for( let offset = -TotpOptions.WINDOW; offset <= TotpOptions.WINDOW; offset++ ) {
+      const step                            = currentStep + offset
+
+      // Skip already used time steps
+      if( lastUsedStep !== null && lastUsedStep !== undefined && step <= lastUsedStep )
+        continue
+
+      const expected                        = Buffer.from( this.GenerateCodeForStep( secret, step ) )
+
+      // Compare in constant time
+      if( crypto.timingSafeEqual( expected, Buffer.from( input ) ) )
+        return step
+    }
+
+    return null
+  }
+
+  /**
+   * @method TotpHelper.KeyUri
+   * @description Returns the otpauth:// uri, which authenticator apps read (usually from a QR code)
+   * @param {String} secret Base32 encoded secret
+   * @param {String} account The account name (the user's email)
+   * @returns {String} The otpauth:// uri
+   */
+  static KeyUri( secret, account ) {
+    const label                             = encodeURIComponent( `${ TotpOptions.ISSUER }:${ account }` )
+    const params                            = new URLSearchParams({
+      secret                                : secret,
+      issuer                                : TotpOptions.ISSUER,
+      algorithm                             : TotpOptions.ALGORITHM.toUpperCase(),
+      digits                                : String( TotpOptions.DIGITS ),
+      period                                : String( TotpOptions.STEP ),
+    })
+
+    return `otpauth://totp/${ label }?${ params.toString() }`
+  }
+}
+
+export {
+  TotpHelper as default,
+  TotpOptions,
+}
@@ -0,0 +1,68 @@
+/**
+ * @constant TokenTransports Token Transports
+ * @type {Object}
+ * @property {String} COOKIE - Tokens in (httpOnly) cookies, bound to the express-session (the default, for browsers)
+ * @property {String} BEARER - Tokens in the JSON body, and the access token in the Authorization header (mobile and server clients)
+ */
+const TokenTransports                       = {
+  COOKIE                                    : 'cookie',
+  BEARER                                    : 'bearer',
+}
+
+// The header a client sets to ask for bearer mode, before it has an access token (e.g. on login)
+const TransportHeader                       = 'x-token-transport'
+
+/**
+ * @class TransportHelper
+ * @classdesc Contains all methods related to the token transport of a request. Bearer requests never read cookies,
+ * and don't have a persisted session, which is why they're exempt from the CSRF and session checks
+ *
+ * @method TransportHelper.GetTransport Returns the token transport of the request
+ * @method TransportHelper.IsBearer Whether the request uses the bearer transport
+ * @method TransportHelper.GetBearerToken Returns the access token from the Authorization header
+ */
+class TransportHelper {
+
+  /**
+   * @method TransportHelper.GetTransport
+   * @description Returns the token transport of the request. A request is in bearer mode when it has an
+   * Authorization: Bearer header, or asks for it with the X-Token-Transport: bearer header
+   * @param {Request} req
+   * @returns {String} One of TokenTransports
+   */
+  static GetTransport( req ) {
+    if( !req.tokenTransport ) {
+      const hasBearerToken                  = !!this.GetBearerToken( req )
+      const asksForBearer                   = String( req.headers[ TransportHeader ] || '' ).toLowerCase() === TokenTransports.BEARER
+
+      req.tokenTransport                    = hasBearerToken || asksForBearer ? TokenTransports.BEARER : TokenTransports.COOKIE
+    }
+
+    return req.tokenTransport
+  }
+
+  /**
+   * @method TransportHelper.IsBearer
+   * @description Whether the request uses the bearer transport
+   * @param {Request} req
+   * @returns {Boolean}
+   */
+  static IsBearer( req ) {
+    return this.GetTransport( req ) === TokenTransports.BEARER
+  }
+
+  /**
+   * @method TransportHelper.GetBearerToken
+   * @description Returns the access token from the Authorization header
+   * @param {Request} req
+   * @returns {String|null} The access token
+   */
+  static GetBearerToken( req ) {
+    return ( req.headers.authorization || '' ).match( /^Bearer\s+(\S+)$/i )?.[ 1 ] || null
+  }
+}
+
+export {
+  TransportHelper as default,
+  TokenTransports,
+}
@@ -11,6 +11,7 @@ import CookieHelper, { CookieNames } from './Cookie.helper.js'
 import RegexHelper from './Regex.helper.js'
 import ResponseHelper from './Response.helper.js'
 import TimeHelper from './Time.helper.js'
+import TransportHelper from './Transport.helper.js'
 import AuthController from '../controllers/Auth.controller.js'
 
 // Map to hold refresh token locks
@@ -21,6 +22,7 @@ const refreshLocks                          = new Map()
  * @classdesc Contains all methods related to the user or users
  * 
  * @method UserHelper.GetUserId Get the user's id from req, session or cookie
+ * @method UserHelper.GetActorId Get the id of the admin impersonating the user (the access token's "act" claim)
  * @method UserHelper.GetIpAddress Get the user's ip address
  * @method UserHelper.GetUserAgent Get the user's user agent (browser information)
  * @method UserHelper.GenerateDeviceId Generates unique device id
@@ -42,6 +44,10 @@ class UserHelper {
   static GetUserId( req, res, next ) {
     try {
 
+      // Bearer clients have no cookies, the user id is bound to req once the access token is authenticated
+      if( TransportHelper.IsBearer( req ) )
+        return req.userId || null
+
       // Get the user id from either req, session or cookie
       return req.userId || req.session.userId || CookieHelper.GetUserIdCookie( req, res, next )
 
@@ -50,6 +56,16 @@ class UserHelper {
     }
   }
 
+  /**
+   * @method UserHelper.GetActorId
+   * @description Get the id of the admin impersonating the user, from the "act" claim of the (authenticated) access token
+   * @param {Request} req Express request object
+   * @returns {String|null} The admin's id, or null when the user isn't being impersonated
+   */
+  static GetActorId( req ) {
+    return req.decodedAccessToken?.act?.sub || null
+  }
+
   /**
    * @method UserHelper.GetUserEmail
    * @description Get the user's email
@@ -156,8 +172,9 @@ class UserHelper {
         // Set the device id to the hash
         deviceId                            = crypto.createHmac( 'sha256', DEVICE_ID_SECRET ).update( data ).digest( 'hex' )
 
-        // Store the device id in a cookie
-        CookieHelper.SetDeviceIdCookie( res, deviceId )
+        // Store the device id in a cookie (bearer clients get it in the response body)
+        if( !TransportHelper.IsBearer( req ) )
+          CookieHelper.SetDeviceIdCookie( res, deviceId )
       }
 
       // Store in request and session for easy access
@@ -181,6 +198,10 @@ class UserHelper {
   static GetDeviceId( req, res ) {
     try {
 
+      // Bearer clients have no cookies, the device id is bound to req from the refresh token record, or the request body
+      if( TransportHelper.IsBearer( req ) )
+        return req.deviceId || null
+
       // Get the device id
       return req.deviceId || req.session.deviceId || CookieHelper.GetDeviceIdCookie( req, res )
 
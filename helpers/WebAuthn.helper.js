@@ -0,0 +1,413 @@
+import crypto from 'crypto'
+
+import { WEBAUTHN_ORIGINS, WEBAUTHN_RP_ID, WEBAUTHN_RP_NAME } from '../configs/Environment.config.js'
+
+import CborHelper from './Cbor.helper.js'
+import CustomErrorHelper from './Error.helper.js'
+import StatusCodes from './StatusCodes.helper.js'
+import TimeHelper from './Time.helper.js'
+
+/**
+ * @constant CoseAlgorithms - Supported COSE algorithms
+ * @type {Object}
+ * @property {Number} ES256 - ECDSA with P-256 and SHA-256
+ * @property {Number} RS256 - RSASSA-PKCS1-v1_5 with SHA-256
+ */
+const CoseAlgorithms                        = {
+  ES256                                     : -7,
+  RS256                                     : -257,
+}
+
+/**
+ * @constant AuthenticatorFlags - Authenticator data flags
+ * @type {Object}
+ */
+const AuthenticatorFlags                    = {
+  USER_PRESENT                              : 0x01,
+  USER_VERIFIED                             : 0x04,
+  ATTESTED_CREDENTIAL_DATA                  : 0x40,
+}
+
+/**
+ * @class WebAuthnHelper
+ * @classdesc Contains all methods related to WebAuthn (passkeys). Verification runs fully offline, only with node's crypto.
+ * Supported attestation formats are "none" and "packed", and supported algorithms ES256 and RS256
+ *
+ * @method WebAuthnHelper.GenerateChallenge Generates a new challenge, and stores it in the session
+ * @method WebAuthnHelper.ConsumeChallenge Returns and removes the stored challenge from the session
+ * @method WebAuthnHelper.RegistrationOptions Returns the options for navigator.credentials.create()
+ * @method WebAuthnHelper.AuthenticationOptions Returns the options for navigator.credentials.get()
+ * @method WebAuthnHelper.ParseClientData Parses and validates the client data
+ * @method WebAuthnHelper.ParseAuthenticatorData Parses the authenticator data
+ * @method WebAuthnHelper.CoseToPublicKey Converts a COSE public key to a node KeyObject
+ * @method WebAuthnHelper.VerifySignature Verifies a signature with a COSE algorithm
+ * @method WebAuthnHelper.VerifyRegistration Verifies a registration (attestation) response
+ * @method WebAuthnHelper.VerifyAuthentication Verifies an authentication (assertion) response
+ */
+class WebAuthnHelper {
+
+  /**
+   * @method WebAuthnHelper.GenerateChallenge
+   * @description Generates a new challenge, and stores it in the session along with the ceremony type
+   * @param {Request} req
+   * @param {String} type The ceremony type, either 'registration' or 'authentication'
+   * @returns {String} The base64url encoded challenge
+   */
+  static GenerateChallenge( req, type ) {
+    const challenge                         = crypto.randomBytes( 32 ).toString( 'base64url' )
+
+    req.session.webAuthn                    = {
+      challenge                             : challenge,
+      type                                  : type,
+      expiresAt                             : Date.now() + TimeHelper.FiveMinutes,
+    }
+
+    return challenge
+  }
+
+  /**
+   * @method WebAuthnHelper.ConsumeChallenge
+   * @description Returns and removes the stored challenge from the session, so it can only be used once
+   * @param {Request} req
+   * @param {String} type The expected ceremony type
+   * @returns {String} The challenge
+   */
+  static ConsumeChallenge( req, type ) {
+    const stored                            = req.session.webAuthn
+
+    delete req.session.webAuthn
+
+    if( !stored || stored.type !== type || Date.now() > stored.expiresAt )
+      throw new CustomErrorHelper( req.t('webAuthn.challenge.invalid'), StatusCodes.BAD_REQUEST )
+
+    return stored.challenge
+  }
+
+  /**
+   * @method WebAuthnHelper.RegistrationOptions
+   * @description Returns the options for navigator.credentials.create()
+   * @param {Request} req
+   * @param {Object} user The user's record
+   * @param {Object[]} credentials The user's existing credentials (excluded, so they aren't registered twice)
+   * @returns {Object} The public key credential creation options
+   */
+  static RegistrationOptions( req, user, credentials = [] ) {
+    return {
+      challenge                             : this.GenerateChallenge( req, 'registration' ),
+      rp                                    : { id: WEBAUTHN_RP_ID, name: WEBAUTHN_RP_NAME },
+      user                                  : {
+        id                                  : Buffer.from( String( user._id ) ).toString( 'base64url' ),
+        name                                : user.email,
+        displayName                         : `${ user.forename } ${ user.surname }`,
+      },
+      pubKeyCredParams                      : [
+        { type: 'public-key', alg: CoseAlgorithms.ES256 },
+        { type: 'public-key', alg: CoseAlgorithms.RS256 },
+      ],
+      timeout                               : TimeHelper.FiveMinutes,
+      attestation                           : 'none',
+      excludeCredentials                    : credentials.map( credential => ({
+        type                                : 'public-key',
+        id                                  : credential.credentialId,
+        transports                          : credential.transports,
+      })),
+      authenticatorSelection                : {
+        residentKey                         : 'required',
+        userVerification                    : 'required',
+      },
+    }
+  }
+
+  /**
+   * @method WebAuthnHelper.AuthenticationOptions
+   * @description Returns the options for navigator.credentials.get(). No credentials are listed, the authenticator
+   * offers its discoverable credentials (passkeys), so no account information is revealed
+   * @param {Request} req
+   * @returns {Object} The public key credential request options
+   */
+  static AuthenticationOptions( req ) {
+    return {
+      challenge                             : this.GenerateChallenge( req, 'authentication' ),
+      rpId                                  : WEBAUTHN_RP_ID,
+      timeout                               : TimeHelper.FiveMinutes,
+      userVerification                      : 'required',
+      allowCredentials                      : [],
+    }
+  }
+
+  /**
+   * @method WebAuthnHelper.ParseClientData
+   * @description Parses the client data, and validates its type, challenge and origin
+   * @param {Request} req
+   * @param {String} clientDataJSON The base64url encoded client data
+   * @param {String} type The expected type ('webauthn.create' or 'webauthn.get')
+   * @param {String} expectedChallenge The expected challenge
+   * @returns {Object} The parsed client data, and its hash
+   */
+  static ParseClientData( req, clientDataJSON, type, expectedChallenge ) {
+    let clientData
+
+    // The raw client data, the hash is part of the signed data
+    const raw                               = Buffer.from( String( clientDataJSON || '' ), 'base64url' )
+
+    try {
+      clientData                            = JSON.parse( raw.toString( 'utf8' ) )
+    } catch ( error ) {
+      throw new CustomErrorHelper( req.t('webAuthn.clientData.invalid') )
+    }
+
+    // If the type doesn't match the ceremony
+    if( clientData.type !== type )
+      throw new CustomErrorHelper( req.t('webAuthn.clientData.invalid') )
+
+    // If the challenge doesn't match the one we issued
+    else if( clientData.challenge !== expectedChallenge )
+      throw new CustomErrorHelper( req.t('webAuthn.challenge.invalid') )
+
+    // If the origin isn't one of ours
+    else if( !WEBAUTHN_ORIGINS.includes( clientData.origin ) )
+      throw new CustomErrorHelper( req.t('webAuthn.origin.invalid') )
+
+    return {
+      clientData,
+      clientDataHash                        : crypto.createHash( 'sha256' ).update( raw ).digest(),
+    }
+  }
+
+  /**
+   * @method WebAuthnHelper.ParseAuthenticatorData
+   * @description Parses the authenticator data
+   * @param {Buffer} authData The raw authenticator data
+   * @returns {Object} The rp id hash, flags, sign count and (if present) the attested credential data
+   */
+  static ParseAuthenticatorData( authData ) {
+    if( authData.length < 37 )
+      throw new Error( 'Authenticator data is too short' )
+
+    const flags                             = authData.readUInt8( 32 )
+    const parsed                            = {
+      rpIdHash                              : authData.subarray( 0, 32 ),
+      flags                                 : flags,
+      userPresent                           : !!( flags & AuthenticatorFlags.USER_PRESENT ),
+      userVerified                          : !!( flags & AuthenticatorFlags.USER_VERIFIED ),
+      signCount                             : authData.readUInt32BE( 33 ),
+    }
+
+    // Attested credential data (only present when registering)
+    if( flags & AuthenticatorFlags.ATTESTED_CREDENTIAL_DATA ) {
+      const credentialIdLength              = authData.readUInt16BE( 53 )
+      const credentialId                    = authData.subarray( 55, 55 + credentialIdLength )
+      const { value, length }               = CborHelper.DecodeFirst( authData.subarray( 55 + credentialIdLength ) )
+
+      parsed.aaguid                         = authData.subarray( 37, 53 )
+      parsed.credentialId                   = credentialId
+      parsed.credentialPublicKey            = value
+      parsed.credentialPublicKeyLength      = length
+    }
+
+    return parsed
+  }
+
+  /**
+   * @method WebAuthnHelper.CoseToPublicKey
+   * @description Converts a COSE public key (ES256 or RS256) to a node KeyObject
+   * @param {Object} coseKey The decoded COSE key
+   * @returns {Object} The algorithm, and the public key as a KeyObject
+   */
+  static CoseToPublicKey( coseKey ) {
+    const keyType                           = coseKey[ '1' ]
+    const algorithm                         = coseKey[ '3' ]
+
+    // EC2 key, P-256 curve
+    if( keyType === 2 && algorithm === CoseAlgorithms.ES256 && coseKey[ '-1' ] === 1 )
+      return {
+        algorithm,
+        publicKey                           : crypto.createPublicKey({
+          key                               : {
+            kty                             : 'EC',
+            crv                             : 'P-256',
+            x                               : Buffer.from( coseKey[ '-2' ] ).toString( 'base64url' ),
+            y                               : Buffer.from( coseKey[ '-3' ] ).toString( 'base64url' ),
+          },
+          format                            : 'jwk',
+        }),
+      }
+
+    // RSA key
+    else if( keyType === 3 && algorithm === CoseAlgorithms.RS256 )
+      return {
+        algorithm,
+        publicKey                           : crypto.createPublicKey({
+          key                               : {
+            kty                             : 'RSA',
+            n                               : Buffer.from( coseKey[ '-1' ] ).toString( 'base64url' ),
+            e                               : Buffer.from( coseKey[ '-2' ] ).toString( 'base64url' ),
+          },
+          format                            : 'jwk',
+        }),
+      }
+
+    throw new Error( 'Unsupported public key algorithm' )
+  }
+
+  /**
+   * @method WebAuthnHelper.VerifySignature
+   * @description Verifies a signature with a COSE algorithm (ES256 signatures are DER encoded)
+   * @param {Number} algorithm The COSE algorithm
+   * @param {crypto.KeyObject|String} publicKey The public key
+   * @param {Buffer} data The signed data
+   * @param {Buffer} signature The signature
+   * @returns {Boolean} Whether the signature is valid or not
+   */
+  static VerifySignature( algorithm, publicKey, data, signature ) {
+    if( algorithm === CoseAlgorithms.ES256 )
+      return crypto.verify( 'sha256', data, { key: publicKey, dsaEncoding: 'der' }, signature )
+
+    else if( algorithm === CoseAlgorithms.RS256 )
+      return crypto.verify( 'sha256', data, { key: publicKey, padding: crypto.constants.RSA_PKCS1_PADDING }, signature )
+
+    return false
+  }
+
+  /**
+   * @method WebAuthnHelper.VerifyAttestationStatement
+   * @description Verifies the attestation statement. "none" is accepted as is, and "packed" is verified with either the
+   * credential's own key (self attestation) or the attestation certificate. Certificate chains aren't validated
+   * against trust anchors, since that would require metadata that isn't available offline
+   * @param {String} fmt The attestation format
+   * @param {Object} attStmt The attestation statement
+   * @param {Buffer} authData The raw authenticator data
+   * @param {Buffer} clientDataHash The hash of the client data
+   * @param {Object} credential The credential's algorithm and public key
+   * @returns {Boolean} Whether the attestation statement is valid or not
+   */
+  static VerifyAttestationStatement( fmt, attStmt, authData, clientDataHash, credential ) {
+    if( fmt === 'none' )
+      return !attStmt || Object.keys( attStmt ).length === 0
+
+    else if( fmt === 'packed' ) {
+      const signedData                      = Buffer.concat([ authData, clientDataHash ])
+
+      // Basic attestation, signed with the attestation certificate
+      if( Array.isArray( attStmt.x5c ) && attStmt.x5c.length ) {
+        const certificate                   = new crypto.X509Certificate( attStmt.x5c[ 0 ] )
+
+        return this.VerifySignature( attStmt.alg, certificate.publicKey, signedData, attStmt.sig )
+      }
+
+      // Self attestation, signed with the credential's own key
+      return attStmt.alg === credential.algorithm &&
+        this.VerifySignature( attStmt.alg, credential.publicKey, signedData, attStmt.sig )
+    }
+
+    return false
+  }
+
+  /**
+   * @method WebAuthnHelper.VerifyRegistration
+   * @description Verifies a registration (attestation) response
+   * @param {Request} req
+   * @param {Object} credential The credential from navigator.credentials.create(), JSON serialized (base64url)
+   * @param {String} expectedChallenge The challenge issued for the registration
+   * @returns {Object} The credential id, public key (PEM), algorithm, sign count and attestation format
+   */
+  static VerifyRegistration( req, credential, expectedChallenge ) {
+    try {
+
+      // Parse and validate the client data
+      const { clientDataHash }              = this.ParseClientData( req, credential?.response?.clientDataJSON, 'webauthn.create', expectedChallenge )
+
+      // Decode the attestation object
+      const attestation                     = CborHelper.Decode( Buffer.from( String( credential.response.attestationObject || '' ), 'base64url' ) )
+      const authData                        = Buffer.from( attestation.authData )
+      const parsed                          = this.ParseAuthenticatorData( authData )
+
+      // If the rp id hash doesn't match
+      if( !parsed.rpIdHash.equals( crypto.createHash( 'sha256' ).update( WEBAUTHN_RP_ID ).digest() ) )
+        throw new CustomErrorHelper( req.t('webAuthn.rpId.invalid') )
+
+      // If the user wasn't present or verified
+      else if( !parsed.userPresent || !parsed.userVerified )
+        throw new CustomErrorHelper( req.t('webAuthn.userVerification.required') )
+
+      // If there is no attested credential
+      else if( !parsed.credentialId )
+        throw new CustomErrorHelper( req.t('webAuthn.credential.invalid') )
+
+      // Convert the credential public key
+      const publicKey                       = this.CoseToPublicKey( parsed.credentialPublicKey )
+
+      // Verify the attestation statement
+      if( !this.VerifyAttestationStatement( attestation.fmt, attestation.attStmt || {}, authData, clientDataHash, publicKey ) )
+        throw new CustomErrorHelper( req.t('webAuthn.attestation.invalid') )
+
+      return {
+        credentialId                        : parsed.credentialId.toString( 'base64url' ),
+        publicKey                           : publicKey.publicKey.export({ type: 'spki', format: 'pem' }),
+        algorithm                           : publicKey.algorithm,
+        signCount                           : parsed.signCount,
+        attestationFormat                   : attestation.fmt,
+      }
+
+    } catch ( error ) {
+      if( error instanceof CustomErrorHelper )
+        throw error
+
+      throw new CustomErrorHelper( req.t('webAuthn.credential.invalid') )
+    }
+  }
+
+  /**
+   * @method WebAuthnHelper.VerifyAuthentication
+   * @description Verifies an authentication (assertion) response against a stored credential
+   * @param {Request} req
+   * @param {Object} credential The credential from navigator.credentials.get(), JSON serialized (base64url)
+   * @param {String} expectedChallenge The challenge issued for the authentication
+   * @param {Object} storedCredential The stored credential record
+   * @returns {Object} The new sign count
+   */
+  static VerifyAuthentication( req, credential, expectedChallenge, storedCredential ) {
+    try {
+
+      // Parse and validate the client data
+      const { clientDataHash }              = this.ParseClientData( req, credential?.response?.clientDataJSON, 'webauthn.get', expectedChallenge )
+
+      // Parse the authenticator data
+      const authData                        = Buffer.from( String( credential.response.authenticatorData || '' ), 'base64url' )
+      const parsed                          = this.ParseAuthenticatorData( authData )
+
+      // If the rp id hash doesn't match
+      if( !parsed.rpIdHash.equals( crypto.createHash( 'sha256' ).update( WEBAUTHN_RP_ID ).digest() ) )
+        throw new CustomErrorHelper( req.t('webAuthn.rpId.invalid') )
+
+      // If the user wasn't present or verified
+      else if( !parsed.userPresent || !parsed.userVerified )
+        throw new CustomErrorHelper( req.t('webAuthn.userVerification.required') )
+
+      // Verify the signature, over the authenticator data and the hash of the client data
+      const signature                       = Buffer.from( String( credential.response.signature || '' ), 'base64url' )
+
+      if( !this.VerifySignature( storedCredential.algorithm, storedCredential.publicKey, Buffer.concat([ authData, clientDataHash ]), signature ) )
+        throw new CustomErrorHelper( req.t('webAuthn.signature.invalid'), StatusCodes.UNAUTHORIZED )
+
+      // If either sign count is used, it has to increase, otherwise the authenticator may have been cloned
+      if( ( parsed.signCount > 0 || storedCredential.signCount > 0 ) && parsed.signCount <= storedCredential.signCount )
+        throw new CustomErrorHelper( req.t('webAuthn.signCount.invalid'), StatusCodes.UNAUTHORIZED )
+
+      return {
+        signCount                           : parsed.signCount,
+      }
+
+    } catch ( error ) {
+      if( error instanceof CustomErrorHelper )
+        throw error
+
+      throw new CustomErrorHelper( req.t('webAuthn.credential.invalid') )
+    }
+  }
+}
+
+export {
+  WebAuthnHelper as default,
+  CoseAlgorithms,
+}
@@ -0,0 +1,29 @@
+import cron from 'node-cron'
+
+import UserModel from '../models/User.model.js'
+
+import AccountHelper from '../helpers/Account.helper.js'
+import MailerHelper from '../helpers/Mailer.helper.js'
+
+// Run cron job every hour
+cron.schedule( '0 * * * *', async () => {
+  try {
+
+    // Find all users whose grace period has passed
+    const users                             = await UserModel.find( { deletionScheduledAt : { $ne: null, $lte: new Date() } }, { email : 1, username : 1, forename : 1, locale : 1 } ).lean()
+
+    // Delete each user, and every record tied to them
+    for( const user of users ) {
+      await AccountHelper.Purge( user._id )
+
+      // Tell the user their account has been deleted
+      await MailerHelper.SendAccountDeleted( user )
+    }
+
+    if( users.length )
+      console.log( `Deleted ${ users.length } account(s)` )
+
+  } catch ( error ) {
+    console.error( `Error in account deletion job: ${ error }` )
+  }
+})
@@ -0,0 +1,18 @@
+import cron from 'node-cron'
+
+import DataExportHelper from '../helpers/DataExport.helper.js'
+
+// Run cron job every hour (the export records expire by themselves, this deletes their stored exports)
+cron.schedule( '45 * * * *', async () => {
+  try {
+
+    // Delete the stored exports whose export record has expired
+    const deletedCount                      = await DataExportHelper.Cleanup()
+
+    if( deletedCount )
+      console.log( `Deleted ${ deletedCount } expired data export(s)` )
+
+  } catch ( error ) {
+    console.error( `Error in data export job: ${ error }` )
+  }
+})
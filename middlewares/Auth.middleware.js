@@ -5,16 +5,19 @@ import { v4 as uuidv4 } from 'uuid'
 import AuthController from '../controllers/Auth.controller.js'
 
 import EmailVerificationModel from '../models/EmailVerification.model.js'
+import PersonalAccessTokenModel from '../models/PersonalAccessToken.model.js'
 import RefreshTokenModel from '../models/RefreshToken.model.js'
 import TokenBlacklistModel from '../models/TokenBlacklist.model.js'
 import UserModel from '../models/User.model.js'
 
 import CookieHelper from '../helpers/Cookie.helper.js'
 import CustomErrorHelper from '../helpers/Error.helper.js'
+import PermissionHelper from '../helpers/Permission.helper.js'
 import SessionHelper from '../helpers/Session.helper.js'
 import StatusCodes from '../helpers/StatusCodes.helper.js'
 import UserHelper from '../helpers/User.helper.js'
 import TokenHelper from '../helpers/Token.helper.js'
+import TransportHelper from '../helpers/Transport.helper.js'
 
 /**
  * @class AuthMiddleware
@@ -26,9 +29,12 @@ import TokenHelper from '../helpers/Token.helper.js'
  * @method AuthMiddleware.AlreadyLoggedIn Checks whether the user is already logged in
  * @method AuthMiddleware.AlreadyLoggedOut Checks whether the user is already logged out
  * @method AuthMiddleware.RoleChecker Authenticates whether the user has the required role to access the route
+ * @method AuthMiddleware.RequirePermission Authorizes whether the user's role has the required permission
+ * @method AuthMiddleware.ScopeChecker Checks whether a personal access token has the scopes the route requires
  * @method AuthMiddleware.EmailVerified Checks whether the user's email is verified
  * @method AuthMiddleware.AccountInactive Checks if the user's account is inactive
  * @method AuthMiddleware.RefreshTokenRevoked Checks if the current refresh token is revoked
+ * @method AuthMiddleware.NotImpersonating Refuses the route to an admin impersonating the user
  * 
  * @exports AuthMiddleware
  * 
@@ -39,7 +45,13 @@ import TokenHelper from '../helpers/Token.helper.js'
  * 4. RefreshTokenRevoked
  * 5. EmailVerified
  * 6  AccountInactive
- * 7. RoleChecker
+ * 7. RoleChecker / RequirePermission
+ * 8. ScopeChecker
+ * 9. NotImpersonating
+ *
+ * Bearer clients (Authorization: Bearer) are authenticated by their access token alone, in Authenticate, so
+ * VerifySessionData and RefreshTokenRevoked let them through. Personal access tokens are bearer tokens as well,
+ * but are only accepted on routes declaring a ScopeChecker
  */
 class AuthMiddleware {
 
@@ -55,6 +67,52 @@ class AuthMiddleware {
   static async Authenticate( req, res, next ) {
     try {
 
+      // If the bearer token is a personal access token
+      if( TransportHelper.IsBearer( req ) && PersonalAccessTokenModel.IsPersonalAccessToken( TokenHelper.GetAccessToken( req, res ) ) ) {
+
+        // Personal access tokens only reach routes declaring the scopes they need, every other route refuses them
+        if( !req.route?.stack?.some( layer => layer.handle?.requiredScopes ) )
+          throw new CustomErrorHelper( req.t('personalAccessToken.notAllowed'), StatusCodes.FORBIDDEN )
+
+        const personalAccessToken           = await TokenHelper.AuthenticatePersonalAccessToken( req, res )
+
+        // If the personal access token is unknown, revoked or expired
+        if( !personalAccessToken )
+          throw new CustomErrorHelper( req.t('tokens.invalid'), StatusCodes.UNAUTHORIZED )
+
+        // Bind the variables to req (the scopes are checked by ScopeChecker)
+        req.personalAccessToken             = personalAccessToken
+        req.userId                          = personalAccessToken.userId
+
+        // Continue to the next middleware or route
+        return next()
+      }
+
+      // Bearer clients authenticate with the access token alone, and refresh it through /api/auth/bearer/refresh
+      if( TransportHelper.IsBearer( req ) ) {
+        const authenticated                 = await TokenHelper.AuthenticateBearer( req, res )
+
+        // If the access token is missing, invalid, expired or its refresh token was revoked
+        if( !authenticated )
+          throw new CustomErrorHelper( req.t('tokens.invalid'), StatusCodes.UNAUTHORIZED )
+
+        const {
+          decodedAccessToken,
+          refreshTokenRecord,
+        }                                   = authenticated
+
+        // Bind the variables to req (there's no session to bind them to)
+        req.accessToken                     = TokenHelper.GetAccessToken( req, res )
+        req.decodedAccessToken              = decodedAccessToken
+        req.jwtId                           = decodedAccessToken.jti
+        req.userId                          = refreshTokenRecord.userId
+        req.deviceId                        = refreshTokenRecord.deviceId
+        req.refreshTokenId                  = refreshTokenRecord._id
+
+        // Continue to the next middleware or route
+        return next()
+      }
+
       // First get the user id and access token
       const userId                          = UserHelper.GetUserId( req, res, next )
       const accessToken                     = TokenHelper.GetAccessToken( req, res )
@@ -103,11 +161,11 @@ class AuthMiddleware {
           // Generate new JWT ID
           const jwtId                       = uuidv4()
 
-          // Generate a new refresh token record
-          const newRefreshTokenRecord       = await TokenHelper.GenerateNewRefreshToken( req, res, 'Authenticate' )
+          // Generate a new refresh token record, in the same family
+          const newRefreshTokenRecord       = await TokenHelper.GenerateNewRefreshToken( req, res, 'Authenticate', null, refreshTokenRecord.familyId, jwtId, refreshTokenRecord.actorId )
 
           // Generate a new access token
-          const newAccessToken              = await TokenHelper.GenerateNewAccessToken( req, res, userId, jwtId )
+          const newAccessToken              = await TokenHelper.GenerateNewAccessToken( req, res, userId, jwtId, refreshTokenRecord.actorId )
 
           // Return the new access token, refresh token record, and jwt id
           return { newAccessToken, newRefreshTokenRecord, jwtId }
@@ -141,6 +199,10 @@ class AuthMiddleware {
   static async VerifySessionData( req, res, next ) {
     try {
 
+      // Bearer clients have no session to verify against
+      if( TransportHelper.IsBearer( req ) )
+        return next()
+
       // Define the user-related fields we want to verify against the session
       const fields                          = [
         { name: 'userId', getter: () => UserHelper.GetUserId( req, res, next ) },
@@ -313,6 +375,103 @@ class AuthMiddleware {
     }
   }
 
+  /**
+   * @method AuthMiddleware.RequirePermission
+   * @description Authorization middleware, checking whether the user's role has the required permission (e.g. "users:read:any").
+   * A role with the "self" variant of the permission is allowed when the ownership check passes
+   * @param {String} permission The required permission, one of Permissions
+   * @param {Function} isSelf The ownership check, ( req, userId ) => Boolean (see the PermissionHelper.Self* methods)
+   * @returns {NextFunction}
+   */
+  static RequirePermission( permission, isSelf = null ) {
+    return async ( req, res, next ) => {
+      try {
+
+        // Get the user's id, and record (in the database)
+        const userId                        = UserHelper.GetUserId( req, res, next )
+        const user                          = await UserHelper.GetUserById( req, res, userId, true )
+
+        // Get the permissions of the user's role
+        const permissions                   = await PermissionHelper.GetRolePermissions( user?.role )
+
+        // If the user's role doesn't have the permission (or only for their own records, and this isn't one)
+        if( !await PermissionHelper.IsAllowed( req, userId, permissions, permission, isSelf ) )
+          throw new CustomErrorHelper( req.t('user.unauthorized'), StatusCodes.UNAUTHORIZED )
+
+        // Bind the permissions to req, for the controller
+        req.permissions                     = permissions
+
+        // Continue to the next middleware or route
+        return next()
+
+      } catch ( error ) {
+        return next( error )
+      }
+    }
+  }
+
+  /**
+   * @method AuthMiddleware.ScopeChecker
+   * @description Authorization middleware, checking whether a personal access token has the scopes the route requires.
+   * Declaring it is what lets personal access tokens use the route at all. Logged in users aren't limited by scopes
+   * @param {Array|String} scopes 
+   * @returns {NextFunction}
+   */
+  static ScopeChecker( scopes = [] ) {
+    const requiredScopes                    = [].concat( scopes )
+
+    const middleware                        = async ( req, res, next ) => {
+      try {
+
+        // If the request isn't authenticated by a personal access token
+        if( !req.personalAccessToken )
+          return next()
+
+        // Get the required scopes the token doesn't have
+        const missingScopes                 = requiredScopes.filter( scope => !req.personalAccessToken.scopes.includes( scope ) )
+
+        // If the token is missing any of the required scopes
+        if( missingScopes.length )
+          throw new CustomErrorHelper( req.t('personalAccessToken.scopes.missing', { scopes: missingScopes.join( ', ' ) }), StatusCodes.FORBIDDEN )
+
+        // Continue to the next middleware or route
+        return next()
+
+      } catch ( error ) {
+        return next( error )
+      }
+    }
+
+    // Mark the middleware, so Authenticate knows the route accepts personal access tokens
+    middleware.requiredScopes               = requiredScopes
+
+    return middleware
+  }
+
+  /**
+   * @method AuthMiddleware.NotImpersonating
+   * @description Authorization middleware, refusing the route to an admin impersonating the user (the access token
+   * has an "act" claim). Used on sensitive routes, e.g. changing the password or the second factors
+   * @param {Request} req 
+   * @param {Response} res 
+   * @param {NextFunction} next 
+   * @returns {NextFunction}
+   */
+  static NotImpersonating( req, res, next ) {
+    try {
+
+      // If the user is being impersonated
+      if( UserHelper.GetActorId( req ) )
+        throw new CustomErrorHelper( req.t('impersonation.forbidden'), StatusCodes.FORBIDDEN )
+
+      // Continue to the next middleware or route
+      return next()
+
+    } catch ( error ) {
+      return next( error )
+    }
+  }
+
   /**
    * @method AuthMiddleware.IsEmailVerified
    * @description Authentication middleware, checking whether the user's email address is verified
@@ -396,12 +555,21 @@ class AuthMiddleware {
   static async RefreshTokenRevoked( req, res, next ) {
     try {
 
+      // Bearer clients don't send the refresh token, Authenticate already checked it wasn't revoked
+      if( TransportHelper.IsBearer( req ) )
+        return next()
+
       // Attempt to find the refresh token in the token-blacklist
       const revokedRefreshToken             = await TokenBlacklistModel.findOne({ token: TokenHelper.GetRefreshToken( req, res ) })
 
       // If the refresh token is revoked
-      if( revokedRefreshToken )
+      if( revokedRefreshToken ) {
+
+        // If it's a rotated refresh token used again, revoke its family as well
+        await TokenHelper.DetectRefreshTokenReuse( req, res, revokedRefreshToken )
+
         return AuthController.Logout( req, res, next, 'refreshToken.revoked' )
+      }
 
       // Continue to the next middleware or route
       return next()
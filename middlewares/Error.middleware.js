@@ -3,14 +3,52 @@ import mongoose from 'mongoose'
 import { NODE_ENV } from '../configs/Environment.config.js'
 import LoggerMiddleware from '../configs/Logger.config.js'
 
+import { OidcErrorHelper } from '../helpers/Error.helper.js'
 import ResponseHelper from '../helpers/Response.helper.js'
 
 /**
  * @class ErrorMiddleware
  * @description The global error middleware. Used in app.js -> App.use( ErrorMiddleware.Handler )
+ *
+ * @method ErrorMiddleware.TranslateValidationError Translates a failed validator, in the requesting user's language
+ * @method ErrorMiddleware.Handler The global error middleware handler
  */
 class ErrorMiddleware {
 
+  /**
+   * @method ErrorMiddleware.TranslateValidationError
+   * @description Translates a failed validator, in the requesting user's language. The validators' messages are
+   * translation keys, interpolated with the validator's values (e.g. {{minlength}}) and the values it declares
+   * (values: { ... }). Errors without a validator (e.g. a failed cast) get a generic message
+   * @param {Request} req 
+   * @param {mongoose.Error.ValidatorError|mongoose.Error.CastError} validationError 
+   * @returns {Object} The field, and the translated message
+   */
+  static TranslateValidationError( req, validationError ) {
+    const properties                        = validationError.properties
+
+    // If the error isn't a failed validator
+    if( !properties )
+      return {
+        field                               : validationError.path,
+        message                             : req.t( 'validation.invalid', { path: validationError.path } ),
+      }
+
+    return {
+      field                                 : validationError.path,
+      message                               : req.t( properties.message, {
+        path                                : properties.path,
+        value                               : properties.value,
+        minlength                           : properties.minlength,
+        maxlength                           : properties.maxlength,
+        min                                 : properties.min,
+        max                                 : properties.max,
+        enumValues                          : properties.enumValues?.join( ', ' ),
+        ...properties.values,
+      }),
+    }
+  }
+
   /**
    * @method ErrorMiddleware.Handler
    * @description The global error middleware handler
@@ -23,16 +61,25 @@ class ErrorMiddleware {
    */
   static Handler( error, req, res, next ) {
     
-    // If the error is a mongoose validation error
-    if( error instanceof mongoose.Error.ValidationError )
-      return ResponseHelper.Error( res, req.t( Object.values( error.errors )[ 0 ].properties.message ), 400 ) // Handle one error at a time
+    // If the error is a mongoose validation error, translate every failed validator (the first one is the message)
+    if( error instanceof mongoose.Error.ValidationError ) {
+      const validationErrors                = Object.values( error.errors )
+      const errors                          = validationErrors.map( validationError => ErrorMiddleware.TranslateValidationError( req, validationError ) )
+
+      // The status of an error thrown by a validator (e.g. a taken username), or 400
+      return ResponseHelper.Error( res, errors[ 0 ].message, validationErrors[ 0 ].properties?.reason?.status || 400, errors )
+    }
+
+    // If the error is an OAuth2 / OpenID Connect error, return it in the format clients expect
+    if( error instanceof OidcErrorHelper )
+      return res.status( error.status ).json({ error: error.code, error_description: error.message })
 
     // If in development mode, console log the error
     if( NODE_ENV === 'development' )
       console.error( error )
 
-    // Return the error
-    return ResponseHelper.Error( res, error.message, error.status )
+    // Return the error, translated if its message is a translation key (thrown where there's no req.t, e.g. in a model)
+    return ResponseHelper.Error( res, req.i18n?.exists( error.message ) ? req.t( error.message ) : error.message, error.status )
   }
 }
 
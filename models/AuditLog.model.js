@@ -0,0 +1,49 @@
+import mongoose, { Schema } from 'mongoose'
+
+const AuditLogSchema                        = new Schema({
+  actorId                                   : {
+    type                                    : Schema.Types.ObjectId,
+    required                                : true,
+    index                                   : true,
+  },
+  action                                    : {
+    type                                    : String,
+    required                                : true,
+  },
+  targetUserId                              : {
+    type                                    : Schema.Types.ObjectId,
+    default                                 : null,
+    index                                   : true,
+  },
+  ipAddress                                 : {
+    type                                    : String,
+  },
+  userAgent                                 : {
+    type                                    : String,
+  },
+  meta                                      : {
+    type                                    : Object || JSON,
+  },
+}, {
+  timestamps                                : true,
+})
+
+AuditLogSchema
+  .statics
+  .SerializeAuditLog                        = function( auditLog ) {
+    return {
+      id                                    : auditLog._id,
+      actorId                               : auditLog.actorId,
+      action                                : auditLog.action,
+      targetUserId                          : auditLog.targetUserId,
+      ipAddress                             : auditLog.ipAddress,
+      meta                                  : auditLog.meta,
+      createdAt                             : auditLog.createdAt,
+    }
+  }
+
+const AuditLogModel                         = mongoose.model( 'AuditLog', AuditLogSchema )
+
+export {
+  AuditLogModel as default
+}
@@ -0,0 +1,67 @@
+import mongoose, { Schema } from 'mongoose'
+
+const CredentialSchema                      = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    ref                                     : 'User',
+    required                                : true,
+    index                                   : true,
+  },
+  credentialId                              : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+  },
+  publicKey                                 : {
+    type                                    : String,
+    required                                : true,
+  },
+  algorithm                                 : {
+    type                                    : Number,
+    required                                : true,
+    enum                                    : [ -7, -257 ],
+  },
+  signCount                                 : {
+    type                                    : Number,
+    required                                : true,
+    default                                 : 0,
+  },
+  transports                                : {
+    type                                    : [ String ],
+    default                                 : [],
+  },
+  attestationFormat                         : {
+    type                                    : String,
+    default                                 : 'none',
+  },
+  name                                      : {
+    type                                    : String,
+    trim                                    : true,
+    maxlength                               : 64,
+    default                                 : 'Passkey',
+  },
+  lastUsedAt                                : {
+    type                                    : Date,
+    default                                 : null,
+  },
+}, {
+  timestamps                                : true,
+})
+
+CredentialSchema
+  .statics
+  .SerializeCredential                      = function( credential ) {
+    return {
+      id                                    : credential._id,
+      name                                  : credential.name,
+      transports                            : credential.transports,
+      lastUsedAt                            : credential.lastUsedAt,
+      createdAt                             : credential.createdAt,
+    }
+  }
+
+const CredentialModel                       = mongoose.model( 'Credential', CredentialSchema )
+
+export {
+  CredentialModel as default
+}
@@ -0,0 +1,106 @@
+import crypto from 'crypto'
+import ms from 'ms'
+import mongoose, { Schema } from 'mongoose'
+
+import { DATA_EXPORT_EXPIRATION } from '../configs/Environment.config.js'
+
+/**
+ * @constant DataExportStatuses Data Export Statuses
+ * @type {Object}
+ */
+const DataExportStatuses                    = {
+  PENDING                                   : 'pending',
+  READY                                     : 'ready',
+  FAILED                                    : 'failed',
+}
+
+const DataExportSchema                      = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    required                                : true,
+    index                                   : true,
+  },
+  status                                    : {
+    type                                    : String,
+    enum                                    : Object.values( DataExportStatuses ),
+    default                                 : DataExportStatuses.PENDING,
+  },
+  token                                     : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+    select                                  : false,
+  },
+  fileId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    default                                 : null,
+  },
+  size                                      : {
+    type                                    : Number,
+    default                                 : 0,
+  },
+  expiresAt                                 : {
+    type                                    : Date,
+    required                                : true,
+    expires                                 : 0,
+    default                                 : () => new Date( Date.now() + ms( DATA_EXPORT_EXPIRATION ) ),
+  },
+}, {
+  timestamps                                : true,
+})
+
+/**
+ * @method DataExportModel.HashToken
+ * @description Hashes the plain download token, so only the hash is ever stored in the database
+ * @param {String} token The plain download token
+ * @returns {String} The sha256 hash of the token
+ */
+DataExportSchema
+  .statics
+  .HashToken                                = function( token ) {
+    return crypto.createHash( 'sha256' ).update( String( token ) ).digest( 'hex' )
+  }
+
+/**
+ * @method DataExportModel.Generate
+ * @description Creates a new (pending) export record for the user, replacing any previous one
+ * @param {mongoose.ObjectId} userId The user's id
+ * @returns {Object} The export record, and the plain download token (only sent to the user, never stored)
+ */
+DataExportSchema
+  .statics
+  .Generate                                 = async function( userId ) {
+
+    // Generate the plain token
+    const token                             = crypto.randomBytes( 32 ).toString( 'hex' )
+
+    // Only one export per user can exist at a time
+    await this.deleteMany({ userId })
+
+    // Store the hashed token
+    const dataExport                        = await this.create({
+      userId                                : userId,
+      token                                 : this.HashToken( token ),
+    })
+
+    return { dataExport, token }
+  }
+
+DataExportSchema
+  .statics
+  .SerializeDataExport                      = function( dataExport ) {
+    return {
+      id                                    : dataExport._id,
+      status                                : dataExport.status,
+      size                                  : dataExport.size,
+      expiresAt                             : dataExport.expiresAt,
+      createdAt                             : dataExport.createdAt,
+    }
+  }
+
+const DataExportModel                       = mongoose.model( 'DataExport', DataExportSchema )
+
+export {
+  DataExportModel as default,
+  DataExportStatuses,
+}
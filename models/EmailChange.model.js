@@ -0,0 +1,122 @@
+import crypto from 'crypto'
+import mongoose, { Schema } from 'mongoose'
+
+import TimeHelper from '../helpers/Time.helper.js'
+
+const EmailChangeSchema                     = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    required                                : true,
+    index                                   : true,
+  },
+  oldEmail                                  : {
+    type                                    : String,
+    required                                : true,
+  },
+  newEmail                                  : {
+    type                                    : String,
+    required                                : true,
+  },
+  wasEmailVerified                          : {
+    type                                    : Boolean,
+    default                                 : false,
+  },
+  confirmToken                              : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+  },
+  revertToken                               : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+  },
+  confirmExpiresAt                          : {
+    type                                    : Date,
+    required                                : true,
+    default                                 : () => new Date( Date.now() + TimeHelper.OneDay ),
+  },
+  confirmedAt                               : {
+    type                                    : Date,
+    default                                 : null,
+  },
+  expiresAt                                 : {
+    type                                    : Date,
+    required                                : true,
+    expires                                 : 0,
+    default                                 : () => new Date( Date.now() + TimeHelper.OneWeek ),
+  },
+}, {
+  timestamps                                : true,
+})
+
+/**
+ * @method EmailChangeModel.HashToken
+ * @description Hashes a plain confirm/revert token, so only the hash is ever stored in the database
+ * @param {String} token The plain token
+ * @returns {String} The sha256 hash of the token
+ */
+EmailChangeSchema
+  .statics
+  .HashToken                                = function( token ) {
+    return crypto.createHash( 'sha256' ).update( String( token ) ).digest( 'hex' )
+  }
+
+/**
+ * @method EmailChangeModel.Generate
+ * @description Creates a pending email change, replacing any unconfirmed one of the user. The confirm token (sent to
+ * the new address) is valid for a day, the revert token (sent to the old address) for a week, so a change can be
+ * reverted after it's confirmed as well
+ * @param {mongoose.ObjectId} userId The user's id
+ * @param {String} oldEmail The current email
+ * @param {String} newEmail The requested email
+ * @param {Boolean} wasEmailVerified Whether the current email is verified (restored when the change is reverted)
+ * @returns {Object} The record, and the plain confirm and revert tokens (only sent to the user, never stored)
+ */
+EmailChangeSchema
+  .statics
+  .Generate                                 = async function( userId, oldEmail, newEmail, wasEmailVerified ) {
+
+    // Generate the plain tokens
+    const confirmToken                      = crypto.randomBytes( 32 ).toString( 'hex' )
+    const revertToken                       = crypto.randomBytes( 32 ).toString( 'hex' )
+
+    // Only one pending email change per user can exist at a time (confirmed ones are kept, to be revertible)
+    await this.deleteMany({ userId, confirmedAt: null })
+
+    // Store the hashed tokens
+    const emailChange                       = await this.create({
+      userId                                : userId,
+      oldEmail                              : oldEmail,
+      newEmail                              : newEmail,
+      wasEmailVerified                      : wasEmailVerified,
+      confirmToken                          : this.HashToken( confirmToken ),
+      revertToken                           : this.HashToken( revertToken ),
+    })
+
+    return { emailChange, confirmToken, revertToken }
+  }
+
+/**
+ * @method EmailChangeModel.GetPendingEmail
+ * @description Returns the user's requested (unconfirmed) email, if any
+ * @param {mongoose.ObjectId} userId The user's id
+ * @returns {String|null} The requested email
+ */
+EmailChangeSchema
+  .statics
+  .GetPendingEmail                          = async function( userId ) {
+    const emailChange                       = await this.findOne({
+      userId                                : userId,
+      confirmedAt                           : null,
+      confirmExpiresAt                      : { $gt: new Date() },
+    }, { newEmail: 1 }).lean()
+
+    return emailChange?.newEmail || null
+  }
+
+const EmailChangeModel                      = mongoose.model( 'EmailChange', EmailChangeSchema )
+
+export {
+  EmailChangeModel as default
+}
@@ -1,26 +1,78 @@
 import crypto from 'crypto'
 import mongoose, { Schema } from 'mongoose'
 
+import { EMAIL_VERIFICATION_MODE } from '../configs/Environment.config.js'
+
 const EmailVerificationSchema               = new Schema({
   userId                                    : {
     type                                    : Schema.Types.ObjectId,
     required                                : true,
+    index                                   : true,
   },
   token                                     : {
     type                                    : String,
     required                                : true,
-    default                                 : crypto.randomBytes( 32 ).toString( 'hex' ),
+    default                                 : () => crypto.randomBytes( 32 ).toString( 'hex' ),
+  },
+  code                                      : {
+    type                                    : String,
+    default                                 : null,
   },
+  attempts                                  : {
+    type                                    : Number,
+    default                                 : 0,
+  },
+  // Expired records are kept for a day (they count towards the daily limit), and removed by the cleanup job
   expiresAt                                 : {
     type                                    : Date,
     required                                : true,
-    expires                                 : 0,
     default                                 : () => new Date( Date.now() + 1000 * 60 * 10 ),
   },
 }, {
   timestamps                                : true,
 })
 
+EmailVerificationSchema.index({ createdAt: 1 })
+
+/**
+ * @method EmailVerificationModel.HashCode
+ * @description Hashes a verification code, bound to the user, so only the hash is stored in the database
+ * @param {mongoose.ObjectId} userId The user's id
+ * @param {String} code The plain verification code
+ * @returns {String} The sha256 hash of the code
+ */
+EmailVerificationSchema
+  .statics
+  .HashCode                                 = function( userId, code ) {
+    return crypto.createHash( 'sha256' ).update( `${ userId }:${ code }` ).digest( 'hex' )
+  }
+
+/**
+ * @method EmailVerificationModel.Generate
+ * @description Creates a new email verification record for the user. The token (link) is always created,
+ * and in 'code' mode a 6-digit code is created as well
+ * @param {mongoose.ObjectId} userId The user's id
+ * @returns {Object} The record, the token and the plain code (null in 'link' mode)
+ */
+EmailVerificationSchema
+  .statics
+  .Generate                                 = async function( userId ) {
+
+    // Generate the 6-digit code, only in 'code' mode
+    const code                              = EMAIL_VERIFICATION_MODE === 'code'
+      ? String( crypto.randomInt( 0, 1000000 ) ).padStart( 6, '0' )
+      : null
+
+    // Create the email verification record
+    const record                            = await this.create({
+      userId                                : userId,
+      token                                 : crypto.randomBytes( 32 ).toString( 'hex' ),
+      code                                  : code ? this.HashCode( userId, code ) : null,
+    })
+
+    return { record, token: record.token, code }
+  }
+
 const EmailVerificationModel                = mongoose.model( 'EmailVerification', EmailVerificationSchema )
 
 export {
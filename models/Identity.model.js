@@ -0,0 +1,51 @@
+import mongoose, { Schema } from 'mongoose'
+
+const IdentitySchema                        = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    ref                                     : 'User',
+    required                                : true,
+    index                                   : true,
+  },
+  provider                                  : {
+    type                                    : String,
+    required                                : true,
+  },
+  subject                                   : {
+    type                                    : String,
+    required                                : true,
+  },
+  email                                     : {
+    type                                    : String,
+    trim                                    : true,
+    lowercase                               : true,
+    default                                 : null,
+  },
+  lastUsedAt                                : {
+    type                                    : Date,
+    default                                 : null,
+  },
+}, {
+  timestamps                                : true,
+})
+
+// A provider's subject can only be linked to one user
+IdentitySchema.index( { provider: 1, subject: 1 }, { unique: true } )
+
+IdentitySchema
+  .statics
+  .SerializeIdentity                        = function( identity ) {
+    return {
+      id                                    : identity._id,
+      provider                              : identity.provider,
+      email                                 : identity.email,
+      lastUsedAt                            : identity.lastUsedAt,
+      createdAt                             : identity.createdAt,
+    }
+  }
+
+const IdentityModel                         = mongoose.model( 'Identity', IdentitySchema )
+
+export {
+  IdentityModel as default
+}
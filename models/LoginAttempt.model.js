@@ -0,0 +1,62 @@
+import mongoose, { Schema } from 'mongoose'
+
+const LoginAttemptSchema                    = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    required                                : true,
+    index                                   : true,
+  },
+  ipAddress                                 : {
+    type                                    : String,
+    default                                 : null,
+  },
+  failures                                  : {
+    type                                    : Number,
+    default                                 : 0,
+  },
+  lockouts                                  : {
+    type                                    : Number,
+    default                                 : 0,
+  },
+  lastFailedAt                              : {
+    type                                    : Date,
+    default                                 : null,
+  },
+  retryAt                                   : {
+    type                                    : Date,
+    default                                 : null,
+  },
+  lockedUntil                               : {
+    type                                    : Date,
+    default                                 : null,
+  },
+  expiresAt                                 : {
+    type                                    : Date,
+    required                                : true,
+    expires                                 : 0,
+    default                                 : () => new Date( Date.now() + 1000 * 60 * 60 * 24 ),
+  },
+}, {
+  timestamps                                : true,
+})
+
+// One record per account (ipAddress null), and one per account and ip address
+LoginAttemptSchema.index({ userId: 1, ipAddress: 1 }, { unique: true })
+
+LoginAttemptSchema
+  .statics
+  .SerializeLoginAttempt                    = function( loginAttempt ) {
+    return {
+      ipAddress                             : loginAttempt.ipAddress,
+      failures                              : loginAttempt.failures,
+      lastFailedAt                          : loginAttempt.lastFailedAt,
+      retryAt                               : loginAttempt.retryAt,
+      lockedUntil                           : loginAttempt.lockedUntil,
+    }
+  }
+
+const LoginAttemptModel                     = mongoose.model( 'LoginAttempt', LoginAttemptSchema )
+
+export {
+  LoginAttemptModel as default
+}
@@ -0,0 +1,32 @@
+import mongoose, { Schema } from 'mongoose'
+
+import TimeHelper from '../helpers/Time.helper.js'
+
+const MagicLinkSchema                       = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    required                                : true,
+  },
+  tokenId                                   : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+  },
+  ipAddress                                 : {
+    type                                    : String,
+  },
+  expiresAt                                 : {
+    type                                    : Date,
+    required                                : true,
+    expires                                 : 0,
+    default                                 : () => new Date( Date.now() + TimeHelper.FifteenMinutes ),
+  },
+}, {
+  timestamps                                : true,
+})
+
+const MagicLinkModel                        = mongoose.model( 'MagicLink', MagicLinkSchema )
+
+export {
+  MagicLinkModel as default
+}
@@ -0,0 +1,82 @@
+import crypto from 'crypto'
+import mongoose, { Schema } from 'mongoose'
+
+import TimeHelper from '../helpers/Time.helper.js'
+
+const OAuthHandoffSchema                    = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    required                                : true,
+  },
+  code                                      : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+  },
+  expiresAt                                 : {
+    type                                    : Date,
+    required                                : true,
+    expires                                 : 0,
+    default                                 : () => new Date( Date.now() + TimeHelper.OneMinute ),
+  },
+}, {
+  timestamps                                : true,
+})
+
+/**
+ * @method OAuthHandoffModel.HashCode
+ * @description Hashes the plain handoff code, so only the hash is ever stored in the database
+ * @param {String} code The plain handoff code
+ * @returns {String} The sha256 hash of the code
+ */
+OAuthHandoffSchema
+  .statics
+  .HashCode                                 = function( code ) {
+    return crypto.createHash( 'sha256' ).update( String( code ) ).digest( 'hex' )
+  }
+
+/**
+ * @method OAuthHandoffModel.GenerateCode
+ * @description Creates a one-time handoff code for a user, which the client exchanges for a two-factor challenge
+ * after an OAuth login. The code is short-lived, so it's useless by the time it ends up in a log or the history
+ * @param {mongoose.ObjectId} userId The user's id
+ * @returns {String} The plain handoff code (only sent to the client, never stored)
+ */
+OAuthHandoffSchema
+  .statics
+  .GenerateCode                             = async function( userId ) {
+
+    // Generate the plain code
+    const code                              = crypto.randomBytes( 32 ).toString( 'base64url' )
+
+    // Store the hashed code
+    await this.create({
+      userId                                : userId,
+      code                                  : this.HashCode( code ),
+    })
+
+    return code
+  }
+
+/**
+ * @method OAuthHandoffModel.Consume
+ * @description Consumes a handoff code atomically, so it can only be exchanged once
+ * @param {String} code The plain handoff code
+ * @returns {mongoose.ObjectId|null} The user's id, or null if the code is invalid, used or expired
+ */
+OAuthHandoffSchema
+  .statics
+  .Consume                                  = async function( code ) {
+    const handoff                           = await this.findOneAndDelete({
+      code                                  : this.HashCode( code ),
+      expiresAt                             : { $gt: new Date() },
+    }).lean()
+
+    return handoff?.userId ?? null
+  }
+
+const OAuthHandoffModel                     = mongoose.model( 'OAuthHandoff', OAuthHandoffSchema )
+
+export {
+  OAuthHandoffModel as default
+}
@@ -0,0 +1,82 @@
+import crypto from 'crypto'
+import mongoose, { Schema } from 'mongoose'
+
+import TimeHelper from '../helpers/Time.helper.js'
+
+/**
+ * An authorization request from /authorize. It is pending until the user consents,
+ * after which it holds the (hashed) authorization code, until it's exchanged at /token
+ */
+const OidcAuthorizationSchema               = new Schema({
+  requestId                                 : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+    default                                 : () => crypto.randomBytes( 16 ).toString( 'hex' ),
+  },
+  clientId                                  : {
+    type                                    : String,
+    required                                : true,
+  },
+  redirectUri                               : {
+    type                                    : String,
+    required                                : true,
+  },
+  scopes                                    : {
+    type                                    : [ String ],
+    required                                : true,
+  },
+  state                                     : {
+    type                                    : String,
+    default                                 : null,
+  },
+  nonce                                     : {
+    type                                    : String,
+    default                                 : null,
+  },
+  codeChallenge                             : {
+    type                                    : String,
+    default                                 : null,
+  },
+  codeChallengeMethod                       : {
+    type                                    : String,
+    enum                                    : [ 'S256', null ],
+    default                                 : null,
+  },
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    ref                                     : 'User',
+    default                                 : null,
+  },
+  code                                      : {
+    type                                    : String,
+    default                                 : null,
+    index                                   : true,
+  },
+  expiresAt                                 : {
+    type                                    : Date,
+    required                                : true,
+    expires                                 : 0,
+    default                                 : () => new Date( Date.now() + TimeHelper.FifteenMinutes ),
+  },
+}, {
+  timestamps                                : true,
+})
+
+/**
+ * @method OidcAuthorizationModel.HashCode
+ * @description Hashes the plain authorization code, so only the hash is ever stored in the database
+ * @param {String} code The plain authorization code
+ * @returns {String} The sha256 hash of the code
+ */
+OidcAuthorizationSchema
+  .statics
+  .HashCode                                 = function( code ) {
+    return crypto.createHash( 'sha256' ).update( String( code ) ).digest( 'hex' )
+  }
+
+const OidcAuthorizationModel                = mongoose.model( 'OidcAuthorization', OidcAuthorizationSchema )
+
+export {
+  OidcAuthorizationModel as default
+}
@@ -0,0 +1,107 @@
+import crypto from 'crypto'
+import mongoose, { Schema } from 'mongoose'
+
+const OidcClientSchema                      = new Schema({
+  clientId                                  : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+    default                                 : () => crypto.randomBytes( 16 ).toString( 'hex' ),
+  },
+  clientSecret                              : {
+    type                                    : String,
+    default                                 : null,
+    select                                  : false,
+  },
+  name                                      : {
+    type                                    : String,
+    required                                : [ true, 'oidc.client.name.required' ],
+    trim                                    : true,
+    maxlength                               : [ 64, 'oidc.client.name.maxlength' ],
+  },
+  redirectUris                              : {
+    type                                    : [ String ],
+    required                                : [ true, 'oidc.client.redirectUris.invalid' ],
+    validate                                : {
+      validator                             : ( uris ) => uris.length > 0 && uris.every( uri => URL.canParse( uri ) ),
+      message                               : 'oidc.client.redirectUris.invalid',
+    },
+  },
+  scopes                                    : {
+    type                                    : [ String ],
+    default                                 : [ 'openid', 'profile', 'email' ],
+  },
+  isConfidential                            : {
+    type                                    : Boolean,
+    default                                 : true,
+  },
+  isActive                                  : {
+    type                                    : Boolean,
+    default                                 : true,
+  },
+  createdBy                                 : {
+    type                                    : Schema.Types.ObjectId,
+    ref                                     : 'User',
+    default                                 : null,
+  },
+}, {
+  timestamps                                : true,
+})
+
+/**
+ * @method OidcClientModel.HashSecret
+ * @description Hashes the plain client secret, so only the hash is ever stored in the database
+ * @param {String} secret The plain client secret
+ * @returns {String} The sha256 hash of the secret
+ */
+OidcClientSchema
+  .statics
+  .HashSecret                               = function( secret ) {
+    return crypto.createHash( 'sha256' ).update( String( secret ) ).digest( 'hex' )
+  }
+
+/**
+ * @method OidcClientModel.Register
+ * @description Registers a new client. Confidential clients get a secret, public clients (SPAs, mobile apps) must use PKCE
+ * @param {Object} settings The client's name, redirect uris, scopes and whether it's confidential
+ * @param {mongoose.ObjectId} createdBy The id of the admin registering the client
+ * @returns {Object} The client record, and the plain client secret (null for public clients, only returned once)
+ */
+OidcClientSchema
+  .statics
+  .Register                                 = async function( settings, createdBy ) {
+    const isConfidential                    = settings.isConfidential !== false
+    const clientSecret                      = isConfidential ? crypto.randomBytes( 32 ).toString( 'base64url' ) : null
+
+    const client                            = await this.create({
+      name                                  : settings.name,
+      redirectUris                          : settings.redirectUris,
+      isConfidential                        : isConfidential,
+      clientSecret                          : clientSecret ? this.HashSecret( clientSecret ) : null,
+      createdBy                             : createdBy,
+      ...( Array.isArray( settings.scopes ) && { scopes: settings.scopes } ),
+    })
+
+    return { client, clientSecret }
+  }
+
+OidcClientSchema
+  .statics
+  .SerializeClient                          = function( client ) {
+    return {
+      id                                    : client._id,
+      clientId                              : client.clientId,
+      name                                  : client.name,
+      redirectUris                          : client.redirectUris,
+      scopes                                : client.scopes,
+      isConfidential                        : client.isConfidential,
+      isActive                              : client.isActive,
+      createdAt                             : client.createdAt,
+    }
+  }
+
+const OidcClientModel                       = mongoose.model( 'OidcClient', OidcClientSchema )
+
+export {
+  OidcClientModel as default
+}
@@ -0,0 +1,28 @@
+import mongoose, { Schema } from 'mongoose'
+
+const OidcConsentSchema                     = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    ref                                     : 'User',
+    required                                : true,
+  },
+  clientId                                  : {
+    type                                    : String,
+    required                                : true,
+  },
+  scopes                                    : {
+    type                                    : [ String ],
+    default                                 : [],
+  },
+}, {
+  timestamps                                : true,
+})
+
+// A user has one consent per client
+OidcConsentSchema.index( { userId: 1, clientId: 1 }, { unique: true } )
+
+const OidcConsentModel                      = mongoose.model( 'OidcConsent', OidcConsentSchema )
+
+export {
+  OidcConsentModel as default
+}
@@ -0,0 +1,75 @@
+import crypto from 'crypto'
+import mongoose, { Schema } from 'mongoose'
+
+import TimeHelper from '../helpers/Time.helper.js'
+
+const OidcRefreshTokenSchema                = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    ref                                     : 'User',
+    required                                : true,
+    index                                   : true,
+  },
+  clientId                                  : {
+    type                                    : String,
+    required                                : true,
+  },
+  token                                     : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+  },
+  scopes                                    : {
+    type                                    : [ String ],
+    default                                 : [],
+  },
+  expiresAt                                 : {
+    type                                    : Date,
+    required                                : true,
+    expires                                 : 0,
+    default                                 : () => new Date( Date.now() + TimeHelper.OneMonth ),
+  },
+}, {
+  timestamps                                : true,
+})
+
+/**
+ * @method OidcRefreshTokenModel.HashToken
+ * @description Hashes the plain refresh token, so only the hash is ever stored in the database
+ * @param {String} token The plain refresh token
+ * @returns {String} The sha256 hash of the token
+ */
+OidcRefreshTokenSchema
+  .statics
+  .HashToken                                = function( token ) {
+    return crypto.createHash( 'sha256' ).update( String( token ) ).digest( 'hex' )
+  }
+
+/**
+ * @method OidcRefreshTokenModel.Generate
+ * @description Creates a new (opaque) refresh token for a client
+ * @param {mongoose.ObjectId} userId The user's id
+ * @param {String} clientId The client's id
+ * @param {String[]} scopes The granted scopes
+ * @returns {String} The plain refresh token (only sent to the client, never stored)
+ */
+OidcRefreshTokenSchema
+  .statics
+  .Generate                                 = async function( userId, clientId, scopes ) {
+    const token                             = crypto.randomBytes( 32 ).toString( 'base64url' )
+
+    await this.create({
+      userId                                : userId,
+      clientId                              : clientId,
+      token                                 : this.HashToken( token ),
+      scopes                                : scopes,
+    })
+
+    return token
+  }
+
+const OidcRefreshTokenModel                 = mongoose.model( 'OidcRefreshToken', OidcRefreshTokenSchema )
+
+export {
+  OidcRefreshTokenModel as default
+}
@@ -0,0 +1,72 @@
+import crypto from 'crypto'
+import mongoose, { Schema } from 'mongoose'
+
+import TimeHelper from '../helpers/Time.helper.js'
+
+const PasswordResetSchema                   = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    required                                : true,
+  },
+  token                                     : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+  },
+  ipAddress                                 : {
+    type                                    : String,
+  },
+  expiresAt                                 : {
+    type                                    : Date,
+    required                                : true,
+    expires                                 : 0,
+    default                                 : () => new Date( Date.now() + TimeHelper.OneHour ),
+  },
+}, {
+  timestamps                                : true,
+})
+
+/**
+ * @method PasswordResetModel.HashToken
+ * @description Hashes the plain reset token, so only the hash is ever stored in the database
+ * @param {String} token The plain reset token
+ * @returns {String} The sha256 hash of the token
+ */
+PasswordResetSchema
+  .statics
+  .HashToken                                = function( token ) {
+    return crypto.createHash( 'sha256' ).update( String( token ) ).digest( 'hex' )
+  }
+
+/**
+ * @method PasswordResetModel.GenerateToken
+ * @description Replaces any previous reset record of the user with a new one, and returns the plain token
+ * @param {mongoose.ObjectId} userId The user's id
+ * @param {String} ipAddress The ip address the reset was requested from
+ * @returns {String} The plain reset token (only sent to the user, never stored)
+ */
+PasswordResetSchema
+  .statics
+  .GenerateToken                            = async function( userId, ipAddress ) {
+
+    // Generate the plain token
+    const token                             = crypto.randomBytes( 32 ).toString( 'hex' )
+
+    // Only one reset token per user can be active at a time
+    await this.deleteMany({ userId })
+
+    // Store the hashed token
+    await this.create({
+      userId                                : userId,
+      token                                 : this.HashToken( token ),
+      ipAddress                             : ipAddress,
+    })
+
+    return token
+  }
+
+const PasswordResetModel                    = mongoose.model( 'PasswordReset', PasswordResetSchema )
+
+export {
+  PasswordResetModel as default
+}
@@ -0,0 +1,137 @@
+import crypto from 'crypto'
+import mongoose, { Schema } from 'mongoose'
+
+/**
+ * @constant PersonalAccessTokenScopes Personal Access Token Scopes
+ * @type {Object}
+ * @property {String} USER_READ - Read users (/api/user/find/*)
+ * @property {String} USER_WRITE - Update the token owner's own details (/api/user/update/me)
+ */
+const PersonalAccessTokenScopes             = {
+  USER_READ                                 : 'user:read',
+  USER_WRITE                                : 'user:write',
+}
+
+// The prefix of every personal access token, which tells them apart from JWT access tokens
+const PersonalAccessTokenPrefix             = 'pat_'
+
+const PersonalAccessTokenSchema             = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    ref                                     : 'User',
+    required                                : true,
+    index                                   : true,
+  },
+  name                                      : {
+    type                                    : String,
+    required                                : [ true, 'personalAccessToken.name.required' ],
+    trim                                    : true,
+    maxlength                               : [ 64, 'personalAccessToken.name.maxlength' ],
+  },
+  token                                     : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+    select                                  : false,
+  },
+  hint                                      : {
+    type                                    : String,
+    required                                : true,
+  },
+  scopes                                    : {
+    type                                    : [ String ],
+    validate                                : {
+      validator                             : ( scopes ) => scopes.length > 0
+        && scopes.every( scope => Object.values( PersonalAccessTokenScopes ).includes( scope ) ),
+      message                               : 'personalAccessToken.scopes.invalid',
+      values                                : { scopes: Object.values( PersonalAccessTokenScopes ).join( ', ' ) },
+    },
+  },
+  expiresAt                                 : {
+    type                                    : Date,
+    required                                : true,
+    expires                                 : 0,
+  },
+  lastUsedAt                                : {
+    type                                    : Date,
+    default                                 : null,
+  },
+  lastUsedIp                                : {
+    type                                    : String,
+    default                                 : null,
+  },
+}, {
+  timestamps                                : true,
+})
+
+/**
+ * @method PersonalAccessTokenModel.HashToken
+ * @description Hashes the plain token, so only the hash is ever stored in the database
+ * @param {String} token The plain token
+ * @returns {String} The sha256 hash of the token
+ */
+PersonalAccessTokenSchema
+  .statics
+  .HashToken                                = function( token ) {
+    return crypto.createHash( 'sha256' ).update( String( token ) ).digest( 'hex' )
+  }
+
+/**
+ * @method PersonalAccessTokenModel.IsPersonalAccessToken
+ * @description Whether the token is a personal access token (by its prefix)
+ * @param {String} token
+ * @returns {Boolean}
+ */
+PersonalAccessTokenSchema
+  .statics
+  .IsPersonalAccessToken                    = function( token ) {
+    return typeof token === 'string' && token.startsWith( PersonalAccessTokenPrefix )
+  }
+
+/**
+ * @method PersonalAccessTokenModel.Generate
+ * @description Creates a new personal access token for the user
+ * @param {mongoose.ObjectId} userId The user's id
+ * @param {String} name A name, to tell the tokens apart
+ * @param {String[]} scopes The scopes the token is limited to
+ * @param {Date} expiresAt
+ * @returns {Object} The token record, and the plain token (only returned once)
+ */
+PersonalAccessTokenSchema
+  .statics
+  .Generate                                 = async function( userId, name, scopes, expiresAt ) {
+    const token                             = `${ PersonalAccessTokenPrefix }${ crypto.randomBytes( 32 ).toString( 'base64url' ) }`
+
+    const personalAccessToken               = await this.create({
+      userId                                : userId,
+      name                                  : name,
+      token                                 : this.HashToken( token ),
+      hint                                  : token.slice( -4 ),
+      scopes                                : [ ...new Set( scopes ) ],
+      expiresAt                             : expiresAt,
+    })
+
+    return { personalAccessToken, token }
+  }
+
+PersonalAccessTokenSchema
+  .statics
+  .SerializePersonalAccessToken             = function( personalAccessToken ) {
+    return {
+      id                                    : personalAccessToken._id,
+      name                                  : personalAccessToken.name,
+      hint                                  : personalAccessToken.hint,
+      scopes                                : personalAccessToken.scopes,
+      expiresAt                             : personalAccessToken.expiresAt,
+      lastUsedAt                            : personalAccessToken.lastUsedAt,
+      lastUsedIp                            : personalAccessToken.lastUsedIp,
+      createdAt                             : personalAccessToken.createdAt,
+    }
+  }
+
+const PersonalAccessTokenModel              = mongoose.model( 'PersonalAccessToken', PersonalAccessTokenSchema )
+
+export {
+  PersonalAccessTokenModel as default,
+  PersonalAccessTokenScopes,
+}
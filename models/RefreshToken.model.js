@@ -10,6 +10,21 @@ const RefreshTokenSchema                    = new Schema({
     type                                    : String,
     required                                : true,
   },
+  familyId                                  : {
+    type                                    : String,
+    required                                : true,
+    index                                   : true,
+    default                                 : () => uuidv4(),
+  },
+  jwtId                                     : {
+    type                                    : String,
+    default                                 : null,
+    index                                   : true,
+  },
+  actorId                                   : {
+    type                                    : Schema.Types.ObjectId,
+    default                                 : null,
+  },
   salt                                      : {
     type                                    : String,
     required                                : true,
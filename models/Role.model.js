@@ -0,0 +1,60 @@
+import mongoose, { Schema } from 'mongoose'
+
+import Permissions, { DefaultRolePermissions } from '../configs/Permissions.config.js'
+
+const RoleSchema                            = new Schema({
+  name                                      : {
+    type                                    : String,
+    required                                : true,
+    unique                                  : true,
+    trim                                    : true,
+    lowercase                               : true,
+  },
+  permissions                               : {
+    type                                    : [ String ],
+    default                                 : [],
+    validate                                : {
+      validator                             : ( permissions ) => permissions.every( permission => Object.values( Permissions ).includes( permission ) ),
+      message                               : 'role.permissions.invalid',
+    },
+  },
+}, {
+  timestamps                                : true,
+})
+
+/**
+ * @method RoleModel.Seed
+ * @description Creates the default roles (DefaultRolePermissions) that don't exist yet. Existing roles are left
+ * untouched, except the admin role, which is given every permission added since it was created (so a new admin route
+ * doesn't lock the admins out)
+ * @returns {void}
+ */
+RoleSchema
+  .statics
+  .Seed                                     = async function() {
+    await this.bulkWrite( Object.entries( DefaultRolePermissions ).map( ([ name, permissions ]) => ({
+      updateOne                             : {
+        filter                              : { name },
+        update                              : name === 'admin'
+          ? { $setOnInsert: { name }, $addToSet: { permissions: { $each: permissions } } }
+          : { $setOnInsert: { name, permissions } },
+        upsert                              : true,
+      },
+    })))
+  }
+
+RoleSchema
+  .statics
+  .SerializeRole                            = function( role ) {
+    return {
+      name                                  : role.name,
+      permissions                           : role.permissions,
+      updatedAt                             : role.updatedAt,
+    }
+  }
+
+const RoleModel                             = mongoose.model( 'Role', RoleSchema )
+
+export {
+  RoleModel as default
+}
@@ -0,0 +1,41 @@
+import mongoose, { Schema } from 'mongoose'
+
+const SecurityEventSchema                   = new Schema({
+  userId                                    : {
+    type                                    : Schema.Types.ObjectId,
+    required                                : true,
+  },
+  type                                      : {
+    type                                    : String,
+    required                                : true,
+  },
+  ipAddress                                 : {
+    type                                    : String,
+  },
+  userAgent                                 : {
+    type                                    : String,
+  },
+  meta                                      : {
+    type                                    : Object || JSON,
+  },
+}, {
+  timestamps                                : true,
+})
+
+SecurityEventSchema
+  .statics
+  .SerializeSecurityEvent                   = function( securityEvent ) {
+    return {
+      id                                    : securityEvent._id,
+      type                                  : securityEvent.type,
+      ipAddress                             : securityEvent.ipAddress,
+      userAgent                             : securityEvent.userAgent,
+      createdAt                             : securityEvent.createdAt,
+    }
+  }
+
+const SecurityEventModel                    = mongoose.model( 'SecurityEvent', SecurityEventSchema )
+
+export {
+  SecurityEventModel as default
+}
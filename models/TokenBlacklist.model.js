@@ -9,6 +9,15 @@ const TokenBlacklistSchema                  = new Schema({
     type                                    : String,
     required                                : true,
   },
+  familyId                                  : {
+    type                                    : String,
+    default                                 : null,
+    index                                   : true,
+  },
+  actorId                                   : {
+    type                                    : Schema.Types.ObjectId,
+    default                                 : null,
+  },
   salt                                      : {
     type                                    : String,
     required                                : true,
@@ -26,6 +35,10 @@ const TokenBlacklistSchema                  = new Schema({
     required                                : true,
     default                                 : 'unknown',
   },
+  rotated                                   : {
+    type                                    : Boolean,
+    default                                 : false,
+  },
   revokedAt                                 : {
     type                                    : Date,
     default                                 : Date.now,
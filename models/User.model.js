@@ -1,8 +1,10 @@
 import crypto from 'crypto'
 import mongoose, { Schema } from 'mongoose'
-import { t } from 'i18next'
+
+import { SupportedLocales } from '../configs/i18n.config.js'
 
 import EmailVerificationModel from './EmailVerification.model.js'
+import RoleModel from './Role.model.js'
 
 import CustomErrorHelper from '../helpers/Error.helper.js'
 import PasswordHelper from '../helpers/Password.helper.js'
@@ -15,6 +17,7 @@ const UserSchema                            = new Schema({
     required                                : [ true, 'email.required' ],
     trim                                    : true,
     lowercase                               : true,
+    match                                   : [ /^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'email.invalid' ],
     validate                                : {
       validator                             : async function( value ) {
         const existing                      = await this.constructor.findOne( { email : value } )
@@ -29,21 +32,21 @@ const UserSchema                            = new Schema({
   },
   username                                  : {
     type                                    : String,
-    required                                : [ true, t('username.required') ],
-    unique                                  : [ true, t('username.taken') ],
+    required                                : [ true, 'username.required' ],
+    unique                                  : [ true, 'username.taken' ],
     trim                                    : true,
-    minlength                               : [ 3, t('username.minlength') ],
-    maxlength                               : [ 20, t('username.maxlength') ],
-    match                                   : [ /^[a-zåäö0-9_]+$/i, t('username.invalid') ],
+    minlength                               : [ 3, 'username.minlength' ],
+    maxlength                               : [ 20, 'username.maxlength' ],
+    match                                   : [ /^[a-zåäö0-9_]+$/i, 'username.invalid' ],
     validate                                : {
       validator                             : async function( value ) {
 
         // Escape regex
         const escapeRegex                   = ( str ) => str.replace( /[.*+?^${}()|[\]\\]/g, '\\$&' )
 
-        // Reject if username has leading/trailing spaces
+        // Reject if username has leading/trailing spaces (the thrown messages are translation keys as well)
         if( value !== value.trim() )
-          throw new CustomErrorHelper( t('username.invalidSpaces') )
+          throw new CustomErrorHelper( 'username.invalidSpaces' )
 
         // If the user is trying to create a new user
         if( this.isNew ) {
@@ -57,7 +60,7 @@ const UserSchema                            = new Schema({
 
           // If the user already exists, throw an error that the username is taken
           if( user )
-            throw new CustomErrorHelper( t('username.taken'), StatusCodes.CONFLICT, 'username' )
+            throw new CustomErrorHelper( 'username.taken', StatusCodes.CONFLICT, 'username' )
 
         // Else if the user is trying to update their username
         } else if( this.isModified( 'username' ) ) {
@@ -67,7 +70,7 @@ const UserSchema                            = new Schema({
 
           // If the username is different from the current username (not a different variation), throw an error
           if( currentUser && currentUser.username.toLowerCase() !== value.toLowerCase() )
-            throw new CustomErrorHelper( t('username.variation'), StatusCodes.CONFLICT, 'username' )
+            throw new CustomErrorHelper( 'username.variation', StatusCodes.CONFLICT, 'username' )
         }
 
         // If the username is not taken, or the username is the same as the current username (a different variation), return true
@@ -77,29 +80,32 @@ const UserSchema                            = new Schema({
   },
   forename                                  : {
     type                                    : String,
-    required                                : [ true, t('forename.required') ],
+    required                                : [ true, 'forename.required' ],
     trim                                    : true,
-    minlength                               : [ 3, t('forename.minlength') ],
-    match                                   : [ /^[a-zA-Zåäö]+$/i, t('forename.invalid') ],
+    minlength                               : [ 3, 'forename.minlength' ],
+    match                                   : [ /^[a-zA-Zåäö]+$/i, 'forename.invalid' ],
   },
   surname                                   : {
     type                                    : String,
-    required                                : [ true, t('surname.required') ],
+    required                                : [ true, 'surname.required' ],
     trim                                    : true,
-    minlength                               : [ 3, t('surname.minlength') ],
-    match                                   : [ /^[a-zA-Zåäö]+$/i, t('surname.invalid') ],
+    minlength                               : [ 3, 'surname.minlength' ],
+    match                                   : [ /^[a-zA-Zåäö]+$/i, 'surname.invalid' ],
   },
   password                                  : {
     type                                    : String,
-    required                                : [ true, t('password.required') ],
-    minlength                               : [ 6, t('password.minlength') ],
-    maxlength                               : [ 64, t('password.maxlength') ],
+    required                                : [ true, 'password.required' ],
+    minlength                               : [ 6, 'password.minlength' ],
+    maxlength                               : [ 64, 'password.maxlength' ],
     select                                  : false,
   },
   role                                      : {
     type                                    : String,
-    enum                                    : [ 'user', 'moderator', 'admin' ],
     default                                 : 'user',
+    validate                                : {
+      validator                             : async ( role ) => !!await RoleModel.exists({ name: role }),
+      message                               : 'user.role.invalid',
+    },
   },
   isActive                                  : {
     type                                    : Boolean,
@@ -109,6 +115,52 @@ const UserSchema                            = new Schema({
     type                                    : Boolean,
     default                                 : false,
   },
+  locale                                    : {
+    type                                    : String,
+    default                                 : SupportedLocales[ 0 ],
+    enum                                    : {
+      values                                : SupportedLocales,
+      message                               : 'locale.invalid',
+    },
+  },
+  passwordChangedAt                         : {
+    type                                    : Date,
+    default                                 : null,
+  },
+  deletionScheduledAt                       : {
+    type                                    : Date,
+    default                                 : null,
+    index                                   : true,
+  },
+  isTwoFactorEnabled                        : {
+    type                                    : Boolean,
+    default                                 : false,
+  },
+  twoFactorSecret                           : {
+    type                                    : String,
+    default                                 : null,
+    select                                  : false,
+  },
+  twoFactorLastUsedStep                     : {
+    type                                    : Number,
+    default                                 : null,
+    select                                  : false,
+  },
+  twoFactorChallengeId                      : {
+    type                                    : String,
+    default                                 : null,
+    select                                  : false,
+  },
+  twoFactorChallengeAttempts                : {
+    type                                    : Number,
+    default                                 : 0,
+    select                                  : false,
+  },
+  twoFactorRecoveryCodes                    : {
+    type                                    : [ String ],
+    default                                 : [],
+    select                                  : false,
+  },
   /* emailVerificationToken                    : {
     type                                    : String,
     default                                 : crypto.randomBytes( 32 ).toString( 'hex' ),
@@ -125,6 +177,7 @@ UserSchema.statics.SerializeUser           = function( user ) {
     forename                                : user.forename,
     surname                                 : user.surname,
     role                                    : user.role,
+    locale                                  : user.locale,
   }
 }
 
@@ -143,11 +196,15 @@ UserSchema.pre('save', async function( next ) {
   if(this.isNew || this.isModified('surname'))
     this.surname                            = StringHelper.Capitalize( this.surname.trim() )
 
+  if(!this.isNew && this.isModified('password'))
+    this.passwordChangedAt                  = new Date()
+
   if(this.isNew || this.isModified('password'))
     this.password                           = await PasswordHelper.Hash( this.password )
 
+  // The translation key, translated in the requesting user's language by the error middleware
   if(this.modifiedPaths().length === 0)
-    return next(new CustomErrorHelper( t('user.noChanges'), 400 ))
+    return next(new CustomErrorHelper( 'user.noChanges', 400 ))
 
   return next()
 })
@@ -0,0 +1,118 @@
+import { Router } from 'express'
+
+import Permissions from '../../../configs/Permissions.config.js'
+
+import AdminUserController from '../../../controllers/AdminUser.controller.js'
+import ImpersonationController from '../../../controllers/Impersonation.controller.js'
+
+import AuthMiddleware from '../../../middlewares/Auth.middleware.js'
+
+/**
+ * @type {Router}
+ * @constant AdminRouter
+ * @description Contains all admin routes, for managing and impersonating other users' accounts. Every route requires
+ * its own permission (see configs/Permissions.config.js), and every action is recorded in the audit log
+ * 
+ * @route {PUT} /api/admin/users/:id/role
+ * @route {PUT} /api/admin/users/:id/active
+ * @route {PUT} /api/admin/users/:id/verify-email
+ * @route {DELETE} /api/admin/users/:id
+ * @route {POST} /api/admin/users/:id/impersonate
+ * @route {POST} /api/admin/impersonation/stop
+ * 
+ * @exports AdminRouter
+ */
+const AdminRouter                           = Router()
+
+/**
+ * @route PUT /api/admin/users/:id/role
+ * @description Change a user's role (revokes their sessions and personal access tokens)
+ * @returns {User} The user
+ */
+AdminRouter.put( '/users/:id/role', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_UPDATE_ROLE_ANY ),
+], AdminUserController.UpdateRole )
+
+/**
+ * @route PUT /api/admin/users/:id/active
+ * @description Activate or deactivate a user's account (deactivating revokes their sessions and personal access tokens)
+ * @returns {User} The user
+ */
+AdminRouter.put( '/users/:id/active', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_ACTIVATE_ANY ),
+], AdminUserController.SetActive )
+
+/**
+ * @route PUT /api/admin/users/:id/verify-email
+ * @description Mark a user's email address as verified
+ * @returns {User} The user
+ */
+AdminRouter.put( '/users/:id/verify-email', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_VERIFY_EMAIL_ANY ),
+], AdminUserController.VerifyEmail )
+
+/**
+ * @route DELETE /api/admin/users/:id
+ * @description Delete a user, their sessions, and every record tied to them
+ * @returns {Object} Success message
+ */
+AdminRouter.delete( '/users/:id', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_DELETE_ANY ),
+], AdminUserController.DeleteUser )
+
+/**
+ * @route POST /api/admin/users/:id/impersonate
+ * @description Start impersonating a user, replacing the admin's session by a session of the user (its access token
+ * carries the admin's id as the "act" claim)
+ * @returns {User} The impersonated user
+ */
+AdminRouter.post( '/users/:id/impersonate', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_IMPERSONATE_ANY ),
+], ImpersonationController.Start )
+
+/**
+ * @route POST /api/admin/impersonation/stop
+ * @description Stop impersonating, and return to the admin's own session (called with the impersonation session, so
+ * it doesn't require the admin permissions)
+ * @returns {User} The admin
+ */
+AdminRouter.post( '/impersonation/stop', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+], ImpersonationController.Stop )
+
+export {
+  AdminRouter as default,
+}
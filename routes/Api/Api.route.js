@@ -1,11 +1,16 @@
 import { Router } from 'express'
 import multer from 'multer'
 
+import { NODE_ENV } from '../../configs/Environment.config.js'
 import Logger from '../../configs/Logger.config.js'
 
 import CsrfRouter from './Csrf/Csrf.route.js'
 import UserRouter from './User/User.route.js'
 import AuthRouter from './Auth/Auth.route.js'
+import OidcRouter from './Oidc/Oidc.route.js'
+import RoleRouter from './Role/Role.route.js'
+import AdminRouter from './Admin/Admin.route.js'
+import MailRouter from './Mail/Mail.route.js'
 
 const ApiRouter                             = Router()
 
@@ -18,6 +23,19 @@ ApiRouter.use( '/user', [ multer().none() ], UserRouter )
 // Auth Router
 ApiRouter.use( '/auth', [ multer().none() ], AuthRouter )
 
+// OpenID Connect Router (consent and clients)
+ApiRouter.use( '/oidc', [ multer().none() ], OidcRouter )
+
+// Role Router (roles and their permissions)
+ApiRouter.use( '/roles', [ multer().none() ], RoleRouter )
+
+// Admin Router (managing other users' accounts)
+ApiRouter.use( '/admin', [ multer().none() ], AdminRouter )
+
+// Mail Router (template previews, only in development)
+if( NODE_ENV === 'development' )
+  ApiRouter.use( '/mail', MailRouter )
+
 export {
   ApiRouter as default,
 }
@@ -1,6 +1,15 @@
 import { Router } from 'express'
 
+import Permissions from '../../../configs/Permissions.config.js'
+import { RecoveryCodeLimiterMiddleware } from '../../../configs/Security.config.js'
+
 import AuthController from '../../../controllers/Auth.controller.js'
+import OAuthController from '../../../controllers/OAuth.controller.js'
+import PersonalAccessTokenController from '../../../controllers/PersonalAccessToken.controller.js'
+import TwoFactorController from '../../../controllers/TwoFactor.controller.js'
+import WebAuthnController from '../../../controllers/WebAuthn.controller.js'
+
+import PermissionHelper from '../../../helpers/Permission.helper.js'
 
 import AuthMiddleware from '../../../middlewares/Auth.middleware.js'
 
@@ -12,7 +21,33 @@ import AuthMiddleware from '../../../middlewares/Auth.middleware.js'
  * @route {POST} /api/auth/login
  * @route {POST} /api/auth/logout
  * @route {PUT} /api/auth/verify/email/:token
+ * @route {POST} /api/auth/email/verify/code
+ * @route {POST} /api/auth/email/verify/resend
  * @route {GET} /api/auth/find/units
+ * @route {POST} /api/auth/bearer/refresh
+ * @route {PUT} /api/auth/password/update
+ * @route {POST} /api/auth/password/reset/request
+ * @route {PUT} /api/auth/password/reset/confirm/:token
+ * @route {POST} /api/auth/magic-link
+ * @route {PUT} /api/auth/magic-link/consume/:token
+ * @route {GET} /api/auth/oauth/providers
+ * @route {GET} /api/auth/oauth/:provider
+ * @route {GET} /api/auth/oauth/:provider/callback
+ * @route {POST} /api/auth/oauth/2fa/exchange
+ * @route {POST} /api/auth/2fa/enroll
+ * @route {POST} /api/auth/2fa/confirm
+ * @route {POST} /api/auth/2fa/disable
+ * @route {POST} /api/auth/2fa/verify
+ * @route {POST} /api/auth/2fa/recovery-codes/regenerate
+ * @route {POST} /api/auth/webauthn/register/options
+ * @route {POST} /api/auth/webauthn/register
+ * @route {POST} /api/auth/webauthn/login/options
+ * @route {POST} /api/auth/webauthn/login
+ * @route {GET} /api/auth/webauthn/credentials
+ * @route {DELETE} /api/auth/webauthn/credentials/:credentialId
+ * @route {POST} /api/auth/personal-access-tokens
+ * @route {GET} /api/auth/personal-access-tokens
+ * @route {DELETE} /api/auth/personal-access-tokens/:id
  * 
  * @exports AuthRouter
  */
@@ -20,7 +55,7 @@ const AuthRouter                            = Router()
 
 /**
  * @route POST /api/auth/login
- * @description Login a user
+ * @description Login a user. Bearer clients (X-Token-Transport: bearer header) get the tokens in the response body
  * @returns {User} The user's details
  */
 AuthRouter.post( '/login', [
@@ -47,6 +82,21 @@ AuthRouter.post( '/logout', [
  */
 AuthRouter.put( '/email/verify/:token', AuthController.VerifyEmail )
 
+/**
+ * @route POST /api/auth/email/verify/code
+ * @description Verify a user's email with the 6-digit code (when the deployment uses the 'code' mode)
+ * @returns {String} A success message
+ */
+AuthRouter.post( '/email/verify/code', AuthController.VerifyEmailCode )
+
+/**
+ * @route POST /api/auth/email/verify/resend
+ * @description Resend the email verification link (and code), limited by a cooldown and a daily limit per user
+ * (enforced silently, the response is the same in every case)
+ * @returns {String} A success message
+ */
+AuthRouter.post( '/email/verify/resend', AuthController.ResendEmailVerification )
+
 /**
  * @route GET /api/auth/find/units
  * @description Find the units the user is currently logged in on
@@ -59,6 +109,7 @@ AuthRouter.get( '/find/units', [
   AuthMiddleware.RefreshTokenRevoked,
   AuthMiddleware.EmailVerified,
   AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.SESSIONS_READ_SELF ),
 ], AuthController.UnitsLoggedInOn )
 
 AuthRouter.put( '/unit/revoke/all', [
@@ -68,6 +119,7 @@ AuthRouter.put( '/unit/revoke/all', [
   AuthMiddleware.RefreshTokenRevoked,
   AuthMiddleware.EmailVerified,
   AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.SESSIONS_REVOKE_SELF ),
 ], AuthController.RevokeAllRefreshTokens )
 
 AuthRouter.put( '/unit/revoke/:tokenId', [
@@ -77,6 +129,7 @@ AuthRouter.put( '/unit/revoke/:tokenId', [
   AuthMiddleware.RefreshTokenRevoked,
   AuthMiddleware.EmailVerified,
   AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.SESSIONS_REVOKE_ANY, PermissionHelper.SelfByRefreshToken( 'tokenId' ) ),
 ], AuthController.RevokeRefreshToken )
 
 AuthRouter.put( '/tokens/refresh', [
@@ -88,6 +141,289 @@ AuthRouter.put( '/tokens/refresh', [
   AuthMiddleware.AccountInactive,
 ], AuthController.RefreshTokens )
 
+/**
+ * @route POST /api/auth/bearer/refresh
+ * @description Refresh a bearer client's tokens, with the refresh token and device id in the request body
+ * (send the X-Token-Transport: bearer header, as the expired access token may be left out)
+ * @returns {Object} The new tokens
+ */
+AuthRouter.post( '/bearer/refresh', AuthController.RefreshBearerTokens )
+
+/**
+ * @route PUT /api/auth/password/update
+ * @description Update the user's password, and sign out every other device
+ * @returns {String} A success message
+ */
+AuthRouter.put( '/password/update', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], AuthController.UpdatePassword )
+
+/**
+ * @route POST /api/auth/password/reset/request
+ * @description Request a password reset token (responds the same whether the email exists or not)
+ * @returns {String} A success message
+ */
+AuthRouter.post( '/password/reset/request', [
+  AuthMiddleware.AlreadyLoggedIn,
+], AuthController.RequestPasswordReset )
+
+/**
+ * @route PUT /api/auth/password/reset/confirm/:token
+ * @description Reset the password with a password reset token, and revoke every refresh token of the user
+ * @returns {String} A success message
+ */
+AuthRouter.put( '/password/reset/confirm/:token', [
+  AuthMiddleware.AlreadyLoggedIn,
+], AuthController.ConfirmPasswordReset )
+
+/**
+ * @route POST /api/auth/magic-link
+ * @description Request a magic (login) link (responds the same whether the email exists or not)
+ * @returns {String} A success message
+ */
+AuthRouter.post( '/magic-link', [
+  AuthMiddleware.AlreadyLoggedIn,
+], AuthController.RequestMagicLink )
+
+/**
+ * @route PUT /api/auth/magic-link/consume/:token
+ * @description Log in with a magic link
+ * @returns {User} The user's details
+ */
+AuthRouter.put( '/magic-link/consume/:token', [
+  AuthMiddleware.AlreadyLoggedIn,
+], AuthController.ConsumeMagicLink )
+
+/**
+ * @route GET /api/auth/oauth/providers
+ * @description Find the enabled OAuth2 / OpenID Connect providers
+ * @returns {String[]} The provider names
+ */
+AuthRouter.get( '/oauth/providers', OAuthController.GetProviders )
+
+/**
+ * @route GET /api/auth/oauth/:provider
+ * @description Redirect to the provider's authorization page (authorization code + PKCE)
+ * @returns {Response} A redirect to the provider
+ */
+AuthRouter.get( '/oauth/:provider', [
+  AuthMiddleware.AlreadyLoggedIn,
+], OAuthController.Redirect )
+
+/**
+ * @route GET /api/auth/oauth/:provider/callback
+ * @description The provider's callback. Links or creates the user, logs them in and redirects back to the client
+ * @returns {Response} A redirect to the client
+ */
+AuthRouter.get( '/oauth/:provider/callback', OAuthController.Callback )
+
+/**
+ * @route POST /api/auth/oauth/2fa/exchange
+ * @description Exchange the one-time code from the OAuth callback's redirect for a two-factor challenge token
+ * @returns {Object} The challenge token
+ */
+AuthRouter.post( '/oauth/2fa/exchange', [
+  AuthMiddleware.AlreadyLoggedIn,
+], OAuthController.ExchangeTwoFactorCode )
+
+/**
+ * @route POST /api/auth/2fa/enroll
+ * @description Start the two-factor enrollment
+ * @returns {Object} The secret, and the otpauth:// uri
+ */
+AuthRouter.post( '/2fa/enroll', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], TwoFactorController.Enroll )
+
+/**
+ * @route POST /api/auth/2fa/confirm
+ * @description Confirm the two-factor enrollment with a code, and enable two-factor authentication
+ * @returns {String} A success message
+ */
+AuthRouter.post( '/2fa/confirm', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], TwoFactorController.Confirm )
+
+/**
+ * @route POST /api/auth/2fa/disable
+ * @description Disable two-factor authentication (requires the password and a code)
+ * @returns {String} A success message
+ */
+AuthRouter.post( '/2fa/disable', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], TwoFactorController.Disable )
+
+/**
+ * @route POST /api/auth/2fa/verify
+ * @description Exchange the login challenge token and a code (or a recovery code) for the session. The requests with
+ * a recovery code are rate limited per ip address
+ * @returns {User} The user's details
+ */
+AuthRouter.post( '/2fa/verify', [
+  AuthMiddleware.AlreadyLoggedIn,
+  RecoveryCodeLimiterMiddleware,
+], TwoFactorController.Verify )
+
+/**
+ * @route POST /api/auth/2fa/recovery-codes/regenerate
+ * @description Replace the recovery codes with new ones (requires the password)
+ * @returns {Object} The new recovery codes
+ */
+AuthRouter.post( '/2fa/recovery-codes/regenerate', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], TwoFactorController.RegenerateRecoveryCodes )
+
+/**
+ * @route POST /api/auth/webauthn/register/options
+ * @description Get the options for registering a new passkey
+ * @returns {Object} The public key credential creation options
+ */
+AuthRouter.post( '/webauthn/register/options', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], WebAuthnController.RegistrationOptions )
+
+/**
+ * @route POST /api/auth/webauthn/register
+ * @description Verify the registration, and store the passkey
+ * @returns {Credential} The passkey's details
+ */
+AuthRouter.post( '/webauthn/register', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], WebAuthnController.Register )
+
+/**
+ * @route POST /api/auth/webauthn/login/options
+ * @description Get the options for logging in with a passkey
+ * @returns {Object} The public key credential request options
+ */
+AuthRouter.post( '/webauthn/login/options', [
+  AuthMiddleware.AlreadyLoggedIn,
+], WebAuthnController.AuthenticationOptions )
+
+/**
+ * @route POST /api/auth/webauthn/login
+ * @description Log in with a passkey
+ * @returns {User} The user's details
+ */
+AuthRouter.post( '/webauthn/login', [
+  AuthMiddleware.AlreadyLoggedIn,
+], WebAuthnController.Authenticate )
+
+/**
+ * @route GET /api/auth/webauthn/credentials
+ * @description Find the user's passkeys
+ * @returns {Credential[]} The user's passkeys
+ */
+AuthRouter.get( '/webauthn/credentials', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+], WebAuthnController.GetCredentials )
+
+/**
+ * @route DELETE /api/auth/webauthn/credentials/:credentialId
+ * @description Delete one of the user's passkeys
+ * @returns {String} A success message
+ */
+AuthRouter.delete( '/webauthn/credentials/:credentialId', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], WebAuthnController.DeleteCredential )
+
+/**
+ * @route POST /api/auth/personal-access-tokens
+ * @description Create a personal access token, with a name, scopes and a lifetime (expiresInDays)
+ * @returns {Object} The personal access token's details, and the token (only returned once)
+ */
+AuthRouter.post( '/personal-access-tokens', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], PersonalAccessTokenController.Create )
+
+/**
+ * @route GET /api/auth/personal-access-tokens
+ * @description Get the user's personal access tokens
+ * @returns {Object[]} The personal access tokens' details
+ */
+AuthRouter.get( '/personal-access-tokens', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+], PersonalAccessTokenController.GetAll )
+
+/**
+ * @route DELETE /api/auth/personal-access-tokens/:id
+ * @description Revoke one of the user's personal access tokens
+ * @returns {String} A success message
+ */
+AuthRouter.delete( '/personal-access-tokens/:id', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], PersonalAccessTokenController.Revoke )
+
 export {
   AuthRouter as default,
 }
@@ -0,0 +1,25 @@
+import { Router } from 'express'
+
+import MailController from '../../../controllers/Mail.controller.js'
+
+/**
+ * @type {Router}
+ * @constant MailRouter
+ * @description Contains all routes related to mails. Only registered in development
+ * 
+ * @route {GET} /api/mail/preview/:template
+ * 
+ * @exports MailRouter
+ */
+const MailRouter                            = Router()
+
+/**
+ * @route GET /api/mail/preview/:template
+ * @description Preview a mail template rendered with sample data (?locale=en|sv, ?format=html|text)
+ * @returns {String} The rendered mail
+ */
+MailRouter.get( '/preview/:template', MailController.Preview )
+
+export {
+  MailRouter as default,
+}
@@ -0,0 +1,100 @@
+import { Router } from 'express'
+
+import Permissions from '../../../configs/Permissions.config.js'
+
+import OidcController from '../../../controllers/Oidc.controller.js'
+
+import AuthMiddleware from '../../../middlewares/Auth.middleware.js'
+
+/**
+ * @type {Router}
+ * @constant OidcRouter
+ * @description Contains all routes related to the OpenID Connect provider's consent page and client registration
+ * 
+ * @route {GET} /api/oidc/authorize/:requestId
+ * @route {POST} /api/oidc/authorize/:requestId
+ * @route {POST} /api/oidc/clients
+ * @route {GET} /api/oidc/clients
+ * @route {DELETE} /api/oidc/clients/:id
+ * 
+ * @exports OidcRouter
+ */
+const OidcRouter                            = Router()
+
+/**
+ * @route GET /api/oidc/authorize/:requestId
+ * @description Find the client and scopes of an authorization request, for the consent page
+ * @returns {JSON} The client, scopes and whether consent was already given
+ */
+OidcRouter.get( '/authorize/:requestId', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+], OidcController.GetAuthorizationRequest )
+
+/**
+ * @route POST /api/oidc/authorize/:requestId
+ * @description Approve ({ approve: true }) or deny an authorization request
+ * @returns {String} The client redirect url, with the authorization code or an error
+ */
+OidcRouter.post( '/authorize/:requestId', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], OidcController.Consent )
+
+/**
+ * @route POST /api/oidc/clients
+ * @description Register a new client (oidcClients:manage:any)
+ * @returns {OidcClient} The client, and its secret (only returned once)
+ */
+OidcRouter.post( '/clients', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.OIDC_CLIENTS_MANAGE_ANY ),
+], OidcController.CreateClient )
+
+/**
+ * @route GET /api/oidc/clients
+ * @description Find all registered clients (oidcClients:manage:any)
+ * @returns {OidcClient[]} The clients
+ */
+OidcRouter.get( '/clients', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.OIDC_CLIENTS_MANAGE_ANY ),
+], OidcController.GetClients )
+
+/**
+ * @route DELETE /api/oidc/clients/:id
+ * @description Delete a client, and everything issued to it (oidcClients:manage:any)
+ * @returns {String} A success message
+ */
+OidcRouter.delete( '/clients/:id', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.OIDC_CLIENTS_MANAGE_ANY ),
+], OidcController.DeleteClient )
+
+export {
+  OidcRouter as default,
+}
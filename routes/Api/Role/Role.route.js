@@ -0,0 +1,53 @@
+import { Router } from 'express'
+
+import Permissions from '../../../configs/Permissions.config.js'
+
+import RoleController from '../../../controllers/Role.controller.js'
+
+import AuthMiddleware from '../../../middlewares/Auth.middleware.js'
+
+/**
+ * @type {Router}
+ * @constant RoleRouter
+ * @description Contains all routes related to roles, and their permissions
+ * 
+ * @route {GET} /api/roles
+ * @route {PUT} /api/roles/:name
+ * 
+ * @exports RoleRouter
+ */
+const RoleRouter                            = Router()
+
+/**
+ * @route GET /api/roles
+ * @description Find every role and its permissions, and every known permission (roles:manage:any)
+ * @returns {Object} The roles, and the permissions
+ */
+RoleRouter.get( '/', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.ROLES_MANAGE_ANY ),
+], RoleController.GetRoles )
+
+/**
+ * @route PUT /api/roles/:name
+ * @description Set the permissions of a role, creating the role if it doesn't exist (roles:manage:any)
+ * @returns {Role} The role
+ */
+RoleRouter.put( '/:name', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.ROLES_MANAGE_ANY ),
+], RoleController.UpdateRole )
+
+export {
+  RoleRouter as default,
+}
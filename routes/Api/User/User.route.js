@@ -1,9 +1,16 @@
 import { Router } from 'express'
 
+import Permissions from '../../../configs/Permissions.config.js'
+
+import DataExportController from '../../../controllers/DataExport.controller.js'
 import UserController from '../../../controllers/User.controller.js'
 
+import PermissionHelper from '../../../helpers/Permission.helper.js'
+
 import AuthMiddleware from '../../../middlewares/Auth.middleware.js'
 
+import { PersonalAccessTokenScopes } from '../../../models/PersonalAccessToken.model.js'
+
 /**
  * @type {Router}
  * @constant UserRouter
@@ -14,6 +21,14 @@ import AuthMiddleware from '../../../middlewares/Auth.middleware.js'
  * @route {GET} /api/user/find/id/:id
  * @route {GET} /api/user/find/email/:email
  * @route {GET} /api/user/find/username/:username
+ * @route {PUT} /api/user/update/me
+ * @route {PUT} /api/user/email/change/confirm/:token
+ * @route {PUT} /api/user/email/change/revert/:token
+ * @route {PUT} /api/user/unlock/:id
+ * @route {DELETE} /api/user/me
+ * @route {POST} /api/user/export/me
+ * @route {GET} /api/user/export/me
+ * @route {GET} /api/user/export/download/:token
  * @route {POST} /api/user
  * 
  * @exports UserRouter
@@ -32,11 +47,13 @@ UserRouter.get( '/find/me', [
   AuthMiddleware.RefreshTokenRevoked,
   AuthMiddleware.EmailVerified,
   AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_READ_SELF ),
+  AuthMiddleware.ScopeChecker( PersonalAccessTokenScopes.USER_READ ),
 ], UserController.GetUser )
 
 /**
  * @route GET /api/user/find/all
- * @description Find all users (moderators and admins only)
+ * @description Find all users (users:read:any)
  * @returns {Users[]} An array of all users
  */
 UserRouter.get( '/find/all', [
@@ -46,12 +63,13 @@ UserRouter.get( '/find/all', [
   AuthMiddleware.RefreshTokenRevoked,
   AuthMiddleware.EmailVerified,
   AuthMiddleware.AccountInactive,
-  AuthMiddleware.RoleChecker([ 'moderator', 'admin' ]),
+  AuthMiddleware.RequirePermission( Permissions.USERS_READ_ANY ),
+  AuthMiddleware.ScopeChecker( PersonalAccessTokenScopes.USER_READ ),
 ], UserController.GetAllUsers )
 
 /**
  * @route GET /api/user/find/id/:id
- * @description Find a specific user by their id
+ * @description Find a specific user by their id (users:read:any, or users:read:self for the user's own id)
  * @returns {User} The user's details
  */
 UserRouter.get( '/find/id/:id', [
@@ -61,11 +79,13 @@ UserRouter.get( '/find/id/:id', [
   AuthMiddleware.RefreshTokenRevoked,
   AuthMiddleware.EmailVerified,
   AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_READ_ANY, PermissionHelper.SelfById( 'id' ) ),
+  AuthMiddleware.ScopeChecker( PersonalAccessTokenScopes.USER_READ ),
 ], UserController.GetUserById )
 
 /**
  * @route GET /api/user/find/email/:email
- * @description Find a specific user by their email
+ * @description Find a specific user by their email (users:read:any, or users:read:self for the user's own email)
  * @returns {User} The user's details
  */
 UserRouter.get( '/find/email/:email', [
@@ -75,11 +95,13 @@ UserRouter.get( '/find/email/:email', [
   AuthMiddleware.RefreshTokenRevoked,
   AuthMiddleware.EmailVerified,
   AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_READ_ANY, PermissionHelper.SelfByEmail( 'email' ) ),
+  AuthMiddleware.ScopeChecker( PersonalAccessTokenScopes.USER_READ ),
 ], UserController.GetUserByEmail )
 
 /**
  * @route GET /api/user/find/username/:username
- * @description Find a specific user by their username
+ * @description Find a specific user by their username (users:read:any, or users:read:self for the user's own username)
  * @returns {User} The user's details
  */
 UserRouter.get( '/find/username/:username', [
@@ -89,6 +111,8 @@ UserRouter.get( '/find/username/:username', [
   AuthMiddleware.RefreshTokenRevoked,
   AuthMiddleware.EmailVerified,
   AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_READ_ANY, PermissionHelper.SelfByUsername( 'username' ) ),
+  AuthMiddleware.ScopeChecker( PersonalAccessTokenScopes.USER_READ ),
 ], UserController.GetUserByUsername )
 
 /**
@@ -103,8 +127,92 @@ UserRouter.put( '/update/me', [
   AuthMiddleware.RefreshTokenRevoked,
   AuthMiddleware.EmailVerified,
   AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_UPDATE_SELF ),
+  AuthMiddleware.ScopeChecker( PersonalAccessTokenScopes.USER_WRITE ),
+  AuthMiddleware.NotImpersonating,
 ], UserController.UpdateUser )
 
+/**
+ * @route PUT /api/user/email/change/confirm/:token
+ * @description Confirm a pending email change, with the link sent to the new address
+ * @returns {String} A success message
+ */
+UserRouter.put( '/email/change/confirm/:token', UserController.ConfirmEmailChange )
+
+/**
+ * @route PUT /api/user/email/change/revert/:token
+ * @description Revert an email change, with the link sent to the old address (revokes every session)
+ * @returns {String} A success message
+ */
+UserRouter.put( '/email/change/revert/:token', UserController.RevertEmailChange )
+
+/**
+ * @route PUT /api/user/unlock/:id
+ * @description Unlock a user's account, locked after too many failed login attempts (users:unlock:any)
+ * @returns {JSON} Success message
+ */
+UserRouter.put( '/unlock/:id', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.EmailVerified,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_UNLOCK_ANY ),
+], UserController.UnlockUser )
+
+/**
+ * @route DELETE /api/user/me
+ * @description Schedule the currently logged in user's account for deletion (the password has to be re-entered).
+ * Every session is revoked, and logging in again before the grace period has passed cancels the deletion
+ * @returns {Object} When the account will be deleted
+ */
+UserRouter.delete( '/me', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.NotImpersonating,
+], UserController.DeleteUser )
+
+/**
+ * @route POST /api/user/export/me
+ * @description Export everything stored about the currently logged in user. Returned right away as a JSON file, or
+ * (for a large export) built in the background and fetched with the one-time download link in the response
+ * @returns {Object} The export (as a file), or the background export and its download link
+ */
+UserRouter.post( '/export/me', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_READ_SELF ),
+  AuthMiddleware.NotImpersonating,
+], DataExportController.Create )
+
+/**
+ * @route GET /api/user/export/me
+ * @description Find the state of the currently logged in user's background export
+ * @returns {Object} The export record
+ */
+UserRouter.get( '/export/me', [
+  AuthMiddleware.ValidateTokens,
+  AuthMiddleware.Authenticate,
+  AuthMiddleware.VerifySessionData,
+  AuthMiddleware.RefreshTokenRevoked,
+  AuthMiddleware.AccountInactive,
+  AuthMiddleware.RequirePermission( Permissions.USERS_READ_SELF ),
+], DataExportController.GetStatus )
+
+/**
+ * @route GET /api/user/export/download/:token
+ * @description Download a background export, with its one-time download link (the token is the credential)
+ * @returns {Object} The export, as a file
+ */
+UserRouter.get( '/export/download/:token', DataExportController.Download )
+
 /**
  * @route POST /api/user/
  * @description Create a new user
@@ -0,0 +1,66 @@
+import { Router } from 'express'
+
+import OidcController from '../../controllers/Oidc.controller.js'
+
+/**
+ * @type {Router}
+ * @constant OidcRouter
+ * @description Contains the OpenID Connect provider endpoints, called by other (registered) apps and their servers.
+ * Registered outside /api, since they're protected by PKCE / client authentication instead of CSRF tokens and sessions
+ * 
+ * @route {GET} /.well-known/openid-configuration
+ * @route {GET} /.well-known/jwks.json
+ * @route {GET} /authorize
+ * @route {POST} /token
+ * @route {GET} /userinfo
+ * @route {POST} /userinfo
+ * 
+ * @exports OidcRouter
+ */
+const OidcRouter                            = Router()
+
+/**
+ * @route GET /.well-known/openid-configuration
+ * @description The OpenID Connect discovery document
+ * @returns {JSON} The discovery document
+ */
+OidcRouter.get( '/.well-known/openid-configuration', OidcController.Discovery )
+
+/**
+ * @route GET /.well-known/jwks.json
+ * @description The public keys of the key ring, to verify tokens with (picked by their kid)
+ * @returns {JSON} The JSON Web Key Set
+ */
+OidcRouter.get( '/.well-known/jwks.json', OidcController.Jwks )
+
+/**
+ * @route GET /authorize
+ * @description The authorization endpoint (authorization code flow). Redirects the user to the consent page
+ * @returns {Response} A redirect to the consent page, or back to the client with an error
+ */
+OidcRouter.get( '/authorize', OidcController.Authorize )
+
+/**
+ * @route POST /token
+ * @description The token endpoint (authorization_code and refresh_token grants)
+ * @returns {JSON} The access token, ID token and refresh token
+ */
+OidcRouter.post( '/token', OidcController.Token )
+
+/**
+ * @route GET /userinfo
+ * @description The userinfo endpoint
+ * @returns {JSON} The user's claims
+ */
+OidcRouter.get( '/userinfo', OidcController.UserInfo )
+
+/**
+ * @route POST /userinfo
+ * @description The userinfo endpoint
+ * @returns {JSON} The user's claims
+ */
+OidcRouter.post( '/userinfo', OidcController.UserInfo )
+
+export {
+  OidcRouter as default,
+}
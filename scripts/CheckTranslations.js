@@ -0,0 +1,252 @@
+import fs from 'fs'
+import path from 'path'
+
+/**
+ * Checks that every locale in SupportedLocales (configs/i18n.config.js) translates every key the source uses, and
+ * nothing else. Run with `npm run i18n:check` (and by `npm test`), it exits with 1 when a locale is missing keys or
+ * has orphans.
+ *
+ * The keys are extracted statically, and only from where they're translated:
+ * - the string literals passed to req.t(), i18next.t() and t()
+ * - the keys translated later, where there's no req.t: the messages of the schema validators and the errors thrown
+ *   with a key (translated by the error middleware), and the reasons passed to AuthController.Logout
+ * - the mail templates: the subject (mail.<template>.subject) of every template in templates/mail
+ * A key built with a template literal (e.g. `mail.${ template }.code`) uses every key it matches, where ${ template }
+ * only matches the names of the mail templates. Plural keys (key_one, key_other, ...) belong to their base key
+ */
+
+// The directories (and files) holding the source
+const SourcePaths                           = [ 'app.js', 'configs', 'controllers', 'helpers', 'jobs', 'middlewares', 'models', 'routes' ]
+
+// The directory holding the locales, as <locale>/translation.json
+const LocalesDirectory                      = path.join( process.cwd(), 'locales' )
+
+// The directory holding the mail templates, as <locale>/<template>.html and <locale>/<template>.txt
+const MailTemplatesDirectory                = path.join( process.cwd(), 'templates', 'mail' )
+
+// The template every mail is wrapped in, which has no subject of its own
+const MailLayoutTemplate                    = 'layout'
+
+// The suffixes of the plural forms
+const PluralSuffix                          = /_(zero|one|two|few|many|other)$/
+
+// A string literal, or a template literal
+const StringLiteral                         = /'((?:[^'\\\n]|\\.)*)'|"((?:[^"\\\n]|\\.)*)"|`((?:[^`\\]|\\.)*)`/g
+
+// The start of a translation call, req.t( / i18next.t( / t(
+const TranslationCall                       = /(?:\breq\.|\bi18next\.|(?<![\w$.]))t\(/g
+
+// The calls taking a key that's translated later, and the position of the key's argument
+const DeferredTranslationCalls              = [
+  { call: /\bnew CustomErrorHelper\(/g, argument: 0 },
+  { call: /\bAuthController\.Logout\(/g, argument: 3 },
+]
+
+// A schema validator's message, message: 'key' and [ <value>, 'key' ]
+const ValidatorMessage                      = /\bmessage\s*:\s*'([\w.]+)'|\[\s*(?:true|\d+|\/.+?\/[a-z]*)\s*,\s*'([\w.]+)'\s*\]/g
+
+// The shape of a key, e.g. "user.login.success"
+const KeyShape                              = /^[a-zA-Z][\w]*(\.[\w]+)+$/
+
+/**
+ * @function ReadSource
+ * @description Reads every .js file under the source paths, without the comments
+ * @returns {String[]} The source of every file
+ */
+const ReadSource                            = () => {
+  const files                               = []
+
+  const walk                                = ( entry ) => {
+    if( fs.statSync( entry ).isDirectory() )
+      return fs.readdirSync( entry ).forEach( name => walk( path.join( entry, name ) ) )
+
+    if( entry.endsWith( '.js' ) )
+      files.push( fs.readFileSync( entry, 'utf8' ) )
+  }
+
+  SourcePaths
+    .map( sourcePath => path.join( process.cwd(), sourcePath ) )
+    .filter( sourcePath => fs.existsSync( sourcePath ) )
+    .forEach( walk )
+
+  return files.map( source => source
+    .replace( /\/\*[\s\S]*?\*\//g, '' )
+    .replace( /^\s*\/\/.*$/gm, '' ) )
+}
+
+/**
+ * @function Argument
+ * @description Returns an argument of a call, from the index after its opening parenthesis
+ * @param {String} source
+ * @param {Number} start
+ * @param {Number} position The argument's position (0 for the first)
+ * @returns {String} The argument's source (empty if the call has fewer arguments)
+ */
+const Argument                              = ( source, start, position = 0 ) => {
+  let depth                                 = 0
+  let argumentStart                         = start
+
+  for( let index = start; index < source.length; index++ ) {
+    const character                         = source[ index ]
+
+    // Skip over strings, so the brackets and commas in them don't count
+    if( [ '\'', '"', '`' ].includes( character ) ) {
+      const stringLiteral                   = new RegExp( StringLiteral.source, 'y' )
+
+      stringLiteral.lastIndex               = index
+      const match                           = stringLiteral.exec( source )
+
+      if( match ) {
+        index                               += match[ 0 ].length - 1
+        continue
+      }
+    }
+
+    if( '([{'.includes( character ) )
+      depth++
+
+    else if( ')]}'.includes( character ) && depth-- === 0 )
+      return position === 0 ? source.slice( argumentStart, index ) : ''
+
+    else if( character === ',' && depth === 0 ) {
+      if( position === 0 )
+        return source.slice( argumentStart, index )
+
+      position--
+      argumentStart                         = index + 1
+    }
+  }
+
+  return position === 0 ? source.slice( argumentStart ) : ''
+}
+
+/**
+ * @function ReadMailTemplates
+ * @description Reads the names of the mail templates (of every locale), without the layout
+ * @returns {String[]} The template names
+ */
+const ReadMailTemplates                     = () => {
+  if( !fs.existsSync( MailTemplatesDirectory ) )
+    return []
+
+  return [ ...new Set( fs.readdirSync( MailTemplatesDirectory )
+    .map( locale => path.join( MailTemplatesDirectory, locale ) )
+    .filter( directory => fs.statSync( directory ).isDirectory() )
+    .flatMap( directory => fs.readdirSync( directory ) )
+    .filter( file => [ '.html', '.txt' ].includes( path.extname( file ) ) )
+    .map( file => path.parse( file ).name )
+    .filter( name => name !== MailLayoutTemplate ) ) ].sort()
+}
+
+/**
+ * @function ExtractKeys
+ * @description Extracts the translation keys from the source and the mail templates
+ * @param {String[]} sources
+ * @param {String[]} mailTemplates The names of the mail templates
+ * @returns {Object} The keys passed to the translation calls, validators and deferred translations, and the keys of
+ * the mail templates, and the patterns of the keys built with template literals
+ */
+const ExtractKeys                           = ( sources, mailTemplates ) => {
+  const keys                                = new Set( mailTemplates.map( template => `mail.${ template }.subject` ) )
+  const patterns                            = []
+
+  // What a placeholder matches, ${ template } only the mail templates' names
+  const placeholder                         = ( expression ) => expression.replace( /^\$\{\s*|\s*\}$/g, '' ) === 'template'
+    ? `(?:${ mailTemplates.join( '|' ) })`
+    : '[\\w.]+'
+
+  // Adds the keys (and patterns) of the string literals in an argument
+  const addLiterals                         = ( argument ) => {
+    for( const [ , single, double, template ] of argument.matchAll( StringLiteral ) ) {
+      const key                             = single ?? double ?? template
+
+      // A template literal with placeholders, matching every key with something in their place (one made of
+      // placeholders only, like the mail templates' `${ template }.${ variant }`, isn't a translation key)
+      if( template !== undefined && template.includes( '${' ) ) {
+        if( /[a-zA-Z]/.test( template.replace( /\$\{[^}]*\}/g, '' ) ) ) {
+          const parts                       = template.split( /(\$\{[^}]*\})/ )
+
+          patterns.push( new RegExp( `^${ parts.map( ( part, index ) => index % 2
+            ? placeholder( part )
+            : part.replace( /[.*+?^${}()|[\]\\]/g, '\\$&' ) ).join( '' ) }$` ) )
+        }
+      }
+
+      else if( KeyShape.test( key ) )
+        keys.add( key )
+    }
+  }
+
+  for( const source of sources ) {
+
+    // The keys passed to the translation calls
+    for( const call of source.matchAll( TranslationCall ) )
+      addLiterals( Argument( source, call.index + call[ 0 ].length ) )
+
+    // The keys translated later
+    for( const { call, argument } of DeferredTranslationCalls )
+      for( const match of source.matchAll( call ) )
+        addLiterals( Argument( source, match.index + match[ 0 ].length, argument ) )
+
+    // The messages of the schema validators
+    for( const [ , message, tuple ] of source.matchAll( ValidatorMessage ) )
+      keys.add( message ?? tuple )
+  }
+
+  return { keys, patterns }
+}
+
+/**
+ * @function ReadLocales
+ * @description Reads the translations of every supported locale (from configs/i18n.config.js)
+ * @returns {Object} The translation keys of every locale, as { <locale>: Set }
+ */
+const ReadLocales                           = () => {
+  const config                              = fs.readFileSync( path.join( process.cwd(), 'configs', 'i18n.config.js' ), 'utf8' )
+  const locales                             = [ ...( config.match( /SupportedLocales\s*=\s*\[([^\]]*)\]/ )?.[ 1 ] || '' ).matchAll( /'([^']+)'/g ) ]
+    .map( ([ , locale ]) => locale )
+
+  return Object.fromEntries( locales.map( locale => {
+    const file                              = path.join( LocalesDirectory, locale, 'translation.json' )
+
+    return [ locale, new Set( fs.existsSync( file ) ? Object.keys( JSON.parse( fs.readFileSync( file, 'utf8' ) ) ) : [] ) ]
+  }))
+}
+
+const { keys, patterns }                    = ExtractKeys( ReadSource(), ReadMailTemplates() )
+const locales                               = ReadLocales()
+
+// Whether a locale's key is used by the source (a plural key by its base key)
+const isUsed                                = ( key ) => {
+  const baseKey                             = key.replace( PluralSuffix, '' )
+
+  return [ key, baseKey ].some( candidate => keys.has( candidate ) )
+    || patterns.some( pattern => pattern.test( baseKey ) )
+}
+
+// Whether a locale translates a key (a plural key by any of its forms)
+const isTranslated                          = ( locale, key ) => locales[ locale ].has( key )
+  || [ ...locales[ locale ] ].some( localeKey => localeKey.replace( PluralSuffix, '' ) === key && PluralSuffix.test( localeKey ) )
+
+// Every used key some locale translates, which every locale has to translate as well
+const translatedKeys                        = new Set( Object.values( locales ).flatMap( localeKeys => [ ...localeKeys ].filter( isUsed ) ) )
+
+let hasProblems                             = false
+
+for( const locale of Object.keys( locales ) ) {
+  const missing                             = [ ...new Set([
+    ...[ ...keys ].filter( key => !isTranslated( locale, key ) ),
+    ...[ ...translatedKeys ].filter( key => !locales[ locale ].has( key ) ),
+  ]) ].sort()
+  const orphans                             = [ ...locales[ locale ] ].filter( key => !isUsed( key ) ).sort()
+
+  if( missing.length || orphans.length )
+    hasProblems                             = true
+
+  console.log( `${ locale }: ${ locales[ locale ].size } keys, ${ missing.length } missing, ${ orphans.length } orphans` )
+
+  missing.forEach( key => console.log( `  missing  ${ key }` ) )
+  orphans.forEach( key => console.log( `  orphan   ${ key }` ) )
+}
+
+process.exit( hasProblems ? 1 : 0 )
@@ -0,0 +1,85 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it, mock } from 'node:test'
+
+import { i18next, SupportedLocales } from '../configs/i18n.config.js'
+import ErrorMiddleware from '../middlewares/Error.middleware.js'
+import RoleModel from '../models/Role.model.js'
+import UserModel from '../models/User.model.js'
+
+// Wait for the locales to be loaded
+if( !i18next.isInitialized )
+  await new Promise( resolve => i18next.on( 'initialized', resolve ) )
+
+await i18next.loadLanguages( SupportedLocales )
+
+// A request in a language, as i18next-http-middleware sets it up
+const Request                               = ( language ) => ({
+  t                                         : i18next.getFixedT( language ),
+  i18n                                      : { exists: key => i18next.exists( key, { lng: language } ) },
+})
+
+// A response, recording its status and body
+const Response                              = () => ({
+  status                                    : function( status ) { this.statusCode = status; return this },
+  json                                      : function( body ) { this.body = body; return this },
+})
+
+// Validates a user, and returns the validation error
+const validate                              = ( fields ) => new UserModel({
+  email                                     : 'jane.doe@example.com',
+  username                                  : 'janedoe',
+  forename                                  : 'Jane',
+  surname                                   : 'Doe',
+  password                                  : 'password',
+  ...fields,
+}).validate().then( () => null, error => error )
+
+describe( 'ErrorMiddleware, validation errors', () => {
+
+  beforeEach( () => {
+
+    // No user has the email or username, and the role exists
+    mock.method( UserModel, 'findOne', async () => null )
+    mock.method( RoleModel, 'exists', async () => true )
+  })
+
+  afterEach( () => mock.restoreAll() )
+
+  it( 'translates every failed validator in the requesting user\'s language', async () => {
+    const error                             = await validate({ email: 'jane.doe', forename: 'Jo', surname: 'D0e', password: '123' })
+
+    for( const language of SupportedLocales ) {
+      const t                               = i18next.getFixedT( language )
+      const res                             = ErrorMiddleware.Handler( error, Request( language ), Response() )
+
+      // The first failed validator is the message
+      assert.equal( res.statusCode, 400 )
+      assert.equal( res.body.message, res.body.errors[ 0 ].message )
+      assert.deepEqual( [ ...res.body.errors ].sort( ( a, b ) => a.field.localeCompare( b.field ) ), [
+        { field: 'email', message: t( 'email.invalid' ) },
+        { field: 'forename', message: t( 'forename.minlength', { minlength: 3 } ) },
+        { field: 'password', message: t( 'password.minlength', { minlength: 6 } ) },
+        { field: 'surname', message: t( 'surname.invalid' ) },
+      ])
+
+      // Every message is translated and interpolated
+      for( const { message } of res.body.errors )
+        assert.doesNotMatch( message, /^[\w.]+$|{{/ )
+    }
+
+    // The messages are in each requesting user's language
+    assert.notDeepEqual( ErrorMiddleware.Handler( error, Request( 'en' ), Response() ).body, ErrorMiddleware.Handler( error, Request( 'sv' ), Response() ).body )
+    assert.match( ErrorMiddleware.Handler( error, Request( 'sv' ), Response() ).body.errors.find( ({ field }) => field === 'forename' ).message, /minst 3 tecken/ )
+  })
+
+  it( 'returns the status of an error thrown by a validator, e.g. a taken username', async () => {
+    UserModel.findOne.mock.mockImplementation( async ( filter ) => filter.username ? { _id: 'another-user' } : null )
+
+    const error                             = await validate()
+    const res                               = ErrorMiddleware.Handler( error, Request( 'sv' ), Response() )
+
+    assert.equal( res.statusCode, 409 )
+    assert.equal( res.body.message, i18next.t( 'username.taken', { lng: 'sv' } ) )
+    assert.deepEqual( res.body.errors, [ { field: 'username', message: i18next.t( 'username.taken', { lng: 'sv' } ) } ] )
+  })
+})
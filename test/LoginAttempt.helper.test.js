@@ -0,0 +1,192 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it, mock } from 'node:test'
+
+// Configure the brute-force protection before the helper reads the environment
+process.env.LOGIN_BACKOFF_THRESHOLD         = '3'
+process.env.LOGIN_MAX_ATTEMPTS              = '5'
+process.env.LOGIN_LOCKOUT_DURATION          = '15m'
+
+const { i18next, SupportedLocales }         = await import( '../configs/i18n.config.js' )
+const { default: LoginAttemptHelper }       = await import( '../helpers/LoginAttempt.helper.js' )
+const { default: LoginAttemptModel }        = await import( '../models/LoginAttempt.model.js' )
+const { default: SecurityEventHelper, SecurityEventTypes } = await import( '../helpers/SecurityEvent.helper.js' )
+const { default: CustomErrorHelper }        = await import( '../helpers/Error.helper.js' )
+
+// Wait for the locales to be loaded
+if( !i18next.isInitialized )
+  await new Promise( resolve => i18next.on( 'initialized', resolve ) )
+
+await i18next.loadLanguages( SupportedLocales )
+
+// The account the attempts are made on
+const UserId                                = '64b000000000000000000001'
+
+// A request from an ip address, in a language
+const Request                               = ( ipAddress = '203.0.113.7', language = 'en' ) => ({
+  headers                                   : {},
+  socket                                    : { remoteAddress: ipAddress },
+  t                                         : i18next.getFixedT( language ),
+})
+
+// A response, recording its headers
+const Response                              = () => {
+  const headers                             = {}
+
+  return {
+    headers                                 : headers,
+    set                                     : ( name, value ) => { headers[ name ] = value },
+  }
+}
+
+/**
+ * @function LoginAttemptStore
+ * @description An in-memory stand-in for the login attempts collection, covering the queries LoginAttemptHelper runs
+ * @returns {Object[]} The stored records
+ */
+const LoginAttemptStore                     = () => {
+  const records                             = []
+
+  // Whether a record matches a { userId, ipAddress } filter (ipAddress a value or { $in: [] })
+  const matches                             = ( record, { userId, ipAddress } ) => String( record.userId ) === String( userId )
+    && ( ipAddress === undefined || ( ipAddress?.$in ?? [ ipAddress ] ).includes( record.ipAddress ) )
+
+  mock.method( LoginAttemptModel, 'find', ( filter ) => ({
+    lean                                    : async () => records.filter( record => matches( record, filter ) ).map( record => ({ ...record }) ),
+  }))
+
+  mock.method( LoginAttemptModel, 'findOneAndUpdate', async ( filter, { $inc, $set } ) => {
+    let record                              = records.find( entry => matches( entry, filter ) )
+
+    if( !record )
+      records.push( record = { _id: records.length + 1, ...filter, failures: 0, lockouts: 0, retryAt: null, lockedUntil: null } )
+
+    record.failures                         += $inc.failures
+    Object.assign( record, $set )
+
+    return { ...record, save: async function() { Object.assign( record, this ) } }
+  })
+
+  mock.method( LoginAttemptModel, 'updateOne', async ( { _id }, update ) => {
+    Object.assign( records.find( record => record._id === _id ), update )
+  })
+
+  mock.method( LoginAttemptModel, 'deleteMany', async ( filter ) => {
+    const deleted                           = records.filter( record => matches( record, filter ) )
+
+    records.splice( 0, records.length, ...records.filter( record => !deleted.includes( record ) ) )
+
+    return { deletedCount: deleted.length }
+  })
+
+  return records
+}
+
+// Asserts a promise rejects with a CustomErrorHelper with the status, and returns the error
+const assertRejects                         = async ( promise, status ) => {
+  let rejection                             = null
+
+  await assert.rejects( promise, error => ( rejection = error ) instanceof CustomErrorHelper && error.status === status )
+
+  return rejection
+}
+
+describe( 'LoginAttemptHelper', () => {
+  let records                               = null
+
+  beforeEach( () => {
+    mock.timers.enable({ apis: [ 'Date' ], now: new Date( '2025-01-01T12:00:00Z' ) })
+    mock.method( SecurityEventHelper, 'Emit', async () => {} )
+
+    records                                 = LoginAttemptStore()
+  })
+
+  afterEach( () => {
+    mock.timers.reset()
+    mock.restoreAll()
+  })
+
+  // Fails a login from an ip address, n times
+  const fail                                = async ( times, ipAddress ) => {
+    for( let index = 0; index < times; index++ )
+      await LoginAttemptHelper.RegisterFailure( Request( ipAddress ), Response(), UserId )
+  }
+
+  // The per account record
+  const accountRecord                       = () => records.find( record => record.ipAddress === null )
+
+  it( 'backs off exponentially from the threshold, up to fifteen minutes', () => {
+    assert.deepEqual( [ 1, 2, 3, 4, 5, 6 ].map( failures => LoginAttemptHelper.Backoff( failures ) ), [ 0, 0, 1000, 2000, 4000, 8000 ] )
+    assert.equal( LoginAttemptHelper.Backoff( 40 ), 15 * 60 * 1000 )
+  })
+
+  it( 'allows logging in again once the backoff has passed', async () => {
+    await fail( 3 )
+
+    const res                               = Response()
+
+    await assertRejects( LoginAttemptHelper.AssertAllowed( Request(), res, UserId ), 429 )
+    assert.equal( res.headers[ 'Retry-After' ], 1 )
+
+    mock.timers.tick( 1000 )
+
+    await LoginAttemptHelper.AssertAllowed( Request(), Response(), UserId )
+  })
+
+  it( 'tracks the failures per account, and per account and ip address', async () => {
+    await fail( 2, '203.0.113.7' )
+    await fail( 1, '198.51.100.9' )
+
+    assert.equal( accountRecord().failures, 3 )
+    assert.equal( records.find( record => record.ipAddress === '203.0.113.7' ).failures, 2 )
+    assert.equal( records.find( record => record.ipAddress === '198.51.100.9' ).failures, 1 )
+
+    // Rotating ip addresses doesn't get around the account's backoff
+    await assertRejects( LoginAttemptHelper.AssertAllowed( Request( '192.0.2.1' ), Response(), UserId ), 429 )
+  })
+
+  it( 'locks the account at the threshold, and doubles the lockout every time', async () => {
+    await fail( 5 )
+
+    assert.equal( accountRecord().lockedUntil.getTime(), Date.now() + 15 * 60 * 1000 )
+    assert.equal( accountRecord().lockouts, 1 )
+    assert.equal( accountRecord().failures, 0 )
+    assert.equal( SecurityEventHelper.Emit.mock.calls.at( -1 ).arguments[ 3 ], SecurityEventTypes.ACCOUNT_LOCKED )
+
+    const res                               = Response()
+
+    await assertRejects( LoginAttemptHelper.AssertAllowed( Request(), res, UserId ), 423 )
+    assert.equal( res.headers[ 'Retry-After' ], 15 * 60 )
+
+    // The next lockout is twice as long
+    mock.timers.tick( 15 * 60 * 1000 )
+    await fail( 5 )
+
+    assert.equal( accountRecord().lockedUntil.getTime(), Date.now() + 30 * 60 * 1000 )
+    assert.equal( accountRecord().lockouts, 2 )
+  })
+
+  it( 'states the unlock time in the requesting user\'s language', async () => {
+    await fail( 5 )
+
+    const lockedUntil                       = accountRecord().lockedUntil
+
+    for( const language of SupportedLocales ) {
+      const error                           = await assertRejects( LoginAttemptHelper.AssertAllowed( Request( undefined, language ), Response(), UserId ), 423 )
+      const time                            = new Intl.DateTimeFormat( language, { dateStyle: 'medium', timeStyle: 'long' } ).format( lockedUntil )
+
+      assert.equal( error.message, i18next.t( 'user.login.locked', { lng: language, time: '__TIME__' } ).replace( '__TIME__', time ) )
+    }
+  })
+
+  it( 'resets the account, and the account and ip address, after a successful login', async () => {
+    await fail( 3, '203.0.113.7' )
+    await fail( 1, '198.51.100.9' )
+
+    await LoginAttemptHelper.Reset( Request( '203.0.113.7' ), Response(), UserId )
+
+    // Other ip addresses keep their failures
+    assert.deepEqual( records.map( record => record.ipAddress ), [ '198.51.100.9' ] )
+
+    await LoginAttemptHelper.AssertAllowed( Request( '203.0.113.7' ), Response(), UserId )
+  })
+})
@@ -0,0 +1,137 @@
+import assert from 'node:assert/strict'
+import { execFile } from 'node:child_process'
+import fs from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { promisify } from 'node:util'
+import { afterEach, beforeEach, describe, it, mock } from 'node:test'
+
+// Keep the mails in memory, and configure the rest before the helpers read the environment
+process.env.MAIL_TRANSPORT                  = 'memory'
+process.env.CLIENT_URL                      = 'http://localhost:5173'
+process.env.ENCRYPTION_SECRET               ||= 'test-encryption-secret'
+
+const { default: MailerHelper }             = await import( '../helpers/Mailer.helper.js' )
+const { default: UserController }           = await import( '../controllers/User.controller.js' )
+const { default: AuthController }           = await import( '../controllers/Auth.controller.js' )
+const { default: UserModel }                = await import( '../models/User.model.js' )
+const { default: EmailVerificationModel }   = await import( '../models/EmailVerification.model.js' )
+
+// A request, translating to the keys
+const Request                               = ( body ) => ({ body, t: key => key, language: 'en' })
+
+// A response, recording its status and body
+const Response                              = () => ({
+  locals                                    : {},
+  status                                    : function( status ) { this.statusCode = status; return this },
+  json                                      : function( body ) { this.body = body; return this },
+})
+
+// Runs a controller method, and rejects with the error it passes on
+const run                                   = ( method, req ) => new Promise( ( resolve, reject ) => {
+  const res                                 = Response()
+
+  Promise.resolve( method( req, res, error => reject( error ) ) ).then( () => resolve( res ) )
+})
+
+// Waits for a number of mails in the outbox (a mail that isn't awaited is sent after the response)
+const waitForMails                          = async ( count ) => {
+  for( let tick = 0; tick < 100 && MailerHelper.GetOutbox().length < count; tick++ )
+    await new Promise( resolve => setImmediate( resolve ) )
+
+  return MailerHelper.GetOutbox()
+}
+
+describe( 'MailerHelper, with the memory transport', () => {
+
+  beforeEach( () => {
+    MailerHelper.ClearOutbox()
+
+    // The verification records, with a known token
+    mock.method( EmailVerificationModel, 'create', async ( record ) => ({ ...record, token: 'verification-token' }) )
+  })
+
+  afterEach( () => mock.restoreAll() )
+
+  it( 'keeps the sent mails in the outbox, until it is cleared', async () => {
+    await MailerHelper.Send({ to: 'jane.doe@example.com', subject: 'Subject', text: 'Text' })
+
+    const [ mail ]                          = MailerHelper.GetOutbox()
+
+    assert.equal( mail.to, 'jane.doe@example.com' )
+    assert.equal( mail.subject, 'Subject' )
+    assert.match( mail.raw, /^Subject: Subject$/m )
+
+    MailerHelper.ClearOutbox()
+
+    assert.deepEqual( MailerHelper.GetOutbox(), [] )
+  })
+
+  it( 'sends the verification link at signup', async () => {
+    mock.method( UserModel.prototype, 'save', async function() { return this } )
+
+    const res                               = await run( UserController.Create, Request({
+      email                                 : 'jane.doe@example.com',
+      username                              : 'janedoe',
+      forename                              : 'Jane',
+      surname                               : 'Doe',
+      password                              : 'password',
+      passwordConfirm                       : 'password',
+    }) )
+
+    const [ mail, ...rest ]                 = MailerHelper.GetOutbox()
+
+    assert.equal( res.statusCode, 201 )
+    assert.equal( rest.length, 0 )
+    assert.equal( mail.to, 'jane.doe@example.com' )
+    assert.ok( mail.text.includes( 'http://localhost:5173/email/verify/verification-token' ) )
+    assert.ok( mail.html.includes( 'http://localhost:5173/email/verify/verification-token' ) )
+  })
+
+  it( 'sends the verification link again when it is resent', async () => {
+    mock.method( UserModel, 'findOne', async () => ({
+      _id                                   : '64b000000000000000000001',
+      email                                 : 'jane.doe@example.com',
+      forename                              : 'Jane',
+      locale                                : 'sv',
+      isActive                              : true,
+      isEmailVerified                       : false,
+    }) )
+
+    // No verification has been sent within the cooldown or the daily window
+    mock.method( EmailVerificationModel, 'find', () => ({ sort: () => ({ limit: () => ({ lean: async () => [] }) }) }) )
+
+    const res                               = await run( AuthController.ResendEmailVerification, Request({ email: 'jane.doe@example.com' }) )
+    const [ mail ]                          = await waitForMails( 1 )
+
+    assert.equal( res.statusCode, 200 )
+    assert.equal( mail.to, 'jane.doe@example.com' )
+    assert.ok( mail.text.includes( 'http://localhost:5173/email/verify/verification-token' ) )
+  })
+})
+
+describe( 'MailerHelper, with the file transport', () => {
+
+  it( 'writes the mail to MAIL_FILE_DIRECTORY as an .eml file', async () => {
+    const directory                         = await fs.mkdtemp( path.join( os.tmpdir(), 'mails-' ) )
+
+    try {
+
+      // The transport is read once, so the mail is sent from another process
+      await promisify( execFile )( process.execPath, [
+        '--input-type=module',
+        '--eval',
+        `await ( await import( ${ JSON.stringify( new URL( '../helpers/Mailer.helper.js', import.meta.url ).href ) } ) ).default.Send({ to: 'jane.doe@example.com', subject: 'Subject', text: 'Text' })`,
+      ], { env: { ...process.env, MAIL_TRANSPORT: 'file', MAIL_FILE_DIRECTORY: directory } } )
+
+      const files                           = await fs.readdir( directory )
+
+      assert.equal( files.length, 1 )
+      assert.match( files[ 0 ], /\.eml$/ )
+      assert.match( await fs.readFile( path.join( directory, files[ 0 ] ), 'utf8' ), /^To: jane\.doe@example\.com$/m )
+
+    } finally {
+      await fs.rm( directory, { recursive: true, force: true } )
+    }
+  })
+})
@@ -0,0 +1,280 @@
+import assert from 'node:assert/strict'
+import crypto from 'node:crypto'
+import http from 'node:http'
+import { after, before, describe, it } from 'node:test'
+
+import jwt from 'jsonwebtoken'
+
+// The state cookie is encrypted, so an encryption secret is needed before the helpers read the environment
+process.env.ENCRYPTION_SECRET               ||= 'test-encryption-secret'
+
+const { default: OAuthProviders, RegisterOAuthProvider } = await import( '../configs/OAuth.config.js' )
+const { default: OAuthHelper }              = await import( '../helpers/OAuth.helper.js' )
+const { default: CustomErrorHelper }        = await import( '../helpers/Error.helper.js' )
+
+// The stub provider's client
+const ClientId                              = 'stub-client'
+const ClientSecret                          = 'stub-secret'
+
+// The stub provider's user, as its userinfo endpoint returns it
+const Userinfo                              = {
+  sub                                       : 'stub-subject',
+  email                                     : 'Jane.Doe@Example.com',
+  email_verified                            : true,
+  preferred_username                        : 'janedoe',
+  given_name                                : 'Jane',
+  family_name                               : 'Doe',
+}
+
+/**
+ * @function StubOidcServer
+ * @description A minimal OpenID Connect provider: discovery, a token endpoint (authorization code + PKCE) and a
+ * userinfo endpoint. Codes are added with authorize(), and the ID token and userinfo of the next exchange can be set
+ * @returns {Object} The server, with its issuer, authorize() and the next responses
+ */
+const StubOidcServer                        = () => {
+  const codes                               = new Map()
+  const stub                                = {
+    issuer                                  : null,
+    idTokenClaims                           : null,
+    userinfo                                : Userinfo,
+    userinfoStatus                          : 200,
+    discoveryRequests                       : 0,
+    authorize                               : ( codeChallenge ) => {
+      const code                            = crypto.randomBytes( 16 ).toString( 'hex' )
+
+      codes.set( code, codeChallenge )
+
+      return code
+    },
+  }
+
+  const send                                = ( res, status, body ) => {
+    res.writeHead( status, { 'Content-Type': 'application/json' } )
+    res.end( JSON.stringify( body ) )
+  }
+
+  stub.server                               = http.createServer( async ( req, res ) => {
+    const url                               = new URL( req.url, stub.issuer )
+
+    if( url.pathname === '/.well-known/openid-configuration' ) {
+      stub.discoveryRequests++
+
+      return send( res, 200, {
+        issuer                              : stub.issuer,
+        authorization_endpoint              : `${ stub.issuer }/authorize`,
+        token_endpoint                      : `${ stub.issuer }/token`,
+        userinfo_endpoint                   : `${ stub.issuer }/userinfo`,
+      })
+    }
+
+    if( url.pathname === '/token' && req.method === 'POST' ) {
+      let body                              = ''
+
+      for await ( const chunk of req )
+        body                                += chunk
+
+      const params                          = new URLSearchParams( body )
+      const codeChallenge                   = codes.get( params.get( 'code' ) )
+      const verifierChallenge               = crypto.createHash( 'sha256' ).update( params.get( 'code_verifier' ) || '' ).digest( 'base64url' )
+
+      // Codes are single use, and only valid with the verifier of their challenge
+      codes.delete( params.get( 'code' ) )
+
+      if(
+        params.get( 'grant_type' ) !== 'authorization_code' ||
+        params.get( 'client_id' ) !== ClientId ||
+        params.get( 'client_secret' ) !== ClientSecret ||
+        !codeChallenge ||
+        codeChallenge !== verifierChallenge
+      )
+        return send( res, 400, { error: 'invalid_grant' } )
+
+      return send( res, 200, {
+        access_token                        : 'stub-access-token',
+        token_type                          : 'Bearer',
+        ...( stub.idTokenClaims && {
+          id_token                          : jwt.sign({ iss: stub.issuer, aud: ClientId, sub: Userinfo.sub, ...stub.idTokenClaims }, 'stub-signing-key', { expiresIn: '5m' }),
+        }),
+      })
+    }
+
+    if( url.pathname === '/userinfo' ) {
+      if( req.headers.authorization !== 'Bearer stub-access-token' )
+        return send( res, 401, { error: 'invalid_token' } )
+
+      return send( res, stub.userinfoStatus, stub.userinfo )
+    }
+
+    return send( res, 404, { error: 'not_found' } )
+  })
+
+  return stub
+}
+
+// A request, translating to the keys, with the signed cookies a response set
+const Request                               = ( cookies = {} ) => ({ t: key => key, signedCookies: cookies })
+
+// A response, recording the cookies set on it
+const Response                              = () => {
+  const cookies                             = {}
+
+  return {
+    cookies                                 : cookies,
+    cookie                                  : ( name, value ) => { cookies[ name ] = value },
+    clearCookie                             : ( name ) => { delete cookies[ name ] },
+  }
+}
+
+// Asserts a promise rejects with a CustomErrorHelper with the message (key)
+const assertRejects                         = ( promise, message ) => assert.rejects( promise, error => error instanceof CustomErrorHelper && error.message === message )
+
+describe( 'OAuthHelper, against a stub OpenID Connect provider', () => {
+  const stub                                = StubOidcServer()
+
+  let provider                              = null
+  let microsoft                             = null
+
+  before( async () => {
+    await new Promise( resolve => stub.server.listen( 0, '127.0.0.1', resolve ) )
+
+    stub.issuer                             = `http://127.0.0.1:${ stub.server.address().port }`
+
+    provider                                = RegisterOAuthProvider( 'stub', { clientId: ClientId, clientSecret: ClientSecret, issuer: stub.issuer } )
+
+    // Microsoft's settings, with the stub's endpoints
+    microsoft                               = RegisterOAuthProvider( 'stubmicrosoft', {
+      ...OAuthProviders.microsoft,
+      clientId                              : ClientId,
+      clientSecret                          : ClientSecret,
+      issuer                                : stub.issuer,
+      authorizationEndpoint                 : `${ stub.issuer }/authorize`,
+      tokenEndpoint                         : `${ stub.issuer }/token`,
+      userinfoEndpoint                      : `${ stub.issuer }/userinfo`,
+    })
+  })
+
+  after( () => new Promise( resolve => stub.server.close( resolve ) ) )
+
+  // Runs the redirect and callback, up to the token response (what OAuthController.Callback does)
+  const login                               = async ( loginProvider ) => {
+    const res                               = Response()
+    const authorizationUrl                  = new URL( await OAuthHelper.AuthorizationUrl( Request(), res, loginProvider ) )
+    const params                            = authorizationUrl.searchParams
+
+    // The provider redirects back with a code, and the state
+    const code                              = stub.authorize( params.get( 'code_challenge' ) )
+    const { codeVerifier }                  = OAuthHelper.ConsumeState( Request( res.cookies ), Response(), loginProvider, params.get( 'state' ) )
+
+    return OAuthHelper.ExchangeCode( Request(), loginProvider, code, codeVerifier )
+  }
+
+  it( 'discovers the endpoints from the issuer, once', async () => {
+    const endpoints                         = await OAuthHelper.GetEndpoints( provider )
+
+    await OAuthHelper.GetEndpoints( provider )
+
+    assert.deepEqual( endpoints, {
+      authorizationEndpoint                 : `${ stub.issuer }/authorize`,
+      tokenEndpoint                         : `${ stub.issuer }/token`,
+      userinfoEndpoint                      : `${ stub.issuer }/userinfo`,
+    })
+    assert.equal( stub.discoveryRequests, 1 )
+  })
+
+  it( 'builds the authorization url, with the state and an S256 code challenge', async () => {
+    const res                               = Response()
+    const { origin, pathname, searchParams } = new URL( await OAuthHelper.AuthorizationUrl( Request(), res, provider ) )
+
+    assert.equal( `${ origin }${ pathname }`, `${ stub.issuer }/authorize` )
+    assert.equal( searchParams.get( 'response_type' ), 'code' )
+    assert.equal( searchParams.get( 'client_id' ), ClientId )
+    assert.equal( searchParams.get( 'redirect_uri' ), OAuthHelper.RedirectUri( provider ) )
+    assert.equal( searchParams.get( 'code_challenge_method' ), 'S256' )
+    assert.ok( res.cookies.oauthState )
+  })
+
+  it( 'rejects a state that does not match, or is for another provider', async () => {
+    const res                               = Response()
+    const state                             = new URL( await OAuthHelper.AuthorizationUrl( Request(), res, provider ) ).searchParams.get( 'state' )
+
+    assert.throws( () => OAuthHelper.ConsumeState( Request( res.cookies ), Response(), provider, 'wrong-state' ), { message: 'oauth.state.invalid' } )
+    assert.throws( () => OAuthHelper.ConsumeState( Request( res.cookies ), Response(), microsoft, state ), { message: 'oauth.state.invalid' } )
+    assert.throws( () => OAuthHelper.ConsumeState( Request(), Response(), provider, state ), { message: 'oauth.state.invalid' } )
+  })
+
+  it( 'exchanges the code with the PKCE code verifier', async () => {
+    const tokens                            = await login( provider )
+
+    assert.equal( tokens.access_token, 'stub-access-token' )
+  })
+
+  it( 'rejects an unknown code, or the wrong code verifier', async () => {
+    await assertRejects( OAuthHelper.ExchangeCode( Request(), provider, 'unknown-code', 'verifier' ), 'oauth.code.invalid' )
+
+    const code                              = stub.authorize( OAuthHelper.GeneratePkce().codeChallenge )
+
+    await assertRejects( OAuthHelper.ExchangeCode( Request(), provider, code, OAuthHelper.GeneratePkce().codeVerifier ), 'oauth.code.invalid' )
+  })
+
+  it( 'fetches and maps the profile from the userinfo endpoint', async () => {
+    const profile                           = await OAuthHelper.FetchProfile( Request(), provider, await login( provider ) )
+
+    assert.deepEqual( profile, {
+      subject                               : 'stub-subject',
+      email                                 : 'jane.doe@example.com',
+      emailVerified                         : true,
+      username                              : 'janedoe',
+      forename                              : 'Jane',
+      surname                               : 'Doe',
+    })
+  })
+
+  it( 'rejects a profile the userinfo endpoint does not return', async () => {
+    const tokens                            = await login( provider )
+
+    stub.userinfoStatus                     = 500
+
+    try {
+      await assertRejects( OAuthHelper.FetchProfile( Request(), provider, tokens ), 'oauth.profile.failed' )
+    } finally {
+      stub.userinfoStatus                   = 200
+    }
+  })
+
+  describe( 'Microsoft, which only has the email verification in the ID token', () => {
+
+    // Microsoft's userinfo, without email_verified
+    const { email_verified: _, ...microsoftUserinfo } = Userinfo
+
+    // Fetches the profile, with the claims of the ID token
+    const fetchProfile                      = async ( idTokenClaims ) => {
+      stub.userinfo                         = microsoftUserinfo
+      stub.idTokenClaims                    = idTokenClaims
+
+      try {
+        return await OAuthHelper.FetchProfile( Request(), microsoft, await login( microsoft ) )
+      } finally {
+        stub.userinfo                       = Userinfo
+        stub.idTokenClaims                  = null
+      }
+    }
+
+    it( 'verifies the email with the xms_edov claim', async () => {
+      const profile                         = await fetchProfile({ email: Userinfo.email, xms_edov: true })
+
+      assert.equal( profile.email, 'jane.doe@example.com' )
+      assert.equal( profile.emailVerified, true )
+    })
+
+    it( 'does not verify the email without the claim, or without an ID token', async () => {
+      assert.equal( ( await fetchProfile({ email: Userinfo.email }) ).emailVerified, false )
+      assert.equal( ( await fetchProfile( null ) ).emailVerified, false )
+    })
+
+    it( 'ignores an ID token issued to another client, or about another user', async () => {
+      assert.equal( ( await fetchProfile({ xms_edov: true, aud: 'another-client' }) ).emailVerified, false )
+      assert.equal( ( await fetchProfile({ xms_edov: true, sub: 'another-subject' }) ).emailVerified, false )
+    })
+  })
+})
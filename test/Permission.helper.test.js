@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict'
+import { describe, it } from 'node:test'
+
+import PermissionHelper from '../helpers/Permission.helper.js'
+
+// The user the permissions are checked for
+const UserId                                = '64b000000000000000000001'
+
+// A request, with the route parameters
+const Request                               = ( params = {} ) => ({ params })
+
+// Checks a required permission against the user's permissions, with an optional ownership check
+const isAllowed                             = ( permissions, permission, isSelf = null, req = Request() ) => PermissionHelper.IsAllowed( req, UserId, permissions, permission, isSelf )
+
+describe( 'PermissionHelper.IsAllowed', () => {
+
+  it( 'allows an "any" permission, whatever the ownership check says', async () => {
+    assert.equal( await isAllowed( [ 'users:read:any' ], 'users:read:any' ), true )
+    assert.equal( await isAllowed( [ 'users:read:any' ], 'users:read:self' ), true )
+    assert.equal( await isAllowed( [ 'users:read:any' ], 'users:read:self', () => false ), true )
+  })
+
+  it( 'allows a "self" permission only when the ownership check passes', async () => {
+    const isSelf                            = PermissionHelper.SelfById()
+
+    assert.equal( await isAllowed( [ 'users:read:self' ], 'users:read:any', isSelf, Request({ id: UserId }) ), true )
+    assert.equal( await isAllowed( [ 'users:read:self' ], 'users:read:any', isSelf, Request({ id: '64b000000000000000000002' }) ), false )
+    assert.equal( await isAllowed( [ 'users:read:self' ], 'users:read:self', async () => false ), false )
+    assert.equal( await isAllowed( [ 'users:read:self' ], 'users:read:self', async () => true ), true )
+  })
+
+  it( 'allows a "self" permission without an ownership check only when the required permission is "self"', async () => {
+    assert.equal( await isAllowed( [ 'users:read:self' ], 'users:read:self' ), true )
+
+    // e.g. a user on /find/all
+    assert.equal( await isAllowed( [ 'users:read:self' ], 'users:read:any' ), false )
+  })
+
+  it( 'denies a permission for another resource or action', async () => {
+    assert.equal( await isAllowed( [ 'users:read:any' ], 'users:update:any' ), false )
+    assert.equal( await isAllowed( [ 'sessions:revoke:any' ], 'users:read:self' ), false )
+    assert.equal( await isAllowed( [], 'users:read:self', () => true ), false )
+  })
+})
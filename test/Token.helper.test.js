@@ -0,0 +1,132 @@
+import assert from 'node:assert/strict'
+import { afterEach, beforeEach, describe, it, mock } from 'node:test'
+
+// An encryption secret is needed before the helpers read the environment
+process.env.ENCRYPTION_SECRET               ||= 'test-encryption-secret'
+
+const { default: TokenHelper }              = await import( '../helpers/Token.helper.js' )
+const { default: UserHelper }               = await import( '../helpers/User.helper.js' )
+const { default: SecurityEventHelper, SecurityEventTypes } = await import( '../helpers/SecurityEvent.helper.js' )
+const { default: RefreshTokenModel }        = await import( '../models/RefreshToken.model.js' )
+const { default: TokenBlacklistModel }      = await import( '../models/TokenBlacklist.model.js' )
+
+// The user the refresh tokens belong to
+const UserId                                = '64b000000000000000000001'
+
+// A request (the user id, device id and refresh token are read through the mocked helpers)
+const Request                               = () => ({ t: key => key, session: {}, useragent: {} })
+
+/**
+ * @function TokenStore
+ * @description In-memory stand-ins for the refresh token and token blacklist collections, covering the queries
+ * TokenHelper runs when a refresh token is presented and when a family is revoked
+ * @returns {Object} The stored refresh tokens and blacklist records
+ */
+const TokenStore                            = () => {
+  const store                               = { refreshTokens: [], blacklist: [] }
+
+  mock.method( RefreshTokenModel, 'findOne', ( { token } ) => ({
+    lean                                    : async () => store.refreshTokens.find( record => record.token === token ) || null,
+  }))
+
+  mock.method( RefreshTokenModel, 'find', async ( { familyId } ) => store.refreshTokens.filter( record => record.familyId === familyId ) )
+
+  mock.method( RefreshTokenModel, 'deleteMany', async ( { _id } ) => {
+    store.refreshTokens                     = store.refreshTokens.filter( record => !_id.$in.includes( record._id ) )
+  })
+
+  mock.method( TokenBlacklistModel, 'findOne', async ( { token } ) => store.blacklist.find( record => record.token === token ) || null )
+
+  mock.method( TokenBlacklistModel, 'insertMany', async ( records ) => {
+    store.blacklist.push( ...records.map( record => new TokenBlacklistModel( record ) ) )
+  })
+
+  return store
+}
+
+// A refresh token record of a family
+const refreshToken                          = ( familyId, index ) => ({
+  _id                                       : `${ familyId }-${ index }`,
+  userId                                    : UserId,
+  deviceId                                  : `device-${ familyId }-${ index }`,
+  familyId                                  : familyId,
+  salt                                      : 'salt',
+  token                                     : `token-${ familyId }-${ index }`,
+  ipAddress                                 : '203.0.113.7',
+})
+
+// A blacklist record of a refresh token, rotated or not, revoked a number of milliseconds ago
+const blacklistRecord                       = ( record, rotated, revokedAgo ) => new TokenBlacklistModel({
+  ...record,
+  _id                                       : undefined,
+  reason                                    : rotated ? 'New refresh token generated by RefreshTokens' : 'Logged out',
+  rotated                                   : rotated,
+  revokedAt                                 : new Date( Date.now() - revokedAgo ),
+  graceUntil                                : new Date( Date.now() - revokedAgo + 60 * 1000 ),
+})
+
+describe( 'TokenHelper, refresh token families', () => {
+  let store                                 = null
+
+  beforeEach( () => {
+    store                                   = TokenStore()
+
+    // The family "a" has been rotated once (a-1 replaced by a-2), the family "b" is another device's
+    store.refreshTokens.push( refreshToken( 'a', 2 ), refreshToken( 'b', 1 ) )
+
+    mock.method( UserHelper, 'GetUserId', () => UserId )
+    mock.method( UserHelper, 'GetDeviceId', () => 'device-a-1' )
+    mock.method( SecurityEventHelper, 'Emit', async () => {} )
+  })
+
+  afterEach( () => mock.restoreAll() )
+
+  // Presents a refresh token, and returns its record
+  const present                             = ( token ) => {
+    mock.method( TokenHelper, 'GetRefreshToken', () => token )
+    mock.method( TokenHelper, 'GetRefreshTokenId', () => null )
+
+    return TokenHelper.GetRefreshTokenRecord( Request(), {}, true )
+  }
+
+  it( 'keeps a rotated refresh token working within the grace period', async () => {
+    store.blacklist.push( blacklistRecord( refreshToken( 'a', 1 ), true, 10 * 1000 ) )
+
+    const record                            = await present( 'token-a-1' )
+
+    assert.equal( record.familyId, 'a' )
+    assert.equal( record.token, 'token-a-1' )
+    assert.deepEqual( store.refreshTokens.map( ({ _id }) => _id ), [ 'a-2', 'b-1' ] )
+    assert.equal( SecurityEventHelper.Emit.mock.callCount(), 0 )
+  })
+
+  it( 'revokes the whole family when a rotated refresh token is used after the grace period', async () => {
+    store.blacklist.push( blacklistRecord( refreshToken( 'a', 1 ), true, 2 * 60 * 1000 ) )
+
+    assert.equal( await present( 'token-a-1' ), null )
+
+    // Every refresh token of the family is blacklisted and deleted, other families are left alone
+    assert.deepEqual( store.refreshTokens.map( ({ _id }) => _id ), [ 'b-1' ] )
+    assert.ok( store.blacklist.some( record => record.token === 'token-a-2' && record.reason === 'Refresh token reuse detected' ) )
+
+    const [ , , userId, type, meta ]        = SecurityEventHelper.Emit.mock.calls[ 0 ].arguments
+
+    assert.equal( String( userId ), UserId )
+    assert.equal( type, SecurityEventTypes.REFRESH_TOKEN_REUSED )
+    assert.equal( meta.familyId, 'a' )
+    assert.equal( meta.revokedTokens, 1 )
+  })
+
+  it( 'does not revoke the family of a refresh token that was revoked without being rotated', async () => {
+    store.blacklist.push( blacklistRecord( refreshToken( 'a', 1 ), false, 2 * 60 * 1000 ) )
+
+    assert.equal( await present( 'token-a-1' ), null )
+
+    // A revoked (e.g. logged out) refresh token doesn't work within the grace period either
+    store.blacklist[ 0 ].graceUntil         = new Date( Date.now() + 60 * 1000 )
+
+    assert.equal( await present( 'token-a-1' ), null )
+    assert.deepEqual( store.refreshTokens.map( ({ _id }) => _id ), [ 'a-2', 'b-1' ] )
+    assert.equal( SecurityEventHelper.Emit.mock.callCount(), 0 )
+  })
+})
@@ -0,0 +1,75 @@
+import assert from 'node:assert/strict'
+import { afterEach, describe, it, mock } from 'node:test'
+
+import TotpHelper from '../helpers/Totp.helper.js'
+
+// The RFC 6238 (appendix B) SHA-1 secret, "12345678901234567890", base32 encoded
+const Secret                                = TotpHelper.Base32Encode( Buffer.from( '12345678901234567890' ) )
+
+// The RFC 6238 test vectors, as [ time in seconds, code ] (the last 6 digits of the 8-digit codes)
+const TestVectors                           = [
+  [ 59, '287082' ],
+  [ 1111111109, '081804' ],
+  [ 1111111111, '050471' ],
+  [ 1234567890, '005924' ],
+  [ 2000000000, '279037' ],
+  [ 20000000000, '353130' ],
+]
+
+describe( 'TotpHelper', () => {
+
+  afterEach( () => mock.restoreAll() )
+
+  it( 'encodes and decodes base32', () => {
+    assert.equal( Secret, 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ' )
+    assert.equal( TotpHelper.Base32Decode( Secret ).toString(), '12345678901234567890' )
+  })
+
+  it( 'generates the RFC 6238 codes', () => {
+    for( const [ time, code ] of TestVectors )
+      assert.equal( TotpHelper.GenerateCode( Secret, time * 1000 ), code )
+  })
+
+  it( 'verifies a code, and returns its time step', () => {
+    for( const [ time, code ] of TestVectors )
+      assert.equal( TotpHelper.Verify( Secret, code, time * 1000 ), Math.floor( time / 30 ) )
+  })
+
+  it( 'accepts the codes one time step before and after', () => {
+    const time                              = 1111111111 * 1000
+    const step                              = TotpHelper.TimeStep( time )
+
+    assert.equal( TotpHelper.Verify( Secret, TotpHelper.GenerateCode( Secret, time - 30000 ), time ), step - 1 )
+    assert.equal( TotpHelper.Verify( Secret, TotpHelper.GenerateCode( Secret, time + 30000 ), time ), step + 1 )
+    assert.equal( TotpHelper.Verify( Secret, TotpHelper.GenerateCode( Secret, time - 60000 ), time ), null )
+    assert.equal( TotpHelper.Verify( Secret, TotpHelper.GenerateCode( Secret, time + 60000 ), time ), null )
+  })
+
+  it( 'rejects a code for an already used time step', () => {
+    const time                              = 1234567890 * 1000
+    const step                              = TotpHelper.Verify( Secret, '005924', time )
+
+    assert.equal( TotpHelper.Verify( Secret, '005924', time, step ), null )
+    assert.equal( TotpHelper.Verify( Secret, TotpHelper.GenerateCode( Secret, time - 30000 ), time, step ), null )
+    assert.equal( TotpHelper.Verify( Secret, TotpHelper.GenerateCode( Secret, time + 30000 ), time, step ), step + 1 )
+  })
+
+  it( 'rejects malformed codes', () => {
+    for( const code of [ '', null, '28708', '2870821', 'abcdef', '287 08x' ] )
+      assert.equal( TotpHelper.Verify( Secret, code, 59000 ), null )
+
+    assert.equal( TotpHelper.Verify( Secret, '287 082', 59000 ), 1 )
+  })
+
+  it( 'uses TotpHelper.Now when no time is given', () => {
+    mock.method( TotpHelper, 'Now', () => 59000 )
+
+    assert.equal( TotpHelper.GenerateCode( Secret ), '287082' )
+    assert.equal( TotpHelper.Verify( Secret, '287082' ), 1 )
+
+    TotpHelper.Now.mock.mockImplementation( () => 2000000000 * 1000 )
+
+    assert.equal( TotpHelper.Verify( Secret, '287082' ), null )
+    assert.equal( TotpHelper.Verify( Secret, '279037' ), Math.floor( 2000000000 / 30 ) )
+  })
+})
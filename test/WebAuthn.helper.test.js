@@ -0,0 +1,155 @@
+import assert from 'node:assert/strict'
+import fs from 'node:fs'
+import { describe, it } from 'node:test'
+
+// The recorded ceremonies, with the relying party they were recorded for
+const Fixtures                              = Object.fromEntries( [ 'es256-packed', 'rs256-none' ].map( name => [
+  name,
+  JSON.parse( fs.readFileSync( new URL( `./fixtures/webauthn/${ name }.json`, import.meta.url ), 'utf8' ) ),
+]))
+
+// Configure the relying party before the helper reads the environment
+process.env.WEBAUTHN_RP_ID                  = 'localhost'
+process.env.WEBAUTHN_ORIGINS                = 'http://localhost:5173'
+
+const { default: WebAuthnHelper, CoseAlgorithms } = await import( '../helpers/WebAuthn.helper.js' )
+const { default: CborHelper }               = await import( '../helpers/Cbor.helper.js' )
+const { default: CustomErrorHelper }        = await import( '../helpers/Error.helper.js' )
+
+// A request, translating to the keys
+const Request                               = () => ({ t: key => key, session: {} })
+
+// Asserts a function throws a CustomErrorHelper with the message (key)
+const assertRejects                         = ( fn, message ) => assert.throws( fn, error => error instanceof CustomErrorHelper && error.message === message )
+
+// Replaces a base64url value in a credential's response
+const withResponse                          = ( credential, response ) => ({ ...credential, response: { ...credential.response, ...response } })
+
+for( const [ name, algorithm, format ] of [ [ 'es256-packed', CoseAlgorithms.ES256, 'packed' ], [ 'rs256-none', CoseAlgorithms.RS256, 'none' ] ] ) {
+  const { registration, authentications }   = Fixtures[ name ]
+
+  describe( `WebAuthnHelper, ${ name }`, () => {
+
+    // The stored credential, as WebAuthnController.Register saves it
+    const register                          = () => WebAuthnHelper.VerifyRegistration( Request(), registration.credential, registration.challenge )
+
+    it( 'verifies the attestation', () => {
+      const credential                      = register()
+
+      assert.equal( credential.credentialId, registration.credential.id )
+      assert.equal( credential.algorithm, algorithm )
+      assert.equal( credential.attestationFormat, format )
+      assert.equal( credential.signCount, registration.signCount )
+      assert.match( credential.publicKey, /^-----BEGIN PUBLIC KEY-----/ )
+    })
+
+    it( 'rejects the attestation for another challenge, origin or ceremony', () => {
+      assertRejects( () => WebAuthnHelper.VerifyRegistration( Request(), registration.credential, authentications[ 0 ].challenge ), 'webAuthn.challenge.invalid' )
+      assertRejects( () => WebAuthnHelper.VerifyRegistration( Request(), withResponse( registration.credential, {
+        clientDataJSON                      : Buffer.from( JSON.stringify({
+          ...JSON.parse( Buffer.from( registration.credential.response.clientDataJSON, 'base64url' ) ),
+          origin                            : 'https://evil.example',
+        }) ).toString( 'base64url' ),
+      }), registration.challenge ), 'webAuthn.origin.invalid' )
+      assertRejects( () => WebAuthnHelper.VerifyRegistration( Request(), withResponse( registration.credential, {
+        clientDataJSON                      : authentications[ 0 ].credential.response.clientDataJSON,
+      }), authentications[ 0 ].challenge ), 'webAuthn.clientData.invalid' )
+    })
+
+    it( 'rejects a tampered attestation object', () => {
+      const attestationObject               = Buffer.from( registration.credential.response.attestationObject, 'base64url' )
+      const { authData, attStmt }           = CborHelper.Decode( attestationObject )
+
+      // Replaces the attestation object, with a bit flipped at an index
+      const tampered                        = ( index ) => {
+        const bytes                         = Buffer.from( attestationObject )
+
+        bytes[ index ]                      ^= 1
+
+        return withResponse( registration.credential, { attestationObject: bytes.toString( 'base64url' ) } )
+      }
+
+      // The rp id hash, at the start of the authenticator data
+      assertRejects( () => WebAuthnHelper.VerifyRegistration( Request(), tampered( attestationObject.indexOf( authData ) ), registration.challenge ), 'webAuthn.rpId.invalid' )
+
+      // The signature of the attestation statement
+      if( format === 'packed' )
+        assertRejects( () => WebAuthnHelper.VerifyRegistration( Request(), tampered( attestationObject.indexOf( attStmt.sig ) + 8 ), registration.challenge ), 'webAuthn.attestation.invalid' )
+    })
+
+    it( 'verifies the assertions, in order', () => {
+      const storedCredential                = register()
+
+      for( const authentication of authentications ) {
+        const { signCount }                 = WebAuthnHelper.VerifyAuthentication( Request(), authentication.credential, authentication.challenge, storedCredential )
+
+        assert.equal( signCount, authentication.signCount )
+
+        storedCredential.signCount          = signCount
+      }
+    })
+
+    it( 'rejects an assertion with a wrong signature, challenge or key', () => {
+      const storedCredential                = register()
+      const [ authentication ]              = authentications
+      const signature                       = Buffer.from( authentication.credential.response.signature, 'base64url' )
+
+      signature[ signature.length - 1 ]     ^= 1
+
+      assertRejects( () => WebAuthnHelper.VerifyAuthentication( Request(), withResponse( authentication.credential, {
+        signature                           : signature.toString( 'base64url' ),
+      }), authentication.challenge, storedCredential ), 'webAuthn.signature.invalid' )
+      assertRejects( () => WebAuthnHelper.VerifyAuthentication( Request(), authentication.credential, registration.challenge, storedCredential ), 'webAuthn.challenge.invalid' )
+
+      // The other fixture's key
+      const otherName                       = Object.keys( Fixtures ).find( fixtureName => fixtureName !== name )
+      const other                           = Fixtures[ otherName ].registration
+      const otherCredential                 = WebAuthnHelper.VerifyRegistration( Request(), other.credential, other.challenge )
+
+      assertRejects( () => WebAuthnHelper.VerifyAuthentication( Request(), authentication.credential, authentication.challenge, {
+        ...otherCredential,
+        signCount                           : 0,
+      }), 'webAuthn.signature.invalid' )
+    })
+  })
+}
+
+describe( 'WebAuthnHelper, sign count', () => {
+  const { registration, authentications }   = Fixtures[ 'es256-packed' ]
+  const storedCredential                    = () => WebAuthnHelper.VerifyRegistration( Request(), registration.credential, registration.challenge )
+
+  it( 'rejects a replayed assertion, whose sign count doesn\'t increase', () => {
+    const [ authentication ]                = authentications
+
+    assertRejects( () => WebAuthnHelper.VerifyAuthentication( Request(), authentication.credential, authentication.challenge, {
+      ...storedCredential(),
+      signCount                             : authentication.signCount,
+    }), 'webAuthn.signCount.invalid' )
+  })
+
+  it( 'rejects an assertion whose sign count went backwards (a cloned authenticator)', () => {
+    const [ first, second ]                 = authentications
+
+    assert.ok( second.signCount > first.signCount )
+
+    assertRejects( () => WebAuthnHelper.VerifyAuthentication( Request(), first.credential, first.challenge, {
+      ...storedCredential(),
+      signCount                             : second.signCount,
+    }), 'webAuthn.signCount.invalid' )
+  })
+
+  it( 'accepts authenticators that don\'t count, and rejects one that stops counting', () => {
+    const rs256                             = Fixtures[ 'rs256-none' ]
+    const credential                        = WebAuthnHelper.VerifyRegistration( Request(), rs256.registration.credential, rs256.registration.challenge )
+
+    // Both sign counts are 0, the authenticator doesn't count
+    for( const authentication of rs256.authentications )
+      assert.equal( WebAuthnHelper.VerifyAuthentication( Request(), authentication.credential, authentication.challenge, credential ).signCount, 0 )
+
+    // A counting authenticator that suddenly returns 0
+    assertRejects( () => WebAuthnHelper.VerifyAuthentication( Request(), rs256.authentications[ 0 ].credential, rs256.authentications[ 0 ].challenge, {
+      ...credential,
+      signCount                             : 5,
+    }), 'webAuthn.signCount.invalid' )
+  })
+})